@@ -0,0 +1,2015 @@
+/* ============================================================
+   Backend de referencia del visor 3D
+   - Proyectos en data/projects/<slug>/ con sus archivos de modelo +
+     scene.json
+   - Respuestas JSON siempre con el sobre { ok, error }
+   ============================================================ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const fsp = require("fs/promises");
+const path = require("path");
+const { promisify } = require("util");
+const express = require("express");
+const multer = require("multer");
+const cors = require("cors");
+const ExcelJS = require("exceljs");
+
+/* ============================================================
+   Config general
+   ============================================================ */
+
+const PORT = Number(process.env.PORT) || 4000;
+const ROOT_DIR = __dirname;
+// Carpeta donde viven los proyectos (una subcarpeta por proyecto). Nunca
+// dentro de public/: Vite la sirve tal cual y scene.json guarda miembros,
+// enlaces compartidos y contraseñas antiguas
+const PROJECTS_DIR = path.resolve(
+  ROOT_DIR,
+  process.env.PROJECTS_DIR || path.join("data", "projects")
+);
+// Carpeta temporal de multer (fuera de public para no servirla)
+const UPLOADS_TMP_DIR = path.join(ROOT_DIR, ".uploads");
+
+const SCENE_FILE = "scene.json";
+const QUOTE_FILE = "cotizacion.json";
+const MODEL_BASENAME = "modelo";
+const MODEL_EXTENSIONS = ["stl", "obj", "gltf", "glb", "ply", "3mf"];
+const MAX_MODEL_SIZE = 200 * 1024 * 1024; // 200 MB
+const MAX_MODELS = 20; // archivos por ensamblaje
+// Archivos que acompañan a un .gltf/.obj: buffers, materiales y texturas
+const RESOURCE_EXTENSIONS = [
+  "bin",
+  "mtl",
+  "png",
+  "jpg",
+  "jpeg",
+  "webp",
+  "ktx2",
+  "bmp",
+  "gif",
+];
+const RESOURCES_FIELD = "resources";
+const MAX_RESOURCES = 100; // por archivo de modelo
+// Capturas del visor (imágenes y videos de giro) guardadas con el proyecto
+const ATTACHMENT_EXTENSIONS = ["png", "jpg", "jpeg", "webm"];
+const ATTACHMENT_FIELD = "attachment";
+const ATTACHMENTS_DIRNAME = "adjuntos";
+const MAX_ATTACHMENTS = 200;
+// Ids de capa del visor: id del archivo × PART_ID_STRIDE + índice de malla
+const PART_ID_STRIDE = 10000;
+
+// Datos privados (usuarios): nunca dentro de PROJECTS_DIR
+const DATA_DIR = path.resolve(ROOT_DIR, process.env.DATA_DIR || "data");
+const USERS_FILE = path.join(DATA_DIR, "users.json");
+const ALLOW_REGISTRATION = process.env.ALLOW_REGISTRATION !== "false";
+const MIN_PASSWORD_LENGTH = 6;
+
+// Sesiones de usuario: token firmado.
+// Sin SESSION_SECRET los tokens se invalidan al reiniciar el servidor.
+const SESSION_SECRET =
+  process.env.SESSION_SECRET || crypto.randomBytes(32).toString("hex");
+const SESSION_TTL_MS =
+  (Number(process.env.SESSION_TTL_MINUTES) || 720) * 60 * 1000;
+
+fs.mkdirSync(PROJECTS_DIR, { recursive: true });
+fs.mkdirSync(DATA_DIR, { recursive: true });
+fs.mkdirSync(UPLOADS_TMP_DIR, { recursive: true });
+
+/* ============================================================
+   Utilidades
+   ============================================================ */
+
+// Mismo slug que usa el visor (App.jsx)
+function slugify(str) {
+  return (
+    (str || "proyecto")
+      .toString()
+      .normalize("NFD")
+      .replace(/[\u0300-\u036f]/g, "")
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-+|-+$/g, "")
+      .substring(0, 40) || "proyecto"
+  );
+}
+
+// Error con status HTTP para el manejador final
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function isValidProjectId(id) {
+  return typeof id === "string" && /^[a-z0-9-]{1,60}$/.test(id);
+}
+
+function projectDir(id) {
+  return path.join(PROJECTS_DIR, id);
+}
+
+function getExtension(filename) {
+  return (filename || "").split(".").pop().toLowerCase();
+}
+
+// Texto que manda el cliente: cualquier otro tipo (objeto, lista, número)
+// cuenta como vacío, en vez de pasar por toString()
+function textField(value) {
+  return typeof value === "string" ? value : "";
+}
+
+// Id que manda el cliente (texto o número); si no trae, uno nuevo
+function idField(value) {
+  const id =
+    typeof value === "number" ? String(value) : textField(value).slice(0, 40);
+  return id || crypto.randomBytes(6).toString("hex");
+}
+
+// Los campos de FormData llegan como texto JSON
+function parseJsonField(value, fallback) {
+  if (value === undefined || value === null || value === "") return fallback;
+  if (typeof value !== "string") return value;
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    return fallback;
+  }
+}
+
+function normalizeVector(v) {
+  const src = v && typeof v === "object" ? v : {};
+  return {
+    x: Number(src.x) || 0,
+    y: Number(src.y) || 0,
+    z: Number(src.z) || 0,
+  };
+}
+
+// Unidad declarada del archivo (STL/OBJ/PLY no la guardan)
+const SOURCE_UNITS = ["mm", "cm", "m", "in"];
+const DEFAULT_SOURCE_UNIT = "mm";
+
+function normalizeSourceUnit(value) {
+  return SOURCE_UNITS.includes(value) ? value : DEFAULT_SOURCE_UNIT;
+}
+
+// Apariencia de una capa: material del archivo o color + acabado
+function normalizeAppearance(value) {
+  return value === "original" ? "original" : "preset";
+}
+
+// Pose de una capa movida con el gizmo (null = la del archivo)
+function normalizePartTransform(raw) {
+  if (!raw || typeof raw !== "object") return null;
+  const scale = normalizeVector(raw.scale);
+  ["x", "y", "z"].forEach((axis) => {
+    if (!(scale[axis] > 0)) scale[axis] = 1;
+  });
+  return {
+    position: normalizeVector(raw.position),
+    rotation: normalizeVector(raw.rotation),
+    scale,
+  };
+}
+
+// Id de capa: entero no negativo (id del archivo × PART_ID_STRIDE + malla);
+// como clave de partsMeta llega como texto. null si no es válido
+function parsePartId(value) {
+  const id =
+    typeof value === "string" && /^\d+$/.test(value) ? Number(value) : value;
+  return Number.isSafeInteger(id) && id >= 0 ? id : null;
+}
+
+// Datos de una capa: solo los campos conocidos, cada uno con su tipo
+function normalizePartMeta(raw) {
+  const src = raw && typeof raw === "object" ? raw : {};
+  const meta = {};
+  ["name", "notes", "color", "materialPreset"].forEach((field) => {
+    if (typeof src[field] === "string") meta[field] = src[field];
+  });
+  if (src.appearance !== undefined) {
+    meta.appearance = normalizeAppearance(src.appearance);
+  }
+  if (src.explodeOffset !== undefined) {
+    meta.explodeOffset = normalizeVector(src.explodeOffset);
+  }
+  if (src.transform !== undefined) {
+    meta.transform = normalizePartTransform(src.transform);
+  }
+  return meta;
+}
+
+// partsMeta: { <partId>: datos }. Sin prototipo, así una clave como
+// "__proto__" no puede colarse (igual se descarta por no ser un id)
+function normalizePartsMeta(raw) {
+  const partsMeta = Object.create(null);
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) return partsMeta;
+  Object.entries(raw).forEach(([key, meta]) => {
+    const partId = parsePartId(key);
+    if (partId !== null) partsMeta[partId] = normalizePartMeta(meta);
+  });
+  return partsMeta;
+}
+
+// Mediciones: tipo → número de puntos (en coordenadas locales del modelo)
+const MEASUREMENT_POINTS = { distance: 2, angle: 3, radius: 3 };
+const MAX_MEASUREMENTS = 500;
+
+function normalizeMeasurements(raw) {
+  if (!Array.isArray(raw)) return [];
+  return raw
+    .filter(
+      (m) =>
+        m &&
+        MEASUREMENT_POINTS[m.type] &&
+        Array.isArray(m.points) &&
+        m.points.length === MEASUREMENT_POINTS[m.type]
+    )
+    .slice(0, MAX_MEASUREMENTS)
+    .map((m) => ({
+      id: idField(m.id),
+      type: m.type,
+      points: m.points.map(normalizeVector),
+    }));
+}
+
+// Cortes de sección: planos en coordenadas locales del modelo
+const MAX_SECTIONS = 6;
+const SECTION_AXES = ["x", "y", "z"];
+const MAX_CUSTOM_MATERIALS = 50;
+const DEFAULT_SECTION_COLOR = "#f43f5e";
+
+function normalizeSections(raw) {
+  if (!Array.isArray(raw)) return [];
+  return raw
+    .filter((s) => s && s.normal && typeof s.normal === "object")
+    .map((s) => {
+      const offset = Number(s.offset) || 0;
+      return {
+        id: idField(s.id),
+        axis: SECTION_AXES.includes(s.axis) ? s.axis : "custom",
+        normal: normalizeVector(s.normal),
+        offset,
+        min: Number.isFinite(Number(s.min)) ? Number(s.min) : offset - 1,
+        max: Number.isFinite(Number(s.max)) ? Number(s.max) : offset + 1,
+        flipped: Boolean(s.flipped),
+        enabled: s.enabled !== false,
+        color: /^#[0-9a-f]{6}$/i.test(s.color)
+          ? s.color
+          : DEFAULT_SECTION_COLOR,
+      };
+    })
+    .filter(({ normal }) => normal.x || normal.y || normal.z)
+    .slice(0, MAX_SECTIONS);
+}
+
+// Materiales propios del proyecto: { id: "custom-…", label, color, params }
+// con los mismos rangos que el editor del visor
+const MATERIAL_PARAM_RANGES = {
+  metalness: [0, 1, 0],
+  roughness: [0, 1, 0.5],
+  clearcoat: [0, 1, 0],
+  clearcoatRoughness: [0, 1, 0],
+  transmission: [0, 1, 0],
+  ior: [1, 2.33, 1.5],
+  anisotropy: [0, 1, 0],
+  opacity: [0, 1, 1],
+};
+
+function normalizeCustomMaterials(raw) {
+  if (!Array.isArray(raw)) return [];
+  const materials = [];
+  raw.forEach((m) => {
+    if (!m || !/^custom-[a-z0-9-]{1,40}$/.test(m.id)) return;
+    if (materials.some((other) => other.id === m.id)) return;
+
+    const material = {
+      id: m.id,
+      label: textField(m.label).trim().slice(0, 60) || "Material",
+      color: /^#[0-9a-f]{6}$/i.test(m.color) ? m.color : null,
+    };
+    Object.entries(MATERIAL_PARAM_RANGES).forEach(([key, range]) => {
+      const [min, max, fallback] = range;
+      const n = Number(m[key]);
+      material[key] = Number.isFinite(n)
+        ? Math.min(Math.max(n, min), max)
+        : fallback;
+    });
+    materials.push(material);
+  });
+  return materials.slice(0, MAX_CUSTOM_MATERIALS);
+}
+
+// Iluminación y fondo de la escena (mismas claves que src/iluminacion.js)
+const LIGHTING_PRESETS = ["neutral", "studio", "outdoor"];
+const BACKGROUNDS = ["dark", "light", "gradient", "transparent"];
+
+function normalizeLighting(raw) {
+  const lighting = raw && typeof raw === "object" ? raw : {};
+  return {
+    preset: LIGHTING_PRESETS.includes(lighting.preset)
+      ? lighting.preset
+      : LIGHTING_PRESETS[0],
+    shadows: Boolean(lighting.shadows),
+    grid: lighting.grid !== false,
+    background: BACKGROUNDS.includes(lighting.background)
+      ? lighting.background
+      : BACKGROUNDS[0],
+  };
+}
+
+// Vistas de cámara (src/camaras.js): pose { projection, position, target,
+// halfHeight }; las guardadas llevan además { id, name }
+const PROJECTIONS = ["perspective", "orthographic"];
+const MAX_CAMERA_VIEWS = 30;
+
+function normalizeCameraPose(raw) {
+  if (!raw || typeof raw !== "object") return null;
+  const halfHeight = Number(raw.halfHeight);
+  if (!Number.isFinite(halfHeight) || halfHeight <= 0) return null;
+  const pose = {
+    projection: PROJECTIONS.includes(raw.projection)
+      ? raw.projection
+      : PROJECTIONS[0],
+    position: normalizeVector(raw.position),
+    target: normalizeVector(raw.target),
+    halfHeight,
+  };
+  const { position, target } = pose;
+  // la cámara no puede estar sobre el punto al que mira
+  if (
+    position.x === target.x &&
+    position.y === target.y &&
+    position.z === target.z
+  ) {
+    return null;
+  }
+  return pose;
+}
+
+function normalizeCameraViews(raw) {
+  if (!Array.isArray(raw)) return [];
+  const views = [];
+  raw.forEach((v) => {
+    const pose = normalizeCameraPose(v);
+    if (!pose || !/^vista-[a-z0-9-]{1,40}$/.test(v.id)) return;
+    if (views.some((other) => other.id === v.id)) return;
+    views.push({
+      id: v.id,
+      name: textField(v.name).trim().slice(0, 60) || "Vista",
+      ...pose,
+    });
+  });
+  return views.slice(0, MAX_CAMERA_VIEWS);
+}
+
+async function readJson(file) {
+  const text = await fsp.readFile(file, "utf8");
+  return JSON.parse(text);
+}
+
+// Escritura atómica: tmp + rename. Cada escritura usa su propio tmp para
+// que dos peticiones simultáneas no se lo quiten una a la otra
+async function writeJson(file, data) {
+  const tmp = `${file}.${crypto.randomBytes(6).toString("hex")}.tmp`;
+  await fsp.writeFile(tmp, JSON.stringify(data, null, 2), "utf8");
+  await fsp.rename(tmp, file);
+}
+
+async function removeTempUpload(file) {
+  if (!file) return;
+  await fsp.rm(file.path, { force: true });
+}
+
+async function removeTempUploads(files) {
+  await Promise.all((files || []).map(removeTempUpload));
+}
+
+// req.files de upload.fields(): { campo: [archivos] }
+function uploadedFiles(req, field) {
+  if (field) return (req.files && req.files[field]) || [];
+  return Object.values(req.files || {}).flat();
+}
+
+/* ============================================================
+   Acceso a escenas (scene.json)
+   ============================================================ */
+
+// Proyectos de un solo archivo (scene.modelFile): ensamblaje de uno con
+// id 0, así sus ids de capa no cambian. Se guarda migrado al escribir.
+function migrateSceneModels(scene) {
+  if (!Array.isArray(scene.models)) {
+    scene.models = scene.modelFile
+      ? [
+          {
+            id: 0,
+            file: scene.modelFile,
+            name: scene.modelFile,
+            transform: null,
+          },
+        ]
+      : [];
+  }
+  scene.models.forEach((model) => {
+    if (!Array.isArray(model.resources)) model.resources = [];
+  });
+  delete scene.modelFile;
+  return scene;
+}
+
+async function loadScene(id) {
+  if (!isValidProjectId(id)) {
+    throw new HttpError(400, "Id de proyecto inválido.");
+  }
+  try {
+    return migrateSceneModels(
+      await readJson(path.join(projectDir(id), SCENE_FILE))
+    );
+  } catch (err) {
+    if (err.code === "ENOENT") {
+      throw new HttpError(404, "Proyecto no encontrado.");
+    }
+    throw err;
+  }
+}
+
+async function saveScene(scene) {
+  scene.updatedAt = new Date().toISOString();
+  await writeJson(path.join(projectDir(scene.id), SCENE_FILE), scene);
+}
+
+async function listScenes() {
+  const entries = await fsp.readdir(PROJECTS_DIR, { withFileTypes: true });
+  const scenes = [];
+  for (const entry of entries) {
+    if (!entry.isDirectory() || !isValidProjectId(entry.name)) continue;
+    try {
+      scenes.push(
+        migrateSceneModels(
+          await readJson(path.join(projectDir(entry.name), SCENE_FILE))
+        )
+      );
+    } catch (err) {
+      // Carpetas que no son proyectos (sin scene.json)
+      if (err.code !== "ENOENT") {
+        console.error(`scene.json ilegible en ${entry.name}:`, err.message);
+      }
+    }
+  }
+  return scenes;
+}
+
+// Id libre a partir del nombre: mi-proyecto, mi-proyecto-2, ...
+async function allocateProjectId(name) {
+  const base = slugify(name);
+  let id = base;
+  let n = 2;
+  while (fs.existsSync(projectDir(id))) {
+    id = `${base}-${n}`;
+    n++;
+  }
+  return id;
+}
+
+/* ============================================================
+   Contraseñas (scrypt) y tokens firmados
+   ============================================================ */
+
+const scrypt = promisify(crypto.scrypt);
+
+// Formato guardado: scrypt$<salt hex>$<hash hex>
+async function hashPassword(plain) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(plain, salt, 64);
+  return `scrypt$${salt.toString("hex")}$${hash.toString("hex")}`;
+}
+
+function safeEqual(a, b) {
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+async function hashMatches(stored, plain) {
+  const [scheme, saltHex, hashHex] = (stored || "").split("$");
+  if (scheme !== "scrypt" || !saltHex || !hashHex) return false;
+  const expected = Buffer.from(hashHex, "hex");
+  const actual = await scrypt(
+    plain,
+    Buffer.from(saltHex, "hex"),
+    expected.length
+  );
+  return safeEqual(actual, expected);
+}
+
+// Contraseña compartida de proyectos anteriores a las cuentas de usuario
+async function legacyPasswordMatches(scene, plain) {
+  if (scene.passwordHash) return hashMatches(scene.passwordHash, plain);
+  // scene.json antiguos con la contraseña en texto plano
+  if (typeof scene.password === "string") {
+    return safeEqual(Buffer.from(plain), Buffer.from(scene.password));
+  }
+  return false;
+}
+
+function signPayload(body) {
+  return crypto
+    .createHmac("sha256", SESSION_SECRET)
+    .update(body)
+    .digest("base64url");
+}
+
+// Token: <payload base64url>.<firma>
+function issueToken(payload, ttlMs = SESSION_TTL_MS) {
+  const exp = Date.now() + ttlMs;
+  const body = Buffer.from(JSON.stringify({ ...payload, exp })).toString(
+    "base64url"
+  );
+  return {
+    token: `${body}.${signPayload(body)}`,
+    expiresAt: new Date(exp).toISOString(),
+  };
+}
+
+function readToken(token) {
+  const [body, sig] = (token || "").split(".");
+  if (!body || !sig) return null;
+  if (!safeEqual(Buffer.from(sig), Buffer.from(signPayload(body)))) {
+    return null;
+  }
+  try {
+    const payload = JSON.parse(Buffer.from(body, "base64url").toString("utf8"));
+    return payload.exp > Date.now() ? payload : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+function getBearerToken(req) {
+  const match = /^Bearer\s+(.+)$/i.exec(req.get("authorization") || "");
+  return match ? match[1].trim() : null;
+}
+
+/* ============================================================
+   Usuarios (data/users.json)
+   ============================================================ */
+
+async function loadUsers() {
+  try {
+    return (await readJson(USERS_FILE)).users || [];
+  } catch (err) {
+    if (err.code === "ENOENT") return [];
+    throw err;
+  }
+}
+
+async function saveUsers(users) {
+  await writeJson(USERS_FILE, { users });
+}
+
+function normalizeUsername(value) {
+  return textField(value).trim().toLowerCase();
+}
+
+function isValidUsername(username) {
+  return /^[a-z0-9._-]{3,32}$/.test(username);
+}
+
+function toPublicUser(user) {
+  return {
+    id: user.id,
+    username: user.username,
+    displayName: user.displayName || user.username,
+  };
+}
+
+function issueUserSession(user) {
+  return { ...issueToken({ uid: user.id }), user: toPublicUser(user) };
+}
+
+// Deja req.user listo; un token presente pero inválido es 401
+async function authenticate(req, res, next) {
+  req.user = null;
+  const token = getBearerToken(req);
+  if (token) {
+    const payload = readToken(token);
+    const users = payload?.uid ? await loadUsers() : [];
+    const user = users.find((u) => u.id === payload?.uid);
+    // Con un enlace compartido una sesión caducada (p. ej. tras reiniciar
+    // sin SESSION_SECRET) no impide abrirlo: se atiende como anónimo
+    if (!user && getShareToken(req)) {
+      next();
+      return;
+    }
+    if (!user) {
+      throw new HttpError(
+        401,
+        "La sesión expiró o no es válida. Inicia sesión de nuevo."
+      );
+    }
+    req.user = user;
+  }
+  next();
+}
+
+function requireUser(req) {
+  if (!req.user) {
+    throw new HttpError(401, "Inicia sesión para continuar.");
+  }
+}
+
+/* ============================================================
+   Roles por proyecto (scene.members: { <userId>: rol })
+   - viewer: cargar el proyecto y comentar
+   - editor: + partsMeta, unidad, mediciones, cortes, transform, notas y cotización
+   - owner:  + reemplazar modelo, renombrar, eliminar y miembros
+   ============================================================ */
+
+const ROLES = ["viewer", "editor", "owner"];
+const ROLE_LABELS = {
+  viewer: "lector",
+  editor: "editor",
+  owner: "propietario",
+};
+
+function hasOwner(scene) {
+  return Object.values(scene.members || {}).includes("owner");
+}
+
+// Los proyectos de antes de las cuentas no tienen miembros: nadie tiene
+// rol hasta que alguien los reclama con su contraseña antigua
+function getProjectRole(scene, user) {
+  if (!user) return null;
+  const role = scene.members?.[user.id];
+  return ROLES.includes(role) ? role : null;
+}
+
+/* ============================================================
+   Enlaces compartidos de solo lectura (scene.shares)
+   - El visor los abre con ?project=<id>&token=<token>
+   - La API recibe el token en la cabecera X-Share-Token
+   ============================================================ */
+
+function getShareToken(req) {
+  return (req.get("x-share-token") || "").trim() || null;
+}
+
+function isShareActive(share) {
+  return !share.expiresAt || Date.parse(share.expiresAt) > Date.now();
+}
+
+function findShare(scene, token) {
+  if (!token) return null;
+  const given = Buffer.from(token);
+  return (
+    (scene.shares || []).find((share) =>
+      safeEqual(Buffer.from(share.token), given)
+    ) || null
+  );
+}
+
+// Rol efectivo: miembro del proyecto o, si no, lector vía enlace compartido
+function requireRole(req, scene, minRole) {
+  let role = getProjectRole(scene, req.user);
+  req.viaShare = false;
+
+  if (!role) {
+    const shareToken = getShareToken(req);
+    if (shareToken) {
+      const share = findShare(scene, shareToken);
+      if (!share || !isShareActive(share)) {
+        throw new HttpError(403, "El enlace compartido expiró o fue revocado.");
+      }
+      role = "viewer";
+      req.viaShare = true;
+    }
+  }
+
+  if (!role) {
+    requireUser(req);
+    throw new HttpError(403, "No tienes acceso a este proyecto.");
+  }
+  if (ROLES.indexOf(role) < ROLES.indexOf(minRole)) {
+    throw new HttpError(
+      403,
+      `Tu rol en este proyecto (${ROLE_LABELS[role]}) no permite esta acción.`
+    );
+  }
+  return role;
+}
+
+function listMembers(scene, users) {
+  return Object.entries(scene.members || {}).map(([userId, role]) => {
+    const user = users.find((u) => u.id === userId);
+    return {
+      userId,
+      username: user ? user.username : "(usuario eliminado)",
+      displayName: user ? user.displayName || user.username : "",
+      role,
+    };
+  });
+}
+
+// Lo que ve el visor: nunca contraseñas ni hashes. Miembros y enlaces
+// compartidos solo para propietarios; por enlace compartido tampoco se
+// exponen las notas pendientes internas.
+function toPublicModel(scene, model) {
+  return {
+    ...model,
+    url: `/api/projects/${scene.id}/files/${model.file}`,
+    resourcesUrl: `/api/projects/${scene.id}/models/${model.id}/resources/`,
+  };
+}
+
+function toPublicProject(scene, role, users, { viaShare = false } = {}) {
+  const { password, passwordHash, members, shares, ...rest } = scene;
+  const models = scene.models.map((model) => toPublicModel(scene, model));
+  const project = {
+    ...rest,
+    role,
+    claimable: !hasOwner(scene) && Boolean(passwordHash || password),
+    models,
+    attachments: (scene.attachments || []).map((attachment) =>
+      toPublicAttachment(scene, attachment)
+    ),
+    // primer archivo, para clientes anteriores al ensamblaje
+    modelUrl: models[0]?.url || null,
+  };
+  if (role === "owner") {
+    project.shares = shares || [];
+    if (users) project.members = listMembers(scene, users);
+  }
+  if (viaShare) {
+    project.shared = true;
+    delete project.pendingNotes;
+  }
+  return project;
+}
+
+// Mueve el upload temporal a <proyecto>/modelo.ext (modelo-<n>.ext para
+// los demás archivos del ensamblaje) y borra el anterior
+async function storeModelFile(id, file, modelId, previousModelFile) {
+  const ext = getExtension(file.originalname);
+  const modelFile = modelId
+    ? `${MODEL_BASENAME}-${modelId}.${ext}`
+    : `${MODEL_BASENAME}.${ext}`;
+  const dir = projectDir(id);
+
+  if (previousModelFile && previousModelFile !== modelFile) {
+    await fsp.rm(path.join(dir, previousModelFile), { force: true });
+  }
+  await fsp.rename(file.path, path.join(dir, modelFile));
+  return modelFile;
+}
+
+function resourcesDir(id, modelId) {
+  return path.join(projectDir(id), `recursos-${modelId}`);
+}
+
+// Nombre tal cual lo pide el .gltf/.obj; sin rutas ni archivos ocultos
+function isValidResourceName(name) {
+  return (
+    typeof name === "string" &&
+    name === path.basename(name) &&
+    !name.startsWith(".") &&
+    RESOURCE_EXTENSIONS.includes(getExtension(name))
+  );
+}
+
+// Guarda los recursos de un modelo en <proyecto>/recursos-<n>/ con su
+// nombre original; reemplaza los que hubiera (un modelo nuevo no hereda
+// texturas del anterior)
+async function storeModelResources(id, modelId, files) {
+  const dir = resourcesDir(id, modelId);
+  await fsp.rm(dir, { recursive: true, force: true });
+
+  const names = [];
+  for (const file of files) {
+    const name = path.basename(file.originalname);
+    if (!isValidResourceName(name) || names.includes(name)) continue;
+    if (!names.length) await fsp.mkdir(dir, { recursive: true });
+    await fsp.rename(file.path, path.join(dir, name));
+    names.push(name);
+  }
+  return names;
+}
+
+function attachmentsDir(id) {
+  return path.join(projectDir(id), ATTACHMENTS_DIRNAME);
+}
+
+function toPublicAttachment(scene, attachment) {
+  return {
+    ...attachment,
+    url: `/api/projects/${scene.id}/attachments/${attachment.id}`,
+  };
+}
+
+function findAttachment(scene, attachmentId) {
+  const attachment = (scene.attachments || []).find(
+    (a) => a.id === attachmentId
+  );
+  if (!attachment) {
+    throw new HttpError(404, "Adjunto no encontrado.");
+  }
+  return attachment;
+}
+
+function normalizeModelName(value, fallback) {
+  const name = textField(value).trim().slice(0, 120);
+  return name || fallback;
+}
+
+function findSceneModel(scene, modelId) {
+  const model = scene.models.find((m) => m.id === Number(modelId));
+  if (!model) {
+    throw new HttpError(404, "Archivo del ensamblaje no encontrado.");
+  }
+  return model;
+}
+
+/* ============================================================
+   App Express
+   ============================================================ */
+
+const app = express();
+
+app.use(cors());
+app.use(express.json({ limit: "5mb" }));
+app.use("/api", authenticate);
+
+/* =========================
+   Una escritura a la vez por proyecto
+   - Las rutas leen scene.json, lo cambian y lo guardan: dos peticiones
+     simultáneas al mismo proyecto se pisarían (la última borra lo de la
+     otra). Cada una espera en la cola de su id a que termine la anterior
+   - GET no espera. Las subidas se encolan en su ruta, después de multer,
+     para no bloquear el proyecto mientras llegan los archivos
+========================== */
+
+const projectQueues = new Map();
+
+// Resuelve con la función que libera el turno
+function acquireProject(id) {
+  const previous = projectQueues.get(id) || Promise.resolve();
+  let release;
+  const turn = new Promise((resolve) => {
+    release = resolve;
+  });
+  const tail = previous.then(() => turn);
+  projectQueues.set(id, tail);
+  return previous.then(() => () => {
+    release();
+    if (projectQueues.get(id) === tail) projectQueues.delete(id);
+  });
+}
+
+// El turno se libera al cerrarse la respuesta (también si hubo error)
+async function lockProject(req, res, next) {
+  const unlock = await acquireProject(req.params.id);
+  res.once("close", unlock);
+  next();
+}
+
+app.use(["/api/projects/:id", "/api/quotes/:id"], (req, res, next) => {
+  if (req.method === "GET" || req.is("multipart/form-data")) {
+    next();
+    return;
+  }
+  return lockProject(req, res, next);
+});
+
+const upload = multer({
+  dest: UPLOADS_TMP_DIR,
+  limits: { fileSize: MAX_MODEL_SIZE },
+  fileFilter: (req, file, cb) => {
+    const ext = getExtension(file.originalname);
+    if (file.fieldname === ATTACHMENT_FIELD) {
+      if (!ATTACHMENT_EXTENSIONS.includes(ext)) {
+        cb(new HttpError(400, "Los adjuntos deben ser PNG, JPG o WebM."));
+        return;
+      }
+    } else if (file.fieldname.startsWith(RESOURCES_FIELD)) {
+      if (!RESOURCE_EXTENSIONS.includes(ext)) {
+        cb(
+          new HttpError(
+            400,
+            `Archivo complementario no soportado: ${file.originalname}.`
+          )
+        );
+        return;
+      }
+    } else if (!MODEL_EXTENSIONS.includes(ext)) {
+      cb(
+        new HttpError(
+          400,
+          "Formato no soportado. Usa STL, OBJ, glTF/GLB, PLY o 3MF."
+        )
+      );
+      return;
+    }
+    cb(null, true);
+  },
+});
+
+// Un modelo y sus recursos (.bin, .mtl, texturas)
+const modelUpload = upload.fields([
+  { name: "model", maxCount: 1 },
+  { name: RESOURCES_FIELD, maxCount: MAX_RESOURCES },
+]);
+
+// Alta de proyecto: los recursos del modelo n llegan en "resources-<n>"
+const projectUpload = upload.fields([
+  { name: "model", maxCount: MAX_MODELS },
+  ...Array.from({ length: MAX_MODELS }, (_, index) => ({
+    name: `${RESOURCES_FIELD}-${index}`,
+    maxCount: MAX_RESOURCES,
+  })),
+]);
+
+const attachmentUpload = upload.fields([
+  { name: ATTACHMENT_FIELD, maxCount: 1 },
+]);
+
+// Va antes de multer: sin sesión (o sin el rol minRole en el proyecto
+// :id) la petición se corta sin escribir nada en disco. La ruta vuelve a
+// leer la escena al terminar la subida, que puede tardar
+function uploadAccess(minRole) {
+  return async (req, res, next) => {
+    requireUser(req);
+    if (minRole) {
+      requireRole(req, await loadScene(req.params.id), minRole);
+    }
+    next();
+  };
+}
+
+/* =========================
+   Cuentas de usuario
+========================== */
+
+app.post("/api/auth/register", async (req, res) => {
+  if (!ALLOW_REGISTRATION) {
+    throw new HttpError(403, "El registro de cuentas está deshabilitado.");
+  }
+
+  const username = normalizeUsername(req.body?.username);
+  const password = textField(req.body?.password);
+  const displayName = textField(req.body?.displayName).trim();
+
+  if (!isValidUsername(username)) {
+    throw new HttpError(
+      400,
+      "Usuario inválido: 3 a 32 caracteres (letras, números, . _ -)."
+    );
+  }
+  if (password.length < MIN_PASSWORD_LENGTH) {
+    throw new HttpError(
+      400,
+      `La contraseña debe tener al menos ${MIN_PASSWORD_LENGTH} caracteres.`
+    );
+  }
+
+  const users = await loadUsers();
+  if (users.some((u) => u.username === username)) {
+    throw new HttpError(409, "Ese nombre de usuario ya existe.");
+  }
+
+  const user = {
+    id: crypto.randomUUID(),
+    username,
+    displayName: displayName || username,
+    passwordHash: await hashPassword(password),
+    createdAt: new Date().toISOString(),
+  };
+  users.push(user);
+  await saveUsers(users);
+
+  res.json({ ok: true, ...issueUserSession(user) });
+});
+
+app.post("/api/auth/login", async (req, res) => {
+  const username = normalizeUsername(req.body?.username);
+  const password = textField(req.body?.password);
+
+  const user = (await loadUsers()).find((u) => u.username === username);
+  if (!user || !password || !(await hashMatches(user.passwordHash, password))) {
+    throw new HttpError(401, "Usuario o contraseña incorrectos.");
+  }
+  res.json({ ok: true, ...issueUserSession(user) });
+});
+
+app.get("/api/auth/me", async (req, res) => {
+  requireUser(req);
+  res.json({ ok: true, user: toPublicUser(req.user) });
+});
+
+/* =========================
+   Proyectos
+========================== */
+
+// Sin sesión la lista está vacía (no es un error)
+app.get("/api/projects", async (req, res) => {
+  if (!req.user) {
+    res.json({ ok: true, projects: [] });
+    return;
+  }
+
+  const [scenes, users] = await Promise.all([listScenes(), loadUsers()]);
+  scenes.sort((a, b) => (b.createdAt || "").localeCompare(a.createdAt || ""));
+
+  const projects = [];
+  for (const scene of scenes) {
+    const role = getProjectRole(scene, req.user);
+    if (role) {
+      projects.push(toPublicProject(scene, role, users));
+    } else if (!hasOwner(scene) && (scene.passwordHash || scene.password)) {
+      // Sin reclamar: solo lo necesario para ofrecer "Reclamar proyecto"
+      const { id, name, author, date } = scene;
+      projects.push({ id, name, author, date, role: null, claimable: true });
+    }
+  }
+  res.json({ ok: true, projects });
+});
+
+// Uno o varios archivos "model" (en orden); "models" trae opcionalmente
+// [{ name, transform }] por posición para armar el ensamblaje y
+// "resources-<n>" los archivos complementarios de cada uno
+app.post(
+  "/api/projects",
+  uploadAccess(null),
+  projectUpload,
+  async (req, res) => {
+    // Lo que no se movió al proyecto (recursos sin modelo, nombres repetidos
+    // o inválidos) se borra de .uploads/ también cuando todo sale bien
+    try {
+      const files = uploadedFiles(req, "model");
+      const { projectName, author, date } = req.body || {};
+
+      if (!files.length || !projectName) {
+        throw new HttpError(400, "Faltan datos (archivo o nombre).");
+      }
+
+      const id = await allocateProjectId(projectName);
+      await fsp.mkdir(projectDir(id), { recursive: true });
+
+      try {
+        const modelsInfo = parseJsonField(req.body.models, []);
+        const models = [];
+        for (const [index, file] of files.entries()) {
+          const info = (Array.isArray(modelsInfo) && modelsInfo[index]) || {};
+          models.push({
+            id: index,
+            file: await storeModelFile(id, file, index),
+            name: normalizeModelName(info.name, file.originalname),
+            transform: normalizePartTransform(info.transform),
+            resources: await storeModelResources(
+              id,
+              index,
+              uploadedFiles(req, `${RESOURCES_FIELD}-${index}`)
+            ),
+          });
+        }
+        const now = new Date().toISOString();
+        const scene = {
+          id,
+          name: projectName,
+          author: author || req.user.displayName || req.user.username,
+          date: date || now.slice(0, 10),
+          members: { [req.user.id]: "owner" },
+          models,
+          sourceUnit: normalizeSourceUnit(req.body.sourceUnit),
+          position: normalizeVector(parseJsonField(req.body.position, null)),
+          rotation: normalizeVector(parseJsonField(req.body.rotation, null)),
+          partsMeta: normalizePartsMeta(parseJsonField(req.body.partsMeta, {})),
+          measurements: normalizeMeasurements(
+            parseJsonField(req.body.measurements, [])
+          ),
+          sections: normalizeSections(parseJsonField(req.body.sections, [])),
+          customMaterials: normalizeCustomMaterials(
+            parseJsonField(req.body.customMaterials, [])
+          ),
+          lighting: normalizeLighting(parseJsonField(req.body.lighting, null)),
+          cameraViews: normalizeCameraViews(
+            parseJsonField(req.body.cameraViews, [])
+          ),
+          initialView: normalizeCameraPose(
+            parseJsonField(req.body.initialView, null)
+          ),
+          pendingNotes: "",
+          createdAt: now,
+        };
+        await saveScene(scene);
+
+        res.json({
+          ok: true,
+          projectId: id,
+          project: toPublicProject(scene, "owner"),
+        });
+      } catch (err) {
+        await fsp.rm(projectDir(id), { recursive: true, force: true });
+        throw err;
+      }
+    } finally {
+      await removeTempUploads(uploadedFiles(req));
+    }
+  }
+);
+
+// Proyectos sin propietario: quien conozca la contraseña antigua lo reclama
+app.post("/api/projects/:id/claim", async (req, res) => {
+  requireUser(req);
+  const scene = await loadScene(req.params.id);
+  if (hasOwner(scene)) {
+    throw new HttpError(409, "Este proyecto ya tiene propietario.");
+  }
+
+  const password = textField(req.body?.password);
+  if (!password) {
+    throw new HttpError(400, "Falta la contraseña del proyecto.");
+  }
+  if (!(await legacyPasswordMatches(scene, password))) {
+    throw new HttpError(403, "Contraseña incorrecta.");
+  }
+
+  scene.members = { ...(scene.members || {}), [req.user.id]: "owner" };
+  delete scene.password;
+  delete scene.passwordHash;
+  await saveScene(scene);
+  res.json({ ok: true, project: toPublicProject(scene, "owner") });
+});
+
+app.put("/api/projects/:id/members", async (req, res) => {
+  const scene = await loadScene(req.params.id);
+  requireRole(req, scene, "owner");
+
+  const username = normalizeUsername(req.body?.username);
+  const role = req.body?.role || null;
+  if (role !== null && !ROLES.includes(role)) {
+    throw new HttpError(400, "Rol inválido (viewer, editor u owner).");
+  }
+
+  const users = await loadUsers();
+  const user = users.find((u) => u.username === username);
+  if (!user) {
+    throw new HttpError(404, "No existe un usuario con ese nombre.");
+  }
+
+  const members = { ...(scene.members || {}) };
+  if (role) {
+    members[user.id] = role;
+  } else {
+    delete members[user.id];
+  }
+  if (!Object.values(members).includes("owner")) {
+    throw new HttpError(
+      400,
+      "El proyecto debe conservar al menos un propietario."
+    );
+  }
+
+  scene.members = members;
+  await saveScene(scene);
+  res.json({ ok: true, members: listMembers(scene, users) });
+});
+
+app.get("/api/projects/:id", async (req, res) => {
+  const scene = await loadScene(req.params.id);
+  const role = requireRole(req, scene, "viewer");
+  res.json({
+    ok: true,
+    project: toPublicProject(scene, role, null, { viaShare: req.viaShare }),
+  });
+});
+
+app.post("/api/projects/:id/shares", async (req, res) => {
+  const scene = await loadScene(req.params.id);
+  requireRole(req, scene, "owner");
+
+  const days = Number(req.body?.expiresInDays);
+  if (req.body?.expiresInDays && (!Number.isFinite(days) || days <= 0)) {
+    throw new HttpError(400, "La caducidad debe ser un número de días.");
+  }
+
+  const now = Date.now();
+  const share = {
+    id: crypto.randomBytes(6).toString("hex"),
+    token: crypto.randomBytes(24).toString("base64url"),
+    label: textField(req.body?.label).trim().slice(0, 80),
+    createdAt: new Date(now).toISOString(),
+    createdBy: req.user.id,
+    expiresAt: days
+      ? new Date(now + days * 24 * 60 * 60 * 1000).toISOString()
+      : null,
+  };
+  scene.shares = [...(scene.shares || []), share];
+  await saveScene(scene);
+  res.json({ ok: true, share });
+});
+
+app.delete("/api/projects/:id/shares/:shareId", async (req, res) => {
+  const scene = await loadScene(req.params.id);
+  requireRole(req, scene, "owner");
+
+  const shares = scene.shares || [];
+  if (!shares.some((share) => share.id === req.params.shareId)) {
+    throw new HttpError(404, "Enlace compartido no encontrado.");
+  }
+  scene.shares = shares.filter((share) => share.id !== req.params.shareId);
+  await saveScene(scene);
+  res.json({ ok: true });
+});
+
+// Archivos del proyecto (miembros o enlace compartido; nunca los .json)
+app.get("/api/projects/:id/files/:file", async (req, res) => {
+  const scene = await loadScene(req.params.id);
+  requireRole(req, scene, "viewer");
+
+  if (!scene.models.some((model) => model.file === req.params.file)) {
+    throw new HttpError(404, "Archivo no encontrado.");
+  }
+  res.sendFile(path.join(projectDir(scene.id), req.params.file));
+});
+
+// Recursos de un modelo, con el nombre que pide su .gltf/.obj
+app.get(
+  "/api/projects/:id/models/:modelId/resources/:name",
+  async (req, res) => {
+    const scene = await loadScene(req.params.id);
+    requireRole(req, scene, "viewer");
+
+    const model = findSceneModel(scene, req.params.modelId);
+    if (!model.resources.includes(req.params.name)) {
+      throw new HttpError(404, "Archivo no encontrado.");
+    }
+    res.sendFile(
+      path.join(resourcesDir(scene.id, model.id), req.params.name)
+    );
+  }
+);
+
+// Reemplaza el archivo de un modelo del ensamblaje (modelId; por defecto
+// el primero) conservando su pose; sus recursos son los que lleguen ahora
+app.put(
+  "/api/projects/:id/model",
+  uploadAccess("owner"),
+  modelUpload,
+  lockProject,
+  async (req, res) => {
+    const [file] = uploadedFiles(req, "model");
+    try {
+      const scene = await loadScene(req.params.id);
+      const role = requireRole(req, scene, "owner");
+      if (!file) {
+        throw new HttpError(400, "Falta el archivo de modelo.");
+      }
+
+      const model =
+        req.body?.modelId !== undefined && req.body.modelId !== ""
+          ? findSceneModel(scene, req.body.modelId)
+          : scene.models[0];
+      if (!model) {
+        throw new HttpError(400, "El proyecto no tiene modelo que reemplazar.");
+      }
+      model.file = await storeModelFile(scene.id, file, model.id, model.file);
+      model.resources = await storeModelResources(
+        scene.id,
+        model.id,
+        uploadedFiles(req, RESOURCES_FIELD)
+      );
+      await saveScene(scene);
+      res.json({ ok: true, project: toPublicProject(scene, role) });
+    } finally {
+      await removeTempUploads(uploadedFiles(req));
+    }
+  }
+);
+
+/* =========================
+   Ensamblaje (varios archivos de modelo)
+   - scene.models: [{ id, file, name, transform, resources }]; transform es
+     la pose del nodo en coordenadas del ensamblaje (null = sin mover) y
+     resources los nombres de sus archivos complementarios
+   - Agregar o quitar archivos: propietario; pose y nombre: editor
+========================== */
+
+app.post(
+  "/api/projects/:id/models",
+  uploadAccess("owner"),
+  modelUpload,
+  lockProject,
+  async (req, res) => {
+    const [file] = uploadedFiles(req, "model");
+    try {
+      const scene = await loadScene(req.params.id);
+      const role = requireRole(req, scene, "owner");
+      if (!file) {
+        throw new HttpError(400, "Falta el archivo de modelo.");
+      }
+      if (scene.models.length >= MAX_MODELS) {
+        throw new HttpError(
+          400,
+          `El ensamblaje admite hasta ${MAX_MODELS} archivos.`
+        );
+      }
+
+      const modelId = scene.models.reduce(
+        (max, m) => Math.max(max, m.id + 1),
+        0
+      );
+      const model = {
+        id: modelId,
+        file: await storeModelFile(scene.id, file, modelId),
+        name: normalizeModelName(req.body.name, file.originalname),
+        transform: normalizePartTransform(
+          parseJsonField(req.body.transform, null)
+        ),
+        resources: await storeModelResources(
+          scene.id,
+          modelId,
+          uploadedFiles(req, RESOURCES_FIELD)
+        ),
+      };
+      scene.models.push(model);
+      await saveScene(scene);
+      res.json({
+        ok: true,
+        model: toPublicModel(scene, model),
+        project: toPublicProject(scene, role),
+      });
+    } finally {
+      await removeTempUploads(uploadedFiles(req));
+    }
+  }
+);
+
+// Pose y nombre de los archivos: { models: [{ id, name, transform }] }
+app.put("/api/projects/:id/models", async (req, res) => {
+  const scene = await loadScene(req.params.id);
+  const role = requireRole(req, scene, "editor");
+
+  if (!Array.isArray(req.body?.models)) {
+    throw new HttpError(400, "Falta la lista de archivos del ensamblaje.");
+  }
+  req.body.models.forEach((raw) => {
+    const model = scene.models.find((m) => m.id === Number(raw?.id));
+    if (!model) return; // archivos agregados solo en el visor
+    model.name = normalizeModelName(raw.name, model.name);
+    if (raw.transform !== undefined) {
+      model.transform = normalizePartTransform(raw.transform);
+    }
+  });
+  await saveScene(scene);
+  res.json({ ok: true, project: toPublicProject(scene, role) });
+});
+
+// Quita un archivo y la meta de sus capas (el ensamblaje no queda vacío)
+app.delete("/api/projects/:id/models/:modelId", async (req, res) => {
+  const scene = await loadScene(req.params.id);
+  const role = requireRole(req, scene, "owner");
+
+  const model = findSceneModel(scene, req.params.modelId);
+  if (scene.models.length === 1) {
+    throw new HttpError(
+      400,
+      "No se puede quitar el único archivo del proyecto."
+    );
+  }
+  scene.models = scene.models.filter((m) => m !== model);
+  Object.keys(scene.partsMeta || {}).forEach((key) => {
+    if (Math.floor(Number(key) / PART_ID_STRIDE) === model.id) {
+      delete scene.partsMeta[key];
+    }
+  });
+  await fsp.rm(path.join(projectDir(scene.id), model.file), { force: true });
+  await fsp.rm(resourcesDir(scene.id, model.id), {
+    recursive: true,
+    force: true,
+  });
+  await saveScene(scene);
+  res.json({ ok: true, project: toPublicProject(scene, role) });
+});
+
+app.put("/api/projects/:id/transform", async (req, res) => {
+  const scene = await loadScene(req.params.id);
+  const role = requireRole(req, scene, "editor");
+
+  const body = req.body || {};
+  if (
+    !body.position ||
+    typeof body.position !== "object" ||
+    !body.rotation ||
+    typeof body.rotation !== "object"
+  ) {
+    throw new HttpError(400, "Faltan la posición y la rotación.");
+  }
+  scene.position = normalizeVector(body.position);
+  scene.rotation = normalizeVector(body.rotation);
+  await saveScene(scene);
+  res.json({ ok: true, project: toPublicProject(scene, role) });
+});
+
+app.put("/api/projects/:id/rename", async (req, res) => {
+  const scene = await loadScene(req.params.id);
+  const role = requireRole(req, scene, "owner");
+
+  const name = textField(req.body?.name).trim();
+  if (!name) {
+    throw new HttpError(400, "El nuevo nombre no puede estar vacío.");
+  }
+  // El id (carpeta) no cambia para no romper enlaces existentes
+  scene.name = name;
+  await saveScene(scene);
+  res.json({ ok: true, project: toPublicProject(scene, role) });
+});
+
+app.put("/api/projects/:id/notes", async (req, res) => {
+  const scene = await loadScene(req.params.id);
+  requireRole(req, scene, "editor");
+
+  const notes = req.body?.notes;
+  if (typeof notes !== "string") {
+    throw new HttpError(400, "Faltan las notas (texto).");
+  }
+  scene.pendingNotes = notes;
+  await saveScene(scene);
+  res.json({ ok: true });
+});
+
+app.put("/api/projects/:id/parts-meta", async (req, res) => {
+  const scene = await loadScene(req.params.id);
+  requireRole(req, scene, "editor");
+
+  const body = req.body || {};
+  const partId = parsePartId(body.partId);
+  if (partId === null) {
+    throw new HttpError(400, "Falta partId (entero no negativo).");
+  }
+
+  // Solo se cambian los campos que llegan
+  const partsMeta = normalizePartsMeta(scene.partsMeta);
+  partsMeta[partId] = {
+    ...(partsMeta[partId] || {}),
+    ...normalizePartMeta(body),
+  };
+  scene.partsMeta = partsMeta;
+  await saveScene(scene);
+  res.json({ ok: true, partsMeta });
+});
+
+app.put("/api/projects/:id/measurements", async (req, res) => {
+  const scene = await loadScene(req.params.id);
+  requireRole(req, scene, "editor");
+
+  if (!Array.isArray(req.body?.measurements)) {
+    throw new HttpError(400, "Falta la lista de mediciones.");
+  }
+  scene.measurements = normalizeMeasurements(req.body.measurements);
+  await saveScene(scene);
+  res.json({ ok: true, measurements: scene.measurements });
+});
+
+app.put("/api/projects/:id/sections", async (req, res) => {
+  const scene = await loadScene(req.params.id);
+  requireRole(req, scene, "editor");
+
+  if (!Array.isArray(req.body?.sections)) {
+    throw new HttpError(400, "Falta la lista de cortes.");
+  }
+  scene.sections = normalizeSections(req.body.sections);
+  await saveScene(scene);
+  res.json({ ok: true, sections: scene.sections });
+});
+
+app.put("/api/projects/:id/materials", async (req, res) => {
+  const scene = await loadScene(req.params.id);
+  requireRole(req, scene, "editor");
+
+  if (!Array.isArray(req.body?.materials)) {
+    throw new HttpError(400, "Falta la lista de materiales.");
+  }
+  scene.customMaterials = normalizeCustomMaterials(req.body.materials);
+  await saveScene(scene);
+  res.json({ ok: true, customMaterials: scene.customMaterials });
+});
+
+app.put("/api/projects/:id/lighting", async (req, res) => {
+  const scene = await loadScene(req.params.id);
+  requireRole(req, scene, "editor");
+
+  if (!req.body?.lighting || typeof req.body.lighting !== "object") {
+    throw new HttpError(400, "Falta la iluminación.");
+  }
+  scene.lighting = normalizeLighting(req.body.lighting);
+  await saveScene(scene);
+  res.json({ ok: true, lighting: scene.lighting });
+});
+
+// Vistas guardadas y la vista con la que se abre el proyecto
+app.put("/api/projects/:id/views", async (req, res) => {
+  const scene = await loadScene(req.params.id);
+  requireRole(req, scene, "editor");
+
+  if (!Array.isArray(req.body?.views)) {
+    throw new HttpError(400, "Falta la lista de vistas.");
+  }
+  scene.cameraViews = normalizeCameraViews(req.body.views);
+  scene.initialView = normalizeCameraPose(req.body.initialView);
+  await saveScene(scene);
+  res.json({
+    ok: true,
+    cameraViews: scene.cameraViews,
+    initialView: scene.initialView,
+  });
+});
+
+app.put("/api/projects/:id/units", async (req, res) => {
+  const scene = await loadScene(req.params.id);
+  requireRole(req, scene, "editor");
+
+  const sourceUnit = req.body?.sourceUnit;
+  if (!SOURCE_UNITS.includes(sourceUnit)) {
+    throw new HttpError(
+      400,
+      `Unidad no válida (usa ${SOURCE_UNITS.join(", ")}).`
+    );
+  }
+  scene.sourceUnit = sourceUnit;
+  await saveScene(scene);
+  res.json({ ok: true, sourceUnit });
+});
+
+app.delete("/api/projects/:id", async (req, res) => {
+  const scene = await loadScene(req.params.id);
+  requireRole(req, scene, "owner");
+
+  await fsp.rm(projectDir(scene.id), { recursive: true, force: true });
+  res.json({ ok: true });
+});
+
+/* =========================
+   Anotaciones (pines con hilo de comentarios)
+   - scene.annotations: [{ id, number, partId, point, status, createdAt,
+     createdBy, comments: [{ id, authorId, author, text, createdAt }] }]
+   - point en coordenadas locales del modelo
+   - Comenta cualquier miembro con sesión (no por enlace compartido);
+     borrar un pin: su autor o un editor
+========================== */
+
+const ANNOTATION_STATUSES = ["open", "resolved"];
+const MAX_COMMENT_LENGTH = 2000;
+
+function requireCommenter(req, scene) {
+  requireUser(req);
+  const role = requireRole(req, scene, "viewer");
+  if (req.viaShare) {
+    throw new HttpError(403, "Los enlaces compartidos son de solo lectura.");
+  }
+  return role;
+}
+
+function readCommentText(body) {
+  const text = textField(body?.text).trim();
+  if (!text) {
+    throw new HttpError(400, "El comentario no puede estar vacío.");
+  }
+  return text.slice(0, MAX_COMMENT_LENGTH);
+}
+
+function newComment(user, text) {
+  return {
+    id: crypto.randomBytes(6).toString("hex"),
+    authorId: user.id,
+    author: user.displayName || user.username,
+    text,
+    createdAt: new Date().toISOString(),
+  };
+}
+
+function findAnnotation(scene, annotationId) {
+  const annotation = (scene.annotations || []).find(
+    (a) => a.id === annotationId
+  );
+  if (!annotation) {
+    throw new HttpError(404, "Anotación no encontrada.");
+  }
+  return annotation;
+}
+
+app.post("/api/projects/:id/annotations", async (req, res) => {
+  const scene = await loadScene(req.params.id);
+  requireCommenter(req, scene);
+
+  if (!req.body?.point || typeof req.body.point !== "object") {
+    throw new HttpError(400, "Falta el punto del pin.");
+  }
+  const text = readCommentText(req.body);
+  const annotations = scene.annotations || [];
+  const partId = Number(req.body.partId);
+
+  const annotation = {
+    id: crypto.randomBytes(6).toString("hex"),
+    number: annotations.reduce((max, a) => Math.max(max, a.number || 0), 0) + 1,
+    partId: Number.isInteger(partId) ? partId : null,
+    point: normalizeVector(req.body.point),
+    status: "open",
+    createdAt: new Date().toISOString(),
+    createdBy: req.user.id,
+    comments: [newComment(req.user, text)],
+  };
+  scene.annotations = [...annotations, annotation];
+  await saveScene(scene);
+  res.json({ ok: true, annotation, annotations: scene.annotations });
+});
+
+app.post(
+  "/api/projects/:id/annotations/:annotationId/comments",
+  async (req, res) => {
+    const scene = await loadScene(req.params.id);
+    requireCommenter(req, scene);
+
+    const annotation = findAnnotation(scene, req.params.annotationId);
+    annotation.comments = [
+      ...(annotation.comments || []),
+      newComment(req.user, readCommentText(req.body)),
+    ];
+    await saveScene(scene);
+    res.json({ ok: true, annotation, annotations: scene.annotations });
+  }
+);
+
+app.put("/api/projects/:id/annotations/:annotationId", async (req, res) => {
+  const scene = await loadScene(req.params.id);
+  requireCommenter(req, scene);
+
+  const annotation = findAnnotation(scene, req.params.annotationId);
+  if (!ANNOTATION_STATUSES.includes(req.body?.status)) {
+    throw new HttpError(400, "Estado no válido (open o resolved).");
+  }
+  annotation.status = req.body.status;
+  await saveScene(scene);
+  res.json({ ok: true, annotation, annotations: scene.annotations });
+});
+
+app.delete("/api/projects/:id/annotations/:annotationId", async (req, res) => {
+  const scene = await loadScene(req.params.id);
+  const role = requireCommenter(req, scene);
+
+  const annotation = findAnnotation(scene, req.params.annotationId);
+  if (annotation.createdBy !== req.user.id && role === "viewer") {
+    throw new HttpError(403, "Solo el autor o un editor puede borrar el pin.");
+  }
+  // Deshacer la creación (?unlessReplied=1) no borra respuestas ajenas
+  if (
+    req.query.unlessReplied === "1" &&
+    annotation.comments.some((c) => c.authorId !== req.user.id)
+  ) {
+    throw new HttpError(
+      409,
+      `El pin #${annotation.number} ya tiene respuestas de otros revisores.`
+    );
+  }
+  scene.annotations = scene.annotations.filter((a) => a !== annotation);
+  await saveScene(scene);
+  res.json({ ok: true, annotations: scene.annotations });
+});
+
+/* =========================
+   Adjuntos (capturas y videos del visor)
+========================== */
+
+app.get("/api/projects/:id/attachments/:attachmentId", async (req, res) => {
+  const scene = await loadScene(req.params.id);
+  requireRole(req, scene, "viewer");
+
+  const attachment = findAttachment(scene, req.params.attachmentId);
+  res.sendFile(path.join(attachmentsDir(scene.id), attachment.file));
+});
+
+// FormData: attachment (png, jpg o webm) y name opcional
+app.post(
+  "/api/projects/:id/attachments",
+  uploadAccess("editor"),
+  attachmentUpload,
+  lockProject,
+  async (req, res) => {
+    const [file] = uploadedFiles(req, ATTACHMENT_FIELD);
+    try {
+      const scene = await loadScene(req.params.id);
+      requireRole(req, scene, "editor");
+      if (!file) {
+        throw new HttpError(400, "Falta el archivo adjunto.");
+      }
+      const attachments = scene.attachments || [];
+      if (attachments.length >= MAX_ATTACHMENTS) {
+        throw new HttpError(
+          400,
+          `El proyecto admite hasta ${MAX_ATTACHMENTS} adjuntos.`
+        );
+      }
+
+      const id = crypto.randomBytes(6).toString("hex");
+      const ext = getExtension(file.originalname);
+      await fsp.mkdir(attachmentsDir(scene.id), { recursive: true });
+      await fsp.rename(
+        file.path,
+        path.join(attachmentsDir(scene.id), `${id}.${ext}`)
+      );
+
+      const attachment = {
+        id,
+        file: `${id}.${ext}`,
+        name: normalizeModelName(req.body?.name, file.originalname),
+        type: ext === "webm" ? "video" : "image",
+        size: file.size,
+        createdAt: new Date().toISOString(),
+        createdBy: req.user.displayName || req.user.username,
+      };
+      scene.attachments = [...attachments, attachment];
+      await saveScene(scene);
+      res.json({
+        ok: true,
+        attachment: toPublicAttachment(scene, attachment),
+        attachments: scene.attachments.map((a) => toPublicAttachment(scene, a)),
+      });
+    } catch (err) {
+      await removeTempUpload(file);
+      throw err;
+    }
+  }
+);
+
+app.delete("/api/projects/:id/attachments/:attachmentId", async (req, res) => {
+  const scene = await loadScene(req.params.id);
+  requireRole(req, scene, "editor");
+
+  const attachment = findAttachment(scene, req.params.attachmentId);
+  scene.attachments = scene.attachments.filter((a) => a !== attachment);
+  await fsp.rm(path.join(attachmentsDir(scene.id), attachment.file), {
+    force: true,
+  });
+  await saveScene(scene);
+  res.json({
+    ok: true,
+    attachments: scene.attachments.map((a) => toPublicAttachment(scene, a)),
+  });
+});
+
+/* =========================
+   Cotizaciones
+========================== */
+
+function roundMoney(n) {
+  return Math.round(n * 100) / 100;
+}
+
+function toNonNegativeNumber(value) {
+  const n = Number(value);
+  return Number.isFinite(n) && n > 0 ? n : 0;
+}
+
+// Limpia los conceptos y recalcula el total (nunca se confía en el cliente)
+function normalizeQuote(rawItems) {
+  if (!Array.isArray(rawItems)) {
+    throw new HttpError(400, "items debe ser una lista de conceptos.");
+  }
+
+  const items = rawItems
+    .map((it) => ({
+      concepto: textField(it?.concepto).trim(),
+      cantidad: toNonNegativeNumber(it?.cantidad),
+      precio: roundMoney(toNonNegativeNumber(it?.precio)),
+      link: textField(it?.link).trim(),
+      // conceptos generados desde el modelo (se reemplazan al regenerar)
+      ...(it?.origen === "modelo" ? { origen: "modelo" } : {}),
+    }))
+    .filter(
+      (it) =>
+        it.concepto !== "" || it.cantidad > 0 || it.precio > 0 || it.link !== ""
+    );
+
+  const total = roundMoney(
+    items.reduce((acc, it) => acc + it.cantidad * it.precio, 0)
+  );
+  return { items, total };
+}
+
+const MAX_PRINT_MATERIALS = 30;
+
+function toBoundedNumber(value, max) {
+  return Math.min(toNonNegativeNumber(value), max);
+}
+
+// Tabla de materiales y parámetros de impresión usados para generar
+// conceptos desde el modelo (se guardan junto a la cotización)
+function normalizePrintSettings(raw) {
+  if (raw === undefined || raw === null) return undefined;
+  if (typeof raw !== "object" || !Array.isArray(raw.materials)) {
+    throw new HttpError(400, "printSettings.materials debe ser una lista.");
+  }
+
+  const materials = raw.materials
+    .slice(0, MAX_PRINT_MATERIALS)
+    .map((m, i) => ({
+      id: textField(m?.id).slice(0, 40) || `m${i + 1}`,
+      name: textField(m?.name).trim().slice(0, 60),
+      density: toBoundedNumber(m?.density, 100),
+      pricePerGram: toBoundedNumber(m?.pricePerGram, 1e6),
+    }))
+    .filter((m) => m.name !== "");
+
+  const materialId = textField(raw.materialId);
+  return {
+    materials,
+    materialId: materials.some((m) => m.id === materialId)
+      ? materialId
+      : materials[0]?.id || "",
+    infill: toBoundedNumber(raw.infill, 100),
+    wallThickness: toBoundedNumber(raw.wallThickness, 1000),
+    printSpeed: toBoundedNumber(raw.printSpeed, 1e6),
+    hourlyRate: toBoundedNumber(raw.hourlyRate, 1e6),
+    setupFee: roundMoney(toBoundedNumber(raw.setupFee, 1e9)),
+  };
+}
+
+async function loadQuote(id) {
+  try {
+    return await readJson(path.join(projectDir(id), QUOTE_FILE));
+  } catch (err) {
+    if (err.code === "ENOENT") return null;
+    throw err;
+  }
+}
+
+function quoteFileName(id) {
+  return `cotizacion-${id}.xlsx`;
+}
+
+// Mismo criterio que el botón 🔗 de la cotización
+function toHyperlink(link) {
+  return /^https?:\/\//i.test(link) ? link : `https://${link}`;
+}
+
+async function buildQuoteWorkbook(scene, quote) {
+  const workbook = new ExcelJS.Workbook();
+  workbook.creator = "Visor 3D · Prototipos";
+  workbook.created = new Date();
+
+  const sheet = workbook.addWorksheet("Cotización");
+  sheet.columns = [
+    { header: "Concepto", key: "concepto", width: 40 },
+    { header: "Cantidad", key: "cantidad", width: 12 },
+    { header: "Precio unitario", key: "precio", width: 16 },
+    { header: "Link", key: "link", width: 40 },
+    { header: "Subtotal", key: "subtotal", width: 16 },
+  ];
+  sheet.getRow(1).font = { bold: true };
+
+  const moneyFmt = '"$"#,##0.00';
+  const items = quote?.items || [];
+
+  items.forEach((it, i) => {
+    const rowNumber = i + 2;
+    const row = sheet.addRow({
+      concepto: it.concepto,
+      cantidad: it.cantidad,
+      precio: it.precio,
+      link: it.link ? { text: it.link, hyperlink: toHyperlink(it.link) } : "",
+      subtotal: {
+        formula: `B${rowNumber}*C${rowNumber}`,
+        result: roundMoney(it.cantidad * it.precio),
+      },
+    });
+    row.getCell("precio").numFmt = moneyFmt;
+    row.getCell("subtotal").numFmt = moneyFmt;
+  });
+
+  const lastItemRow = items.length + 1;
+  const totalRow = sheet.addRow({
+    link: "Total",
+    subtotal: {
+      formula: items.length ? `SUM(E2:E${lastItemRow})` : "0",
+      result: quote?.total || 0,
+    },
+  });
+  totalRow.font = { bold: true };
+  totalRow.getCell("link").alignment = { horizontal: "right" };
+  totalRow.getCell("subtotal").numFmt = moneyFmt;
+
+  sheet.addRow([]);
+  sheet.addRow([`Proyecto: ${scene.name}`]);
+  if (scene.author) sheet.addRow([`Autor: ${scene.author}`]);
+  if (quote?.updatedAt) {
+    sheet.addRow([`Actualizada: ${quote.updatedAt.slice(0, 10)}`]);
+  }
+
+  return workbook;
+}
+
+app.get("/api/quotes/:id", async (req, res) => {
+  const scene = await loadScene(req.params.id);
+  requireRole(req, scene, "viewer");
+  const quote = await loadQuote(scene.id);
+  res.json({ ok: true, quote: quote || { items: [], total: 0 } });
+});
+
+app.put("/api/quotes/:id", async (req, res) => {
+  const scene = await loadScene(req.params.id);
+  requireRole(req, scene, "editor");
+
+  // Si no se mandan parámetros de impresión se conservan los anteriores
+  const body = req.body || {};
+  const printSettings =
+    normalizePrintSettings(body.printSettings) ??
+    (await loadQuote(scene.id))?.printSettings;
+
+  const quote = {
+    ...normalizeQuote(body.items),
+    ...(printSettings ? { printSettings } : {}),
+    updatedAt: new Date().toISOString(),
+  };
+  await writeJson(path.join(projectDir(scene.id), QUOTE_FILE), quote);
+  res.json({ ok: true, quote });
+});
+
+app.get("/api/quotes/:id/excel", async (req, res) => {
+  const scene = await loadScene(req.params.id);
+  requireRole(req, scene, "viewer");
+  const quote = await loadQuote(scene.id);
+  const workbook = await buildQuoteWorkbook(scene, quote);
+
+  res.setHeader(
+    "Content-Type",
+    "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+  );
+  res.setHeader(
+    "Content-Disposition",
+    `attachment; filename="${quoteFileName(scene.id)}"`
+  );
+  await workbook.xlsx.write(res);
+  res.end();
+});
+
+/* =========================
+   404 y errores (siempre JSON)
+========================== */
+
+app.use("/api", (req, res) => {
+  res.status(404).json({ ok: false, error: "Ruta no encontrada." });
+});
+
+// Express reconoce el manejador de errores por sus cuatro parámetros
+app.use((err, req, res, _next) => {
+  let status = err.status || 500;
+  let message = err.message || "Error interno del servidor.";
+
+  if (err instanceof multer.MulterError) {
+    status = 400;
+    message =
+      err.code === "LIMIT_FILE_SIZE"
+        ? "El archivo supera el tamaño máximo permitido."
+        : `Error al subir archivo: ${err.message}`;
+  } else if (err.type === "entity.parse.failed") {
+    status = 400;
+    message = "El cuerpo de la petición no es JSON válido.";
+  }
+
+  if (status >= 500) {
+    console.error(err);
+  }
+  res.status(status).json({ ok: false, error: message });
+});
+
+// Instalaciones anteriores guardaban los proyectos en public/<slug>/, que
+// Vite sirve sin control de acceso
+function warnPublicProjects() {
+  const publicDir = path.join(ROOT_DIR, "public");
+  if (!path.relative(publicDir, PROJECTS_DIR).startsWith("..")) {
+    console.warn("PROJECTS_DIR está dentro de public/: Vite lo sirve entero.");
+    return;
+  }
+  if (!fs.existsSync(publicDir)) return;
+  const legacy = fs
+    .readdirSync(publicDir, { withFileTypes: true })
+    .filter(
+      (entry) =>
+        entry.isDirectory() &&
+        fs.existsSync(path.join(publicDir, entry.name, SCENE_FILE))
+    );
+  if (legacy.length) {
+    console.warn(
+      `Hay ${legacy.length} proyecto(s) en public/, que Vite sirve sin ` +
+        `control de acceso. Muévelos a ${PROJECTS_DIR}.`
+    );
+  }
+}
+
+if (require.main === module) {
+  app.listen(PORT, () => {
+    console.log(`API del visor escuchando en http://localhost:${PORT}`);
+    console.log(`Proyectos en ${PROJECTS_DIR}`);
+    warnPublicProjects();
+  });
+}
+
+module.exports = app;
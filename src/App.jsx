@@ -1,4 +1,4 @@
-import { useEffect, useRef, useState } from "react";
+import { useEffect, useMemo, useRef, useState } from "react";
 import * as THREE from "three";
 import { STLLoader } from "three/examples/jsm/loaders/STLLoader.js";
 import { GLTFLoader } from "three/examples/jsm/loaders/GLTFLoader.js";
@@ -6,7 +6,152 @@ import { OBJLoader } from "three/examples/jsm/loaders/OBJLoader.js";
 import { PLYLoader } from "three/examples/jsm/loaders/PLYLoader.js";
 import { ThreeMFLoader } from "three/examples/jsm/loaders/3MFLoader.js";
 import { OrbitControls } from "three/examples/jsm/controls/OrbitControls.js";
+import { TransformControls } from "three/examples/jsm/controls/TransformControls.js";
+import { CSS2DRenderer } from "three/examples/jsm/renderers/CSS2DRenderer.js";
 import Cotizacion from "./cotizaciones";
+import Capturas from "./capturas";
+import { analyzePart } from "./analisis";
+import {
+  DEFAULT_UNIT,
+  LENGTH_UNITS,
+  formatArea,
+  formatDimensions,
+  formatLength,
+  formatVolume,
+  fromMm,
+  toMm,
+  unitScale,
+} from "./unidades";
+import { createUnitGrid, disposeUnitGrid } from "./reglas";
+import {
+  DEFAULT_GIZMO_SNAP,
+  GIZMO_MODES,
+  applyPartTransform,
+  originalPartTransform,
+  parentWorldScale,
+  readPartTransform,
+  rememberOriginalTransform,
+} from "./transformaciones";
+import Anotaciones, {
+  buildAnnotationPin,
+  requestAnnotations,
+} from "./anotaciones";
+import {
+  EMPTY_HISTORY,
+  dropLastHistory,
+  isTextEditingTarget,
+  pushHistory,
+  redoHistory,
+  undoHistory,
+} from "./historial";
+import {
+  EXPLODE_MODES,
+  MAX_EXPLODE_FACTOR,
+  prepareExplode,
+  resetExplode,
+  stepExplode,
+  toExplodeOffsets,
+} from "./despiece";
+import {
+  RESOURCE_EXTENSIONS,
+  createResourceManager,
+  fileExtension,
+  filesFromDataTransfer,
+  hasMaterialLibrary,
+  loadObjWithMaterials,
+  prepareImport,
+} from "./importar";
+import {
+  MAX_ASSEMBLY_MODELS,
+  createAssembly,
+  createAssemblyNode,
+  findAssemblyNode,
+  modelIdOfPart,
+  nextModelId,
+  partIdFor,
+  placeBesideAssembly,
+} from "./ensamblaje";
+import {
+  MAX_SECTIONS,
+  createAxisSection,
+  createSectionFromHit,
+  disposeSectionView,
+  isPointClipped,
+  syncSectionView,
+} from "./cortes";
+import {
+  DEFAULT_MATERIAL,
+  MATERIAL_LIBRARY,
+  MATERIAL_PARAMS,
+  MAX_CUSTOM_MATERIALS,
+  createCustomMaterial,
+  createPartMaterial,
+  findMaterial,
+  getSharedPartMaterial,
+  isCustomMaterial,
+  normalizeCustomMaterial,
+  releaseUnusedMaterials,
+} from "./materiales";
+import {
+  BACKGROUNDS,
+  DEFAULT_LIGHTING,
+  LIGHTING_PRESETS,
+  applyBackground,
+  applyLightingPreset,
+  createEnvironmentMap,
+  createSceneLights,
+  createShadowGround,
+  fitShadowsToModel,
+  measureLightingBounds,
+  normalizeLighting,
+} from "./iluminacion";
+import { EXPORT_FORMATS, downloadBlob, exportModel } from "./exportar";
+import { formatBytes, isCancelError, loadModelFile } from "./cargaModelos";
+import {
+  DEFAULT_VIEW_DIRECTION,
+  MAX_CAMERA_VIEWS,
+  PROJECTIONS,
+  STANDARD_VIEWS,
+  applyCameraPose,
+  createCameraView,
+  createCameras,
+  framingPose,
+  projectionOf,
+  readCameraPose,
+  setCameraAspect,
+  startCameraTransition,
+  stepCameraTransition,
+  switchProjection,
+} from "./camaras";
+import {
+  DEFAULT_VIEWER_PERFORMANCE,
+  HIDDEN_LAYER,
+  LARGE_MODEL_PARTS,
+  buildMergedView,
+  clearMergedView,
+  formatRenderStats,
+} from "./rendimiento";
+import {
+  MEASURE_TOOLS,
+  buildMeasurementObject,
+  computeMeasurement,
+  createMeasurementId,
+  disposeMeasurementObject,
+  firstVisibleHit,
+  snapToVertex,
+} from "./mediciones";
+import {
+  ROLE_LABELS,
+  authFetch,
+  authHeaders,
+  getSession,
+  login,
+  logout,
+  onSessionChange,
+  register,
+  roleAllows,
+  setShareToken,
+} from "./sesiones";
 
 /* ============================================================
    Config general
@@ -19,6 +164,23 @@ const API_BASE_URL =
   import.meta.env.VITE_API_BASE_URL || "http://localhost:4000";
 const API_PROJECTS_URL = `${API_BASE_URL}/api/projects`;
 
+// Lado del grid sin modelo y recorrido mínimo de los sliders de posición (mm)
+const DEFAULT_GRID_EXTENT = 400;
+const MIN_POSITION_RANGE = 500;
+
+// Enlaces compartidos de solo lectura: ?project=<id>&token=<token>
+function readShareLinkFromUrl() {
+  const params = new URLSearchParams(window.location.search);
+  const projectId = params.get("project");
+  const token = params.get("token");
+  return projectId && token ? { projectId, token } : null;
+}
+
+function buildShareUrl(projectId, token) {
+  const params = new URLSearchParams({ project: projectId, token });
+  return `${window.location.origin}${window.location.pathname}?${params}`;
+}
+
 function slugify(str) {
   return (
     (str || "proyecto")
@@ -34,31 +196,52 @@ function slugify(str) {
 
 // Llamada real al backend para crear proyecto
 async function guardarProyectoEnServidor({
-  file,
+  files,
+  models,
   projectName,
   author,
-  password,
   date,
   position,
   rotation,
   partsMeta,
+  measurements,
+  sections,
+  customMaterials,
+  lighting,
+  cameraViews,
+  initialView,
+  sourceUnit,
 }) {
-  if (!file || !projectName || !password) {
-    alert("Faltan datos (archivo, nombre o contraseña).");
+  if (!files?.length || !projectName) {
+    alert("Faltan datos (archivo o nombre).");
     return;
   }
 
   const formData = new FormData();
-  formData.append("model", file); // debe llamarse "model"
+  // todos se llaman "model"; varios archivos forman un ensamblaje. Los
+  // recursos del archivo n (.bin, .mtl, texturas) van en "resources-<n>"
+  files.forEach(({ file, resources }, index) => {
+    formData.append("model", file);
+    resources?.forEach((resource) =>
+      formData.append(`resources-${index}`, resource)
+    );
+  });
+  formData.append("models", JSON.stringify(models || []));
   formData.append("projectName", projectName);
   formData.append("author", author || "");
-  formData.append("password", password);
   formData.append("date", date || "");
   formData.append("position", JSON.stringify(position || { x: 0, y: 0, z: 0 }));
   formData.append("rotation", JSON.stringify(rotation || { x: 0, y: 0, z: 0 }));
   formData.append("partsMeta", JSON.stringify(partsMeta || {}));
-
-  const resp = await fetch(API_PROJECTS_URL, {
+  formData.append("measurements", JSON.stringify(measurements || []));
+  formData.append("sections", JSON.stringify(sections || []));
+  formData.append("customMaterials", JSON.stringify(customMaterials || []));
+  formData.append("lighting", JSON.stringify(lighting || DEFAULT_LIGHTING));
+  formData.append("cameraViews", JSON.stringify(cameraViews || []));
+  if (initialView) formData.append("initialView", JSON.stringify(initialView));
+  formData.append("sourceUnit", sourceUnit || DEFAULT_UNIT);
+
+  const resp = await authFetch(API_PROJECTS_URL, {
     method: "POST",
     body: formData,
   });
@@ -99,55 +282,593 @@ function getPartColor(index) {
   return PART_COLORS[index % PART_COLORS.length];
 }
 
-// Presets de material por capa (Phong, para que no se vea negro)
-const MATERIAL_PRESETS = {
-  plastic: {
-    label: "Plástico / Pintura",
-    shininess: 30,
-    specular: 0x444444,
-    transparent: false,
-    opacity: 1,
-  },
-  metal: {
-    label: "Metal pulido",
-    shininess: 80,
-    specular: 0xcccccc,
-    transparent: false,
-    opacity: 1,
-  },
-  roughMetal: {
-    label: "Metal rugoso",
-    shininess: 25,
-    specular: 0x888888,
-    transparent: false,
-    opacity: 1,
-  },
-  rubber: {
-    label: "Goma / Caucho",
-    shininess: 5,
-    specular: 0x111111,
-    transparent: false,
-    opacity: 1,
-  },
-  glass: {
-    label: "Vidrio",
-    shininess: 90,
-    specular: 0xffffff,
-    transparent: true,
-    opacity: 0.25,
-  },
+/* ============================================================
+   Apariencia de las capas: material del archivo o color + acabado
+   - "original": el material que trajo el archivo (glTF, 3MF, .mtl,
+     colores por vértice), sin tocar
+   - "preset": un material PBR propio de la capa con su color y su acabado
+     (biblioteca de materiales.js o del proyecto); se guarda aparte para
+     poder volver al original
+   ============================================================ */
+
+const APPEARANCES = {
+  original: "Material del archivo",
+  preset: "Color y acabado",
 };
 
-function createMaterialForPart(colorHex, presetKey = "plastic") {
-  const preset = MATERIAL_PRESETS[presetKey] || MATERIAL_PRESETS.plastic;
-  return new THREE.MeshPhongMaterial({
-    color: new THREE.Color(colorHex || "#ffffff"),
-    shininess: preset.shininess,
-    specular: new THREE.Color(preset.specular),
-    transparent: preset.transparent,
-    opacity: preset.opacity,
+// Marca los materiales que trae el archivo; los de relleno de los loaders
+// (3MF sin color, OBJ sin .mtl) no cuentan como originales
+function markFileMaterials(
+  root,
+  isFromFile = (m) => m.name !== THREE.Loader.DEFAULT_MATERIAL_NAME
+) {
+  root.traverse((child) => {
+    if (!child.isMesh) return;
+    [].concat(child.material).forEach((m) => {
+      if (m && isFromFile(m)) m.userData.fromFile = true;
+    });
+  });
+  return root;
+}
+
+function hasFileMaterial(mesh) {
+  return [].concat(mesh.material).some((m) => m?.userData.fromFile);
+}
+
+// Color de partida del acabado: el del material del archivo, si tiene
+function fileMaterialColor(material) {
+  const first = [].concat(material).find((m) => m?.color);
+  return first && !first.map && !first.vertexColors
+    ? `#${first.color.getHexString()}`
+    : null;
+}
+
+// Con acabado: material compartido con las capas del mismo color y acabado
+function applyMeshAppearance(
+  mesh,
+  colorHex,
+  presetKey,
+  appearance,
+  customMaterials,
+  materialCache
+) {
+  const presetName = presetKey || DEFAULT_MATERIAL;
+  const def = findMaterial(presetName, customMaterials);
+  const color = colorHex || "#ffffff";
+  mesh.userData.baseColor = color;
+  mesh.userData.materialPreset = presetName;
+
+  if (appearance === "original" && mesh.userData.originalMaterial) {
+    mesh.material = mesh.userData.originalMaterial;
+    return;
+  }
+
+  mesh.material = getSharedPartMaterial(materialCache, color, def);
+}
+
+/* ============================================================
+   Formatos de modelo: extensión → [loader, nombre, objeto raíz]
+   ============================================================ */
+
+// STL y PLY con color por vértice: ese color es su material original. Las
+// normales ya vienen calculadas del worker de carga
+function meshFromGeometry(geometry) {
+  geometry.computeBoundingBox();
+  if (!geometry.hasAttribute("color")) {
+    return new THREE.Mesh(
+      geometry,
+      createPartMaterial("#ffffff", findMaterial(DEFAULT_MATERIAL))
+    );
+  }
+  const material = new THREE.MeshStandardMaterial({
+    vertexColors: true,
+    roughness: 0.6,
     side: THREE.DoubleSide,
   });
+  material.userData.fromFile = true;
+  return new THREE.Mesh(geometry, material);
+}
+
+const sceneFromGltf = (gltf) => markFileMaterials(gltf.scene || gltf.scenes[0]);
+
+const MODEL_LOADERS = {
+  stl: [STLLoader, "STL", meshFromGeometry],
+  obj: [
+    OBJLoader,
+    "OBJ",
+    (obj) => markFileMaterials(obj, (m) => m.vertexColors),
+  ],
+  gltf: [GLTFLoader, "glTF", sceneFromGltf],
+  glb: [GLTFLoader, "glTF", sceneFromGltf],
+  ply: [PLYLoader, "PLY", meshFromGeometry],
+  "3mf": [ThreeMFLoader, "3MF", (obj) => markFileMaterials(obj)],
+};
+const MODEL_EXTENSIONS = Object.keys(MODEL_LOADERS);
+// Los selectores aceptan también los recursos de .gltf/.obj y los .zip
+const IMPORT_ACCEPT = [...MODEL_EXTENSIONS, ...RESOURCE_EXTENSIONS, "zip"]
+  .map((ext) => `.${ext}`)
+  .join(",");
+
+/* ============================================================
+   Cuenta de usuario y miembros de proyecto
+   ============================================================ */
+
+const inputPillStyle = {
+  fontSize: 12,
+  padding: "5px 8px",
+  borderRadius: 999,
+  border: "1px solid #374151",
+  background: "#020617",
+  color: "#e5e7eb",
+  outline: "none",
+};
+
+function AccountPanel({ session, onLogin, onRegister, onLogout }) {
+  const [mode, setMode] = useState("login"); // login | register
+  const [username, setUsername] = useState("");
+  const [password, setPassword] = useState("");
+  const [displayName, setDisplayName] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+
+  if (session) {
+    return (
+      <div
+        style={{
+          display: "flex",
+          alignItems: "center",
+          justifyContent: "space-between",
+          gap: 8,
+          padding: "8px 12px",
+          borderRadius: 16,
+          border: "1px solid #1f2937",
+          background: "rgba(15,23,42,0.95)",
+          fontSize: 12,
+          color: "#9ca3af",
+        }}
+      >
+        <span>
+          Sesión iniciada como{" "}
+          <strong style={{ color: "#e5e7eb" }}>
+            {session.user.displayName}
+          </strong>{" "}
+          (@{session.user.username})
+        </span>
+        <button
+          type="button"
+          onClick={onLogout}
+          style={{
+            padding: "3px 10px",
+            borderRadius: 999,
+            border: "1px solid #4b5563",
+            background: "transparent",
+            color: "#9ca3af",
+            fontSize: 11,
+            cursor: "pointer",
+          }}
+        >
+          Cerrar sesión
+        </button>
+      </div>
+    );
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!username || !password) {
+      setError("Usuario y contraseña son obligatorios.");
+      return;
+    }
+    setBusy(true);
+    setError("");
+    try {
+      if (mode === "login") {
+        await onLogin(username, password);
+      } else {
+        await onRegister(username, password, displayName);
+      }
+      setPassword("");
+    } catch (err) {
+      console.error(err);
+      setError(err.message || "No se pudo iniciar sesión.");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <form
+      onSubmit={handleSubmit}
+      style={{
+        display: "flex",
+        flexWrap: "wrap",
+        alignItems: "center",
+        gap: 8,
+        padding: "8px 12px",
+        borderRadius: 16,
+        border: "1px solid #1f2937",
+        background: "rgba(15,23,42,0.95)",
+      }}
+    >
+      <span style={{ fontSize: 12, color: "#9ca3af" }}>
+        {mode === "login" ? "Inicia sesión:" : "Crear cuenta:"}
+      </span>
+      <input
+        type="text"
+        placeholder="usuario"
+        autoComplete="username"
+        value={username}
+        onChange={(e) => setUsername(e.target.value)}
+        style={{ ...inputPillStyle, width: 120 }}
+      />
+      {mode === "register" && (
+        <input
+          type="text"
+          placeholder="nombre visible"
+          value={displayName}
+          onChange={(e) => setDisplayName(e.target.value)}
+          style={{ ...inputPillStyle, width: 140 }}
+        />
+      )}
+      <input
+        type="password"
+        placeholder="contraseña"
+        autoComplete={mode === "login" ? "current-password" : "new-password"}
+        value={password}
+        onChange={(e) => setPassword(e.target.value)}
+        style={{ ...inputPillStyle, width: 120 }}
+      />
+      <button
+        type="submit"
+        disabled={busy}
+        style={{
+          padding: "4px 12px",
+          borderRadius: 999,
+          border: "1px solid #4b5563",
+          background:
+            "linear-gradient(135deg, rgba(56,189,248,0.15), rgba(37,99,235,0.35))",
+          color: "#bfdbfe",
+          fontSize: 11,
+          cursor: busy ? "wait" : "pointer",
+        }}
+      >
+        {mode === "login" ? "Entrar" : "Registrarme"}
+      </button>
+      <button
+        type="button"
+        onClick={() => {
+          setMode(mode === "login" ? "register" : "login");
+          setError("");
+        }}
+        style={{
+          border: "none",
+          background: "transparent",
+          color: "#9ca3af",
+          fontSize: 11,
+          cursor: "pointer",
+          textDecoration: "underline",
+        }}
+      >
+        {mode === "login" ? "Crear cuenta" : "Ya tengo cuenta"}
+      </button>
+      {error && (
+        <span style={{ fontSize: 11, color: "#fecaca", width: "100%" }}>
+          {error}
+        </span>
+      )}
+    </form>
+  );
+}
+
+function ProjectMembersEditor({ project, onUpdateMember }) {
+  const [username, setUsername] = useState("");
+  const [role, setRole] = useState("viewer");
+
+  const roleSelect = (value, onChange) => (
+    <select
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+      style={{ ...inputPillStyle, fontSize: 11, padding: "3px 6px" }}
+    >
+      {Object.entries(ROLE_LABELS).map(([key, label]) => (
+        <option key={key} value={key}>
+          {label}
+        </option>
+      ))}
+    </select>
+  );
+
+  return (
+    <div
+      style={{
+        padding: 8,
+        borderRadius: 12,
+        background: "#020617",
+        border: "1px solid #111827",
+        display: "flex",
+        flexDirection: "column",
+        gap: 6,
+      }}
+    >
+      <div style={{ fontSize: 11, color: "#9ca3af" }}>
+        Miembros del proyecto
+      </div>
+      {(project.members || []).map((m) => (
+        <div
+          key={m.userId}
+          style={{
+            display: "flex",
+            alignItems: "center",
+            gap: 8,
+            fontSize: 12,
+            color: "#e5e7eb",
+          }}
+        >
+          <span style={{ flex: 1, minWidth: 0 }}>
+            {m.displayName || m.username}{" "}
+            <span style={{ color: "#6b7280" }}>@{m.username}</span>
+          </span>
+          {roleSelect(m.role, (newRole) =>
+            onUpdateMember(project.id, m.username, newRole)
+          )}
+          <button
+            type="button"
+            onClick={() => onUpdateMember(project.id, m.username, null)}
+            style={{
+              border: "none",
+              background: "transparent",
+              color: "#fca5a5",
+              fontSize: 11,
+              cursor: "pointer",
+            }}
+          >
+            Quitar
+          </button>
+        </div>
+      ))}
+      <form
+        onSubmit={(e) => {
+          e.preventDefault();
+          if (!username.trim()) return;
+          onUpdateMember(project.id, username.trim(), role);
+          setUsername("");
+        }}
+        style={{ display: "flex", alignItems: "center", gap: 8 }}
+      >
+        <input
+          type="text"
+          placeholder="usuario a agregar"
+          value={username}
+          onChange={(e) => setUsername(e.target.value)}
+          style={{ ...inputPillStyle, flex: 1, minWidth: 0 }}
+        />
+        {roleSelect(role, setRole)}
+        <button
+          type="submit"
+          style={{
+            padding: "3px 10px",
+            borderRadius: 999,
+            border: "1px solid #4b5563",
+            background: "rgba(22,163,74,0.15)",
+            color: "#bbf7d0",
+            fontSize: 11,
+            cursor: "pointer",
+          }}
+        >
+          Agregar
+        </button>
+      </form>
+    </div>
+  );
+}
+
+function ShareLinksEditor({ project, onCreateShare, onRevokeShare }) {
+  const [label, setLabel] = useState("");
+  const [expiresInDays, setExpiresInDays] = useState("");
+
+  const copyLink = async (share) => {
+    const url = buildShareUrl(project.id, share.token);
+    try {
+      await navigator.clipboard.writeText(url);
+      alert("Enlace copiado al portapapeles.");
+    } catch (e) {
+      // Sin acceso al portapapeles (http, permisos): mostrarlo para copiar
+      window.prompt("Copia el enlace de solo lectura:", url);
+    }
+  };
+
+  const isExpired = (share) =>
+    share.expiresAt && Date.parse(share.expiresAt) <= Date.now();
+
+  return (
+    <div
+      style={{
+        padding: 8,
+        borderRadius: 12,
+        background: "#020617",
+        border: "1px solid #111827",
+        display: "flex",
+        flexDirection: "column",
+        gap: 6,
+      }}
+    >
+      <div style={{ fontSize: 11, color: "#9ca3af" }}>
+        Enlaces de solo lectura
+      </div>
+      {(project.shares || []).length === 0 && (
+        <div style={{ fontSize: 11, color: "#6b7280" }}>
+          Aún no hay enlaces compartidos.
+        </div>
+      )}
+      {(project.shares || []).map((share) => (
+        <div
+          key={share.id}
+          style={{
+            display: "flex",
+            alignItems: "center",
+            gap: 8,
+            fontSize: 12,
+            color: "#e5e7eb",
+          }}
+        >
+          <span style={{ flex: 1, minWidth: 0 }}>
+            {share.label || "Sin nombre"}{" "}
+            <span style={{ color: isExpired(share) ? "#fca5a5" : "#6b7280" }}>
+              {share.expiresAt
+                ? `${isExpired(share) ? "caducó" : "caduca"} el ${new Date(
+                    share.expiresAt
+                  ).toLocaleDateString()}`
+                : "sin caducidad"}
+            </span>
+          </span>
+          <button
+            type="button"
+            onClick={() => copyLink(share)}
+            disabled={isExpired(share)}
+            style={{
+              border: "none",
+              background: "transparent",
+              color: "#93c5fd",
+              fontSize: 11,
+              cursor: isExpired(share) ? "default" : "pointer",
+              opacity: isExpired(share) ? 0.5 : 1,
+            }}
+          >
+            Copiar enlace
+          </button>
+          <button
+            type="button"
+            onClick={() => onRevokeShare(project.id, share.id)}
+            style={{
+              border: "none",
+              background: "transparent",
+              color: "#fca5a5",
+              fontSize: 11,
+              cursor: "pointer",
+            }}
+          >
+            Revocar
+          </button>
+        </div>
+      ))}
+      <form
+        onSubmit={(e) => {
+          e.preventDefault();
+          onCreateShare(project.id, {
+            label: label.trim(),
+            expiresInDays: expiresInDays ? Number(expiresInDays) : null,
+          });
+          setLabel("");
+        }}
+        style={{ display: "flex", alignItems: "center", gap: 8 }}
+      >
+        <input
+          type="text"
+          placeholder="nombre del enlace (opcional)"
+          value={label}
+          onChange={(e) => setLabel(e.target.value)}
+          style={{ ...inputPillStyle, flex: 1, minWidth: 0 }}
+        />
+        <select
+          value={expiresInDays}
+          onChange={(e) => setExpiresInDays(e.target.value)}
+          style={{ ...inputPillStyle, fontSize: 11, padding: "3px 6px" }}
+        >
+          <option value="">Sin caducidad</option>
+          <option value="1">1 día</option>
+          <option value="7">7 días</option>
+          <option value="30">30 días</option>
+        </select>
+        <button
+          type="submit"
+          style={{
+            padding: "3px 10px",
+            borderRadius: 999,
+            border: "1px solid #4b5563",
+            background: "rgba(37,99,235,0.15)",
+            color: "#bfdbfe",
+            fontSize: 11,
+            cursor: "pointer",
+          }}
+        >
+          Crear enlace
+        </button>
+      </form>
+    </div>
+  );
+}
+
+/* ============================================================
+   Análisis de malla
+   ============================================================ */
+
+function MeshStatsTable({ title, stats, unit }) {
+  const warn = { color: "#fcd34d" };
+  const ok = { color: "#86efac" };
+  const rows = [
+    ["Dimensiones", formatDimensions(stats.size, unit)],
+    ["Área superficial", formatArea(stats.area, unit)],
+    [
+      "Volumen",
+      `${stats.watertight ? "" : "≈ "}${formatVolume(stats.volume, unit)}`,
+    ],
+    ["Triángulos", stats.triangles.toLocaleString()],
+    [
+      "Malla",
+      stats.watertight ? (
+        <span style={ok}>Cerrada (watertight)</span>
+      ) : (
+        <span style={warn}>
+          Abierta: {stats.boundaryEdges.toLocaleString()} bordes libres
+        </span>
+      ),
+    ],
+    [
+      "Aristas no-manifold",
+      <span style={stats.nonManifoldEdges ? warn : ok}>
+        {stats.nonManifoldEdges.toLocaleString()}
+      </span>,
+    ],
+    [
+      "Normales",
+      stats.invertedNormals || stats.flippedEdges ? (
+        <span style={warn}>
+          {stats.invertedNormals && "Hacia adentro. "}
+          {stats.flippedEdges > 0 &&
+            `${stats.flippedEdges.toLocaleString()} aristas con caras invertidas`}
+        </span>
+      ) : (
+        <span style={ok}>Consistentes</span>
+      ),
+    ],
+  ];
+
+  return (
+    <div style={{ display: "flex", flexDirection: "column", gap: 3 }}>
+      <div style={{ fontSize: 12, color: "#e5e7eb", fontWeight: 600 }}>
+        {title}
+      </div>
+      {rows.map(([label, value]) => (
+        <div
+          key={label}
+          style={{
+            display: "flex",
+            justifyContent: "space-between",
+            gap: 12,
+            fontSize: 11,
+          }}
+        >
+          <span style={{ color: "#9ca3af" }}>{label}</span>
+          <span style={{ color: "#e5e7eb", textAlign: "right" }}>{value}</span>
+        </div>
+      ))}
+      {!stats.watertight && (
+        <div style={{ fontSize: 10, color: "#6b7280" }}>
+          El volumen de una malla abierta es aproximado.
+        </div>
+      )}
+    </div>
+  );
 }
 
 /* ============================================================
@@ -165,36 +886,45 @@ function ProjectManagerModal({
   onReplaceModel,
   onUpdateTransform,
   onRenameProject,
+  session,
+  onLogin,
+  onRegister,
+  onLogout,
+  onClaimProject,
+  onUpdateMember,
+  onCreateShare,
+  onRevokeShare,
 }) {
   const [name, setName] = useState("");
   const [author, setAuthor] = useState("");
-  const [date, setDate] = useState(() =>
-    new Date().toISOString().slice(0, 10)
-  );
-  const [password, setPassword] = useState("");
-  const [file, setFile] = useState(null);
+  const [date, setDate] = useState(() => new Date().toISOString().slice(0, 10));
+  const [files, setFiles] = useState([]);
   const [useCurrentTransform, setUseCurrentTransform] = useState(true);
+  const [membersOpenId, setMembersOpenId] = useState(null);
+  const [sharesOpenId, setSharesOpenId] = useState(null);
 
   if (!isOpen) return null;
 
   const handleSubmit = (e) => {
     e.preventDefault();
-    if (!name || !password || !file) {
-      alert("Nombre, contraseña y archivo de modelo son obligatorios.");
+    if (!session) {
+      alert("Inicia sesión para crear proyectos.");
+      return;
+    }
+    if (!name || !files.length) {
+      alert("Nombre y archivo de modelo son obligatorios.");
       return;
     }
     onCreateProject({
       name,
       author,
       date,
-      password,
-      file,
+      files,
       useCurrentTransform,
     });
     setName("");
     setAuthor("");
-    setPassword("");
-    setFile(null);
+    setFiles([]);
     setUseCurrentTransform(true);
     setDate(new Date().toISOString().slice(0, 10));
   };
@@ -256,8 +986,9 @@ function ProjectManagerModal({
                 color: "#9ca3af",
               }}
             >
-              Guarda modelos con autor, fecha, contraseña y transformaciones
-              para recargarlos desde este panel.
+              Guarda modelos con autor, fecha y transformaciones para
+              recargarlos desde este panel. Los permisos dependen de tu rol en
+              cada proyecto.
             </p>
           </div>
           <button
@@ -276,6 +1007,13 @@ function ProjectManagerModal({
           </button>
         </div>
 
+        <AccountPanel
+          session={session}
+          onLogin={onLogin}
+          onRegister={onRegister}
+          onLogout={onLogout}
+        />
+
         <div
           style={{
             display: "grid",
@@ -366,29 +1104,14 @@ function ProjectManagerModal({
               />
             </div>
 
-            <div style={{ display: "flex", flexDirection: "column", gap: 4 }}>
-              <label style={{ fontSize: 12, color: "#9ca3af" }}>
-                Contraseña para eliminar / editar este proyecto *
-              </label>
-              <input
-                type="password"
-                value={password}
-                onChange={(e) => setPassword(e.target.value)}
-                style={{
-                  fontSize: 13,
-                  padding: "6px 8px",
-                  borderRadius: 999,
-                  border: "1px solid #374151",
-                  background: "#020617",
-                  color: "#e5e7eb",
-                  outline: "none",
-                }}
-              />
-            </div>
-
             <div style={{ display: "flex", flexDirection: "column", gap: 4 }}>
               <label style={{ fontSize: 12, color: "#9ca3af" }}>
                 Modelo 3D (STL, OBJ, glTF/GLB, PLY, 3MF) *
+                <span
+                  style={{ display: "block", fontSize: 11, color: "#6b7280" }}
+                >
+                  Varios archivos forman un ensamblaje, en el orden elegido.
+                </span>
               </label>
               <label
                 style={{
@@ -409,15 +1132,19 @@ function ProjectManagerModal({
                   📁
                 </span>
                 <span>
-                  {file ? `Archivo seleccionado: ${file.name}` : "Elegir archivo"}
+                  {files.length
+                    ? `Archivo${files.length > 1 ? "s" : ""} seleccionado${
+                        files.length > 1 ? "s" : ""
+                      }: ${files.map((f) => f.name).join(", ")}`
+                    : "Elegir archivos (con sus .bin, .mtl y texturas, o un .zip)"}
                 </span>
                 <input
                   type="file"
-                  accept=".stl,.obj,.gltf,.glb,.ply,.3mf"
+                  multiple
+                  accept={IMPORT_ACCEPT}
                   style={{ display: "none" }}
                   onChange={(e) => {
-                    const f = e.target.files?.[0] || null;
-                    setFile(f);
+                    setFiles(Array.from(e.target.files || []));
                   }}
                 />
               </label>
@@ -445,6 +1172,7 @@ function ProjectManagerModal({
 
             <button
               type="submit"
+              disabled={!session}
               style={{
                 marginTop: 8,
                 alignSelf: "flex-start",
@@ -455,7 +1183,8 @@ function ProjectManagerModal({
                   "linear-gradient(135deg, rgba(34,197,94,0.15), rgba(22,163,74,0.4))",
                 color: "#bbf7d0",
                 fontSize: 12,
-                cursor: "pointer",
+                cursor: session ? "pointer" : "not-allowed",
+                opacity: session ? 1 : 0.5,
               }}
             >
               Guardar proyecto / escena
@@ -469,7 +1198,10 @@ function ProjectManagerModal({
               }}
             >
               Se crea la carpeta en <code>public/&lt;nombre-proyecto&gt;</code>{" "}
-              con <code>modelo.ext</code> y <code>scene.json</code>.
+              con <code>modelo.ext</code> y <code>scene.json</code>.{" "}
+              {session
+                ? "Quedarás como propietario del proyecto."
+                : "Inicia sesión para crear proyectos."}
             </p>
           </form>
 
@@ -503,8 +1235,9 @@ function ProjectManagerModal({
                   color: "#6b7280",
                 }}
               >
-                Aún no hay proyectos guardados. Crea uno en el panel de la
-                izquierda.
+                {session
+                  ? "Aún no hay proyectos a los que tengas acceso. Crea uno en el panel de la izquierda."
+                  : "Inicia sesión para ver tus proyectos."}
               </p>
             ) : (
               <div
@@ -550,7 +1283,12 @@ function ProjectManagerModal({
                           }}
                         >
                           {p.author && <>Autor: {p.author} · </>}
-                          Fecha: {p.date}
+                          Fecha: {p.date} · Rol:{" "}
+                          <span style={{ color: "#a5b4fc" }}>
+                            {p.role
+                              ? ROLE_LABELS[p.role] || p.role
+                              : "sin propietario"}
+                          </span>
                         </div>
                       </div>
                       <div
@@ -561,112 +1299,199 @@ function ProjectManagerModal({
                           alignItems: "flex-end",
                         }}
                       >
+                        {p.role && (
+                          <button
+                            type="button"
+                            onClick={() => onLoadProject(p.id)}
+                            style={{
+                              padding: "4px 8px",
+                              borderRadius: 999,
+                              border: "1px solid #4b5563",
+                              background:
+                                "linear-gradient(135deg, #0f172a, rgba(55,65,81,0.7))",
+                              color: "#e5e7eb",
+                              fontSize: 11,
+                              cursor: "pointer",
+                            }}
+                          >
+                            Cargar en visor
+                          </button>
+                        )}
+                        {roleAllows(p.role, "owner") && (
+                          <button
+                            type="button"
+                            onClick={() => onRenameProject(p.id)}
+                            style={{
+                              padding: "3px 8px",
+                              borderRadius: 999,
+                              border: "1px solid #4b5563",
+                              background: "transparent",
+                              color: "#9ca3af",
+                              fontSize: 11,
+                              cursor: "pointer",
+                            }}
+                          >
+                            Renombrar
+                          </button>
+                        )}
+                      </div>
+                    </div>
+
+                    <div
+                      style={{
+                        display: "flex",
+                        flexWrap: "wrap",
+                        gap: 8,
+                        alignItems: "center",
+                      }}
+                    >
+                      {p.claimable && (
                         <button
                           type="button"
-                          onClick={() => onLoadProject(p.id)}
+                          onClick={() => onClaimProject(p.id)}
+                          title="Proyecto sin propietario: reclámalo con su contraseña anterior"
                           style={{
-                            padding: "4px 8px",
-                            borderRadius: 999,
-                            border: "1px solid #4b5563",
-                            background:
-                              "linear-gradient(135deg, #0f172a, rgba(55,65,81,0.7))",
-                            color: "#e5e7eb",
                             fontSize: 11,
+                            borderRadius: 999,
+                            border: "1px solid #a16207",
+                            padding: "4px 8px",
+                            background: "rgba(161,98,7,0.15)",
+                            color: "#fde68a",
                             cursor: "pointer",
                           }}
                         >
-                          Cargar en visor
+                          Reclamar proyecto
                         </button>
-                        <button
-                          type="button"
-                          onClick={() => onRenameProject(p.id)}
+                      )}
+
+                      {roleAllows(p.role, "owner") && (
+                        <label
                           style={{
-                            padding: "3px 8px",
-                            borderRadius: 999,
-                            border: "1px solid #4b5563",
-                            background: "transparent",
-                            color: "#9ca3af",
                             fontSize: 11,
+                            borderRadius: 999,
+                            border: "1px solid #374151",
+                            padding: "4px 8px",
                             cursor: "pointer",
+                            color: "#e5e7eb",
                           }}
                         >
-                          Renombrar
+                          Reemplazar modelo
+                          <input
+                            type="file"
+                            multiple
+                            accept={IMPORT_ACCEPT}
+                            style={{ display: "none" }}
+                            onChange={(e) => {
+                              const selected = Array.from(e.target.files || []);
+                              if (selected.length) {
+                                onReplaceModel(p.id, selected);
+                                e.target.value = "";
+                              }
+                            }}
+                          />
+                        </label>
+                      )}
+
+                      {roleAllows(p.role, "editor") && (
+                        <button
+                          type="button"
+                          onClick={() => onUpdateTransform(p.id)}
+                          style={{
+                            fontSize: 11,
+                            borderRadius: 999,
+                            border: "1px solid #374151",
+                            padding: "4px 8px",
+                            background: "transparent",
+                            color: "#9ca3af",
+                            cursor: "pointer",
+                          }}
+                        >
+                          Guardar pos/rot actuales
                         </button>
-                      </div>
-                    </div>
+                      )}
 
-                    <div
-                      style={{
-                        display: "flex",
-                        flexWrap: "wrap",
-                        gap: 8,
-                        alignItems: "center",
-                      }}
-                    >
-                      <label
-                        style={{
-                          fontSize: 11,
-                          borderRadius: 999,
-                          border: "1px solid #374151",
-                          padding: "4px 8px",
-                          cursor: "pointer",
-                          color: "#e5e7eb",
-                        }}
-                      >
-                        Reemplazar modelo
-                        <input
-                          type="file"
-                          accept=".stl,.obj,.gltf,.glb,.ply,.3mf"
-                          style={{ display: "none" }}
-                          onChange={(e) => {
-                            const f = e.target.files?.[0];
-                            if (f) {
-                              onReplaceModel(p.id, f);
-                              e.target.value = "";
-                            }
+                      {roleAllows(p.role, "owner") && (
+                        <button
+                          type="button"
+                          onClick={() =>
+                            setMembersOpenId(
+                              membersOpenId === p.id ? null : p.id
+                            )
+                          }
+                          style={{
+                            fontSize: 11,
+                            borderRadius: 999,
+                            border: "1px solid #374151",
+                            padding: "4px 8px",
+                            background: "transparent",
+                            color: "#9ca3af",
+                            cursor: "pointer",
                           }}
-                        />
-                      </label>
+                        >
+                          Miembros
+                        </button>
+                      )}
 
-                      <button
-                        type="button"
-                        onClick={() => onUpdateTransform(p.id)}
-                        style={{
-                          fontSize: 11,
-                          borderRadius: 999,
-                          border: "1px solid #374151",
-                          padding: "4px 8px",
-                          background: "transparent",
-                          color: "#9ca3af",
-                          cursor: "pointer",
-                        }}
-                      >
-                        Guardar pos/rot actuales
-                      </button>
+                      {roleAllows(p.role, "owner") && (
+                        <button
+                          type="button"
+                          onClick={() =>
+                            setSharesOpenId(sharesOpenId === p.id ? null : p.id)
+                          }
+                          style={{
+                            fontSize: 11,
+                            borderRadius: 999,
+                            border: "1px solid #374151",
+                            padding: "4px 8px",
+                            background: "transparent",
+                            color: "#9ca3af",
+                            cursor: "pointer",
+                          }}
+                        >
+                          Compartir
+                        </button>
+                      )}
 
-                      <button
-                        type="button"
-                        onClick={async () => {
-                          const pwd = window.prompt(
-                            "Ingresa la contraseña para eliminar este proyecto:"
-                          );
-                          if (pwd == null) return;
-                          onDeleteProject(p.id, pwd);
-                        }}
-                        style={{
-                          fontSize: 11,
-                          borderRadius: 999,
-                          border: "1px solid #7f1d1d",
-                          padding: "4px 8px",
-                          background: "rgba(127,29,29,0.15)",
-                          color: "#fecaca",
-                          cursor: "pointer",
-                          marginLeft: "auto",
-                        }}
-                      >
-                        Eliminar
-                      </button>
+                      {roleAllows(p.role, "owner") && (
+                        <button
+                          type="button"
+                          onClick={() => {
+                            const ok = window.confirm(
+                              `¿Eliminar el proyecto "${p.name}"? Esta acción no se puede deshacer.`
+                            );
+                            if (!ok) return;
+                            onDeleteProject(p.id);
+                          }}
+                          style={{
+                            fontSize: 11,
+                            borderRadius: 999,
+                            border: "1px solid #7f1d1d",
+                            padding: "4px 8px",
+                            background: "rgba(127,29,29,0.15)",
+                            color: "#fecaca",
+                            cursor: "pointer",
+                            marginLeft: "auto",
+                          }}
+                        >
+                          Eliminar
+                        </button>
+                      )}
                     </div>
+
+                    {membersOpenId === p.id && roleAllows(p.role, "owner") && (
+                      <ProjectMembersEditor
+                        project={p}
+                        onUpdateMember={onUpdateMember}
+                      />
+                    )}
+
+                    {sharesOpenId === p.id && roleAllows(p.role, "owner") && (
+                      <ShareLinksEditor
+                        project={p}
+                        onCreateShare={onCreateShare}
+                        onRevokeShare={onRevokeShare}
+                      />
+                    )}
                   </div>
                 ))}
               </div>
@@ -686,16 +1511,65 @@ function App() {
   const containerRef = useRef(null);
   const rendererRef = useRef(null);
   const sceneRef = useRef(null);
-  const cameraRef = useRef(null);
+  const cameraRef = useRef(null); // la activa: perspectiva u ortográfica
+  const camerasRef = useRef(null); // { perspective, orthographic }
+  const cameraTransitionRef = useRef(null); // viaje suave a una vista
   const controlsRef = useRef(null);
+  const transformControlsRef = useRef(null); // gizmo mover/rotar/escalar
+  const gizmoCommitRef = useRef(null);
+  const editWithHistoryRef = useRef(null); // lo usa el click del canvas
+  // Los listeners de window se registran una vez y llaman a la versión
+  // actual de estos handlers
+  const importFilesRef = useRef(null); // pegar archivos
+  const stepHistoryRef = useRef(null); // Ctrl+Z / Ctrl+Y
+  const docRef = useRef({}); // valores actuales de lo que cubre el historial
+  const historyBusyRef = useRef(false);
   const modelRef = useRef(null);
   const animationIdRef = useRef(null);
   const objectUrlRef = useRef(null);
   const modelTypeRef = useRef("generic"); // stl, obj, gltf, etc.
+  const sourceUnitRef = useRef(DEFAULT_UNIT); // escala al agregar el modelo
 
   const raycasterRef = useRef(new THREE.Raycaster());
   const pointerRef = useRef(new THREE.Vector2());
   const partsRef = useRef([]);
+  const customMaterialsRef = useRef([]);
+  const materialCacheRef = useRef(new Map()); // materiales compartidos
+
+  // Render bajo demanda: requestRender() pide un frame; el contador y el
+  // panel de estadísticas los usa el overlay de FPS
+  const requestRenderRef = useRef(null);
+  const frameCountRef = useRef(0);
+  const statsRef = useRef(null);
+
+  // Mediciones: grupo en escena que sigue la matriz del modelo + etiquetas
+  const labelRendererRef = useRef(null);
+  const measureGroupRef = useRef(null);
+  const measureToolRef = useRef(null);
+  const measureSnapRef = useRef(true);
+  const measureDraftRef = useRef([]);
+
+  // Cortes de sección: grupo con stencil/tapas, se sincroniza en cada frame
+  const sectionGroupRef = useRef(null);
+  const sectionsRef = useRef([]);
+  const sectionPickRef = useRef(false);
+
+  // Pines de comentarios: mismo esquema que las mediciones
+  const annotationGroupRef = useRef(null);
+  const annotationPlacingRef = useRef(false);
+
+  // Luces fijas y suelo de sombras: los mueve el ajuste de iluminación
+  const lightsRef = useRef(null);
+  const shadowGroundRef = useRef(null);
+
+  // Vista explosionada: el factor actual se anima hacia target en cada frame
+  const explodeRef = useRef({
+    target: 0,
+    current: 0,
+    mode: "radial",
+    offsets: {},
+    dirty: false,
+  });
 
   const [hasModel, setHasModel] = useState(false);
   const [modelName, setModelName] = useState("");
@@ -705,12 +1579,103 @@ function App() {
 
   // Color global base para nuevas cargas
   const [modelBaseColor, setModelBaseColor] = useState("#22c55e");
+  const [keepFileMaterials, setKeepFileMaterials] = useState(true);
+  // Materiales propios del proyecto (se eligen como los de la biblioteca)
+  const [customMaterials, setCustomMaterials] = useState([]);
+  const [editingMaterialId, setEditingMaterialId] = useState(null);
+  const [newMaterialBase, setNewMaterialBase] = useState(DEFAULT_MATERIAL);
+
+  // Archivos del ensamblaje: [{ id, name, file, url, transform }]; file es
+  // null si el archivo solo se agregó en el visor
+  const [assemblyModels, setAssemblyModels] = useState([]);
+  const [selectedModelId, setSelectedModelId] = useState(null);
+
+  // Arrastrar archivos al visor: "open" | "add" | null; errores de la
+  // última importación (uno por archivo)
+  const [dropMode, setDropMode] = useState(null);
+  const [importMessages, setImportMessages] = useState([]);
+
+  // Carga en curso: { label, phase: "download" | "parse", loaded, total }
+  const [loadProgress, setLoadProgress] = useState(null);
+  const loadAbortRef = useRef(null);
 
   // Capas
   const [parts, setParts] = useState([]);
   const [editingPartId, setEditingPartId] = useState(null);
   const [selectedPartInfo, setSelectedPartInfo] = useState(null);
 
+  // Mediciones (puntos en coordenadas locales del modelo)
+  const [measurements, setMeasurements] = useState([]);
+  const [measureTool, setMeasureTool] = useState(null); // distance | angle | radius
+  const [measureSnap, setMeasureSnap] = useState(true);
+  const [measureDraft, setMeasureDraft] = useState([]);
+
+  // Cortes de sección (planos en coordenadas locales del modelo)
+  const [sections, setSections] = useState([]);
+  const [sectionPick, setSectionPick] = useState(false); // elegir cara para corte libre
+
+  // Pines de comentarios del proyecto
+  const [annotations, setAnnotations] = useState([]);
+  const [selectedAnnotationId, setSelectedAnnotationId] = useState(null);
+  const [annotationPlacing, setAnnotationPlacing] = useState(false);
+  const [annotationDraft, setAnnotationDraft] = useState(null); // { point, partId }
+
+  // Unidades: la del archivo escala el modelo (la escena está en mm) y la
+  // de visualización se usa en posición, mediciones, análisis y reglas
+  const [sourceUnit, setSourceUnit] = useState(DEFAULT_UNIT);
+  const [displayUnit, setDisplayUnit] = useState(DEFAULT_UNIT);
+  const [gridExtent, setGridExtent] = useState(DEFAULT_GRID_EXTENT);
+
+  // Iluminación: { preset, shadows, grid, background }, por proyecto
+  const [lighting, setLighting] = useState(DEFAULT_LIGHTING);
+
+  // Cámara: proyección activa y vistas guardadas del proyecto
+  const [projection, setProjection] = useState("perspective");
+  const [cameraViews, setCameraViews] = useState([]);
+  const [newViewName, setNewViewName] = useState("");
+
+  // Rendimiento: geometría fusionada y overlay de estadísticas
+  const [viewerPerformance, setViewerPerformance] = useState(
+    DEFAULT_VIEWER_PERFORMANCE
+  );
+  const [mergedMeshes, setMergedMeshes] = useState(0);
+
+  // Exportar la escena: formato, solo capas visibles y si está en curso
+  const [exportFormat, setExportFormat] = useState("glb");
+  const [exportVisibleOnly, setExportVisibleOnly] = useState(true);
+  const [exporting, setExporting] = useState(false);
+
+  // Capturas (imagen / giro 360°) y adjuntos guardados en el proyecto
+  const [isCaptureOpen, setIsCaptureOpen] = useState(false);
+  const [attachments, setAttachments] = useState([]);
+
+  // Deshacer / rehacer
+  const [history, setHistory] = useState(EMPTY_HISTORY);
+
+  // Gizmo: "model" (modelo completo) | "node" (archivo del ensamblaje) |
+  // "part" (capa seleccionada) | null
+  const [gizmoTarget, setGizmoTarget] = useState(null);
+  const [gizmoMode, setGizmoMode] = useState("translate");
+  const [gizmoSnap, setGizmoSnap] = useState(false);
+  const [gizmoSnapSteps, setGizmoSnapSteps] = useState(DEFAULT_GIZMO_SNAP);
+
+  // Vista explosionada (0 = ensamblado)
+  const [explodeFactor, setExplodeFactor] = useState(0);
+  const [explodeMode, setExplodeMode] = useState("radial");
+
+  // Sesión de usuario
+  const [session, setSession] = useState(() => getSession());
+
+  // Enlace compartido (?project=&token=): visor de solo lectura
+  const [sharedLink] = useState(() => {
+    const link = readShareLinkFromUrl();
+    if (link) setShareToken(link.token);
+    return link;
+  });
+  const [sharedProject, setSharedProject] = useState(null);
+  const [sharedLinkError, setSharedLinkError] = useState("");
+  const isSharedView = Boolean(sharedLink);
+
   // Proyectos
   const [projects, setProjects] = useState([]);
   const [isProjectModalOpen, setIsProjectModalOpen] = useState(false);
@@ -720,11 +1685,97 @@ function App() {
   const [isMobile, setIsMobile] = useState(false);
   const [isCotizacionOpen, setIsCotizacionOpen] = useState(false); // ⬅️ NUEVO
 
+  // Rol del usuario en el proyecto cargado
+  const currentProject =
+    projects.find((p) => p.id === currentProjectId) ||
+    (sharedProject?.id === currentProjectId ? sharedProject : null);
+  const canEditCurrent = roleAllows(currentProject?.role, "editor");
+  const canOwnCurrent = roleAllows(currentProject?.role, "owner");
+  // Comentar requiere sesión; por enlace compartido es solo lectura
+  const canCommentCurrent =
+    Boolean(session) &&
+    roleAllows(currentProject?.role, "viewer") &&
+    !currentProject?.shared;
+
+  // sesión (login/logout o 401 del servidor)
+  useEffect(() => onSessionChange(setSession), []);
+
   // sync ref de partes
   useEffect(() => {
     partsRef.current = parts;
   }, [parts]);
 
+  // Editar, quitar o deshacer un material del proyecto actualiza las capas
+  // que lo usan
+  useEffect(() => {
+    customMaterialsRef.current = customMaterials;
+    partsRef.current
+      .filter((p) => isCustomMaterial(p.materialPreset))
+      .forEach((p) =>
+        updatePartMeshAppearance(p.id, p.color, p.materialPreset, p.appearance)
+      );
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [customMaterials]);
+
+  // sync vista explosionada (la aplica el loop de render)
+  useEffect(() => {
+    explodeRef.current.target = explodeFactor;
+  }, [explodeFactor]);
+
+  useEffect(() => {
+    explodeRef.current.mode = explodeMode;
+    explodeRef.current.dirty = true;
+  }, [explodeMode]);
+
+  // Poses de las capas (gizmo) y desplazamientos extra de la explosión
+  useEffect(() => {
+    const model = modelRef.current;
+    model?.traverse((child) => {
+      if (child === model || typeof child.userData.partId !== "number") return;
+      const part = parts.find((p) => p.id === child.userData.partId);
+      if (part) applyPartTransform(child, part.transform || null);
+    });
+    explodeRef.current.offsets = toExplodeOffsets(parts);
+    explodeRef.current.dirty = true;
+  }, [parts]);
+
+  // Poses de los archivos del ensamblaje; la explosión se vuelve a preparar
+  // porque depende de dónde quedó cada pieza
+  useEffect(() => {
+    const assembly = modelRef.current;
+    if (!assembly) return;
+    resetExplode(assembly);
+    assemblyModels.forEach((m) => {
+      const node = findAssemblyNode(assembly, m.id);
+      if (node) applyPartTransform(node, m.transform);
+    });
+    prepareExplode(assembly);
+    explodeRef.current.dirty = true;
+  }, [assemblyModels]);
+
+  // sync refs de mediciones (los usa el click del canvas)
+  useEffect(() => {
+    measureToolRef.current = measureTool;
+    measureDraftRef.current = [];
+    setMeasureDraft([]);
+  }, [measureTool]);
+
+  useEffect(() => {
+    measureSnapRef.current = measureSnap;
+  }, [measureSnap]);
+
+  useEffect(() => {
+    sectionsRef.current = sections;
+  }, [sections]);
+
+  useEffect(() => {
+    sectionPickRef.current = sectionPick;
+  }, [sectionPick]);
+
+  useEffect(() => {
+    annotationPlacingRef.current = annotationPlacing;
+  }, [annotationPlacing]);
+
   // auto-ocultar texto de pieza seleccionada
   useEffect(() => {
     if (!selectedPartInfo) return;
@@ -756,52 +1807,191 @@ function App() {
 
     const renderer = new THREE.WebGLRenderer({
       antialias: true,
+      alpha: true, // fondo transparente
+      stencil: true, // tapas de los cortes de sección
     });
+    renderer.localClippingEnabled = true;
+    renderer.shadowMap.enabled = true;
+    renderer.shadowMap.type = THREE.PCFSoftShadowMap;
     renderer.setPixelRatio(window.devicePixelRatio);
     renderer.setSize(width, height);
-    renderer.setClearColor(0x020617, 1);
     container.appendChild(renderer.domElement);
     rendererRef.current = renderer;
 
     const scene = new THREE.Scene();
-    scene.background = new THREE.Color(0x020617);
     sceneRef.current = scene;
 
-    const camera = new THREE.PerspectiveCamera(45, width / height, 0.1, 2000);
+    const cameras = createCameras(width / height);
+    camerasRef.current = cameras;
+    const camera = cameras.perspective;
     camera.position.set(0, 80, 160);
     cameraRef.current = camera;
-
-    // Luces
-    const hemiLight = new THREE.HemisphereLight(0xffffff, 0x111827, 1.3);
-    hemiLight.position.set(0, 1, 0);
-    scene.add(hemiLight);
-
-    const dirLight = new THREE.DirectionalLight(0xffffff, 1.8);
-    dirLight.position.set(80, 120, 90);
-    dirLight.castShadow = false;
-    scene.add(dirLight);
-
-    const fillLight = new THREE.DirectionalLight(0xffffff, 0.6);
-    fillLight.position.set(-60, 40, -80);
-    scene.add(fillLight);
-
-    const ambient = new THREE.AmbientLight(0xffffff, 0.5);
-    scene.add(ambient);
-
-    // Grid
-    const grid = new THREE.GridHelper(400, 40, 0x4b5563, 0x1f2937);
-    scene.add(grid);
+    cameraTransitionRef.current = null;
+    setProjection("perspective");
+
+    // Luces, entorno y fondo: los ajusta el efecto de iluminación
+    lightsRef.current = createSceneLights(scene);
+    const shadowGround = createShadowGround();
+    scene.add(shadowGround);
+    shadowGroundRef.current = shadowGround;
+
+    // Mediciones: su matriz se copia del modelo en cada frame
+    const measureGroup = new THREE.Group();
+    measureGroup.matrixAutoUpdate = false;
+    scene.add(measureGroup);
+    measureGroupRef.current = measureGroup;
+
+    const annotationGroup = new THREE.Group();
+    annotationGroup.matrixAutoUpdate = false;
+    scene.add(annotationGroup);
+    annotationGroupRef.current = annotationGroup;
+
+    const sectionGroup = new THREE.Group();
+    scene.add(sectionGroup);
+    sectionGroupRef.current = sectionGroup;
+
+    const labelRenderer = new CSS2DRenderer();
+    labelRenderer.setSize(width, height);
+    Object.assign(labelRenderer.domElement.style, {
+      position: "absolute",
+      top: "0",
+      left: "0",
+      pointerEvents: "none",
+      zIndex: 3,
+    });
+    container.appendChild(labelRenderer.domElement);
+    labelRendererRef.current = labelRenderer;
 
     const controls = new OrbitControls(camera, renderer.domElement);
     controls.enableDamping = true;
     controls.dampingFactor = 0.08;
     controls.rotateSpeed = 0.7;
     controls.zoomSpeed = 0.8;
+    // si el usuario mueve la cámara, la transición en curso se cancela
+    controls.addEventListener("start", () => {
+      cameraTransitionRef.current = null;
+    });
+    controls.addEventListener("change", () => requestRender());
     controlsRef.current = controls;
 
+    // Gizmo: mientras se arrastra no se orbita; al soltar se guarda la pose
+    const transformControls = new TransformControls(
+      camera,
+      renderer.domElement
+    );
+    let gizmoClicked = false;
+    transformControls.addEventListener("mouseDown", () => {
+      gizmoClicked = true;
+    });
+    transformControls.addEventListener("dragging-changed", (event) => {
+      controls.enabled = !event.value;
+      if (!event.value) gizmoCommitRef.current?.();
+    });
+    transformControls.addEventListener("change", () => requestRender());
+    scene.add(transformControls);
+    transformControlsRef.current = transformControls;
+
+    // Las capas dibujadas como geometría fusionada siguen siendo elegibles
+    raycasterRef.current.layers.enable(HIDDEN_LAYER);
+
+    // Los impactos en la parte recortada por un corte no cuentan
+    const visibleIntersections = (intersections) =>
+      intersections.filter(
+        (inter) =>
+          !isPointClipped(inter.point, sectionGroup.userData.clippingPlanes)
+      );
+
+    const pickModelHit = () =>
+      modelRef.current
+        ? firstVisibleHit(
+            visibleIntersections(
+              raycasterRef.current.intersectObject(modelRef.current, true)
+            )
+          )
+        : null;
+
+    // Con una herramienta de medición activa el clic agrega un punto
+    const handleMeasureClick = (rect) => {
+      const model = modelRef.current;
+      const toolKey = measureToolRef.current;
+      const hit = pickModelHit();
+      if (!hit) return;
+
+      const worldPoint = measureSnapRef.current
+        ? snapToVertex(hit, cameraRef.current, rect)
+        : hit.point.clone();
+      const local = model.worldToLocal(worldPoint);
+      const draft = [
+        ...measureDraftRef.current,
+        { x: local.x, y: local.y, z: local.z },
+      ];
+
+      if (draft.length < MEASURE_TOOLS[toolKey].points) {
+        measureDraftRef.current = draft;
+        setMeasureDraft(draft);
+        return;
+      }
+
+      measureDraftRef.current = [];
+      setMeasureDraft([]);
+      if (computeMeasurement(toolKey, draft).value === null) {
+        alert("Los tres puntos están alineados. Elige puntos sobre el borde.");
+        return;
+      }
+      editWithHistoryRef.current(`Medición: ${MEASURE_TOOLS[toolKey].label}`, {
+        measurements: (prev) => [
+          ...prev,
+          { id: createMeasurementId(), type: toolKey, points: draft },
+        ],
+      });
+    };
+
+    // Corte libre: el plano pasa por la cara tocada
+    const handleSectionPick = () => {
+      const hit = pickModelHit();
+      if (!hit || !hit.face) return;
+
+      editWithHistoryRef.current("Corte libre", {
+        sections: (prev) => [
+          ...prev,
+          createSectionFromHit(modelRef.current, hit),
+        ],
+      });
+      setSectionPick(false);
+    };
+
+    // Nuevo pin: el punto queda en coordenadas locales del modelo
+    const handleAnnotationPick = () => {
+      const hit = pickModelHit();
+      if (!hit) return;
+
+      let obj = hit.object;
+      while (obj && typeof obj.userData?.partId !== "number" && obj.parent) {
+        obj = obj.parent;
+      }
+      const local = modelRef.current.worldToLocal(hit.point.clone());
+      setAnnotationDraft({
+        point: { x: local.x, y: local.y, z: local.z },
+        partId: obj?.userData?.partId ?? null,
+      });
+      setAnnotationPlacing(false);
+    };
+
+    // Un arrastre para orbitar también dispara click: no medir en ese caso
+    const pointerDown = { x: 0, y: 0 };
+    const handlePointerDown = (event) => {
+      pointerDown.x = event.clientX;
+      pointerDown.y = event.clientY;
+    };
+
     // click sobre el canvas para seleccionar pieza
     const handleClickOnCanvas = (event) => {
       if (!cameraRef.current || !sceneRef.current) return;
+      // el clic que termina un arrastre del gizmo no selecciona ni mide
+      if (gizmoClicked) {
+        gizmoClicked = false;
+        return;
+      }
 
       const rect = renderer.domElement.getBoundingClientRect();
       const x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
@@ -810,9 +2000,24 @@ function App() {
       pointerRef.current.set(x, y);
       raycasterRef.current.setFromCamera(pointerRef.current, cameraRef.current);
 
-      const intersects = raycasterRef.current.intersectObjects(
-        sceneRef.current.children,
-        true
+      if (
+        measureToolRef.current ||
+        sectionPickRef.current ||
+        annotationPlacingRef.current
+      ) {
+        const moved = Math.hypot(
+          event.clientX - pointerDown.x,
+          event.clientY - pointerDown.y
+        );
+        if (moved > 5) return;
+        if (sectionPickRef.current) handleSectionPick();
+        else if (annotationPlacingRef.current) handleAnnotationPick();
+        else handleMeasureClick(rect);
+        return;
+      }
+
+      const intersects = visibleIntersections(
+        raycasterRef.current.intersectObjects(sceneRef.current.children, true)
       );
       if (!intersects.length) return;
 
@@ -834,6 +2039,7 @@ function App() {
       if (!part) return;
 
       setEditingPartId(partId);
+      setSelectedModelId(modelIdOfPart(partId));
       setSelectedPartInfo({
         id: partId,
         name: part.name,
@@ -841,14 +2047,66 @@ function App() {
       });
     };
 
+    renderer.domElement.addEventListener("pointerdown", handlePointerDown);
     renderer.domElement.addEventListener("click", handleClickOnCanvas);
 
-    const animate = () => {
-      animationIdRef.current = requestAnimationFrame(animate);
-      controls.update();
-      renderer.render(scene, camera);
+    // Render bajo demanda: un frame cuando algo cambia (cámara, gizmo,
+    // estado de React, tamaño) y otro más mientras algo siga moviéndose
+    // (inercia de la cámara, transición entre vistas, vista explosionada)
+    let frameRequested = false;
+    const requestRender = () => {
+      if (frameRequested) return;
+      frameRequested = true;
+      animationIdRef.current = requestAnimationFrame(renderFrame);
+    };
+    requestRenderRef.current = requestRender;
+
+    const renderFrame = () => {
+      frameRequested = false;
+      let moving = false;
+
+      const activeCamera = cameraRef.current;
+      const transition = cameraTransitionRef.current;
+      if (transition) {
+        moving = true;
+        if (
+          stepCameraTransition(
+            transition,
+            activeCamera,
+            controls,
+            performance.now()
+          )
+        ) {
+          cameraTransitionRef.current = null;
+        }
+      }
+      // con inercia, update() devuelve true mientras la cámara se mueve
+      if (controls.update()) moving = true;
+
+      const model = modelRef.current;
+      if (stepExplode(model, explodeRef.current)) moving = true;
+
+      measureGroup.visible = Boolean(model && model.visible);
+      if (model) {
+        model.updateWorldMatrix(true, false);
+        measureGroup.matrix.copy(model.matrixWorld);
+        measureGroup.matrixWorldNeedsUpdate = true;
+        annotationGroup.matrix.copy(model.matrixWorld);
+        annotationGroup.matrixWorldNeedsUpdate = true;
+      }
+      annotationGroup.visible = measureGroup.visible;
+      syncSectionView(sectionGroup, model, sectionsRef.current);
+
+      renderer.render(scene, activeCamera);
+      labelRenderer.domElement.style.display = measureGroup.visible
+        ? ""
+        : "none";
+      labelRenderer.render(scene, activeCamera);
+      frameCountRef.current += 1;
+
+      if (moving) requestRender();
     };
-    animate();
+    requestRender();
 
     const onResize = () => {
       if (!containerRef.current || !rendererRef.current || !cameraRef.current)
@@ -858,18 +2116,33 @@ function App() {
         containerRef.current.clientHeight ||
         (isMobile ? window.innerHeight * 0.5 : window.innerHeight);
       rendererRef.current.setSize(w, h);
-      cameraRef.current.aspect = w / h;
-      cameraRef.current.updateProjectionMatrix();
+      labelRendererRef.current?.setSize(w, h);
+      setCameraAspect(cameraRef.current, w / h);
+      requestRender();
     };
 
     window.addEventListener("resize", onResize);
 
     return () => {
       cancelAnimationFrame(animationIdRef.current);
+      requestRenderRef.current = null;
       window.removeEventListener("resize", onResize);
 
+      renderer.domElement.removeEventListener("pointerdown", handlePointerDown);
       renderer.domElement.removeEventListener("click", handleClickOnCanvas);
 
+      transformControls.detach();
+      transformControls.dispose();
+      scene.remove(transformControls);
+      transformControlsRef.current = null;
+
+      [...measureGroup.children].forEach(disposeMeasurementObject);
+      [...annotationGroup.children].forEach((pin) => pin.removeFromParent());
+      disposeSectionView(sectionGroup);
+      if (labelRenderer.domElement.parentNode === container) {
+        container.removeChild(labelRenderer.domElement);
+      }
+
       if (rendererRef.current) {
         rendererRef.current.dispose();
       }
@@ -898,92 +2171,349 @@ function App() {
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [isMobile]);
 
+  // Cualquier cambio de estado puede tocar la escena: un frame por render
+  useEffect(() => {
+    requestRenderRef.current?.();
+  });
+
   /* =========================
-     Helper: aplicar color + material a una pieza
+     Mediciones en el visor
   ========================== */
-  const updatePartMeshAppearance = (partId, colorHex, presetKey) => {
-    if (!modelRef.current) return;
-    const presetName = presetKey || "plastic";
-    const preset = MATERIAL_PRESETS[presetName] || MATERIAL_PRESETS.plastic;
-    const color = colorHex || "#ffffff";
+  useEffect(() => {
+    const group = measureGroupRef.current;
+    if (!group) return;
+
+    const units = { scale: unitScale(sourceUnit), unit: displayUnit };
+    [...group.children].forEach(disposeMeasurementObject);
+    measurements.forEach((m) => group.add(buildMeasurementObject(m, units)));
+    if (measureTool && measureDraft.length) {
+      group.add(
+        buildMeasurementObject(
+          { type: measureTool, points: measureDraft },
+          { ...units, draft: true }
+        )
+      );
+    }
+  }, [
+    measurements,
+    measureDraft,
+    measureTool,
+    sourceUnit,
+    displayUnit,
+    isMobile,
+  ]);
 
-    modelRef.current.traverse((child) => {
-      if (child.isMesh && child.userData.partId === partId) {
-        if (!child.material || !child.material.isMeshPhongMaterial) {
-          child.material = createMaterialForPart(color, presetName);
-        } else {
-          child.material.color = new THREE.Color(color);
-          child.material.shininess = preset.shininess;
-          child.material.specular = new THREE.Color(preset.specular);
-          child.material.opacity = preset.opacity;
-          child.material.transparent = preset.transparent;
-          child.material.side = THREE.DoubleSide;
-          child.material.needsUpdate = true;
-        }
-        child.userData.baseColor = color;
-        child.userData.materialPreset = presetName;
-      }
-    });
-  };
+  /* =========================
+     Grid y reglas
+  ========================== */
+  useEffect(() => {
+    const scene = sceneRef.current;
+    if (!scene || !lighting.grid) return;
+
+    const grid = createUnitGrid(gridExtent, displayUnit);
+    scene.add(grid);
+    return () => disposeUnitGrid(grid);
+  }, [gridExtent, displayUnit, lighting.grid, isMobile]);
 
   /* =========================
-     Cargar proyectos desde el servidor
+     Iluminación: entorno y fondo
   ========================== */
-  const loadProjectsFromServer = async () => {
-    try {
-      const resp = await fetch(API_PROJECTS_URL);
-      const text = await resp.text();
-      let data;
-      try {
-        data = JSON.parse(text);
-      } catch (e) {
-        console.error("Respuesta no JSON en GET /api/projects:", text);
-        return;
-      }
+  // Reflejos de los materiales PBR (metales, barniz, vidrio)
+  useEffect(() => {
+    const scene = sceneRef.current;
+    const renderer = rendererRef.current;
+    if (!scene || !renderer) return;
 
-      if (!resp.ok || !data.ok) {
-        console.error("Error obteniendo proyectos", data);
-        return;
-      }
-      setProjects(data.projects || []);
-    } catch (err) {
-      console.error("Error llamando GET /api/projects", err);
+    const envMap = createEnvironmentMap(renderer, lighting.preset);
+    scene.environment = envMap;
+    return () => {
+      if (scene.environment === envMap) scene.environment = null;
+      envMap.dispose();
+    };
+  }, [lighting.preset, isMobile]);
+
+  useEffect(() => {
+    const scene = sceneRef.current;
+    const renderer = rendererRef.current;
+    if (!scene || !renderer) return;
+
+    const texture = applyBackground(scene, renderer, lighting.background);
+    return () => texture?.dispose();
+  }, [lighting.background, isMobile]);
+
+  // Pines en el visor
+  useEffect(() => {
+    const group = annotationGroupRef.current;
+    if (!group) return;
+
+    [...group.children].forEach((pin) => pin.removeFromParent());
+    annotations.forEach((a) =>
+      group.add(
+        buildAnnotationPin(a, {
+          selected: a.id === selectedAnnotationId,
+          onSelect: setSelectedAnnotationId,
+        })
+      )
+    );
+    if (annotationDraft) {
+      group.add(buildAnnotationPin(annotationDraft, { draft: true }));
     }
+  }, [annotations, selectedAnnotationId, annotationDraft, isMobile]);
+
+  const handleToggleAnnotationPlacing = () => {
+    setMeasureTool(null);
+    setSectionPick(false);
+    setAnnotationDraft(null);
+    setAnnotationPlacing(!annotationPlacing);
   };
 
+  // Cursor de precisión + Esc para salir de la herramienta
+  const isPickingOnModel =
+    Boolean(measureTool) || sectionPick || annotationPlacing;
   useEffect(() => {
-    loadProjectsFromServer();
-  }, []);
+    const canvas = rendererRef.current?.domElement;
+    if (!canvas || !isPickingOnModel) return;
+
+    canvas.style.cursor = "crosshair";
+    const onKeyDown = (e) => {
+      if (e.key !== "Escape") return;
+      setMeasureTool(null);
+      setSectionPick(false);
+      setAnnotationPlacing(false);
+    };
+    window.addEventListener("keydown", onKeyDown);
+    return () => {
+      canvas.style.cursor = "";
+      window.removeEventListener("keydown", onKeyDown);
+    };
+  }, [isPickingOnModel]);
 
   /* =========================
-     Utilidades de modelo
+     Cortes de sección
   ========================== */
-  const clearCurrentModel = () => {
-    if (!sceneRef.current || !modelRef.current) return;
-
-    sceneRef.current.remove(modelRef.current);
-
-    modelRef.current.traverse((obj) => {
-      if (obj.isMesh) {
-        obj.geometry?.dispose();
-        if (Array.isArray(obj.material)) {
-          obj.material.forEach((m) => m.dispose());
-        } else {
-          obj.material?.dispose();
-        }
-      }
+  const handleAddAxisSection = (axis) => {
+    if (!modelRef.current || sections.length >= MAX_SECTIONS) return;
+    editWithHistory(`Corte en ${axis.toUpperCase()}`, {
+      sections: (prev) => [...prev, createAxisSection(modelRef.current, axis)],
     });
-
-    modelRef.current = null;
-    setParts([]);
-    setEditingPartId(null);
   };
 
-  const centerObjectAtOrigin = (object) => {
-    const box = new THREE.Box3().setFromObject(object);
-    const center = new THREE.Vector3();
-    box.getCenter(center);
-    object.position.sub(center);
+  const handleToggleSectionPick = () => {
+    if (!sectionPick && sections.length >= MAX_SECTIONS) return;
+    setMeasureTool(null);
+    setAnnotationPlacing(false);
+    setSectionPick(!sectionPick);
+  };
+
+  const handleUpdateSection = (id, changes) => {
+    editWithHistory(
+      "Corte editado",
+      {
+        sections: (prev) =>
+          prev.map((s) => (s.id === id ? { ...s, ...changes } : s)),
+      },
+      `section:${id}:${Object.keys(changes).join(",")}`
+    );
+  };
+
+  const handleDeleteSection = (id) => {
+    editWithHistory("Corte eliminado", {
+      sections: (prev) => prev.filter((s) => s.id !== id),
+    });
+  };
+
+  const handleSaveSections = async () => {
+    if (!currentProjectId) {
+      alert(
+        "Primero guarda este modelo como proyecto para guardar los cortes."
+      );
+      return;
+    }
+    try {
+      const resp = await authFetch(
+        `${API_PROJECTS_URL}/${currentProjectId}/sections`,
+        {
+          method: "PUT",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ sections }),
+        }
+      );
+      const text = await resp.text();
+      let data;
+      try {
+        data = JSON.parse(text);
+      } catch (e) {
+        console.error(
+          "Respuesta no JSON en PUT /api/projects/:id/sections:",
+          text
+        );
+        throw new Error("La ruta /sections no devolvió JSON.");
+      }
+
+      if (!resp.ok || !data.ok) {
+        throw new Error(data.error || "No se pudieron guardar los cortes.");
+      }
+      await loadProjectsFromServer();
+      alert("Cortes guardados.");
+    } catch (err) {
+      console.error(err);
+      alert(err.message || "Error al guardar los cortes.");
+    }
+  };
+
+  const handleDeleteMeasurement = (id) => {
+    editWithHistory("Medición eliminada", {
+      measurements: (prev) => prev.filter((m) => m.id !== id),
+    });
+  };
+
+  const handleSaveMeasurements = async () => {
+    if (!currentProjectId) {
+      alert(
+        "Primero guarda este modelo como proyecto para guardar mediciones."
+      );
+      return;
+    }
+    try {
+      const resp = await authFetch(
+        `${API_PROJECTS_URL}/${currentProjectId}/measurements`,
+        {
+          method: "PUT",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ measurements }),
+        }
+      );
+      const text = await resp.text();
+      let data;
+      try {
+        data = JSON.parse(text);
+      } catch (e) {
+        console.error(
+          "Respuesta no JSON en PUT /api/projects/:id/measurements:",
+          text
+        );
+        throw new Error("La ruta /measurements no devolvió JSON.");
+      }
+
+      if (!resp.ok || !data.ok) {
+        throw new Error(data.error || "No se pudieron guardar las mediciones.");
+      }
+      await loadProjectsFromServer();
+      alert("Mediciones guardadas.");
+    } catch (err) {
+      console.error(err);
+      alert(err.message || "Error al guardar las mediciones.");
+    }
+  };
+
+  /* =========================
+     Helper: aplicar color + material a una pieza
+  ========================== */
+  const updatePartMeshAppearance = (
+    partId,
+    colorHex,
+    presetKey,
+    appearance
+  ) => {
+    if (!modelRef.current) return;
+    modelRef.current.traverse((child) => {
+      if (child.isMesh && child.userData.partId === partId) {
+        applyMeshAppearance(
+          child,
+          colorHex,
+          presetKey,
+          appearance,
+          customMaterialsRef.current,
+          materialCacheRef.current
+        );
+      }
+    });
+  };
+
+  /* =========================
+     Cargar proyectos desde el servidor
+  ========================== */
+  const loadProjectsFromServer = async () => {
+    try {
+      const resp = await authFetch(API_PROJECTS_URL);
+      const text = await resp.text();
+      let data;
+      try {
+        data = JSON.parse(text);
+      } catch (e) {
+        console.error("Respuesta no JSON en GET /api/projects:", text);
+        return;
+      }
+
+      if (!resp.ok || !data.ok) {
+        console.error("Error obteniendo proyectos", data);
+        return;
+      }
+      setProjects(data.projects || []);
+    } catch (err) {
+      console.error("Error llamando GET /api/projects", err);
+    }
+  };
+
+  useEffect(() => {
+    loadProjectsFromServer();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [session?.token]);
+
+  /* =========================
+     Utilidades de modelo
+  ========================== */
+  const disposeModelObject = (object) => {
+    object.traverse((obj) => {
+      if (obj.isMesh) {
+        obj.geometry?.dispose();
+        // el material del archivo; los compartidos se liberan aparte
+        [obj.material, obj.userData.originalMaterial]
+          .flat()
+          .forEach((m) => {
+            if (m && !m.userData.shared) m.dispose();
+          });
+      }
+    });
+  };
+
+  const clearCurrentModel = () => {
+    if (!sceneRef.current || !modelRef.current) return;
+
+    transformControlsRef.current?.detach();
+    sceneRef.current.remove(modelRef.current);
+    disposeModelObject(modelRef.current);
+    releaseUnusedMaterials(materialCacheRef.current, null);
+
+    modelRef.current = null;
+    setAssemblyModels([]);
+    setSelectedModelId(null);
+    setGizmoTarget(null);
+    setGridExtent(DEFAULT_GRID_EXTENT);
+    setParts([]);
+    setEditingPartId(null);
+    setMeasurements([]);
+    setMeasureTool(null);
+    setSections([]);
+    setSectionPick(false);
+    setExplodeFactor(0);
+    explodeRef.current.current = 0;
+    setAnnotations([]);
+    setSelectedAnnotationId(null);
+    setAnnotationPlacing(false);
+    setAnnotationDraft(null);
+    setCustomMaterials([]);
+    customMaterialsRef.current = [];
+    setEditingMaterialId(null);
+    setCameraViews([]);
+    setHistory(EMPTY_HISTORY);
+  };
+
+  const centerObjectAtOrigin = (object) => {
+    const box = new THREE.Box3().setFromObject(object);
+    const center = new THREE.Vector3();
+    box.getCenter(center);
+    object.position.sub(center);
   };
 
   const snapModelToGround = (object) => {
@@ -994,36 +2524,43 @@ function App() {
     object.position.y -= minY;
   };
 
-  // Crear capas desde el modelo cargado
-  const updatePartsFromRoot = (root) => {
+  // Crear capas desde un archivo del ensamblaje (se suman a las que hay)
+  const updatePartsFromRoot = (root, modelId) => {
     const newParts = [];
     let index = 0;
 
     root.traverse((child) => {
       if (child.isMesh) {
-        const partId = index;
+        const partId = partIdFor(modelId, index);
         child.userData.partId = partId;
 
-        // Color inicial: base del modelo o paleta automática
-        const partColor = modelBaseColor || getPartColor(index);
-        const presetName = "plastic";
-
-        child.userData.baseColor = partColor;
-        child.userData.materialPreset = presetName;
-
-        // Asegurar material Phong coherente
-        if (!child.material || !child.material.isMeshPhongMaterial) {
-          child.material = createMaterialForPart(partColor, presetName);
-        } else {
-          child.material.color = new THREE.Color(partColor);
-          const preset = MATERIAL_PRESETS[presetName];
-          child.material.shininess = preset.shininess;
-          child.material.specular = new THREE.Color(preset.specular);
-          child.material.transparent = preset.transparent;
-          child.material.opacity = preset.opacity;
-          child.material.side = THREE.DoubleSide;
-          child.material.needsUpdate = true;
+        // El material del archivo se guarda como apariencia "original";
+        // el de relleno del loader se descarta
+        const original = hasFileMaterial(child) ? child.material : null;
+        if (!original) {
+          [].concat(child.material).forEach((m) => m?.dispose());
         }
+        child.userData.originalMaterial = original;
+
+        // Color inicial: el del archivo, la base del modelo o la paleta
+        const partColor =
+          (original && fileMaterialColor(original)) ||
+          modelBaseColor ||
+          getPartColor(index);
+        const presetName = "plastic";
+        const appearance =
+          original && keepFileMaterials ? "original" : "preset";
+
+        rememberOriginalTransform(child);
+        child.castShadow = true;
+        applyMeshAppearance(
+          child,
+          partColor,
+          presetName,
+          appearance,
+          customMaterialsRef.current,
+          materialCacheRef.current
+        );
 
         newParts.push({
           id: partId,
@@ -1031,14 +2568,18 @@ function App() {
           visible: child.visible !== false,
           color: partColor,
           materialPreset: presetName,
+          appearance,
+          hasFileMaterial: Boolean(original),
           notes: "",
+          explodeOffset: { x: 0, y: 0, z: 0 },
+          transform: null, // pose del archivo
         });
 
         index++;
       }
     });
 
-    setParts(newParts);
+    setParts((prev) => [...prev, ...newParts]);
   };
 
   // Aplicar meta guardada (nombre, notas, color, material) a UI + modelo
@@ -1063,13 +2604,17 @@ function App() {
           notes: m.notes !== undefined ? m.notes : p.notes || "",
           color: m.color || p.color || "#22c55e",
           materialPreset: m.materialPreset || p.materialPreset || "plastic",
+          appearance: m.appearance || p.appearance,
+          explodeOffset: m.explodeOffset || p.explodeOffset,
+          transform: m.transform || p.transform || null,
         };
 
         // Muy importante: actualizar la apariencia en el modelo 3D
         updatePartMeshAppearance(
           newPart.id,
           newPart.color,
-          newPart.materialPreset
+          newPart.materialPreset,
+          newPart.appearance
         );
 
         return newPart;
@@ -1079,60 +2624,159 @@ function App() {
 
   const fitCameraToObject = (object) => {
     if (!cameraRef.current || !controlsRef.current) return;
+    cameraTransitionRef.current = null;
+    applyCameraPose(
+      cameraRef.current,
+      controlsRef.current,
+      framingPose(
+        object,
+        DEFAULT_VIEW_DIRECTION,
+        projectionOf(cameraRef.current)
+      )
+    );
+  };
 
-    const camera = cameraRef.current;
-    const controls = controlsRef.current;
-
-    const box = new THREE.Box3().setFromObject(object);
-    const size = new THREE.Vector3();
-    const center = new THREE.Vector3();
-    box.getSize(size);
-    box.getCenter(center);
+  // La escena está en mm: el modelo se escala según la unidad del archivo
+  const applySourceUnit = (object) => {
+    object.scale.setScalar(unitScale(sourceUnitRef.current));
+  };
 
+  // Grid de unas tres veces el tamaño del modelo
+  const updateGridExtent = (object) => {
+    const size = new THREE.Box3()
+      .setFromObject(object)
+      .getSize(new THREE.Vector3());
     const maxDim = Math.max(size.x, size.y, size.z);
-    const fov = (camera.fov * Math.PI) / 180;
-    let distance = maxDim / (2 * Math.tan(fov / 2));
-    distance *= 1.6;
-
-    const direction = new THREE.Vector3(0, 0.4, 1).normalize();
-    const newPos = center.clone().add(direction.multiplyScalar(distance));
-
-    camera.position.copy(newPos);
-    camera.near = distance / 100;
-    camera.far = distance * 100;
-    camera.updateProjectionMatrix();
-
-    controls.target.copy(center);
-    controls.update();
+    setGridExtent(maxDim > 0 ? maxDim * 3 : DEFAULT_GRID_EXTENT);
   };
 
-  const addRootToScene = (root) => {
+  // Primer archivo: reemplaza lo que haya en la escena
+  const addRootToScene = (node, model) => {
     clearCurrentModel();
 
-    centerObjectAtOrigin(root);
-    snapModelToGround(root);
+    const assembly = createAssembly();
+    assembly.add(node);
+    if (model.transform) applyPartTransform(node, model.transform);
+    applySourceUnit(assembly);
+    centerObjectAtOrigin(assembly);
+    snapModelToGround(assembly);
 
-    sceneRef.current.add(root);
-    modelRef.current = root;
+    sceneRef.current.add(assembly);
+    modelRef.current = assembly;
 
     setHasModel(true);
     setVisible(true);
     setPosition({ x: 0, y: 0, z: 0 });
     setRotation({ x: 0, y: 0, z: 0 });
+    setAssemblyModels([model]);
+
+    updatePartsFromRoot(node, model.id);
+    prepareExplode(assembly);
+    fitCameraToObject(assembly);
+    updateGridExtent(assembly);
+  };
+
+  // Siguientes archivos: un nodo más del ensamblaje con su pose guardada o,
+  // si no tiene, a la derecha de lo que ya hay
+  const addModelToAssembly = (node, model) => {
+    const assembly = modelRef.current;
+    let entry = model;
+    if (node.parent !== assembly && !model.transform) {
+      placeBesideAssembly(assembly, node);
+      entry = { ...model, transform: readPartTransform(node, null) };
+    } else {
+      assembly.add(node);
+      applyPartTransform(node, model.transform);
+    }
 
-    updatePartsFromRoot(root);
-    fitCameraToObject(root);
+    setAssemblyModels((prev) => [...prev, entry]);
+    updatePartsFromRoot(node, entry.id);
+    fitCameraToObject(assembly);
+    updateGridExtent(assembly);
+    // las entradas del historial no conocen las capas nuevas
+    setHistory(EMPTY_HISTORY);
   };
 
   /* =========================
      Cargar archivos 3D directos
   ========================== */
-  const handleFileChange = (event) => {
-    const file = event.target.files?.[0];
-    if (!file) return;
 
+  // Una carga a la vez (archivos o proyecto). Cancelar aborta la sesión:
+  // la escena actual solo se reemplaza con todo ya leído
+  const startLoadSession = () => {
+    loadAbortRef.current?.abort();
+    const controller = new AbortController();
+    loadAbortRef.current = controller;
+    return controller.signal;
+  };
+
+  const endLoadSession = (signal) => {
+    if (loadAbortRef.current?.signal !== signal) return;
+    loadAbortRef.current = null;
+    setLoadProgress(null);
+  };
+
+  const handleCancelLoad = () => {
+    loadAbortRef.current?.abort();
+  };
+
+  // Carga un archivo y devuelve su objeto raíz (sin agregarlo a la escena);
+  // resources: archivos que acompañan a un .gltf/.obj (.bin, .mtl,
+  // texturas); name: nombre original, para hallar la .mtl de un .obj;
+  // signal y label: sesión de carga y texto de la barra de progreso
+  const loadModelObject = async (
+    url,
+    ext,
+    resources,
+    name,
+    { signal, label = name } = {}
+  ) => {
+    if (!MODEL_LOADERS[ext]) {
+      throw new Error(
+        "Formato no soportado. Usa STL, OBJ, glTF/GLB, PLY o 3MF."
+      );
+    }
+
+    const [Loader, formatLabel, toRoot] = MODEL_LOADERS[ext];
+    const { manager, revoke } = createResourceManager(resources);
+    try {
+      const result = await loadModelFile(url, ext, {
+        Loader,
+        manager,
+        requestHeader: authHeaders(),
+        name,
+        resources,
+        signal,
+        onProgress: (phase, loaded, total) => {
+          if (!signal?.aborted) {
+            setLoadProgress({ label, phase, loaded, total });
+          }
+        },
+      });
+      return toRoot(result);
+    } catch (err) {
+      if (isCancelError(err)) throw err;
+      console.error(err);
+      throw new Error(`Error al cargar ${formatLabel}`);
+    } finally {
+      revoke();
+    }
+  };
+
+  // Abre un archivo local como escena nueva (sin proyecto)
+  const openModelFile = async (file, resources, loadOptions) => {
     const name = file.name;
-    const ext = name.split(".").pop().toLowerCase();
+    const ext = fileExtension(name);
+
+    // si falla o se cancela, el modelo actual sigue en pantalla
+    const url = URL.createObjectURL(file);
+    let root;
+    try {
+      root = await loadModelObject(url, ext, resources, name, loadOptions);
+    } catch (err) {
+      URL.revokeObjectURL(url);
+      throw err;
+    }
 
     setModelName(name);
     modelTypeRef.current = ext;
@@ -1144,308 +2788,294 @@ function App() {
     if (objectUrlRef.current) {
       URL.revokeObjectURL(objectUrlRef.current);
     }
-    const url = URL.createObjectURL(file);
     objectUrlRef.current = url;
 
-    switch (ext) {
-      case "stl":
-        loadSTL(url);
-        break;
-      case "obj":
-        loadOBJ(url);
-        break;
-      case "gltf":
-      case "glb":
-        loadGLTF(url);
-        break;
-      case "ply":
-        loadPLY(url);
-        break;
-      case "3mf":
-        load3MF(url);
-        break;
-      default:
-        alert("Formato no soportado. Usa STL, OBJ, glTF/GLB, PLY o 3MF.");
-        break;
-    }
-  };
-
-  const loadSTL = (url, onLoaded) => {
-    const loader = new STLLoader();
-    loader.load(
-      url,
-      (geometry) => {
-        geometry.computeVertexNormals();
-        geometry.computeBoundingBox();
-        const mesh = new THREE.Mesh(geometry, createMaterialForPart("#ffffff"));
-        const root = mesh;
-        addRootToScene(root);
-        if (typeof onLoaded === "function") onLoaded(root);
-      },
-      undefined,
-      (err) => {
-        console.error(err);
-        alert("Error al cargar STL");
-      }
-    );
+    addRootToScene(createAssemblyNode(root, 0, name), {
+      id: 0,
+      name,
+      file: null,
+      transform: null,
+    });
   };
 
-  const loadOBJ = (url, onLoaded) => {
-    const loader = new OBJLoader();
-    loader.load(
-      url,
-      (obj) => {
-        addRootToScene(obj);
-        if (typeof onLoaded === "function") onLoaded(obj);
-      },
-      undefined,
-      (err) => {
-        console.error(err);
-        alert("Error al cargar OBJ");
-      }
-    );
+  // Selector de archivos o de carpeta: el primer modelo abre la escena y
+  // los demás se suman al ensamblaje
+  const handleFileChange = (event) => {
+    const files = Array.from(event.target.files || []);
+    event.target.value = "";
+    if (!files.length) return;
+    importFiles(files, "open");
   };
 
-  const loadGLTF = (url, onLoaded) => {
-    const loader = new GLTFLoader();
-    loader.load(
-      url,
-      (gltf) => {
-        const root = gltf.scene || gltf.scenes[0];
-        addRootToScene(root);
-        if (typeof onLoaded === "function") onLoaded(root);
-      },
-      undefined,
-      (err) => {
-        console.error(err);
-        alert("Error al cargar glTF");
+  // Suma un archivo al ensamblaje; con un proyecto abierto (propietario) se
+  // sube al servidor con la pose en la que quedó
+  const addModelFile = async (file, resources, loadOptions) => {
+    if (modelRef.current.children.length >= MAX_ASSEMBLY_MODELS) {
+      throw new Error(
+        `El ensamblaje admite hasta ${MAX_ASSEMBLY_MODELS} archivos.`
+      );
+    }
+
+    const url = URL.createObjectURL(file);
+    let node = null;
+    try {
+      const root = await loadModelObject(
+        url,
+        fileExtension(file.name),
+        resources,
+        file.name,
+        loadOptions
+      );
+      node = createAssemblyNode(root, nextModelId(modelRef.current), file.name);
+      placeBesideAssembly(modelRef.current, node);
+      let model = {
+        id: node.userData.assemblyModelId,
+        name: file.name,
+        file: null,
+        transform: readPartTransform(node, null),
+      };
+
+      if (currentProjectId && canOwnCurrent) {
+        const formData = new FormData();
+        formData.append("model", file);
+        resources?.forEach((resource) =>
+          formData.append("resources", resource)
+        );
+        formData.append("name", model.name);
+        formData.append("transform", JSON.stringify(model.transform));
+
+        const resp = await authFetch(
+          `${API_PROJECTS_URL}/${currentProjectId}/models`,
+          { method: "POST", body: formData }
+        );
+        const text = await resp.text();
+        let data;
+        try {
+          data = JSON.parse(text);
+        } catch (e) {
+          console.error("Respuesta no JSON en POST /models:", text);
+          throw new Error("El backend no devolvió JSON al agregar el archivo.");
+        }
+
+        if (!resp.ok || !data.ok) {
+          throw new Error(data.error || "No se pudo agregar el archivo.");
+        }
+        model = data.model;
+        node.userData.assemblyModelId = model.id;
+        await loadProjectsFromServer();
       }
-    );
-  };
 
-  const loadPLY = (url, onLoaded) => {
-    const loader = new PLYLoader();
-    loader.load(
-      url,
-      (geometry) => {
-        geometry.computeVertexNormals();
-        geometry.computeBoundingBox();
-        const mesh = new THREE.Mesh(geometry, createMaterialForPart("#ffffff"));
-        const root = mesh;
-        addRootToScene(root);
-        if (typeof onLoaded === "function") onLoaded(root);
-      },
-      undefined,
-      (err) => {
-        console.error(err);
-        alert("Error al cargar PLY");
+      addModelToAssembly(node, model);
+      setSelectedModelId(model.id);
+    } catch (err) {
+      if (node) {
+        node.removeFromParent();
+        disposeModelObject(node);
       }
-    );
+      throw err;
+    } finally {
+      URL.revokeObjectURL(url);
+    }
   };
 
-  const load3MF = (url, onLoaded) => {
-    const loader = new ThreeMFLoader();
-    loader.load(
-      url,
-      (object) => {
-        addRootToScene(object);
-        if (typeof onLoaded === "function") onLoaded(object);
-      },
-      undefined,
-      (err) => {
-        console.error(err);
-        alert("Error al cargar 3MF");
-      }
-    );
+  const handleAddModelFile = (event) => {
+    const files = Array.from(event.target.files || []);
+    event.target.value = "";
+    if (!files.length || !modelRef.current) return;
+    importFiles(files, "add");
   };
 
-  /* =========================
-     Sincronizar UI ↔ Modelo
-  ========================== */
-  useEffect(() => {
-    if (!modelRef.current) return;
-    modelRef.current.visible = visible;
-  }, [visible]);
+  // Archivos elegidos, soltados o pegados en el visor. "open" abre el
+  // primero como escena nueva y suma el resto; "add" los suma todos al
+  // ensamblaje. Los errores se muestran en el visor, uno por archivo.
+  const importFiles = async (fileList, mode) => {
+    const { models, errors } = await prepareImport(fileList, MODEL_EXTENSIONS);
+    const messages = [...errors];
+    let open = mode === "open" || !modelRef.current;
 
-  useEffect(() => {
-    if (!modelRef.current) return;
-    modelRef.current.position.set(position.x, position.y, position.z);
-    if (modelTypeRef.current === "stl") {
-      snapModelToGround(modelRef.current);
+    setImportMessages([]);
+    const signal = startLoadSession();
+    try {
+      for (const [index, { file, resources }] of models.entries()) {
+        const loadOptions = {
+          signal,
+          label:
+            models.length > 1
+              ? `${file.name} (${index + 1}/${models.length})`
+              : file.name,
+        };
+        try {
+          if (open) {
+            await openModelFile(file, resources, loadOptions);
+            open = false;
+          } else {
+            await addModelFile(file, resources, loadOptions);
+          }
+        } catch (err) {
+          // cancelar detiene también los archivos que faltan
+          if (isCancelError(err)) break;
+          console.error(err);
+          messages.push(`${file.name}: ${err.message}`);
+        }
+      }
+    } finally {
+      endLoadSession(signal);
     }
-  }, [position]);
+    setImportMessages(messages);
+  };
 
-  useEffect(() => {
-    if (!modelRef.current) return;
-    modelRef.current.rotation.set(
-      THREE.MathUtils.degToRad(rotation.x),
-      THREE.MathUtils.degToRad(rotation.y),
-      THREE.MathUtils.degToRad(rotation.z)
-    );
-    if (modelTypeRef.current === "stl") {
-      snapModelToGround(modelRef.current);
-    }
-  }, [rotation]);
+  const dropModeAt = (event) => {
+    if (!modelRef.current) return "open";
+    const rect = event.currentTarget.getBoundingClientRect();
+    return event.clientX - rect.left < rect.width / 2 ? "open" : "add";
+  };
 
-  /* =========================
-     Helpers de capas
-  ========================== */
+  const isFileDrag = (event) =>
+    Array.from(event.dataTransfer?.types || []).includes("Files");
 
-  const setAllPartsVisible = (value) => {
-    setParts((prev) => prev.map((p) => ({ ...p, visible: value })));
-    if (!modelRef.current) return;
-    modelRef.current.traverse((child) => {
-      if (child.isMesh && typeof child.userData.partId === "number") {
-        child.visible = value;
-      }
-    });
+  const handleViewerDragOver = (event) => {
+    if (isSharedView || !isFileDrag(event)) return;
+    event.preventDefault();
+    event.dataTransfer.dropEffect = "copy";
+    setDropMode(dropModeAt(event));
   };
 
-  const handlePositionChange = (axis, value) => {
-    setPosition((prev) => ({
-      ...prev,
-      [axis]: Number(value),
-    }));
+  const handleViewerDragLeave = (event) => {
+    // dragleave también salta al pasar sobre los hijos del visor
+    if (event.currentTarget.contains(event.relatedTarget)) return;
+    setDropMode(null);
   };
 
-  const handleRotationChange = (axis, value) => {
-    setRotation((prev) => ({
-      ...prev,
-      [axis]: Number(value),
-    }));
+  const handleViewerDrop = (event) => {
+    if (isSharedView || !isFileDrag(event)) return;
+    event.preventDefault();
+    const mode = dropModeAt(event);
+    setDropMode(null);
+    filesFromDataTransfer(event.dataTransfer)
+      .then((files) => importFiles(files, mode))
+      .catch((err) => {
+        console.error(err);
+        setImportMessages(["No se pudo leer la carpeta soltada."]);
+      });
   };
 
-  const handleResetTransform = () => {
-    if (!modelRef.current) return;
-    modelRef.current.position.set(0, 0, 0);
-    modelRef.current.rotation.set(0, 0, 0);
-    setPosition({ x: 0, y: 0, z: 0 });
-    setRotation({ x: 0, y: 0, z: 0 });
-    fitCameraToObject(modelRef.current);
-  };
+  // Pegar archivos (Ctrl+V) fuera de los campos de texto: se suman al
+  // ensamblaje, o abren escena si está vacía
+  importFilesRef.current = importFiles;
+  useEffect(() => {
+    if (isSharedView) return;
+    const onPaste = (e) => {
+      if (isTextEditingTarget(e.target)) return;
+      const files = e.clipboardData?.files;
+      if (!files?.length) return;
+      e.preventDefault();
+      importFilesRef.current(files, "add");
+    };
+    window.addEventListener("paste", onPaste);
+    return () => window.removeEventListener("paste", onPaste);
+  }, [isSharedView]);
 
-  const handleTogglePartVisible = (id, checked) => {
-    setParts((prev) =>
-      prev.map((p) => (p.id === id ? { ...p, visible: checked } : p))
-    );
-    if (!modelRef.current) return;
-    modelRef.current.traverse((child) => {
-      if (child.isMesh && child.userData.partId === id) {
-        child.visible = checked;
-      }
-    });
-  };
+  const handleRemoveAssemblyModel = async (modelId) => {
+    const model = assemblyModels.find((m) => m.id === modelId);
+    if (!model || assemblyModels.length < 2) return;
+    if (!window.confirm(`¿Quitar "${model.name}" del ensamblaje?`)) return;
 
-  const handleChangePartName = (id, newName) => {
-    setParts((prev) =>
-      prev.map((p) => (p.id === id ? { ...p, name: newName } : p))
-    );
-  };
+    try {
+      if (model.file && currentProjectId) {
+        const resp = await authFetch(
+          `${API_PROJECTS_URL}/${currentProjectId}/models/${modelId}`,
+          { method: "DELETE" }
+        );
+        const text = await resp.text();
+        let data;
+        try {
+          data = JSON.parse(text);
+        } catch (e) {
+          console.error("Respuesta no JSON en DELETE /models:", text);
+          throw new Error("El backend no devolvió JSON al quitar el archivo.");
+        }
 
-  const handleChangePartNotes = (id, newNotes) => {
-    setParts((prev) =>
-      prev.map((p) => (p.id === id ? { ...p, notes: newNotes } : p))
-    );
-  };
+        if (!resp.ok || !data.ok) {
+          throw new Error(data.error || "No se pudo quitar el archivo.");
+        }
+        await loadProjectsFromServer();
+      }
+    } catch (err) {
+      console.error(err);
+      alert(err.message || "Error al quitar el archivo del ensamblaje.");
+      return;
+    }
 
-  const handleChangePartColor = (id, newColor) => {
-    setParts((prev) =>
-      prev.map((p) => (p.id === id ? { ...p, color: newColor } : p))
-    );
-    const preset =
-      partsRef.current.find((p) => p.id === id)?.materialPreset || "plastic";
-    updatePartMeshAppearance(id, newColor, preset);
+    const node = findAssemblyNode(modelRef.current, modelId);
+    if (node) {
+      transformControlsRef.current?.detach();
+      node.removeFromParent();
+      disposeModelObject(node);
+    }
+    setAssemblyModels((prev) => prev.filter((m) => m.id !== modelId));
+    setParts((prev) => prev.filter((p) => modelIdOfPart(p.id) !== modelId));
+    if (editingPartId !== null && modelIdOfPart(editingPartId) === modelId) {
+      setEditingPartId(null);
+    }
+    if (selectedModelId === modelId) setSelectedModelId(null);
+    setHistory(EMPTY_HISTORY);
+    if (modelRef.current) updateGridExtent(modelRef.current);
   };
 
-  const handleChangePartMaterial = (id, newPreset) => {
-    setParts((prev) =>
-      prev.map((p) =>
-        p.id === id ? { ...p, materialPreset: newPreset } : p
-      )
+  const handleChangeAssemblyModelName = (id, name) => {
+    editWithHistory(
+      "Nombre de archivo",
+      {
+        models: (prev) => prev.map((m) => (m.id === id ? { ...m, name } : m)),
+      },
+      `model-name:${id}`
     );
-    const colorHex =
-      partsRef.current.find((p) => p.id === id)?.color || "#ffffff";
-    updatePartMeshAppearance(id, colorHex, newPreset);
   };
 
-  const handleSavePartMeta = async (partId) => {
-    if (!currentProjectId) {
-      alert("Primero guarda este modelo como proyecto para poder guardar notas.");
-      return;
-    }
-    const part = parts.find((p) => p.id === partId);
-    if (!part) return;
-
-    const pwd = window.prompt(
-      "Contraseña para guardar notas, color y material de esta pieza:"
-    );
-    if (pwd == null || pwd === "") return;
-
-    try {
-      const resp = await fetch(
-        `${API_PROJECTS_URL}/${currentProjectId}/parts-meta`,
-        {
-          method: "PUT",
-          headers: { "Content-Type": "application/json" },
-          body: JSON.stringify({
-            partId,
-            name: part.name,
-            notes: part.notes || "",
-            color: part.color || "#22c55e",
-            materialPreset: part.materialPreset || "plastic",
-            password: pwd,
+  const handleChangeAssemblyModelTransform = (id, field, axis, value) => {
+    const node = findAssemblyNode(modelRef.current, id);
+    if (!node) return;
+    editWithHistory(
+      "Pose de archivo",
+      {
+        models: (prev) =>
+          prev.map((m) => {
+            if (m.id !== id) return m;
+            const current = m.transform || originalPartTransform(node);
+            return {
+              ...m,
+              transform: {
+                ...current,
+                [field]: { ...current[field], [axis]: value },
+              },
+            };
           }),
-        }
-      );
-
-      const contentType = resp.headers.get("content-type") || "";
-      if (!contentType.toLowerCase().includes("application/json")) {
-        const text = await resp.text();
-        console.error("Respuesta NO JSON de /parts-meta:", {
-          status: resp.status,
-          text,
-        });
-        alert(
-          "La ruta /parts-meta respondió algo que no es JSON. Revisa la consola del navegador y del servidor."
-        );
-        return;
-      }
-
-      const data = await resp.json();
-
-      if (!resp.ok || !data.ok) {
-        console.error("Error lógico /parts-meta:", data);
-        alert(data.error || "No se pudo guardar la información de la pieza.");
-        return;
-      }
+      },
+      `model-transform:${id}:${field}:${axis}`
+    );
+  };
 
-      await loadProjectsFromServer();
-      alert("Notas, color y material de la capa guardados.");
-    } catch (err) {
-      console.error("Error de red al llamar a /parts-meta:", err);
-      alert("Error de red al llamar a /parts-meta: " + err.message);
-    }
+  const handleResetAssemblyModelTransform = (id) => {
+    editWithHistory("Pose original de archivo", {
+      models: (prev) =>
+        prev.map((m) => (m.id === id ? { ...m, transform: null } : m)),
+    });
   };
 
-  const handleSavePendingNotes = async () => {
-    if (!currentProjectId) {
-      alert("Primero carga o guarda un proyecto para asociar las notas.");
-      return;
-    }
-    const pwd = window.prompt(
-      "Contraseña para guardar las notas pendientes del proyecto:"
-    );
-    if (!pwd) return;
+  // Pose y nombre de los archivos ya subidos al proyecto
+  const handleSaveAssembly = async () => {
+    if (!currentProjectId) return;
 
     try {
-      const resp = await fetch(
-        `${API_PROJECTS_URL}/${currentProjectId}/notes`,
+      const resp = await authFetch(
+        `${API_PROJECTS_URL}/${currentProjectId}/models`,
         {
           method: "PUT",
           headers: { "Content-Type": "application/json" },
           body: JSON.stringify({
-            notes: pendingNotes || "",
-            password: pwd,
+            models: assemblyModels
+              .filter((m) => m.file)
+              .map(({ id, name, transform }) => ({ id, name, transform })),
           }),
         }
       );
@@ -1454,211 +3084,861 @@ function App() {
       try {
         data = JSON.parse(text);
       } catch (e) {
-        console.error(
-          "Respuesta no JSON en PUT /api/projects/:id/notes:",
-          text
+        console.error("Respuesta no JSON en PUT /models:", text);
+        throw new Error(
+          "El backend no devolvió JSON al guardar el ensamblaje."
         );
-        throw new Error("La ruta /notes no devolvió JSON.");
       }
 
       if (!resp.ok || !data.ok) {
-        throw new Error(
-          data.error || "No se pudieron guardar las notas pendientes."
-        );
+        throw new Error(data.error || "No se pudo guardar el ensamblaje.");
       }
-      alert("Notas pendientes guardadas.");
+      await loadProjectsFromServer();
+      alert("Ensamblaje guardado.");
     } catch (err) {
       console.error(err);
-      alert(err.message || "Error al guardar notas pendientes.");
+      alert(err.message || "Error al guardar el ensamblaje.");
     }
   };
 
   /* =========================
-     Lógica de proyectos / escenas (API real)
+     Sincronizar UI ↔ Modelo
   ========================== */
+  useEffect(() => {
+    if (!modelRef.current) return;
+    modelRef.current.visible = visible;
+  }, [visible]);
 
-  const handleCreateProject = async (formData) => {
-    const { name, author, date, password, file, useCurrentTransform } =
-      formData;
+  // Cambio de unidad con el modelo cargado: se reescala dejando el centro
+  // de la base donde estaba
+  useEffect(() => {
+    sourceUnitRef.current = sourceUnit;
+    const model = modelRef.current;
+    if (!model || model.scale.x === unitScale(sourceUnit)) return;
+
+    const baseCenter = () => {
+      const box = new THREE.Box3().setFromObject(model);
+      const center = box.getCenter(new THREE.Vector3());
+      return center.setY(box.min.y);
+    };
+    const before = baseCenter();
+    applySourceUnit(model);
+    model.updateMatrixWorld(true);
+    model.position.add(before.sub(baseCenter()));
+
+    // las tapas de los cortes se dimensionan al construirse
+    disposeSectionView(sectionGroupRef.current);
+    fitCameraToObject(model);
+    updateGridExtent(model);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [sourceUnit]);
 
-    if (!name || !password || !file) {
-      alert("Nombre, contraseña y archivo de modelo son obligatorios.");
-      return;
+  useEffect(() => {
+    if (!modelRef.current) return;
+    modelRef.current.position.set(position.x, position.y, position.z);
+    if (modelTypeRef.current === "stl") {
+      snapModelToGround(modelRef.current);
     }
+  }, [position]);
 
-    const positionToSave = useCurrentTransform
-      ? position
-      : { x: 0, y: 0, z: 0 };
-    const rotationToSave = useCurrentTransform
-      ? rotation
-      : { x: 0, y: 0, z: 0 };
+  useEffect(() => {
+    if (!modelRef.current) return;
+    modelRef.current.rotation.set(
+      THREE.MathUtils.degToRad(rotation.x),
+      THREE.MathUtils.degToRad(rotation.y),
+      THREE.MathUtils.degToRad(rotation.z)
+    );
+    if (modelTypeRef.current === "stl") {
+      snapModelToGround(modelRef.current);
+    }
+  }, [rotation]);
 
-    // partsMeta con color y material
-    const partsMetaToSave = {};
-    parts.forEach((p) => {
-      partsMetaToSave[p.id] = {
-        name: p.name,
-        notes: p.notes || "",
-        color: p.color,
-        materialPreset: p.materialPreset,
-      };
-    });
+  // Luces, suelo y cámara de sombras siguen al modelo (después de moverlo)
+  useEffect(() => {
+    const lights = lightsRef.current;
+    const ground = shadowGroundRef.current;
+    if (!lights || !ground) return;
+
+    const bounds = measureLightingBounds(hasModel ? modelRef.current : null);
+    applyLightingPreset(lights, lighting.preset, bounds.center, bounds.radius);
+    lights.key.castShadow = lighting.shadows;
+    ground.visible = lighting.shadows && hasModel;
+    fitShadowsToModel(ground, lights.key, bounds);
+  }, [
+    lighting.preset,
+    lighting.shadows,
+    hasModel,
+    position,
+    rotation,
+    assemblyModels,
+    parts,
+    sourceUnit,
+    isMobile,
+  ]);
 
-    try {
-      const data = await guardarProyectoEnServidor({
-        file,
-        projectName: name,
-        author,
-        password,
-        date,
-        position: positionToSave,
-        rotation: rotationToSave,
-        partsMeta: partsMetaToSave,
-      });
+  /* =========================
+     Rendimiento: materiales compartidos, geometría fusionada y FPS
+  ========================== */
 
-      await loadProjectsFromServer();
-      setCurrentProjectId(data.projectId || null);
-      setIsCotizacionOpen(false);
-      alert("Proyecto creado y carpeta generada en /public.");
-    } catch (err) {
-      console.error(err);
-      alert(err.message || "Error al crear proyecto.");
+  // Los materiales que dejaron de usarse (otro color, capa quitada) se
+  // liberan de la GPU
+  useEffect(() => {
+    releaseUnusedMaterials(materialCacheRef.current, modelRef.current);
+  }, [parts, customMaterials]);
+
+  // La fusión es para ver la escena quieta: con cortes, vista explosionada
+  // o gizmo se dibujan las capas sueltas. Se rehace con cada cambio
+  const mergePaused =
+    explodeFactor > 0 ||
+    gizmoTarget !== null ||
+    sections.some((section) => section.enabled);
+  useEffect(() => {
+    const model = modelRef.current;
+    if (!model || !viewerPerformance.mergeGeometry || mergePaused) {
+      setMergedMeshes(0);
+      return;
     }
-  };
+    setMergedMeshes(buildMergedView(model));
+    return () => clearMergedView(model);
+  }, [
+    viewerPerformance.mergeGeometry,
+    mergePaused,
+    hasModel,
+    parts,
+    assemblyModels,
+    customMaterials,
+    sourceUnit,
+  ]);
+
+  // El overlay se escribe directo en el DOM: un setState por segundo
+  // volvería a pedir frames
+  useEffect(() => {
+    if (!viewerPerformance.stats) return;
+    let lastCount = frameCountRef.current;
+    let lastTime = performance.now();
+    const update = () => {
+      const renderer = rendererRef.current;
+      if (!statsRef.current || !renderer) return;
+      const now = performance.now();
+      const frames = frameCountRef.current - lastCount;
+      const fps = (frames * 1000) / (now - lastTime);
+      lastCount = frameCountRef.current;
+      lastTime = now;
+      statsRef.current.textContent = formatRenderStats({
+        fps,
+        calls: renderer.info.render.calls,
+        triangles: renderer.info.render.triangles,
+      });
+    };
+    const id = setInterval(update, 1000);
+    return () => clearInterval(id);
+  }, [viewerPerformance.stats]);
 
-  const handleReplaceModel = async (projectId, file) => {
-    if (!file) return;
+  /* =========================
+     Historial (deshacer / rehacer)
+  ========================== */
+  docRef.current = {
+    parts,
+    position,
+    rotation,
+    measurements,
+    sections,
+    models: assemblyModels,
+    materials: customMaterials,
+    lighting,
+  };
 
-    const formData = new FormData();
-    formData.append("model", file);
+  const historySetters = {
+    models: setAssemblyModels,
+    parts: setParts,
+    position: setPosition,
+    rotation: setRotation,
+    measurements: setMeasurements,
+    sections: setSections,
+    materials: setCustomMaterials,
+    lighting: setLighting,
+  };
 
-    const resp = await fetch(`${API_PROJECTS_URL}/${projectId}/model`, {
-      method: "PUT",
-      body: formData,
+  // updates: { parts: (prev) => next, ... }; mergeKey junta cambios seguidos
+  const editWithHistory = (label, updates, mergeKey) => {
+    const before = {};
+    const after = {};
+    Object.entries(updates).forEach(([key, updater]) => {
+      before[key] = docRef.current[key];
+      after[key] = updater(before[key]);
+      historySetters[key](after[key]);
+    });
+    docRef.current = { ...docRef.current, ...after };
+    setHistory((prev) => pushHistory(prev, { label, before, after, mergeKey }));
+  };
+  editWithHistoryRef.current = editWithHistory;
+
+  // Color, material y visibilidad viven en las mallas además del estado
+  const syncPartsToModel = (list) => {
+    list.forEach((p) => {
+      updatePartMeshAppearance(p.id, p.color, p.materialPreset, p.appearance);
+      modelRef.current?.traverse((child) => {
+        if (child.isMesh && child.userData.partId === p.id) {
+          child.visible = p.visible;
+        }
+      });
     });
+  };
+
+  const handlePinHistoryAction = (action) => {
+    const { annotation } = action;
+    const label =
+      action.type === "create"
+        ? `Pin #${annotation.number} creado`
+        : `Pin #${annotation.number} ${
+            action.status === "resolved" ? "resuelto" : "reabierto"
+          }`;
+    setHistory((prev) =>
+      pushHistory(prev, {
+        label,
+        pin: { ...action, projectId: currentProjectId },
+      })
+    );
+  };
 
-    const text = await resp.text();
+  // Los pines se deshacen con la llamada inversa al servidor; al rehacer
+  // la creación el pin vuelve con otro id. Si otros ya respondieron en el
+  // pin no se borra: devuelve null y la entrada sale del historial
+  const applyPinHistory = async (entry, direction) => {
+    const { pin } = entry;
+    const { annotation } = pin;
     let data;
-    try {
-      data = JSON.parse(text);
-    } catch (e) {
-      console.error(
-        "Respuesta no JSON en PUT /api/projects/:id/model:",
-        text
+    let applied = entry;
+    if (pin.type === "create" && direction === "undo") {
+      try {
+        data = await requestAnnotations(
+          pin.projectId,
+          "DELETE",
+          `/${annotation.id}?unlessReplied=1`
+        );
+      } catch (err) {
+        if (err.status !== 409) throw err;
+        alert(`${err.message} No se puede deshacer su creación.`);
+        return null;
+      }
+    } else if (pin.type === "create") {
+      data = await requestAnnotations(pin.projectId, "POST", "", {
+        point: annotation.point,
+        partId: annotation.partId,
+        text: annotation.comments?.[0]?.text || "",
+      });
+      applied = { ...entry, pin: { ...pin, annotation: data.annotation } };
+    } else {
+      data = await requestAnnotations(
+        pin.projectId,
+        "PUT",
+        `/${annotation.id}`,
+        {
+          status: direction === "undo" ? annotation.status : pin.status,
+        }
       );
-      alert("El backend no devolvió JSON al reemplazar el modelo.");
-      return;
-    }
-
-    if (!resp.ok || !data.ok) {
-      console.error("Error reemplazando modelo", data);
-      alert("No se pudo reemplazar el modelo en el servidor.");
-      return;
     }
-
-    await loadProjectsFromServer();
-    alert("Modelo reemplazado correctamente.");
+    setAnnotations(data.annotations || []);
+    return applied;
   };
 
-  const handleDeleteProject = async (projectId, passwordPlain) => {
-    if (!passwordPlain) return;
+  const applyHistoryEntry = async (entry, direction) => {
+    if (entry.pin) return applyPinHistory(entry, direction);
 
-    const resp = await fetch(`${API_PROJECTS_URL}/${projectId}`, {
-      method: "DELETE",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({ password: passwordPlain }),
+    const values = direction === "undo" ? entry.before : entry.after;
+    Object.entries(values).forEach(([key, value]) => {
+      historySetters[key](value);
     });
+    docRef.current = { ...docRef.current, ...values };
+    if (values.parts) syncPartsToModel(values.parts);
+    return entry;
+  };
 
-    const text = await resp.text();
-    let data;
-    try {
-      data = JSON.parse(text);
-    } catch (e) {
-      console.error(
-        "Respuesta no JSON en DELETE /api/projects/:id:",
-        text
-      );
-      alert("El backend no devolvió JSON al eliminar el proyecto.");
-      return;
-    }
-
-    if (!resp.ok || !data.ok) {
-      alert(data.error || "No se pudo eliminar el proyecto.");
-      return;
-    }
+  const stepHistory = async (direction) => {
+    const entry =
+      direction === "undo"
+        ? history.past[history.past.length - 1]
+        : history.future[0];
+    if (!entry || historyBusyRef.current) return;
 
-    if (currentProjectId === projectId) {
-      setCurrentProjectId(null);
-      setPendingNotes("");
-      setIsCotizacionOpen(false);
+    historyBusyRef.current = true;
+    try {
+      const applied = await applyHistoryEntry(entry, direction);
+      if (!applied) {
+        setHistory(dropLastHistory);
+        return;
+      }
+      setHistory((prev) => {
+        if (direction === "undo") return undoHistory(prev, applied);
+        const next = redoHistory(prev, applied);
+        const oldId = entry.pin?.annotation.id;
+        const newId = applied.pin?.annotation.id;
+        if (oldId === newId) return next;
+        // El pin recreado tiene otro id: las entradas siguientes lo siguen
+        return {
+          ...next,
+          future: next.future.map((e) =>
+            e.pin?.annotation.id === oldId
+              ? {
+                  ...e,
+                  pin: {
+                    ...e.pin,
+                    annotation: { ...e.pin.annotation, id: newId },
+                  },
+                }
+              : e
+          ),
+        };
+      });
+    } catch (err) {
+      console.error(err);
+      alert(err.message || "No se pudo deshacer el cambio.");
+    } finally {
+      historyBusyRef.current = false;
     }
-
-    await loadProjectsFromServer();
-    alert("Proyecto eliminado.");
   };
 
-  const handleUpdateProjectTransform = async (projectId) => {
-    const pwd = window.prompt(
-      "Contraseña para guardar posición y rotación de este proyecto:"
-    );
-    if (!pwd) return;
+  const handleUndo = () => stepHistory("undo");
+  const handleRedo = () => stepHistory("redo");
+  stepHistoryRef.current = stepHistory;
 
-    try {
-      const resp = await fetch(
-        `${API_PROJECTS_URL}/${projectId}/transform`,
+  // Ctrl+Z / Ctrl+Shift+Z (y Ctrl+Y) fuera de los campos de texto
+  useEffect(() => {
+    const onKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || isTextEditingTarget(e.target)) return;
+      const key = e.key.toLowerCase();
+      if (key === "z" && !e.shiftKey) {
+        e.preventDefault();
+        stepHistoryRef.current("undo");
+      } else if ((key === "z" && e.shiftKey) || key === "y") {
+        e.preventDefault();
+        stepHistoryRef.current("redo");
+      }
+    };
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  }, []);
+
+  /* =========================
+     Helpers de capas
+  ========================== */
+
+  const setAllPartsVisible = (value) => {
+    editWithHistory(
+      value ? "Mostrar todas las capas" : "Ocultar todas las capas",
+      {
+        parts: (prev) => prev.map((p) => ({ ...p, visible: value })),
+      }
+    );
+    if (!modelRef.current) return;
+    modelRef.current.traverse((child) => {
+      if (child.isMesh && typeof child.userData.partId === "number") {
+        child.visible = value;
+      }
+    });
+  };
+
+  const handlePositionChange = (axis, value) => {
+    editWithHistory(
+      "Posición del modelo",
+      {
+        position: (prev) => ({
+          ...prev,
+          [axis]: Number(value),
+        }),
+      },
+      "position"
+    );
+  };
+
+  const handleRotationChange = (axis, value) => {
+    editWithHistory(
+      "Rotación del modelo",
+      {
+        rotation: (prev) => ({
+          ...prev,
+          [axis]: Number(value),
+        }),
+      },
+      "rotation"
+    );
+  };
+
+  /* =========================
+     Exportar la escena
+  ========================== */
+
+  // Nombre base de los archivos descargados (exportación y capturas)
+  const downloadBaseName = slugify(
+    currentProject?.name || modelName.replace(/\.[^.]+$/, "")
+  );
+
+  const handleExportScene = async () => {
+    if (!modelRef.current || exporting) return;
+    setExporting(true);
+    try {
+      const { blob, fileName } = await exportModel(
+        modelRef.current,
+        exportFormat,
+        {
+          visibleOnly: exportVisibleOnly,
+          partNames: Object.fromEntries(parts.map((p) => [p.id, p.name])),
+          baseName: downloadBaseName,
+        }
+      );
+      downloadBlob(blob, fileName);
+    } catch (err) {
+      console.error(err);
+      alert(err.message || "No se pudo exportar la escena.");
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  // Lo que necesita el diálogo de capturas; el gizmo no sale en la imagen
+  const getCaptureViewer = () =>
+    rendererRef.current && sceneRef.current
+      ? {
+          renderer: rendererRef.current,
+          scene: sceneRef.current,
+          camera: cameraRef.current,
+          controls: controlsRef.current,
+          hide: [transformControlsRef.current].filter(Boolean),
+        }
+      : null;
+
+  const handleResetTransform = () => {
+    if (!modelRef.current) return;
+    modelRef.current.position.set(0, 0, 0);
+    modelRef.current.rotation.set(0, 0, 0);
+    editWithHistory("Restablecer posición y rotación", {
+      position: () => ({ x: 0, y: 0, z: 0 }),
+      rotation: () => ({ x: 0, y: 0, z: 0 }),
+    });
+    fitCameraToObject(modelRef.current);
+  };
+
+  const handleTogglePartVisible = (id, checked) => {
+    editWithHistory(checked ? "Mostrar capa" : "Ocultar capa", {
+      parts: (prev) =>
+        prev.map((p) => (p.id === id ? { ...p, visible: checked } : p)),
+    });
+    if (!modelRef.current) return;
+    modelRef.current.traverse((child) => {
+      if (child.isMesh && child.userData.partId === id) {
+        child.visible = checked;
+      }
+    });
+  };
+
+  const handleChangePartName = (id, newName) => {
+    editWithHistory(
+      "Nombre de capa",
+      {
+        parts: (prev) =>
+          prev.map((p) => (p.id === id ? { ...p, name: newName } : p)),
+      },
+      `name:${id}`
+    );
+  };
+
+  const handleChangePartNotes = (id, newNotes) => {
+    editWithHistory(
+      "Notas de capa",
+      {
+        parts: (prev) =>
+          prev.map((p) => (p.id === id ? { ...p, notes: newNotes } : p)),
+      },
+      `notes:${id}`
+    );
+  };
+
+  const handleChangePartExplodeOffset = (id, axis, value) => {
+    editWithHistory(
+      "Desplazamiento en explosión",
+      {
+        parts: (prev) =>
+          prev.map((p) =>
+            p.id === id
+              ? {
+                  ...p,
+                  explodeOffset: {
+                    ...(p.explodeOffset || { x: 0, y: 0, z: 0 }),
+                    [axis]: Number(value) || 0,
+                  },
+                }
+              : p
+          ),
+      },
+      `explode:${id}:${axis}`
+    );
+  };
+
+  /* =========================
+     Gizmo de transformación
+  ========================== */
+
+  // Malla de una capa
+  const findPartMesh = (partId) => {
+    let found = null;
+    modelRef.current?.traverse((child) => {
+      if (child !== modelRef.current && child.userData.partId === partId) {
+        found = child;
+      }
+    });
+    return found;
+  };
+
+  // Porcentaje descargado; null si no se conoce el total o ya se está leyendo
+  const loadPercent =
+    loadProgress?.phase === "download" && loadProgress.total
+      ? Math.min(
+          100,
+          Math.round((loadProgress.loaded / loadProgress.total) * 100)
+        )
+      : null;
+
+  const gizmoObject =
+    gizmoTarget === "model"
+      ? modelRef.current
+      : gizmoTarget === "node" && selectedModelId !== null
+      ? findAssemblyNode(modelRef.current, selectedModelId)
+      : gizmoTarget === "part" && editingPartId !== null
+      ? findPartMesh(editingPartId)
+      : null;
+
+  // Al soltar el gizmo la pose pasa al estado (y de ahí a lo que se guarda)
+  gizmoCommitRef.current = () => {
+    const object = transformControlsRef.current?.object;
+    if (!object) return;
+
+    if (object === modelRef.current) {
+      const round = (n, digits) => Math.round(n * 10 ** digits) / 10 ** digits;
+      editWithHistory("Gizmo: modelo completo", {
+        position: () => ({
+          x: round(object.position.x, 2),
+          y: round(object.position.y, 2),
+          z: round(object.position.z, 2),
+        }),
+        rotation: () => ({
+          x: round(THREE.MathUtils.radToDeg(object.rotation.x), 1),
+          y: round(THREE.MathUtils.radToDeg(object.rotation.y), 1),
+          z: round(THREE.MathUtils.radToDeg(object.rotation.z), 1),
+        }),
+      });
+      return;
+    }
+
+    const modelId = object.userData.assemblyModelId;
+    if (modelId !== undefined) {
+      const transform = readPartTransform(object, null);
+      editWithHistory("Gizmo: archivo", {
+        models: (prev) =>
+          prev.map((m) => (m.id === modelId ? { ...m, transform } : m)),
+      });
+      return;
+    }
+
+    const partId = object.userData.partId;
+    const transform = readPartTransform(object, explodeRef.current);
+    editWithHistory("Gizmo: capa", {
+      parts: (prev) =>
+        prev.map((p) => (p.id === partId ? { ...p, transform } : p)),
+    });
+  };
+
+  useEffect(() => {
+    const transformControls = transformControlsRef.current;
+    if (!transformControls) return;
+
+    if (!gizmoObject) {
+      transformControls.detach();
+      return;
+    }
+    // el modelo completo no se escala: su escala es la unidad del archivo
+    const mode =
+      gizmoObject === modelRef.current && gizmoMode === "scale"
+        ? "translate"
+        : gizmoMode;
+    transformControls.attach(gizmoObject);
+    transformControls.setMode(mode);
+    transformControls.setSpace(gizmoTarget === "part" ? "local" : "world");
+    transformControls.setTranslationSnap(
+      gizmoSnap
+        ? toMm(gizmoSnapSteps.translate, displayUnit) /
+            parentWorldScale(gizmoObject)
+        : null
+    );
+    transformControls.setRotationSnap(
+      gizmoSnap ? THREE.MathUtils.degToRad(gizmoSnapSteps.rotate) : null
+    );
+    transformControls.setScaleSnap(gizmoSnap ? gizmoSnapSteps.scale : null);
+  }, [
+    gizmoObject,
+    gizmoTarget,
+    gizmoMode,
+    gizmoSnap,
+    gizmoSnapSteps,
+    displayUnit,
+    isMobile,
+  ]);
+
+  const handleChangePartTransform = (id, field, axis, value) => {
+    const mesh = findPartMesh(id);
+    if (!mesh) return;
+    editWithHistory(
+      "Pose de capa",
+      {
+        parts: (prev) =>
+          prev.map((p) => {
+            if (p.id !== id) return p;
+            const current = p.transform || originalPartTransform(mesh);
+            return {
+              ...p,
+              transform: {
+                ...current,
+                [field]: { ...current[field], [axis]: value },
+              },
+            };
+          }),
+      },
+      `transform:${id}:${field}:${axis}`
+    );
+  };
+
+  const handleResetPartTransform = (id) => {
+    editWithHistory("Pose original de capa", {
+      parts: (prev) =>
+        prev.map((p) => (p.id === id ? { ...p, transform: null } : p)),
+    });
+  };
+
+  // Elegir color o acabado pasa la capa a "Color y acabado"
+  const handleChangePartColor = (id, newColor) => {
+    editWithHistory(
+      "Color de capa",
+      {
+        parts: (prev) =>
+          prev.map((p) =>
+            p.id === id ? { ...p, color: newColor, appearance: "preset" } : p
+          ),
+      },
+      `color:${id}`
+    );
+    const preset =
+      partsRef.current.find((p) => p.id === id)?.materialPreset || "plastic";
+    updatePartMeshAppearance(id, newColor, preset, "preset");
+  };
+
+  // Los acabados con color propio (madera, latón...) lo pasan a la capa
+  const handleChangePartMaterial = (id, newPreset) => {
+    const def = findMaterial(newPreset, customMaterialsRef.current);
+    const colorHex =
+      def.color || partsRef.current.find((p) => p.id === id)?.color;
+    editWithHistory("Material de capa", {
+      parts: (prev) =>
+        prev.map((p) =>
+          p.id === id
+            ? {
+                ...p,
+                materialPreset: newPreset,
+                color: colorHex || p.color,
+                appearance: "preset",
+              }
+            : p
+        ),
+    });
+    updatePartMeshAppearance(id, colorHex, newPreset, "preset");
+  };
+
+  /* =========================
+     Materiales del proyecto
+  ========================== */
+
+  const handleAddCustomMaterial = () => {
+    if (customMaterials.length >= MAX_CUSTOM_MATERIALS) {
+      alert(`El proyecto admite hasta ${MAX_CUSTOM_MATERIALS} materiales.`);
+      return;
+    }
+    const material = createCustomMaterial(newMaterialBase, customMaterials);
+    editWithHistory("Material nuevo", {
+      materials: (prev) => [...prev, material],
+    });
+    setEditingMaterialId(material.id);
+  };
+
+  // Cambiar el color de un material recolorea las capas que lo usan
+  const handleChangeCustomMaterial = (id, field, value) => {
+    const updates = {
+      materials: (prev) =>
+        prev.map((m) => (m.id === id ? { ...m, [field]: value } : m)),
+    };
+    if (field === "color" && value) {
+      updates.parts = (prev) =>
+        prev.map((p) => (p.materialPreset === id ? { ...p, color: value } : p));
+    }
+    editWithHistory("Editar material", updates, `material:${id}:${field}`);
+  };
+
+  // Las capas que lo usaban vuelven al acabado por defecto
+  const handleRemoveCustomMaterial = (id) => {
+    const material = customMaterials.find((m) => m.id === id);
+    if (!material) return;
+    if (!window.confirm(`¿Quitar el material "${material.label}"?`)) return;
+
+    const affected = partsRef.current
+      .filter((p) => p.materialPreset === id)
+      .map((p) => ({ ...p, materialPreset: DEFAULT_MATERIAL }));
+    editWithHistory("Quitar material", {
+      materials: (prev) => prev.filter((m) => m.id !== id),
+      parts: (prev) =>
+        prev.map((p) => affected.find((a) => a.id === p.id) || p),
+    });
+    syncPartsToModel(affected);
+    if (editingMaterialId === id) setEditingMaterialId(null);
+  };
+
+  const handleSaveCustomMaterials = async () => {
+    if (!currentProjectId) {
+      alert(
+        "Primero guarda este modelo como proyecto para guardar materiales."
+      );
+      return;
+    }
+    try {
+      const resp = await authFetch(
+        `${API_PROJECTS_URL}/${currentProjectId}/materials`,
         {
           method: "PUT",
           headers: { "Content-Type": "application/json" },
-          body: JSON.stringify({ position, rotation, password: pwd }),
+          body: JSON.stringify({ materials: customMaterials }),
         }
       );
-
       const text = await resp.text();
       let data;
       try {
         data = JSON.parse(text);
       } catch (e) {
         console.error(
-          "Respuesta no JSON en PUT /api/projects/:id/transform:",
+          "Respuesta no JSON en PUT /api/projects/:id/materials:",
           text
         );
-        throw new Error("La ruta /transform no devolvió JSON.");
+        throw new Error("La ruta /materials no devolvió JSON.");
       }
 
       if (!resp.ok || !data.ok) {
-        console.error("Error actualizando transform", data);
-        throw new Error(
-          data.error ||
-            "No se pudo guardar la posición/rotación en el servidor."
-        );
+        throw new Error(data.error || "No se pudieron guardar los materiales.");
       }
-
       await loadProjectsFromServer();
-      alert("Posición/rotación guardadas en el proyecto.");
+      alert("Materiales guardados.");
     } catch (err) {
       console.error(err);
-      alert(err.message || "Error al guardar posición/rotación.");
+      alert(err.message || "Error al guardar los materiales.");
     }
   };
 
-  const handleRenameProject = async (projectId) => {
-    const current = projects.find((p) => p.id === projectId);
-    const newName = window.prompt(
-      "Nuevo nombre para el proyecto:",
-      current?.name || ""
+  const handleChangePartAppearance = (id, appearance) => {
+    editWithHistory("Apariencia de capa", {
+      parts: (prev) =>
+        prev.map((p) => (p.id === id ? { ...p, appearance } : p)),
+    });
+    const part = partsRef.current.find((p) => p.id === id);
+    if (part) {
+      updatePartMeshAppearance(id, part.color, part.materialPreset, appearance);
+    }
+  };
+
+  // Modo "conservar materiales del archivo": vale para los modelos que se
+  // carguen y se aplica ya a las capas que traen material propio
+  const handleChangeKeepFileMaterials = (value) => {
+    setKeepFileMaterials(value);
+    const appearance = value ? "original" : "preset";
+    const withFileMaterial = partsRef.current.filter((p) => p.hasFileMaterial);
+    if (!withFileMaterial.length) return;
+
+    editWithHistory(
+      value ? "Materiales del archivo" : "Color y acabado en todas las capas",
+      {
+        parts: (prev) =>
+          prev.map((p) => (p.hasFileMaterial ? { ...p, appearance } : p)),
+      }
     );
-    if (!newName) return;
+    withFileMaterial.forEach((p) =>
+      updatePartMeshAppearance(p.id, p.color, p.materialPreset, appearance)
+    );
+  };
 
-    const pwd = window.prompt("Contraseña para renombrar el proyecto:");
-    if (!pwd) return;
+  /* =========================
+     Cámara: proyección, vistas estándar y vistas guardadas
+  ========================== */
+
+  const currentCameraPose = () =>
+    cameraRef.current && controlsRef.current
+      ? readCameraPose(cameraRef.current, controlsRef.current)
+      : null;
+
+  // Cambia de cámara conservando el encuadre
+  const activateProjection = (next) => {
+    const cameras = camerasRef.current;
+    const current = cameraRef.current;
+    if (!cameras?.[next] || !current || projectionOf(current) === next) return;
+    cameraTransitionRef.current = null;
+    const camera = cameras[next];
+    switchProjection(current, camera, controlsRef.current);
+    cameraRef.current = camera;
+    if (transformControlsRef.current) {
+      transformControlsRef.current.camera = camera;
+    }
+    setProjection(next);
+  };
 
+  const goToCameraPose = (pose) => {
+    if (!cameraRef.current || !controlsRef.current) return;
+    activateProjection(pose.projection);
+    cameraTransitionRef.current = startCameraTransition(
+      cameraRef.current,
+      controlsRef.current,
+      pose
+    );
+    requestRenderRef.current?.();
+  };
+
+  const handleStandardView = (key) => {
+    if (!modelRef.current) return;
+    goToCameraPose(
+      framingPose(modelRef.current, STANDARD_VIEWS[key].direction, projection)
+    );
+  };
+
+  const handleAddCameraView = () => {
+    const pose = currentCameraPose();
+    if (!pose) return;
+    if (cameraViews.length >= MAX_CAMERA_VIEWS) {
+      alert(`Máximo ${MAX_CAMERA_VIEWS} vistas por proyecto.`);
+      return;
+    }
+    const name = newViewName.trim() || `Vista ${cameraViews.length + 1}`;
+    setCameraViews((prev) => [...prev, createCameraView(name, pose)]);
+    setNewViewName("");
+  };
+
+  const handleRemoveCameraView = (id) => {
+    setCameraViews((prev) => prev.filter((v) => v.id !== id));
+  };
+
+  // Guarda las vistas y la actual como la vista con la que se abre
+  const handleSaveCameraViews = async () => {
+    if (!currentProjectId) return;
     try {
-      const resp = await fetch(
-        `${API_PROJECTS_URL}/${projectId}/rename`,
+      const resp = await authFetch(
+        `${API_PROJECTS_URL}/${currentProjectId}/views`,
         {
           method: "PUT",
           headers: { "Content-Type": "application/json" },
-          body: JSON.stringify({ name: newName, password: pwd }),
+          body: JSON.stringify({
+            views: cameraViews,
+            initialView: currentCameraPose(),
+          }),
         }
       );
       const text = await resp.text();
@@ -1667,815 +3947,3864 @@ function App() {
         data = JSON.parse(text);
       } catch (e) {
         console.error(
-          "Respuesta no JSON en PUT /api/projects/:id/rename:",
+          "Respuesta no JSON en PUT /api/projects/:id/views:",
           text
         );
-        throw new Error("La ruta /rename no devolvió JSON.");
+        throw new Error("La ruta /views no devolvió JSON.");
       }
 
       if (!resp.ok || !data.ok) {
-        throw new Error(
-          data.error || "No se pudo renombrar el proyecto en el servidor."
-        );
+        throw new Error(data.error || "No se pudieron guardar las vistas.");
       }
+      setCameraViews(data.cameraViews || []);
       await loadProjectsFromServer();
-      alert("Proyecto renombrado.");
+      alert("Vistas guardadas. El proyecto se abrirá con la vista actual.");
     } catch (err) {
       console.error(err);
-      alert(err.message || "Error al renombrar el proyecto.");
+      alert(err.message || "Error al guardar las vistas.");
     }
   };
 
-const handleLoadProject = (projectId) => {
-  const project = projects.find((p) => p.id === projectId);
-  if (!project) return;
-
-  if (!project.modelFile || !project.modelUrl) {
-    alert("Este proyecto no tiene modelo asociado.");
-    return;
-  }
-
-  // ✅ Si la URL ya empieza con http/https (Supabase), NO le pegamos API_BASE_URL
-  const isAbsolute = /^https?:\/\//i.test(project.modelUrl);
-  const url = isAbsolute
-    ? project.modelUrl
-    : `${API_BASE_URL}${project.modelUrl}`;
-
-  const ext = project.modelFile.split(".").pop().toLowerCase();
+  /* =========================
+     Iluminación y fondo
+  ========================== */
 
-  if (objectUrlRef.current) {
-    URL.revokeObjectURL(objectUrlRef.current);
-    objectUrlRef.current = null;
-  }
+  const handleChangeLighting = (field, value) => {
+    editWithHistory("Iluminación", {
+      lighting: (prev) => ({ ...prev, [field]: value }),
+    });
+  };
 
-  setModelName(project.modelFile);
-  modelTypeRef.current = ext;
-  setCurrentProjectId(project.id);
-  setPendingNotes(project.pendingNotes || "");
-  setEditingPartId(null);
+  const handleSaveLighting = async () => {
+    if (!currentProjectId) return;
+    try {
+      const resp = await authFetch(
+        `${API_PROJECTS_URL}/${currentProjectId}/lighting`,
+        {
+          method: "PUT",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ lighting }),
+        }
+      );
+      const text = await resp.text();
+      let data;
+      try {
+        data = JSON.parse(text);
+      } catch (e) {
+        console.error(
+          "Respuesta no JSON en PUT /api/projects/:id/lighting:",
+          text
+        );
+        throw new Error("La ruta /lighting no devolvió JSON.");
+      }
 
-  const applyTransformAndMeta = () => {
-    setPosition(project.position || { x: 0, y: 0, z: 0 });
-    setRotation(project.rotation || { x: 0, y: 0, z: 0 });
-    applyProjectPartsMeta(project);
+      if (!resp.ok || !data.ok) {
+        throw new Error(data.error || "No se pudo guardar la iluminación.");
+      }
+      await loadProjectsFromServer();
+      alert("Iluminación guardada.");
+    } catch (err) {
+      console.error(err);
+      alert(err.message || "Error al guardar la iluminación.");
+    }
   };
 
-  switch (ext) {
-    case "stl":
-      loadSTL(url, applyTransformAndMeta);
-      break;
-    case "obj":
-      loadOBJ(url, applyTransformAndMeta);
-      break;
-    case "gltf":
-    case "glb":
-      loadGLTF(url, applyTransformAndMeta);
-      break;
-    case "ply":
-      loadPLY(url, applyTransformAndMeta);
-      break;
-    case "3mf":
-      load3MF(url, applyTransformAndMeta);
-      break;
-    default:
-      alert("Formato no soportado en este proyecto.");
-      break;
-  }
-};
+  const handleSavePartMeta = async (partId) => {
+    if (!currentProjectId) {
+      alert("Primero guarda este modelo como proyecto para poder guardar notas.");
+      return;
+    }
+    const part = parts.find((p) => p.id === partId);
+    if (!part) return;
 
+    try {
+      const resp = await authFetch(
+        `${API_PROJECTS_URL}/${currentProjectId}/parts-meta`,
+        {
+          method: "PUT",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({
+            partId,
+            name: part.name,
+            notes: part.notes || "",
+            color: part.color || "#22c55e",
+            materialPreset: part.materialPreset || "plastic",
+            appearance: part.appearance || "preset",
+            explodeOffset: part.explodeOffset || { x: 0, y: 0, z: 0 },
+            transform: part.transform || null,
+          }),
+        }
+      );
+
+      const contentType = resp.headers.get("content-type") || "";
+      if (!contentType.toLowerCase().includes("application/json")) {
+        const text = await resp.text();
+        console.error("Respuesta NO JSON de /parts-meta:", {
+          status: resp.status,
+          text,
+        });
+        alert(
+          "La ruta /parts-meta respondió algo que no es JSON. Revisa la consola del navegador y del servidor."
+        );
+        return;
+      }
+
+      const data = await resp.json();
+
+      if (!resp.ok || !data.ok) {
+        console.error("Error lógico /parts-meta:", data);
+        alert(data.error || "No se pudo guardar la información de la pieza.");
+        return;
+      }
+
+      await loadProjectsFromServer();
+      alert("Notas, color y material de la capa guardados.");
+    } catch (err) {
+      console.error("Error de red al llamar a /parts-meta:", err);
+      alert("Error de red al llamar a /parts-meta: " + err.message);
+    }
+  };
+
+  const handleSavePendingNotes = async () => {
+    if (!currentProjectId) {
+      alert("Primero carga o guarda un proyecto para asociar las notas.");
+      return;
+    }
+    try {
+      const resp = await authFetch(
+        `${API_PROJECTS_URL}/${currentProjectId}/notes`,
+        {
+          method: "PUT",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({
+            notes: pendingNotes || "",
+          }),
+        }
+      );
+      const text = await resp.text();
+      let data;
+      try {
+        data = JSON.parse(text);
+      } catch (e) {
+        console.error(
+          "Respuesta no JSON en PUT /api/projects/:id/notes:",
+          text
+        );
+        throw new Error("La ruta /notes no devolvió JSON.");
+      }
+
+      if (!resp.ok || !data.ok) {
+        throw new Error(
+          data.error || "No se pudieron guardar las notas pendientes."
+        );
+      }
+      alert("Notas pendientes guardadas.");
+    } catch (err) {
+      console.error(err);
+      alert(err.message || "Error al guardar notas pendientes.");
+    }
+  };
 
   /* =========================
-     UI
+     Lógica de proyectos / escenas (API real)
   ========================== */
 
-  return (
-    <>
-      <div
-        style={{
-          display: "flex",
-          flexDirection: isMobile ? "column" : "row",
-          height: "100vh",
-          width: "100vw",
-          background: "radial-gradient(circle at top, #0f172a, #020617)",
-        }}
-      >
-        {/* Lado izquierdo: visor 3D */}
-        <div
-          ref={containerRef}
-          style={{
-            flex: isMobile ? "0 0 50vh" : 1,
-            height: isMobile ? "50vh" : "100vh",
-            minHeight: isMobile ? "50vh" : "100%",
-            position: "relative",
-            overflow: "hidden",
-            borderRight: isMobile ? "none" : "1px solid #1f2937",
-            borderBottom: isMobile ? "1px solid #1f2937" : "none",
-          }}
-        >
-          <div
-            style={{
-              position: "absolute",
-              left: "50%",
-              top: 16,
-              transform: "translateX(-50%)",
-              padding: "6px 12px",
-              background: "rgba(15,23,42,0.85)",
-              borderRadius: 999,
-              fontSize: 12,
-              letterSpacing: "0.08em",
-              textTransform: "uppercase",
-              color: "#a5b4fc",
-              border: "1px solid rgba(129,140,248,0.3)",
-              backdropFilter: "blur(8px)",
-              zIndex: 5,
-            }}
-          >
-            VISOR 3D · PROTOTIPOS
-          </div>
+  const handleCreateProject = async (formData) => {
+    const { name, author, date, files, useCurrentTransform } = formData;
+
+    if (!name || !files?.length) {
+      alert("Nombre y archivo de modelo son obligatorios.");
+      return;
+    }
+
+    const positionToSave = useCurrentTransform
+      ? position
+      : { x: 0, y: 0, z: 0 };
+    const rotationToSave = useCurrentTransform
+      ? rotation
+      : { x: 0, y: 0, z: 0 };
+
+    // partsMeta con color y material
+    const partsMetaToSave = {};
+    parts.forEach((p) => {
+      partsMetaToSave[p.id] = {
+        name: p.name,
+        notes: p.notes || "",
+        color: p.color,
+        materialPreset: p.materialPreset,
+        appearance: p.appearance,
+        explodeOffset: p.explodeOffset,
+        transform: p.transform || null,
+      };
+    });
+
+    try {
+      const { models, errors } = await prepareImport(files, MODEL_EXTENSIONS);
+      if (errors.length || !models.length) {
+        alert(errors.join("\n") || "Elige al menos un archivo de modelo.");
+        return;
+      }
+      const data = await guardarProyectoEnServidor({
+        files: models,
+        // pose de cada archivo del ensamblaje actual, por posición
+        models: useCurrentTransform
+          ? assemblyModels.map(({ transform }) => ({ transform }))
+          : [],
+        projectName: name,
+        author,
+        date,
+        position: positionToSave,
+        rotation: rotationToSave,
+        partsMeta: partsMetaToSave,
+        measurements,
+        sections,
+        customMaterials,
+        lighting,
+        cameraViews,
+        initialView: currentCameraPose(),
+        sourceUnit,
+      });
+
+      await loadProjectsFromServer();
+      setCurrentProjectId(data.projectId || null);
+      setIsCotizacionOpen(false);
+      alert("Proyecto creado y carpeta generada en /public.");
+    } catch (err) {
+      console.error(err);
+      alert(err.message || "Error al crear proyecto.");
+    }
+  };
+
+  // files: el modelo nuevo y sus recursos (o un .zip con todo)
+  const handleReplaceModel = async (projectId, files) => {
+    if (!files?.length) return;
+
+    try {
+      const { models, errors } = await prepareImport(files, MODEL_EXTENSIONS);
+      if (errors.length || models.length !== 1) {
+        throw new Error(
+          errors.join("\n") ||
+            "Elige un solo archivo de modelo para reemplazar."
+        );
+      }
+      const [{ file, resources }] = models;
+      const formData = new FormData();
+      formData.append("model", file);
+      resources?.forEach((resource) => formData.append("resources", resource));
+
+      const resp = await authFetch(`${API_PROJECTS_URL}/${projectId}/model`, {
+        method: "PUT",
+        body: formData,
+      });
+
+      const text = await resp.text();
+      let data;
+      try {
+        data = JSON.parse(text);
+      } catch (e) {
+        console.error(
+          "Respuesta no JSON en PUT /api/projects/:id/model:",
+          text
+        );
+        throw new Error("El backend no devolvió JSON al reemplazar el modelo.");
+      }
+
+      if (!resp.ok || !data.ok) {
+        console.error("Error reemplazando modelo", data);
+        throw new Error(
+          data.error || "No se pudo reemplazar el modelo en el servidor."
+        );
+      }
+
+      await loadProjectsFromServer();
+      alert("Modelo reemplazado correctamente.");
+    } catch (err) {
+      console.error(err);
+      alert(err.message || "Error al reemplazar el modelo.");
+    }
+  };
+
+  const handleDeleteProject = async (projectId) => {
+    try {
+      const resp = await authFetch(`${API_PROJECTS_URL}/${projectId}`, {
+        method: "DELETE",
+      });
+
+      const text = await resp.text();
+      let data;
+      try {
+        data = JSON.parse(text);
+      } catch (e) {
+        console.error("Respuesta no JSON en DELETE /api/projects/:id:", text);
+        throw new Error("El backend no devolvió JSON al eliminar el proyecto.");
+      }
+
+      if (!resp.ok || !data.ok) {
+        throw new Error(data.error || "No se pudo eliminar el proyecto.");
+      }
+    } catch (err) {
+      console.error(err);
+      alert(err.message || "Error al eliminar el proyecto.");
+      return;
+    }
+
+    if (currentProjectId === projectId) {
+      setCurrentProjectId(null);
+      setPendingNotes("");
+      setIsCotizacionOpen(false);
+    }
+
+    await loadProjectsFromServer();
+    alert("Proyecto eliminado.");
+  };
+
+  const handleUpdateProjectTransform = async (projectId) => {
+    try {
+      const resp = await authFetch(
+        `${API_PROJECTS_URL}/${projectId}/transform`,
+        {
+          method: "PUT",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ position, rotation }),
+        }
+      );
+
+      const text = await resp.text();
+      let data;
+      try {
+        data = JSON.parse(text);
+      } catch (e) {
+        console.error(
+          "Respuesta no JSON en PUT /api/projects/:id/transform:",
+          text
+        );
+        throw new Error("La ruta /transform no devolvió JSON.");
+      }
+
+      if (!resp.ok || !data.ok) {
+        console.error("Error actualizando transform", data);
+        throw new Error(
+          data.error ||
+            "No se pudo guardar la posición/rotación en el servidor."
+        );
+      }
+
+      await loadProjectsFromServer();
+      alert("Posición/rotación guardadas en el proyecto.");
+    } catch (err) {
+      console.error(err);
+      alert(err.message || "Error al guardar posición/rotación.");
+    }
+  };
+
+  // La unidad de visualización sigue a la del archivo (se puede cambiar)
+  const handleChangeSourceUnit = (unit) => {
+    setSourceUnit(unit);
+    setDisplayUnit(unit);
+  };
+
+  const handleSaveSourceUnit = async () => {
+    if (!currentProjectId) return;
+    try {
+      const resp = await authFetch(
+        `${API_PROJECTS_URL}/${currentProjectId}/units`,
+        {
+          method: "PUT",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ sourceUnit }),
+        }
+      );
+      const text = await resp.text();
+      let data;
+      try {
+        data = JSON.parse(text);
+      } catch (e) {
+        console.error(
+          "Respuesta no JSON en PUT /api/projects/:id/units:",
+          text
+        );
+        throw new Error("La ruta /units no devolvió JSON.");
+      }
+
+      if (!resp.ok || !data.ok) {
+        throw new Error(data.error || "No se pudo guardar la unidad.");
+      }
+      await loadProjectsFromServer();
+      alert(`Unidad del archivo guardada: ${LENGTH_UNITS[sourceUnit].label}.`);
+    } catch (err) {
+      console.error(err);
+      alert(err.message || "Error al guardar la unidad.");
+    }
+  };
+
+  const handleRenameProject = async (projectId) => {
+    const current = projects.find((p) => p.id === projectId);
+    const newName = window.prompt(
+      "Nuevo nombre para el proyecto:",
+      current?.name || ""
+    );
+    if (!newName) return;
+
+    try {
+      const resp = await authFetch(`${API_PROJECTS_URL}/${projectId}/rename`, {
+        method: "PUT",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ name: newName }),
+      });
+      const text = await resp.text();
+      let data;
+      try {
+        data = JSON.parse(text);
+      } catch (e) {
+        console.error(
+          "Respuesta no JSON en PUT /api/projects/:id/rename:",
+          text
+        );
+        throw new Error("La ruta /rename no devolvió JSON.");
+      }
+
+      if (!resp.ok || !data.ok) {
+        throw new Error(
+          data.error || "No se pudo renombrar el proyecto en el servidor."
+        );
+      }
+      await loadProjectsFromServer();
+      alert("Proyecto renombrado.");
+    } catch (err) {
+      console.error(err);
+      alert(err.message || "Error al renombrar el proyecto.");
+    }
+  };
+
+  /* =========================
+     Cuenta de usuario y miembros
+  ========================== */
+
+  // login/register actualizan la sesión vía onSessionChange
+  const handleLogin = async (username, password) => {
+    await login(username, password);
+  };
+
+  const handleRegister = async (username, password, displayName) => {
+    await register(username, password, displayName);
+  };
+
+  const handleLogout = () => {
+    logout();
+    setCurrentProjectId(null);
+    setPendingNotes("");
+    setIsCotizacionOpen(false);
+  };
+
+  const handleClaimProject = async (projectId) => {
+    const pwd = window.prompt(
+      "Contraseña anterior del proyecto para reclamarlo como propietario:"
+    );
+    if (!pwd) return;
+
+    try {
+      const resp = await authFetch(`${API_PROJECTS_URL}/${projectId}/claim`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ password: pwd }),
+      });
+      const text = await resp.text();
+      let data;
+      try {
+        data = JSON.parse(text);
+      } catch (e) {
+        console.error(
+          "Respuesta no JSON en POST /api/projects/:id/claim:",
+          text
+        );
+        throw new Error("La ruta /claim no devolvió JSON.");
+      }
+
+      if (!resp.ok || !data.ok) {
+        throw new Error(data.error || "No se pudo reclamar el proyecto.");
+      }
+      await loadProjectsFromServer();
+      alert("Ahora eres propietario de este proyecto.");
+    } catch (err) {
+      console.error(err);
+      alert(err.message || "Error al reclamar el proyecto.");
+    }
+  };
+
+  // role null = quitar al usuario del proyecto
+  const handleUpdateMember = async (projectId, username, role) => {
+    try {
+      const resp = await authFetch(`${API_PROJECTS_URL}/${projectId}/members`, {
+        method: "PUT",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ username, role }),
+      });
+      const text = await resp.text();
+      let data;
+      try {
+        data = JSON.parse(text);
+      } catch (e) {
+        console.error(
+          "Respuesta no JSON en PUT /api/projects/:id/members:",
+          text
+        );
+        throw new Error("La ruta /members no devolvió JSON.");
+      }
+
+      if (!resp.ok || !data.ok) {
+        throw new Error(
+          data.error || "No se pudieron actualizar los miembros."
+        );
+      }
+      await loadProjectsFromServer();
+    } catch (err) {
+      console.error(err);
+      alert(err.message || "Error al actualizar los miembros.");
+    }
+  };
+
+  const handleCreateShare = async (projectId, { label, expiresInDays }) => {
+    try {
+      const resp = await authFetch(`${API_PROJECTS_URL}/${projectId}/shares`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ label, expiresInDays }),
+      });
+      const text = await resp.text();
+      let data;
+      try {
+        data = JSON.parse(text);
+      } catch (e) {
+        console.error(
+          "Respuesta no JSON en POST /api/projects/:id/shares:",
+          text
+        );
+        throw new Error("La ruta /shares no devolvió JSON.");
+      }
+
+      if (!resp.ok || !data.ok) {
+        throw new Error(data.error || "No se pudo crear el enlace.");
+      }
+      await loadProjectsFromServer();
+    } catch (err) {
+      console.error(err);
+      alert(err.message || "Error al crear el enlace compartido.");
+    }
+  };
+
+  const handleRevokeShare = async (projectId, shareId) => {
+    const ok = window.confirm(
+      "¿Revocar este enlace? Quien lo tenga ya no podrá abrir el proyecto."
+    );
+    if (!ok) return;
+
+    try {
+      const resp = await authFetch(
+        `${API_PROJECTS_URL}/${projectId}/shares/${shareId}`,
+        { method: "DELETE" }
+      );
+      const text = await resp.text();
+      let data;
+      try {
+        data = JSON.parse(text);
+      } catch (e) {
+        console.error(
+          "Respuesta no JSON en DELETE /api/projects/:id/shares/:shareId:",
+          text
+        );
+        throw new Error("La ruta /shares no devolvió JSON.");
+      }
+
+      if (!resp.ok || !data.ok) {
+        throw new Error(data.error || "No se pudo revocar el enlace.");
+      }
+      await loadProjectsFromServer();
+    } catch (err) {
+      console.error(err);
+      alert(err.message || "Error al revocar el enlace compartido.");
+    }
+  };
+
+  const loadProjectIntoViewer = async (project) => {
+    if (!project) return;
+
+    const models = project.models || [];
+    if (!models.length) {
+      alert("Este proyecto no tiene modelo asociado.");
+      return;
+    }
+
+    // ✅ Si la URL ya empieza con http/https (Supabase), NO le pegamos API_BASE_URL
+    const resolveUrl = (url) =>
+      /^https?:\/\//i.test(url) ? url : `${API_BASE_URL}${url}`;
+    const extOf = (model) => model.file.split(".").pop().toLowerCase();
+    // Los recursos se bajan con la sesión: las texturas se piden como
+    // imágenes y no llevarían el token
+    const fetchResources = async (model, signal) => {
+      if (!model.resources?.length) return null;
+      const resources = new Map();
+      for (const name of model.resources) {
+        const resp = await authFetch(
+          resolveUrl(`${model.resourcesUrl}${encodeURIComponent(name)}`),
+          { signal }
+        );
+        if (!resp.ok) throw new Error(`No se pudo descargar ${name}.`);
+        resources.set(name, new File([await resp.blob()], name));
+      }
+      return resources;
+    };
+
+    // Primero se leen todos los archivos: si uno falla o se cancela, el
+    // modelo actual sigue en pantalla
+    const signal = startLoadSession();
+    const nodes = [];
+    try {
+      for (const [index, model] of models.entries()) {
+        const root = await loadModelObject(
+          resolveUrl(model.url),
+          extOf(model),
+          await fetchResources(model, signal),
+          model.name,
+          {
+            signal,
+            label:
+              models.length > 1
+                ? `${model.name} (${index + 1}/${models.length})`
+                : model.name,
+          }
+        );
+        nodes.push(createAssemblyNode(root, model.id, model.name));
+      }
+    } catch (err) {
+      nodes.forEach(disposeModelObject);
+      if (!isCancelError(err)) {
+        console.error(err);
+        alert(err.message || "Error al cargar el modelo del proyecto.");
+      }
+      return;
+    } finally {
+      endLoadSession(signal);
+    }
+
+    if (objectUrlRef.current) {
+      URL.revokeObjectURL(objectUrlRef.current);
+      objectUrlRef.current = null;
+    }
+
+    setModelName(
+      models.length > 1
+        ? `${models.length} archivos (${models.map((m) => m.name).join(", ")})`
+        : models[0].file
+    );
+    modelTypeRef.current = extOf(models[0]);
+    // antes de agregarlos: addRootToScene escala con esta unidad
+    sourceUnitRef.current = project.sourceUnit || DEFAULT_UNIT;
+    handleChangeSourceUnit(sourceUnitRef.current);
+    setCurrentProjectId(project.id);
+    setPendingNotes(project.pendingNotes || "");
+    setEditingPartId(null);
+
+    nodes.forEach((node, index) => {
+      if (index === 0) addRootToScene(node, models[0]);
+      else addModelToAssembly(node, models[index]);
+    });
+
+    // antes de la meta de las capas: sus acabados pueden ser del proyecto
+    const projectMaterials = (project.customMaterials || []).map(
+      normalizeCustomMaterial
+    );
+    customMaterialsRef.current = projectMaterials;
+    setCustomMaterials(projectMaterials);
+
+    setLighting(normalizeLighting(project.lighting));
+    setPosition(project.position || { x: 0, y: 0, z: 0 });
+    setRotation(project.rotation || { x: 0, y: 0, z: 0 });
+    applyProjectPartsMeta(project);
+    setMeasurements(project.measurements || []);
+    setSections(project.sections || []);
+    setAnnotations(project.annotations || []);
+    setAttachments(project.attachments || []);
+
+    // la vista guardada reemplaza el encuadre automático
+    setCameraViews(project.cameraViews || []);
+    if (project.initialView && controlsRef.current) {
+      activateProjection(project.initialView.projection);
+      applyCameraPose(
+        cameraRef.current,
+        controlsRef.current,
+        project.initialView
+      );
+    }
+  };
+
+  const handleLoadProject = (projectId) => {
+    loadProjectIntoViewer(projects.find((p) => p.id === projectId));
+  };
+
+  // Vista compartida: cargar el proyecto del enlace al arrancar
+  useEffect(() => {
+    if (!sharedLink) return;
+
+    const loadSharedProject = async () => {
+      try {
+        const resp = await authFetch(
+          `${API_PROJECTS_URL}/${encodeURIComponent(sharedLink.projectId)}`
+        );
+        const text = await resp.text();
+        let data;
+        try {
+          data = JSON.parse(text);
+        } catch (e) {
+          console.error("Respuesta no JSON en GET /api/projects/:id:", text);
+          throw new Error("El backend no devolvió JSON al abrir el enlace.");
+        }
+
+        if (!resp.ok || !data.ok) {
+          throw new Error(
+            data.error || "No se pudo abrir el proyecto compartido."
+          );
+        }
+        setSharedProject(data.project);
+        loadProjectIntoViewer(data.project);
+      } catch (err) {
+        console.error(err);
+        setSharedLinkError(
+          err.message || "No se pudo abrir el proyecto compartido."
+        );
+      }
+    };
+
+    loadSharedProject();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  // Análisis de la capa seleccionada (se cachea por malla), en mm. El
+  // modelo se edita en su sitio: se recalcula cuando cambia el estado que
+  // lo mueve (capas, modelos del ensamblaje, vista explosionada, unidad)
+  const modelScale = unitScale(sourceUnit);
+  const { selectedPartStats, modelStats } = useMemo(() => {
+    if (!hasModel || editingPartId === null) {
+      return { selectedPartStats: null, modelStats: null };
+    }
+    const partStats = analyzePart(modelRef.current, editingPartId, modelScale);
+    return {
+      selectedPartStats: partStats,
+      modelStats: partStats
+        ? analyzePart(modelRef.current, undefined, modelScale)
+        : null,
+    };
+  }, [
+    hasModel,
+    editingPartId,
+    parts,
+    assemblyModels,
+    explodeFactor,
+    explodeMode,
+    modelScale,
+  ]);
+  const selectedPartName = parts.find((p) => p.id === editingPartId)?.name;
+  const assemblyModelNames = Object.fromEntries(
+    assemblyModels.map((m) => [m.id, m.name])
+  );
+  const positionRange = Math.max(MIN_POSITION_RANGE, gridExtent);
+
+  // Campos numéricos del gizmo: posición en la unidad mostrada (la de las
+  // capas está en unidades del archivo), rotación en grados, escala x1
+  const activeGizmoMode =
+    gizmoTarget === "model" && gizmoMode === "scale" ? "translate" : gizmoMode;
+  const gizmoPart =
+    gizmoTarget === "part" && gizmoObject
+      ? parts.find((p) => p.id === editingPartId)
+      : null;
+  const gizmoModel =
+    gizmoTarget === "node" && gizmoObject
+      ? assemblyModels.find((m) => m.id === selectedModelId)
+      : null;
+  const gizmoPartTransform = gizmoPart
+    ? gizmoPart.transform || originalPartTransform(gizmoObject)
+    : gizmoModel
+    ? gizmoModel.transform || originalPartTransform(gizmoObject)
+    : null;
+  const gizmoField = {
+    translate: "position",
+    rotate: "rotation",
+    scale: "scale",
+  }[activeGizmoMode];
+
+  const gizmoFieldValue = (axis) => {
+    if (!gizmoPartTransform) {
+      return activeGizmoMode === "rotate"
+        ? rotation[axis]
+        : fromMm(position[axis], displayUnit);
+    }
+    const value = gizmoPartTransform[gizmoField][axis];
+    return activeGizmoMode === "translate"
+      ? fromMm(value * modelScale, displayUnit)
+      : value;
+  };
+
+  const handleGizmoFieldChange = (axis, raw) => {
+    const value = Number(raw) || 0;
+    if (!gizmoPartTransform) {
+      if (activeGizmoMode === "rotate") handleRotationChange(axis, value);
+      else handlePositionChange(axis, toMm(value, displayUnit));
+      return;
+    }
+    const handleChange = gizmoPart
+      ? handleChangePartTransform
+      : handleChangeAssemblyModelTransform;
+    handleChange(
+      (gizmoPart || gizmoModel).id,
+      gizmoField,
+      axis,
+      activeGizmoMode === "translate"
+        ? toMm(value, displayUnit) / modelScale
+        : activeGizmoMode === "scale"
+        ? Math.max(value, 0.001)
+        : value
+    );
+  };
+  const savedSourceUnit = currentProject?.sourceUnit || DEFAULT_UNIT;
+
+  // Volumen y área por capa visible para generar la cotización de impresión
+  // (se recalcula solo cuando cambian las capas o la unidad)
+  const quoteParts = useMemo(
+    () =>
+      isCotizacionOpen && hasModel
+        ? parts
+            .filter((p) => p.visible)
+            .map((p) => {
+              const stats = analyzePart(modelRef.current, p.id, modelScale);
+              return stats
+                ? {
+                    id: p.id,
+                    name: p.name,
+                    volume: stats.volume,
+                    area: stats.area,
+                    watertight: stats.watertight,
+                  }
+                : null;
+            })
+            .filter(Boolean)
+        : [],
+    [isCotizacionOpen, hasModel, parts, assemblyModels, modelScale]
+  );
+
+  /* =========================
+     UI
+  ========================== */
+
+  return (
+    <>
+      <div
+        style={{
+          display: "flex",
+          flexDirection: isMobile ? "column" : "row",
+          height: "100vh",
+          width: "100vw",
+          background: "radial-gradient(circle at top, #0f172a, #020617)",
+        }}
+      >
+        {/* Lado izquierdo: visor 3D */}
+        <div
+          ref={containerRef}
+          onDragOver={handleViewerDragOver}
+          onDragLeave={handleViewerDragLeave}
+          onDrop={handleViewerDrop}
+          style={{
+            flex: isMobile ? "0 0 50vh" : 1,
+            height: isMobile ? "50vh" : "100vh",
+            minHeight: isMobile ? "50vh" : "100%",
+            position: "relative",
+            overflow: "hidden",
+            // damero para ver qué parte del visor queda transparente
+            ...(lighting.background === "transparent" && {
+              backgroundImage:
+                "repeating-conic-gradient(#1f2937 0% 25%, #111827 0% 50%)",
+              backgroundSize: "24px 24px",
+            }),
+            borderRight: isMobile ? "none" : "1px solid #1f2937",
+            borderBottom: isMobile ? "1px solid #1f2937" : "none",
+          }}
+        >
+          <div
+            style={{
+              position: "absolute",
+              left: "50%",
+              top: 16,
+              transform: "translateX(-50%)",
+              padding: "6px 12px",
+              background: "rgba(15,23,42,0.85)",
+              borderRadius: 999,
+              fontSize: 12,
+              letterSpacing: "0.08em",
+              textTransform: "uppercase",
+              color: "#a5b4fc",
+              border: "1px solid rgba(129,140,248,0.3)",
+              backdropFilter: "blur(8px)",
+              zIndex: 5,
+            }}
+          >
+            VISOR 3D · PROTOTIPOS
+            {isSharedView && " · VISTA COMPARTIDA (SOLO LECTURA)"}
+          </div>
+
+          {/* Estadísticas de render (FPS, draw calls, triángulos) */}
+          {viewerPerformance.stats && (
+            <div
+              ref={statsRef}
+              style={{
+                position: "absolute",
+                top: 16,
+                left: 16,
+                padding: "6px 10px",
+                borderRadius: 8,
+                background: "rgba(15,23,42,0.85)",
+                border: "1px solid #1f2937",
+                color: "#a7f3d0",
+                fontFamily: "monospace",
+                fontSize: 11,
+                whiteSpace: "pre",
+                pointerEvents: "none",
+                zIndex: 4,
+              }}
+            >
+              Midiendo…
+            </div>
+          )}
+
+          {/* Soltar archivos: abrir como escena nueva o sumar al ensamblaje */}
+          {dropMode && (
+            <div
+              style={{
+                position: "absolute",
+                inset: 0,
+                display: "flex",
+                gap: 12,
+                padding: 16,
+                background: "rgba(2,6,23,0.7)",
+                pointerEvents: "none",
+                zIndex: 8,
+              }}
+            >
+              {(hasModel ? ["open", "add"] : ["open"]).map((mode) => (
+                <div
+                  key={mode}
+                  style={{
+                    flex: 1,
+                    display: "flex",
+                    flexDirection: "column",
+                    alignItems: "center",
+                    justifyContent: "center",
+                    gap: 6,
+                    borderRadius: 24,
+                    border:
+                      dropMode === mode
+                        ? "2px dashed #38bdf8"
+                        : "2px dashed #374151",
+                    background:
+                      dropMode === mode
+                        ? "rgba(56,189,248,0.12)"
+                        : "transparent",
+                    color: dropMode === mode ? "#e0f2fe" : "#6b7280",
+                    fontSize: 14,
+                    textAlign: "center",
+                  }}
+                >
+                  <span style={{ fontSize: 28 }}>
+                    {mode === "open" ? "📂" : "➕"}
+                  </span>
+                  {mode === "open"
+                    ? hasModel
+                      ? "Abrir como escena nueva"
+                      : "Suelta para abrir"
+                    : "Añadir al ensamblaje"}
+                  <span style={{ fontSize: 11, color: "#9ca3af" }}>
+                    {MODEL_EXTENSIONS.map((ext) => `.${ext}`).join(" ")} · un
+                    .gltf con sus .bin y texturas
+                  </span>
+                </div>
+              ))}
+            </div>
+          )}
+
+          {/* Progreso de la carga en curso, con cancelar */}
+          {loadProgress && (
+            <div
+              style={{
+                position: "absolute",
+                top: "50%",
+                left: "50%",
+                transform: "translate(-50%, -50%)",
+                width: 300,
+                maxWidth: "80%",
+                padding: 14,
+                borderRadius: 16,
+                background: "rgba(15,23,42,0.95)",
+                border: "1px solid #1f2937",
+                color: "#e5e7eb",
+                fontSize: 12,
+                zIndex: 9,
+                display: "flex",
+                flexDirection: "column",
+                gap: 8,
+                boxShadow: "0 12px 30px rgba(0,0,0,0.6)",
+              }}
+            >
+              <div
+                style={{
+                  fontWeight: 600,
+                  overflow: "hidden",
+                  textOverflow: "ellipsis",
+                  whiteSpace: "nowrap",
+                }}
+              >
+                Cargando {loadProgress.label}
+              </div>
+              <div
+                style={{
+                  height: 6,
+                  borderRadius: 999,
+                  background: "#1f2937",
+                  overflow: "hidden",
+                }}
+              >
+                <div
+                  style={{
+                    height: "100%",
+                    width: `${loadPercent ?? 100}%`,
+                    background: "#38bdf8",
+                    // sin total conocido o leyendo: barra llena y tenue
+                    opacity: loadPercent === null ? 0.4 : 1,
+                    transition: "width 0.1s linear",
+                  }}
+                />
+              </div>
+              <div
+                style={{
+                  display: "flex",
+                  alignItems: "center",
+                  justifyContent: "space-between",
+                  gap: 8,
+                  color: "#9ca3af",
+                  fontSize: 11,
+                }}
+              >
+                <span>
+                  {loadProgress.phase === "parse"
+                    ? `Leyendo la geometría (${formatBytes(
+                        loadProgress.loaded
+                      )})…`
+                    : loadPercent !== null
+                    ? `${formatBytes(loadProgress.loaded)} de ${formatBytes(
+                        loadProgress.total
+                      )} · ${loadPercent}%`
+                    : `${formatBytes(loadProgress.loaded)} descargados`}
+                </span>
+                <button
+                  type="button"
+                  onClick={handleCancelLoad}
+                  style={{
+                    fontSize: 11,
+                    padding: "3px 10px",
+                    borderRadius: 999,
+                    border: "1px solid #7f1d1d",
+                    background: "transparent",
+                    color: "#fca5a5",
+                    cursor: "pointer",
+                  }}
+                >
+                  Cancelar
+                </button>
+              </div>
+            </div>
+          )}
+
+          {/* Errores de la última importación */}
+          {importMessages.length > 0 && (
+            <div
+              style={{
+                position: "absolute",
+                top: 56,
+                left: "50%",
+                transform: "translateX(-50%)",
+                maxWidth: "80%",
+                padding: "10px 12px",
+                borderRadius: 16,
+                background: "rgba(69,10,10,0.92)",
+                border: "1px solid #7f1d1d",
+                color: "#fecaca",
+                fontSize: 12,
+                zIndex: 7,
+                display: "flex",
+                gap: 10,
+                alignItems: "flex-start",
+              }}
+            >
+              <div style={{ display: "flex", flexDirection: "column", gap: 4 }}>
+                <strong style={{ fontSize: 12 }}>
+                  No se pudieron importar algunos archivos
+                </strong>
+                {importMessages.map((message) => (
+                  <div key={message}>{message}</div>
+                ))}
+              </div>
+              <button
+                type="button"
+                onClick={() => setImportMessages([])}
+                style={{
+                  border: "none",
+                  background: "transparent",
+                  color: "#fecaca",
+                  fontSize: 16,
+                  cursor: "pointer",
+                  lineHeight: 1,
+                  padding: 0,
+                }}
+              >
+                ×
+              </button>
+            </div>
+          )}
+
+          {/* Texto de pieza seleccionada */}
+          {selectedPartInfo && (
+            <div
+              style={{
+                position: "absolute",
+                bottom: 16,
+                left: "50%",
+                transform: "translateX(-50%)",
+                maxWidth: "70%",
+                padding: 12,
+                borderRadius: 16,
+                background: "rgba(15,23,42,0.9)",
+                border: "1px solid #1f2937",
+                color: "#e5e7eb",
+                fontSize: 12,
+                zIndex: 6,
+                boxShadow: "0 12px 30px rgba(0,0,0,0.6)",
+              }}
+            >
+              <div
+                style={{
+                  fontWeight: 600,
+                  marginBottom: 4,
+                  fontSize: 13,
+                }}
+              >
+                Capa seleccionada: {selectedPartInfo.name}
+              </div>
+              {selectedPartInfo.notes ? (
+                <div
+                  style={{
+                    fontSize: 12,
+                    color: "#cbd5f5",
+                    whiteSpace: "pre-wrap",
+                  }}
+                >
+                  {selectedPartInfo.notes}
+                </div>
+              ) : (
+                <div
+                  style={{
+                    fontSize: 11,
+                    color: "#9ca3af",
+                  }}
+                >
+                  (Sin notas registradas para esta pieza)
+                </div>
+              )}
+            </div>
+          )}
+
+          {!hasModel && (
+            <div
+              style={{
+                position: "absolute",
+                inset: 0,
+                display: "flex",
+                alignItems: "center",
+                justifyContent: "center",
+                pointerEvents: "none",
+                zIndex: 4,
+              }}
+            >
+              <div
+                style={{
+                  textAlign: "center",
+                  maxWidth: 320,
+                  padding: 24,
+                  borderRadius: 24,
+                  background: "rgba(15,23,42,0.9)",
+                  border: "1px solid #1f2937",
+                  boxShadow: "0 18px 45px rgba(0,0,0,0.6)",
+                }}
+              >
+                <div
+                  style={{
+                    fontSize: 32,
+                    marginBottom: 12,
+                  }}
+                >
+                  🧱
+                </div>
+                <h2
+                  style={{
+                    fontSize: 18,
+                    marginBottom: 8,
+                    color: "#e5e7eb",
+                  }}
+                >
+                  {isSharedView
+                    ? "Abriendo proyecto compartido"
+                    : "Esperando un modelo 3D"}
+                </h2>
+                <p
+                  style={{
+                    fontSize: 13,
+                    color: sharedLinkError ? "#fecaca" : "#9ca3af",
+                  }}
+                >
+                  {isSharedView ? (
+                    sharedLinkError || "Cargando el modelo del enlace…"
+                  ) : (
+                    <>
+                      Importa, arrastra o pega un archivo{" "}
+                      <strong>.stl, .obj, .gltf, .glb, .ply</strong> o{" "}
+                      <strong>.3mf</strong> para visualizar tu prototipo aquí.
+                    </>
+                  )}
+                </p>
+              </div>
+            </div>
+          )}
+        </div>
+
+        {/* Lado derecho: panel de control */}
+        <div
+          style={{
+            width: isMobile ? "100%" : 380,
+            flex: isMobile ? 1 : "0 0 auto",
+            padding: 16,
+            background: "rgba(15,23,42,0.98)",
+            display: "flex",
+            flexDirection: "column",
+            gap: 16,
+            overflowY: "auto",
+          }}
+        >
+          {/* Encabezado + logo + botón escenas */}
+          <div
+            style={{
+              display: "flex",
+              alignItems: "center",
+              justifyContent: "space-between",
+              marginBottom: 4,
+              gap: 12,
+            }}
+          >
+            <div style={{ flex: 1 }}>
+              <h1
+                style={{
+                  fontSize: 18,
+                  marginBottom: 4,
+                }}
+              >
+                Visor de prototipos 3D
+              </h1>
+              <p
+                style={{
+                  fontSize: 12,
+                  color: "#9ca3af",
+                }}
+              >
+                Carga modelos para revisión rápida de diseño y ensamblajes.
+              </p>
+            </div>
+            <div
+              style={{
+                display: "flex",
+                flexDirection: "column",
+                alignItems: "flex-end",
+                gap: 8,
+              }}
+            >
+              <div
+                style={{
+                  width: 80,
+                  height: 40,
+                  borderRadius: 999,
+                  border: "1px dashed #4b5563",
+                  display: "flex",
+                  alignItems: "center",
+                  justifyContent: "center",
+                  fontSize: 10,
+                  color: "#6b7280",
+                }}
+              >
+                <img
+                  src="/logo-maestria_0006_Capa-0.png"
+                  alt=""
+                  style={{
+                    width: 70,
+                    height: 30,
+                  }}
+                />
+              </div>
+              {!isSharedView && (
+                <button
+                  onClick={() => setIsProjectModalOpen(true)}
+                  style={{
+                    padding: "4px 10px",
+                    borderRadius: 999,
+                    border: "1px solid #4b5563",
+                    background:
+                      "linear-gradient(135deg, rgba(56,189,248,0.15), rgba(37,99,235,0.35))",
+                    color: "#bfdbfe",
+                    fontSize: 11,
+                    cursor: "pointer",
+                  }}
+                >
+                  Escenas / proyectos
+                </button>
+              )}
+            </div>
+          </div>
+
+          {/* Input de archivo */}
+          {!isSharedView && (
+          <div
+            style={{
+              padding: 12,
+              borderRadius: 16,
+              border: "1px solid #1f2937",
+              background:
+                "linear-gradient(135deg, rgba(15,23,42,1), rgba(15,23,42,0.8))",
+            }}
+          >
+            <label
+              htmlFor="model-input"
+              style={{
+                display: "inline-flex",
+                alignItems: "center",
+                gap: 8,
+                padding: "8px 12px",
+                borderRadius: 999,
+                border: "1px solid #4b5563",
+                cursor: "pointer",
+                fontSize: 13,
+              }}
+            >
+              <span role="img" aria-label="upload">
+                📁
+              </span>
+              <span>Elegir modelo 3D</span>
+            </label>
+            <input
+              id="model-input"
+              type="file"
+              multiple
+              accept={IMPORT_ACCEPT}
+              onChange={handleFileChange}
+              style={{ display: "none" }}
+            />
+            <label
+              htmlFor="model-folder-input"
+              title="Un .gltf u .obj con sus .bin, .mtl y texturas"
+              style={{
+                display: "inline-flex",
+                alignItems: "center",
+                gap: 8,
+                marginLeft: 8,
+                padding: "8px 12px",
+                borderRadius: 999,
+                border: "1px solid #4b5563",
+                cursor: "pointer",
+                fontSize: 13,
+              }}
+            >
+              <span role="img" aria-label="carpeta">
+                📂
+              </span>
+              <span>Carpeta</span>
+            </label>
+            <input
+              id="model-folder-input"
+              type="file"
+              webkitdirectory=""
+              onChange={handleFileChange}
+              style={{ display: "none" }}
+            />
+
+            <div
+              style={{
+                marginTop: 8,
+                fontSize: 11,
+                color: "#9ca3af",
+              }}
+            >
+              {modelName ? (
+                <>
+                  Archivo cargado:{" "}
+                  <span style={{ color: "#e5e7eb" }}>{modelName}</span>
+                </>
+              ) : (
+                "Ningún archivo seleccionado"
+              )}
+            </div>
+          </div>
+          )}
+
+          {/* Ensamblaje: archivos de la escena */}
+          {hasModel && !isSharedView && (
+            <div
+              style={{
+                padding: 12,
+                borderRadius: 16,
+                border: "1px solid #1f2937",
+                background: "rgba(15,23,42,0.9)",
+                display: "flex",
+                flexDirection: "column",
+                gap: 8,
+              }}
+            >
+              <div style={{ fontSize: 13 }}>
+                Ensamblaje
+                <div
+                  style={{
+                    fontSize: 11,
+                    color: "#6b7280",
+                    marginTop: 2,
+                  }}
+                >
+                  Cada archivo es un nodo con su propia pose y sus capas. Para
+                  moverlo elige "Archivo seleccionado" en el gizmo.
+                </div>
+              </div>
+
+              {assemblyModels.map((m) => {
+                const selected = m.id === selectedModelId;
+                const layerCount = parts.filter(
+                  (p) => modelIdOfPart(p.id) === m.id
+                ).length;
+                return (
+                  <div
+                    key={m.id}
+                    style={{
+                      display: "flex",
+                      alignItems: "center",
+                      gap: 6,
+                      padding: "4px 6px",
+                      borderRadius: 10,
+                      border: selected
+                        ? "1px solid #38bdf8"
+                        : "1px solid #111827",
+                      background: selected
+                        ? "rgba(56,189,248,0.08)"
+                        : "#020617",
+                    }}
+                  >
+                    <input
+                      type="text"
+                      value={m.name}
+                      onFocus={() => setSelectedModelId(m.id)}
+                      onChange={(e) =>
+                        handleChangeAssemblyModelName(m.id, e.target.value)
+                      }
+                      style={{
+                        flex: 1,
+                        minWidth: 0,
+                        fontSize: 12,
+                        padding: "3px 6px",
+                        borderRadius: 8,
+                        border: "1px solid #1f2937",
+                        background: "transparent",
+                        color: "#e5e7eb",
+                        outline: "none",
+                      }}
+                    />
+                    <span
+                      style={{
+                        fontSize: 10,
+                        color: "#6b7280",
+                        whiteSpace: "nowrap",
+                      }}
+                    >
+                      {layerCount} capa{layerCount === 1 ? "" : "s"}
+                      {m.file ? "" : " · sin guardar"}
+                    </span>
+                    <button
+                      type="button"
+                      onClick={() => {
+                        setSelectedModelId(m.id);
+                        setGizmoTarget("node");
+                      }}
+                      style={{
+                        fontSize: 10,
+                        padding: "3px 6px",
+                        borderRadius: 999,
+                        border: "1px solid #4b5563",
+                        background: "rgba(37,99,235,0.12)",
+                        color: "#bfdbfe",
+                        cursor: "pointer",
+                      }}
+                    >
+                      Mover
+                    </button>
+                    {assemblyModels.length > 1 &&
+                      (!m.file || canOwnCurrent) && (
+                        <button
+                          type="button"
+                          onClick={() => handleRemoveAssemblyModel(m.id)}
+                          title="Quitar del ensamblaje"
+                          style={{
+                            fontSize: 10,
+                            padding: "3px 6px",
+                            borderRadius: 999,
+                            border: "1px solid #7f1d1d",
+                            background: "transparent",
+                            color: "#fca5a5",
+                            cursor: "pointer",
+                          }}
+                        >
+                          ×
+                        </button>
+                      )}
+                  </div>
+                );
+              })}
+
+              <div
+                style={{
+                  display: "flex",
+                  alignItems: "center",
+                  justifyContent: "space-between",
+                  gap: 6,
+                }}
+              >
+                <label
+                  style={{
+                    display: "inline-flex",
+                    alignItems: "center",
+                    gap: 6,
+                    padding: "4px 10px",
+                    borderRadius: 999,
+                    border: "1px dashed #4b5563",
+                    cursor: "pointer",
+                    fontSize: 11,
+                    color: "#e5e7eb",
+                  }}
+                >
+                  ➕ Añadir archivo
+                  <input
+                    type="file"
+                    multiple
+                    accept={IMPORT_ACCEPT}
+                    onChange={handleAddModelFile}
+                    style={{ display: "none" }}
+                  />
+                </label>
+                {currentProjectId &&
+                  canEditCurrent &&
+                  assemblyModels.some((m) => m.file) && (
+                    <button
+                      type="button"
+                      onClick={handleSaveAssembly}
+                      style={{
+                        fontSize: 11,
+                        padding: "4px 10px",
+                        borderRadius: 999,
+                        border: "1px solid #4b5563",
+                        background:
+                          "linear-gradient(135deg, rgba(56,189,248,0.2), rgba(37,99,235,0.5))",
+                        color: "#bfdbfe",
+                        cursor: "pointer",
+                      }}
+                    >
+                      Guardar ensamblaje
+                    </button>
+                  )}
+              </div>
+              {currentProjectId && !canOwnCurrent && (
+                <div style={{ fontSize: 10, color: "#6b7280" }}>
+                  Solo el propietario agrega o quita archivos del proyecto; lo
+                  que añadas aquí queda en esta sesión.
+                </div>
+              )}
+            </div>
+          )}
+
+          {isSharedView && currentProject && (
+            <div
+              style={{
+                padding: 12,
+                borderRadius: 16,
+                border: "1px solid #1f2937",
+                background: "rgba(15,23,42,0.9)",
+                fontSize: 13,
+              }}
+            >
+              {currentProject.name}
+              <div
+                style={{
+                  fontSize: 11,
+                  color: "#6b7280",
+                  marginTop: 2,
+                }}
+              >
+                {currentProject.author && (
+                  <>Autor: {currentProject.author} · </>
+                )}
+                Fecha: {currentProject.date} · Vista de solo lectura
+              </div>
+            </div>
+          )}
+
+          {/* Color base del modelo (para nuevas cargas) */}
+          {!isSharedView && (
+          <div
+            style={{
+              padding: 12,
+              borderRadius: 16,
+              border: "1px solid #1f2937",
+              background: "rgba(15,23,42,0.9)",
+              display: "flex",
+              alignItems: "center",
+              justifyContent: "space-between",
+              gap: 12,
+            }}
+          >
+            <div
+              style={{
+                fontSize: 13,
+              }}
+            >
+              Color base para nuevas capas
+              <div
+                style={{
+                  fontSize: 11,
+                  color: "#6b7280",
+                  marginTop: 2,
+                }}
+              >
+                Se usa como tinte inicial al cargar un modelo. Luego puedes
+                cambiar el color por capa.
+              </div>
+              <label
+                title="glTF, 3MF, OBJ con .mtl y colores por vértice"
+                style={{
+                  display: "flex",
+                  alignItems: "center",
+                  gap: 6,
+                  fontSize: 11,
+                  color: "#9ca3af",
+                  marginTop: 6,
+                }}
+              >
+                <input
+                  type="checkbox"
+                  checked={keepFileMaterials}
+                  onChange={(e) =>
+                    handleChangeKeepFileMaterials(e.target.checked)
+                  }
+                />
+                Conservar los materiales y texturas del archivo
+              </label>
+            </div>
+            <input
+              type="color"
+              value={modelBaseColor}
+              onChange={(e) => setModelBaseColor(e.target.value)}
+              style={{
+                width: 40,
+                height: 24,
+                borderRadius: 999,
+                border: "1px solid #4b5563",
+                padding: 0,
+                background: "transparent",
+                cursor: "pointer",
+              }}
+            />
+          </div>
+          )}
+
+          {/* Materiales del proyecto */}
+          {hasModel && !isSharedView && (
+            <div
+              style={{
+                padding: 12,
+                borderRadius: 16,
+                border: "1px solid #1f2937",
+                background: "rgba(15,23,42,0.9)",
+                display: "flex",
+                flexDirection: "column",
+                gap: 8,
+              }}
+            >
+              <div style={{ fontSize: 13 }}>
+                Materiales del proyecto
+                <div style={{ fontSize: 11, color: "#6b7280", marginTop: 2 }}>
+                  Acabados propios que se eligen en cada capa junto a los de la
+                  biblioteca.
+                </div>
+              </div>
+
+              <div style={{ display: "flex", gap: 6, alignItems: "center" }}>
+                <select
+                  value={newMaterialBase}
+                  onChange={(e) => setNewMaterialBase(e.target.value)}
+                  title="Material de partida"
+                  style={{
+                    flex: 1,
+                    padding: "4px 8px",
+                    borderRadius: 999,
+                    border: "1px solid #374151",
+                    background: "#020617",
+                    color: "#e5e7eb",
+                    fontSize: 11,
+                  }}
+                >
+                  {Object.entries(MATERIAL_LIBRARY).map(([key, material]) => (
+                    <option key={key} value={key}>
+                      {material.label}
+                    </option>
+                  ))}
+                </select>
+                <button
+                  type="button"
+                  onClick={handleAddCustomMaterial}
+                  style={{
+                    fontSize: 11,
+                    padding: "4px 10px",
+                    borderRadius: 999,
+                    border: "1px dashed #4b5563",
+                    background: "transparent",
+                    color: "#e5e7eb",
+                    cursor: "pointer",
+                  }}
+                >
+                  ➕ Nuevo material
+                </button>
+              </div>
+
+              {customMaterials.map((material) => (
+                <div
+                  key={material.id}
+                  style={{
+                    display: "flex",
+                    flexDirection: "column",
+                    gap: 6,
+                    padding: 8,
+                    borderRadius: 12,
+                    border: "1px solid #111827",
+                    background: "#020617",
+                  }}
+                >
+                  <div
+                    style={{ display: "flex", gap: 6, alignItems: "center" }}
+                  >
+                    <input
+                      type="color"
+                      value={material.color || "#ffffff"}
+                      onChange={(e) =>
+                        handleChangeCustomMaterial(
+                          material.id,
+                          "color",
+                          e.target.value
+                        )
+                      }
+                      title="Color propio del material"
+                      style={{
+                        width: 28,
+                        height: 18,
+                        borderRadius: 999,
+                        border: "1px solid #4b5563",
+                        padding: 0,
+                        background: "transparent",
+                        cursor: "pointer",
+                        opacity: material.color ? 1 : 0.4,
+                      }}
+                    />
+                    <input
+                      type="text"
+                      value={material.label}
+                      onChange={(e) =>
+                        handleChangeCustomMaterial(
+                          material.id,
+                          "label",
+                          e.target.value
+                        )
+                      }
+                      style={{
+                        flex: 1,
+                        minWidth: 0,
+                        fontSize: 12,
+                        padding: "3px 8px",
+                        borderRadius: 999,
+                        border: "1px solid #374151",
+                        background: "#020617",
+                        color: "#e5e7eb",
+                        outline: "none",
+                      }}
+                    />
+                    <button
+                      type="button"
+                      onClick={() =>
+                        setEditingMaterialId((prev) =>
+                          prev === material.id ? null : material.id
+                        )
+                      }
+                      style={{
+                        border: "none",
+                        background: "transparent",
+                        color: "#93c5fd",
+                        fontSize: 11,
+                        cursor: "pointer",
+                      }}
+                    >
+                      {editingMaterialId === material.id ? "Cerrar" : "Editar"}
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => handleRemoveCustomMaterial(material.id)}
+                      title="Quitar material"
+                      style={{
+                        border: "none",
+                        background: "transparent",
+                        color: "#fca5a5",
+                        fontSize: 13,
+                        cursor: "pointer",
+                      }}
+                    >
+                      ×
+                    </button>
+                  </div>
+
+                  {editingMaterialId === material.id && (
+                    <>
+                      <label
+                        style={{
+                          display: "flex",
+                          alignItems: "center",
+                          gap: 6,
+                          fontSize: 11,
+                          color: "#9ca3af",
+                        }}
+                      >
+                        <input
+                          type="checkbox"
+                          checked={Boolean(material.color)}
+                          onChange={(e) =>
+                            handleChangeCustomMaterial(
+                              material.id,
+                              "color",
+                              e.target.checked ? "#ffffff" : null
+                            )
+                          }
+                        />
+                        Color propio (si no, usa el de cada capa)
+                      </label>
+                      {MATERIAL_PARAMS.map((param) => (
+                        <label
+                          key={param.key}
+                          style={{
+                            display: "flex",
+                            alignItems: "center",
+                            gap: 6,
+                            fontSize: 11,
+                            color: "#9ca3af",
+                          }}
+                        >
+                          <span style={{ width: 120 }}>{param.label}</span>
+                          <input
+                            type="range"
+                            min={param.min}
+                            max={param.max}
+                            step={param.step}
+                            value={material[param.key]}
+                            onChange={(e) =>
+                              handleChangeCustomMaterial(
+                                material.id,
+                                param.key,
+                                Number(e.target.value)
+                              )
+                            }
+                            style={{ flex: 1 }}
+                          />
+                          <span style={{ width: 32, textAlign: "right" }}>
+                            {material[param.key].toFixed(2)}
+                          </span>
+                        </label>
+                      ))}
+                    </>
+                  )}
+                </div>
+              ))}
+
+              {currentProjectId && canEditCurrent && (
+                <button
+                  type="button"
+                  onClick={handleSaveCustomMaterials}
+                  style={{
+                    alignSelf: "flex-end",
+                    fontSize: 11,
+                    padding: "4px 10px",
+                    borderRadius: 999,
+                    border: "1px solid #4b5563",
+                    background:
+                      "linear-gradient(135deg, rgba(56,189,248,0.2), rgba(37,99,235,0.5))",
+                    color: "#bfdbfe",
+                    cursor: "pointer",
+                  }}
+                >
+                  Guardar materiales
+                </button>
+              )}
+            </div>
+          )}
+
+          {/* Cámara y vistas */}
+          {hasModel && (
+            <div
+              style={{
+                padding: 12,
+                borderRadius: 16,
+                border: "1px solid #1f2937",
+                background: "rgba(15,23,42,0.9)",
+                display: "flex",
+                flexDirection: "column",
+                gap: 8,
+              }}
+            >
+              <div style={{ fontSize: 13 }}>
+                Cámara y vistas
+                <div
+                  style={{
+                    fontSize: 11,
+                    color: "#6b7280",
+                    marginTop: 2,
+                  }}
+                >
+                  Al guardar, el proyecto se abre con la vista actual.
+                </div>
+              </div>
+              <div style={{ display: "flex", gap: 6 }}>
+                {Object.entries(PROJECTIONS).map(([key, label]) => {
+                  const active = projection === key;
+                  return (
+                    <button
+                      key={key}
+                      type="button"
+                      onClick={() => activateProjection(key)}
+                      style={{
+                        flex: 1,
+                        fontSize: 11,
+                        padding: "4px 8px",
+                        borderRadius: 999,
+                        border: active
+                          ? "1px solid #38bdf8"
+                          : "1px solid #4b5563",
+                        background: active
+                          ? "rgba(56,189,248,0.15)"
+                          : "transparent",
+                        color: active ? "#bae6fd" : "#9ca3af",
+                        cursor: "pointer",
+                      }}
+                    >
+                      {label}
+                    </button>
+                  );
+                })}
+              </div>
+              <div
+                style={{
+                  display: "grid",
+                  gridTemplateColumns: "repeat(4, 1fr)",
+                  gap: 4,
+                }}
+              >
+                {Object.entries(STANDARD_VIEWS).map(([key, view]) => (
+                  <button
+                    key={key}
+                    type="button"
+                    onClick={() => handleStandardView(key)}
+                    style={{
+                      fontSize: 10,
+                      padding: "4px 2px",
+                      borderRadius: 8,
+                      border: "1px solid #374151",
+                      background: "transparent",
+                      color: "#e5e7eb",
+                      cursor: "pointer",
+                    }}
+                  >
+                    {view.label}
+                  </button>
+                ))}
+              </div>
+
+              {cameraViews.length > 0 && (
+                <div
+                  style={{ display: "flex", flexDirection: "column", gap: 4 }}
+                >
+                  {cameraViews.map((view) => (
+                    <div
+                      key={view.id}
+                      style={{ display: "flex", alignItems: "center", gap: 6 }}
+                    >
+                      <button
+                        type="button"
+                        onClick={() => goToCameraPose(view)}
+                        title={PROJECTIONS[view.projection]}
+                        style={{
+                          flex: 1,
+                          textAlign: "left",
+                          fontSize: 12,
+                          padding: "4px 8px",
+                          borderRadius: 8,
+                          border: "1px solid #1f2937",
+                          background: "rgba(37,99,235,0.12)",
+                          color: "#bfdbfe",
+                          cursor: "pointer",
+                          overflow: "hidden",
+                          textOverflow: "ellipsis",
+                          whiteSpace: "nowrap",
+                        }}
+                      >
+                        {view.name}
+                      </button>
+                      {!isSharedView && (
+                        <button
+                          type="button"
+                          onClick={() => handleRemoveCameraView(view.id)}
+                          title="Quitar vista"
+                          style={{
+                            fontSize: 10,
+                            padding: "3px 6px",
+                            borderRadius: 999,
+                            border: "1px solid #7f1d1d",
+                            background: "transparent",
+                            color: "#fca5a5",
+                            cursor: "pointer",
+                          }}
+                        >
+                          ×
+                        </button>
+                      )}
+                    </div>
+                  ))}
+                </div>
+              )}
+
+              {!isSharedView && (
+                <div style={{ display: "flex", gap: 6 }}>
+                  <input
+                    type="text"
+                    value={newViewName}
+                    onChange={(e) => setNewViewName(e.target.value)}
+                    onKeyDown={(e) => {
+                      if (e.key === "Enter") handleAddCameraView();
+                    }}
+                    placeholder={`Vista ${cameraViews.length + 1}`}
+                    maxLength={60}
+                    style={{
+                      flex: 1,
+                      minWidth: 0,
+                      fontSize: 12,
+                      padding: "4px 8px",
+                      borderRadius: 8,
+                      border: "1px solid #374151",
+                      background: "#020617",
+                      color: "#e5e7eb",
+                      outline: "none",
+                    }}
+                  />
+                  <button
+                    type="button"
+                    onClick={handleAddCameraView}
+                    style={{
+                      fontSize: 11,
+                      padding: "4px 10px",
+                      borderRadius: 999,
+                      border: "1px solid #4b5563",
+                      background: "transparent",
+                      color: "#e5e7eb",
+                      cursor: "pointer",
+                      whiteSpace: "nowrap",
+                    }}
+                  >
+                    + Guardar vista
+                  </button>
+                </div>
+              )}
+              {currentProjectId && canEditCurrent && (
+                <button
+                  type="button"
+                  onClick={handleSaveCameraViews}
+                  style={{
+                    alignSelf: "flex-end",
+                    fontSize: 11,
+                    padding: "4px 10px",
+                    borderRadius: 999,
+                    border: "1px solid #4b5563",
+                    background:
+                      "linear-gradient(135deg, rgba(56,189,248,0.2), rgba(37,99,235,0.5))",
+                    color: "#bfdbfe",
+                    cursor: "pointer",
+                  }}
+                >
+                  Guardar vistas en el proyecto
+                </button>
+              )}
+            </div>
+          )}
+
+          {/* Iluminación y fondo */}
+          <div
+            style={{
+              padding: 12,
+              borderRadius: 16,
+              border: "1px solid #1f2937",
+              background: "rgba(15,23,42,0.9)",
+              display: "flex",
+              flexDirection: "column",
+              gap: 8,
+            }}
+          >
+            <div style={{ fontSize: 13 }}>
+              Iluminación y fondo
+              <div
+                style={{
+                  fontSize: 11,
+                  color: "#6b7280",
+                  marginTop: 2,
+                }}
+              >
+                Cada ajuste trae su entorno HDR para los reflejos de metales y
+                barnices.
+              </div>
+            </div>
+            <label
+              style={{
+                display: "flex",
+                alignItems: "center",
+                justifyContent: "space-between",
+                gap: 8,
+                fontSize: 12,
+                color: "#9ca3af",
+              }}
+            >
+              Luces
+              <select
+                value={lighting.preset}
+                onChange={(e) => handleChangeLighting("preset", e.target.value)}
+                style={{
+                  fontSize: 12,
+                  padding: "3px 6px",
+                  borderRadius: 999,
+                  border: "1px solid #374151",
+                  background: "#020617",
+                  color: "#e5e7eb",
+                  outline: "none",
+                }}
+              >
+                {Object.entries(LIGHTING_PRESETS).map(([key, preset]) => (
+                  <option key={key} value={key}>
+                    {preset.label}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <label
+              style={{
+                display: "flex",
+                alignItems: "center",
+                justifyContent: "space-between",
+                gap: 8,
+                fontSize: 12,
+                color: "#9ca3af",
+              }}
+            >
+              Fondo
+              <select
+                value={lighting.background}
+                onChange={(e) =>
+                  handleChangeLighting("background", e.target.value)
+                }
+                style={{
+                  fontSize: 12,
+                  padding: "3px 6px",
+                  borderRadius: 999,
+                  border: "1px solid #374151",
+                  background: "#020617",
+                  color: "#e5e7eb",
+                  outline: "none",
+                }}
+              >
+                {Object.entries(BACKGROUNDS).map(([key, background]) => (
+                  <option key={key} value={key}>
+                    {background.label}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <label
+              style={{
+                display: "flex",
+                alignItems: "center",
+                gap: 6,
+                fontSize: 12,
+                color: "#9ca3af",
+              }}
+            >
+              <input
+                type="checkbox"
+                checked={lighting.shadows}
+                onChange={(e) =>
+                  handleChangeLighting("shadows", e.target.checked)
+                }
+              />
+              Sombras suaves en el suelo
+            </label>
+            <label
+              style={{
+                display: "flex",
+                alignItems: "center",
+                gap: 6,
+                fontSize: 12,
+                color: "#9ca3af",
+              }}
+            >
+              <input
+                type="checkbox"
+                checked={lighting.grid}
+                onChange={(e) => handleChangeLighting("grid", e.target.checked)}
+              />
+              Mostrar grid y reglas
+            </label>
+            {currentProjectId && canEditCurrent && (
+              <button
+                type="button"
+                onClick={handleSaveLighting}
+                style={{
+                  alignSelf: "flex-end",
+                  fontSize: 11,
+                  padding: "4px 10px",
+                  borderRadius: 999,
+                  border: "1px solid #4b5563",
+                  background:
+                    "linear-gradient(135deg, rgba(56,189,248,0.2), rgba(37,99,235,0.5))",
+                  color: "#bfdbfe",
+                  cursor: "pointer",
+                }}
+              >
+                Guardar iluminación
+              </button>
+            )}
+          </div>
+
+          {/* Rendimiento */}
+          {hasModel && (
+            <div
+              style={{
+                padding: 12,
+                borderRadius: 16,
+                border: "1px solid #1f2937",
+                background: "rgba(15,23,42,0.9)",
+                display: "flex",
+                flexDirection: "column",
+                gap: 8,
+              }}
+            >
+              <div style={{ fontSize: 13 }}>
+                Rendimiento
+                <div
+                  style={{
+                    fontSize: 11,
+                    color: "#6b7280",
+                    marginTop: 2,
+                  }}
+                >
+                  El visor solo dibuja cuando algo cambia.
+                  {parts.length >= LARGE_MODEL_PARTS &&
+                    !viewerPerformance.mergeGeometry && (
+                      <> Con {parts.length} capas conviene fusionar la
+                      geometría.</>
+                    )}
+                </div>
+              </div>
+              <label
+                style={{
+                  display: "flex",
+                  alignItems: "center",
+                  gap: 6,
+                  fontSize: 12,
+                  color: "#9ca3af",
+                }}
+              >
+                <input
+                  type="checkbox"
+                  checked={viewerPerformance.mergeGeometry}
+                  onChange={(e) =>
+                    setViewerPerformance((prev) => ({
+                      ...prev,
+                      mergeGeometry: e.target.checked,
+                    }))
+                  }
+                />
+                Fusionar geometría para ver
+              </label>
+              {viewerPerformance.mergeGeometry && (
+                <div style={{ fontSize: 11, color: "#6b7280" }}>
+                  {mergePaused
+                    ? "En pausa con cortes, vista explosionada o gizmo."
+                    : `Mallas fusionadas (una por material): ${mergedMeshes}`}
+                </div>
+              )}
+              <label
+                style={{
+                  display: "flex",
+                  alignItems: "center",
+                  gap: 6,
+                  fontSize: 12,
+                  color: "#9ca3af",
+                }}
+              >
+                <input
+                  type="checkbox"
+                  checked={viewerPerformance.stats}
+                  onChange={(e) =>
+                    setViewerPerformance((prev) => ({
+                      ...prev,
+                      stats: e.target.checked,
+                    }))
+                  }
+                />
+                Mostrar FPS, draw calls y triángulos
+              </label>
+            </div>
+          )}
+
+          {/* Unidades */}
+          <div
+            style={{
+              padding: 12,
+              borderRadius: 16,
+              border: "1px solid #1f2937",
+              background: "rgba(15,23,42,0.9)",
+              display: "flex",
+              flexDirection: "column",
+              gap: 8,
+            }}
+          >
+            <div style={{ fontSize: 13 }}>
+              Unidades
+              <div
+                style={{
+                  fontSize: 11,
+                  color: "#6b7280",
+                  marginTop: 2,
+                }}
+              >
+                STL, OBJ y PLY no guardan unidades: indica en cuál se exportó el
+                archivo para que el modelo tenga su tamaño real.
+              </div>
+            </div>
+            <label
+              style={{
+                display: "flex",
+                alignItems: "center",
+                justifyContent: "space-between",
+                gap: 8,
+                fontSize: 12,
+                color: "#9ca3af",
+              }}
+            >
+              Archivo en
+              <select
+                value={sourceUnit}
+                onChange={(e) => handleChangeSourceUnit(e.target.value)}
+                style={{
+                  fontSize: 12,
+                  padding: "3px 6px",
+                  borderRadius: 999,
+                  border: "1px solid #374151",
+                  background: "#020617",
+                  color: "#e5e7eb",
+                  outline: "none",
+                }}
+              >
+                {Object.entries(LENGTH_UNITS).map(([key, u]) => (
+                  <option key={key} value={key}>
+                    {u.label}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <label
+              style={{
+                display: "flex",
+                alignItems: "center",
+                justifyContent: "space-between",
+                gap: 8,
+                fontSize: 12,
+                color: "#9ca3af",
+              }}
+            >
+              Mostrar medidas en
+              <select
+                value={displayUnit}
+                onChange={(e) => setDisplayUnit(e.target.value)}
+                style={{
+                  fontSize: 12,
+                  padding: "3px 6px",
+                  borderRadius: 999,
+                  border: "1px solid #374151",
+                  background: "#020617",
+                  color: "#e5e7eb",
+                  outline: "none",
+                }}
+              >
+                {Object.entries(LENGTH_UNITS).map(([key, u]) => (
+                  <option key={key} value={key}>
+                    {u.label}
+                  </option>
+                ))}
+              </select>
+            </label>
+            {currentProjectId &&
+              canEditCurrent &&
+              sourceUnit !== savedSourceUnit && (
+                <button
+                  type="button"
+                  onClick={handleSaveSourceUnit}
+                  style={{
+                    alignSelf: "flex-start",
+                    fontSize: 11,
+                    padding: "4px 10px",
+                    borderRadius: 999,
+                    border: "1px solid #4b5563",
+                    background:
+                      "linear-gradient(135deg, rgba(56,189,248,0.2), rgba(37,99,235,0.5))",
+                    color: "#bfdbfe",
+                    cursor: "pointer",
+                  }}
+                >
+                  Guardar unidad en el proyecto (antes{" "}
+                  {LENGTH_UNITS[savedSourceUnit].label})
+                </button>
+              )}
+          </div>
+
+          {/* Historial */}
+          {hasModel && (
+            <div
+              style={{
+                padding: 12,
+                borderRadius: 16,
+                border: "1px solid #1f2937",
+                background: "rgba(15,23,42,0.9)",
+                display: "flex",
+                flexDirection: "column",
+                gap: 8,
+              }}
+            >
+              <div style={{ fontSize: 13 }}>
+                Historial
+                <div
+                  style={{
+                    fontSize: 11,
+                    color: "#6b7280",
+                    marginTop: 2,
+                  }}
+                >
+                  Ctrl+Z deshace y Ctrl+Shift+Z rehace los cambios de la sesión
+                  (capas, poses, mediciones, cortes y pines).
+                </div>
+              </div>
+              <div style={{ display: "flex", gap: 6 }}>
+                {[
+                  ["Deshacer", handleUndo, history.past.length],
+                  ["Rehacer", handleRedo, history.future.length],
+                ].map(([label, onClick, count]) => (
+                  <button
+                    key={label}
+                    type="button"
+                    onClick={onClick}
+                    disabled={!count}
+                    style={{
+                      fontSize: 11,
+                      padding: "4px 10px",
+                      borderRadius: 999,
+                      border: "1px solid #4b5563",
+                      background: count ? "#020617" : "transparent",
+                      color: count ? "#e5e7eb" : "#4b5563",
+                      cursor: count ? "pointer" : "default",
+                    }}
+                  >
+                    {label} ({count})
+                  </button>
+                ))}
+              </div>
+              {history.past.length + history.future.length > 0 ? (
+                <div
+                  style={{
+                    maxHeight: 160,
+                    overflowY: "auto",
+                    display: "flex",
+                    flexDirection: "column",
+                    gap: 2,
+                    fontSize: 11,
+                  }}
+                >
+                  {[...history.future].reverse().map((entry) => (
+                    <div
+                      key={entry.id}
+                      style={{
+                        color: "#4b5563",
+                        textDecoration: "line-through",
+                      }}
+                    >
+                      {entry.label}
+                    </div>
+                  ))}
+                  {[...history.past].reverse().map((entry, i) => (
+                    <div
+                      key={entry.id}
+                      style={{ color: i === 0 ? "#e5e7eb" : "#9ca3af" }}
+                    >
+                      {entry.label}
+                    </div>
+                  ))}
+                </div>
+              ) : (
+                <div style={{ fontSize: 11, color: "#6b7280" }}>
+                  Sin cambios todavía.
+                </div>
+              )}
+            </div>
+          )}
+
+          {/* Capas / partes */}
+          {parts.length > 0 && (
+            <div
+              style={{
+                padding: 16,
+                borderRadius: 16,
+                border: "1px solid #1f2937",
+                background: "rgba(15,23,42,0.9)",
+                maxHeight: 400,
+                minHeight: 200,
+                overflowY: "auto",
+              }}
+            >
+              <div
+                style={{
+                  fontSize: 14,
+                  marginBottom: 8,
+                  fontWeight: 600,
+                  display: "flex",
+                  alignItems: "center",
+                  justifyContent: "space-between",
+                  gap: 8,
+                }}
+              >
+                <span>Capas / partes del modelo</span>
+                <div
+                  style={{
+                    display: "flex",
+                    gap: 6,
+                    alignItems: "center",
+                  }}
+                >
+                  <button
+                    type="button"
+                    onClick={() => setAllPartsVisible(true)}
+                    style={{
+                      fontSize: 10,
+                      padding: "3px 8px",
+                      borderRadius: 999,
+                      border: "1px solid #4b5563",
+                      background: "rgba(22,163,74,0.15)",
+                      color: "#bbf7d0",
+                      cursor: "pointer",
+                    }}
+                  >
+                    Todos
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => setAllPartsVisible(false)}
+                    style={{
+                      fontSize: 10,
+                      padding: "3px 8px",
+                      borderRadius: 999,
+                      border: "1px solid #4b5563",
+                      background: "rgba(248,113,113,0.12)",
+                      color: "#fecaca",
+                      cursor: "pointer",
+                    }}
+                  >
+                    Ninguno
+                  </button>
+                </div>
+              </div>
+
+              <div
+                style={{
+                  fontSize: 11,
+                  color: "#6b7280",
+                  marginBottom: 4,
+                }}
+              >
+                {parts.length} partes detectadas en el modelo.
+              </div>
+
+              {parts.map((part) => (
+                <div
+                  key={part.id}
+                  style={{
+                    borderBottom: "1px solid #111827",
+                    padding: "4px 0 6px 0",
+                  }}
+                >
+                  {/* fila principal */}
+                  <div
+                    style={{
+                      display: "flex",
+                      alignItems: "center",
+                      justifyContent: "space-between",
+                      fontSize: 12,
+                      gap: 10,
+                    }}
+                  >
+                    <div
+                      style={{
+                        display: "flex",
+                        alignItems: "center",
+                        gap: 10,
+                        flex: 1,
+                        minWidth: 0,
+                      }}
+                    >
+                      <span
+                        style={{
+                          width: 12,
+                          height: 12,
+                          borderRadius: 999,
+                          backgroundColor: part.color,
+                          flexShrink: 0,
+                        }}
+                      />
+                      <span
+                        style={{
+                          color: "#e5e7eb",
+                          fontSize: 14,
+                          fontWeight: 500,
+                          flex: 1,
+                          overflow: "hidden",
+                          textOverflow: "ellipsis",
+                          whiteSpace: "nowrap",
+                        }}
+                      >
+                        {part.name}
+                      </span>
+                      {assemblyModels.length > 1 && (
+                        <span
+                          style={{
+                            fontSize: 10,
+                            color: "#6b7280",
+                            whiteSpace: "nowrap",
+                          }}
+                        >
+                          {assemblyModelNames[modelIdOfPart(part.id)]}
+                        </span>
+                      )}
+                    </div>
+                    <div
+                      style={{
+                        display: "flex",
+                        alignItems: "center",
+                        gap: 6,
+                      }}
+                    >
+                      <label
+                        style={{
+                          display: "inline-flex",
+                          alignItems: "center",
+                          gap: 4,
+                          fontSize: 11,
+                          color: "#9ca3af",
+                          cursor: "pointer",
+                        }}
+                      >
+                        <input
+                          type="checkbox"
+                          checked={part.visible}
+                          onChange={(e) =>
+                            handleTogglePartVisible(part.id, e.target.checked)
+                          }
+                        />
+                      </label>
+                      {!isSharedView && (
+                        <button
+                          type="button"
+                          onClick={() =>
+                            setEditingPartId(
+                              editingPartId === part.id ? null : part.id
+                            )
+                          }
+                          style={{
+                            fontSize: 10,
+                            padding: "3px 6px",
+                            borderRadius: 999,
+                            border: "1px solid #4b5563",
+                            background: "rgba(37,99,235,0.12)",
+                            color: "#bfdbfe",
+                            cursor: "pointer",
+                          }}
+                        >
+                          Detalles capa
+                        </button>
+                      )}
+                    </div>
+                  </div>
+
+                  {/* editor de detalles para esta pieza */}
+                  {editingPartId === part.id && !isSharedView && (
+                    <div
+                      style={{
+                        marginTop: 6,
+                        padding: 8,
+                        borderRadius: 12,
+                        background: "#020617",
+                        border: "1px solid #111827",
+                        display: "flex",
+                        flexDirection: "column",
+                        gap: 6,
+                      }}
+                    >
+                      <div
+                        style={{
+                          fontSize: 11,
+                          color: "#9ca3af",
+                        }}
+                      >
+                        Editar capa #{part.id}
+                      </div>
+
+                      {/* Nombre */}
+                      <div
+                        style={{
+                          display: "flex",
+                          flexDirection: "column",
+                          gap: 4,
+                        }}
+                      >
+                        <label
+                          style={{
+                            fontSize: 11,
+                            color: "#9ca3af",
+                          }}
+                        >
+                          Nombre de la capa
+                        </label>
+                        <input
+                          type="text"
+                          value={part.name}
+                          onChange={(e) =>
+                            handleChangePartName(part.id, e.target.value)
+                          }
+                          style={{
+                            fontSize: 12,
+                            padding: "4px 8px",
+                            borderRadius: 999,
+                            border: "1px solid #374151",
+                            background: "#020617",
+                            color: "#e5e7eb",
+                            outline: "none",
+                          }}
+                        />
+                      </div>
+
+                      {/* Apariencia: del archivo o color + acabado */}
+                      {part.hasFileMaterial && (
+                        <div
+                          style={{
+                            display: "flex",
+                            flexDirection: "column",
+                            gap: 4,
+                          }}
+                        >
+                          <label
+                            style={{
+                              fontSize: 11,
+                              color: "#9ca3af",
+                            }}
+                          >
+                            Apariencia
+                          </label>
+                          <select
+                            value={part.appearance}
+                            onChange={(e) =>
+                              handleChangePartAppearance(
+                                part.id,
+                                e.target.value
+                              )
+                            }
+                            style={{
+                              padding: "6px 8px",
+                              borderRadius: 999,
+                              border: "1px solid #374151",
+                              background: "#020617",
+                              color: "#e5e7eb",
+                              outline: "none",
+                              fontSize: 12,
+                            }}
+                          >
+                            {Object.entries(APPEARANCES).map(([key, label]) => (
+                              <option key={key} value={key}>
+                                {label}
+                              </option>
+                            ))}
+                          </select>
+                        </div>
+                      )}
+
+                      {/* Color de la capa */}
+                      <div
+                        style={{
+                          display: "flex",
+                          flexDirection: "column",
+                          gap: 4,
+                        }}
+                      >
+                        <label
+                          style={{
+                            fontSize: 11,
+                            color: "#9ca3af",
+                          }}
+                        >
+                          Color de esta capa
+                        </label>
+                        <div
+                          style={{
+                            display: "flex",
+                            alignItems: "center",
+                            gap: 8,
+                          }}
+                        >
+                          <input
+                            type="color"
+                            value={part.color}
+                            onChange={(e) =>
+                              handleChangePartColor(part.id, e.target.value)
+                            }
+                            style={{
+                              width: 36,
+                              height: 20,
+                              borderRadius: 999,
+                              border: "1px solid #4b5563",
+                              padding: 0,
+                              background: "transparent",
+                              cursor: "pointer",
+                            }}
+                          />
+                          <span
+                            style={{
+                              fontSize: 11,
+                              color: "#9ca3af",
+                            }}
+                          >
+                            {part.color}
+                          </span>
+                        </div>
+                      </div>
+
+                      {/* Material de la capa */}
+                      <div
+                        style={{
+                          display: "flex",
+                          flexDirection: "column",
+                          gap: 4,
+                        }}
+                      >
+                        <label
+                          style={{
+                            fontSize: 11,
+                            color: "#9ca3af",
+                          }}
+                        >
+                          Acabado del material
+                        </label>
+                        <select
+                          value={part.materialPreset}
+                          onChange={(e) =>
+                            handleChangePartMaterial(part.id, e.target.value)
+                          }
+                          style={{
+                            padding: "6px 8px",
+                            borderRadius: 999,
+                            border: "1px solid #374151",
+                            background: "#020617",
+                            color: "#e5e7eb",
+                            outline: "none",
+                            fontSize: 12,
+                          }}
+                        >
+                          <optgroup label="Biblioteca">
+                            {Object.entries(MATERIAL_LIBRARY).map(
+                              ([key, material]) => (
+                                <option key={key} value={key}>
+                                  {material.label}
+                                </option>
+                              )
+                            )}
+                          </optgroup>
+                          {customMaterials.length > 0 && (
+                            <optgroup label="Materiales del proyecto">
+                              {customMaterials.map((material) => (
+                                <option key={material.id} value={material.id}>
+                                  {material.label}
+                                </option>
+                              ))}
+                            </optgroup>
+                          )}
+                        </select>
+                      </div>
 
-          {/* Texto de pieza seleccionada */}
-          {selectedPartInfo && (
+                      {/* Desplazamiento extra en la vista explosionada */}
+                      {parts.length > 1 && (
+                        <div
+                          style={{
+                            display: "flex",
+                            flexDirection: "column",
+                            gap: 4,
+                          }}
+                        >
+                          <label
+                            style={{
+                              fontSize: 11,
+                              color: "#9ca3af",
+                            }}
+                          >
+                            Desplazamiento extra al explotar (X / Y / Z)
+                          </label>
+                          <div style={{ display: "flex", gap: 6 }}>
+                            {["x", "y", "z"].map((axis) => (
+                              <input
+                                key={axis}
+                                type="number"
+                                step="1"
+                                value={part.explodeOffset?.[axis] ?? 0}
+                                onChange={(e) =>
+                                  handleChangePartExplodeOffset(
+                                    part.id,
+                                    axis,
+                                    e.target.value
+                                  )
+                                }
+                                style={{
+                                  flex: 1,
+                                  minWidth: 0,
+                                  fontSize: 12,
+                                  padding: "4px 8px",
+                                  borderRadius: 999,
+                                  border: "1px solid #374151",
+                                  background: "#020617",
+                                  color: "#e5e7eb",
+                                  outline: "none",
+                                }}
+                              />
+                            ))}
+                          </div>
+                        </div>
+                      )}
+
+                      {/* Notas */}
+                      <div
+                        style={{
+                          display: "flex",
+                          flexDirection: "column",
+                          gap: 4,
+                        }}
+                      >
+                        <label
+                          style={{
+                            fontSize: 11,
+                            color: "#9ca3af",
+                          }}
+                        >
+                          Notas de esta pieza
+                        </label>
+                        <textarea
+                          value={part.notes || ""}
+                          onChange={(e) =>
+                            handleChangePartNotes(part.id, e.target.value)
+                          }
+                          style={{
+                            width: "100%",
+                            minHeight: 60,
+                            resize: "vertical",
+                            fontSize: 12,
+                            borderRadius: 12,
+                            border: "1px solid #374151",
+                            background: "#020617",
+                            color: "#e5e7eb",
+                            padding: 6,
+                            outline: "none",
+                          }}
+                        />
+                      </div>
+
+                      {(!currentProjectId || canEditCurrent) && (
+                        <button
+                          type="button"
+                          onClick={() => handleSavePartMeta(part.id)}
+                          style={{
+                            alignSelf: "flex-end",
+                            padding: "4px 10px",
+                            borderRadius: 999,
+                            border: "1px solid #4b5563",
+                            background:
+                              "linear-gradient(135deg, rgba(34,197,94,0.15), rgba(22,163,74,0.4))",
+                            color: "#bbf7d0",
+                            fontSize: 11,
+                            cursor: "pointer",
+                          }}
+                        >
+                          Guardar datos de esta capa
+                        </button>
+                      )}
+                    </div>
+                  )}
+                </div>
+              ))}
+            </div>
+          )}
+
+          {/* Análisis de malla de la capa seleccionada */}
+          {selectedPartStats && (
             <div
               style={{
-                position: "absolute",
-                bottom: 16,
-                left: "50%",
-                transform: "translateX(-50%)",
-                maxWidth: "70%",
                 padding: 12,
                 borderRadius: 16,
-                background: "rgba(15,23,42,0.9)",
                 border: "1px solid #1f2937",
-                color: "#e5e7eb",
-                fontSize: 12,
-                zIndex: 6,
-                boxShadow: "0 12px 30px rgba(0,0,0,0.6)",
+                background: "rgba(15,23,42,0.9)",
+                display: "flex",
+                flexDirection: "column",
+                gap: 10,
               }}
             >
               <div
                 style={{
-                  fontWeight: 600,
-                  marginBottom: 4,
                   fontSize: 13,
+                  display: "flex",
+                  alignItems: "center",
+                  justifyContent: "space-between",
+                  gap: 8,
                 }}
               >
-                Capa seleccionada: {selectedPartInfo.name}
+                <span>Análisis de malla</span>
               </div>
-              {selectedPartInfo.notes ? (
-                <div
-                  style={{
-                    fontSize: 12,
-                    color: "#cbd5f5",
-                    whiteSpace: "pre-wrap",
-                  }}
-                >
-                  {selectedPartInfo.notes}
-                </div>
-              ) : (
-                <div
-                  style={{
-                    fontSize: 11,
-                    color: "#9ca3af",
-                  }}
-                >
-                  (Sin notas registradas para esta pieza)
-                </div>
+              <MeshStatsTable
+                title={`Capa: ${selectedPartName || `#${editingPartId}`}`}
+                stats={selectedPartStats}
+                unit={displayUnit}
+              />
+              {parts.length > 1 && (
+                <MeshStatsTable
+                  title="Modelo completo"
+                  stats={modelStats}
+                  unit={displayUnit}
+                />
               )}
+              <div style={{ fontSize: 10, color: "#6b7280" }}>
+                Archivo en {LENGTH_UNITS[sourceUnit].label}; cámbialo en
+                "Unidades".
+              </div>
             </div>
           )}
 
-          {!hasModel && (
+          {/* Vista explosionada */}
+          {parts.length > 1 && (
             <div
               style={{
-                position: "absolute",
-                inset: 0,
+                padding: 12,
+                borderRadius: 16,
+                border: "1px solid #1f2937",
+                background: "rgba(15,23,42,0.9)",
                 display: "flex",
-                alignItems: "center",
-                justifyContent: "center",
-                pointerEvents: "none",
-                zIndex: 4,
+                flexDirection: "column",
+                gap: 8,
               }}
             >
               <div
                 style={{
-                  textAlign: "center",
-                  maxWidth: 320,
-                  padding: 24,
-                  borderRadius: 24,
-                  background: "rgba(15,23,42,0.9)",
-                  border: "1px solid #1f2937",
-                  boxShadow: "0 18px 45px rgba(0,0,0,0.6)",
+                  fontSize: 13,
+                  display: "flex",
+                  alignItems: "center",
+                  justifyContent: "space-between",
+                  gap: 8,
                 }}
               >
-                <div
+                <span>Vista explosionada</span>
+                <select
+                  value={explodeMode}
+                  onChange={(e) => setExplodeMode(e.target.value)}
                   style={{
-                    fontSize: 32,
-                    marginBottom: 12,
+                    fontSize: 11,
+                    padding: "3px 6px",
+                    borderRadius: 999,
+                    border: "1px solid #374151",
+                    background: "#020617",
+                    color: "#e5e7eb",
+                    outline: "none",
                   }}
                 >
-                  🧱
-                </div>
-                <h2
+                  {Object.entries(EXPLODE_MODES).map(([key, label]) => (
+                    <option key={key} value={key}>
+                      {label}
+                    </option>
+                  ))}
+                </select>
+              </div>
+              <div style={{ display: "flex", alignItems: "center", gap: 8 }}>
+                <input
+                  type="range"
+                  min={0}
+                  max={MAX_EXPLODE_FACTOR}
+                  step={0.01}
+                  value={explodeFactor}
+                  onChange={(e) => setExplodeFactor(Number(e.target.value))}
+                  style={{ flex: 1 }}
+                />
+                <span
                   style={{
-                    fontSize: 18,
-                    marginBottom: 8,
-                    color: "#e5e7eb",
+                    width: 40,
+                    textAlign: "right",
+                    fontSize: 11,
+                    color: "#9ca3af",
                   }}
                 >
-                  Esperando un modelo 3D
-                </h2>
-                <p
+                  {Math.round(explodeFactor * 100)}%
+                </span>
+                <button
+                  type="button"
+                  onClick={() => setExplodeFactor(0)}
+                  disabled={explodeFactor === 0}
                   style={{
-                    fontSize: 13,
+                    fontSize: 11,
+                    padding: "4px 10px",
+                    borderRadius: 999,
+                    border: "1px solid #4b5563",
+                    background: "transparent",
                     color: "#9ca3af",
+                    cursor: "pointer",
                   }}
                 >
-                  Importa un archivo{" "}
-                  <strong>.stl, .obj, .gltf, .glb, .ply</strong> o{" "}
-                  <strong>.3mf</strong> para visualizar tu prototipo aquí.
-                </p>
+                  Ensamblar
+                </button>
+              </div>
+              <div style={{ fontSize: 11, color: "#6b7280" }}>
+                Cada capa puede tener un desplazamiento extra en "Detalles
+                capa"; se guarda con los datos de la capa.
               </div>
             </div>
           )}
-        </div>
 
-        {/* Lado derecho: panel de control */}
-        <div
-          style={{
-            width: isMobile ? "100%" : 380,
-            flex: isMobile ? 1 : "0 0 auto",
-            padding: 16,
-            background: "rgba(15,23,42,0.98)",
-            display: "flex",
-            flexDirection: "column",
-            gap: 16,
-            overflowY: "auto",
-          }}
-        >
-          {/* Encabezado + logo + botón escenas */}
-          <div
-            style={{
-              display: "flex",
-              alignItems: "center",
-              justifyContent: "space-between",
-              marginBottom: 4,
-              gap: 12,
-            }}
-          >
-            <div style={{ flex: 1 }}>
-              <h1
-                style={{
-                  fontSize: 18,
-                  marginBottom: 4,
-                }}
-              >
-                Visor de prototipos 3D
-              </h1>
-              <p
-                style={{
-                  fontSize: 12,
-                  color: "#9ca3af",
-                }}
-              >
-                Carga modelos para revisión rápida de diseño y ensamblajes.
-              </p>
-            </div>
+          {/* Comentarios / pines sobre el modelo */}
+          {hasModel && (
+            <Anotaciones
+              projectId={currentProjectId}
+              annotations={annotations}
+              onAnnotationsChange={setAnnotations}
+              selectedId={selectedAnnotationId}
+              onSelect={setSelectedAnnotationId}
+              placing={annotationPlacing}
+              onTogglePlacing={handleToggleAnnotationPlacing}
+              draft={annotationDraft}
+              onCancelDraft={() => setAnnotationDraft(null)}
+              canComment={canCommentCurrent}
+              canModerate={canEditCurrent}
+              session={session}
+              partNames={Object.fromEntries(parts.map((p) => [p.id, p.name]))}
+              onHistoryAction={handlePinHistoryAction}
+            />
+          )}
+
+          {/* Mediciones */}
+          {hasModel && (
             <div
               style={{
+                padding: 12,
+                borderRadius: 16,
+                border: "1px solid #1f2937",
+                background: "rgba(15,23,42,0.9)",
                 display: "flex",
                 flexDirection: "column",
-                alignItems: "flex-end",
                 gap: 8,
               }}
             >
               <div
                 style={{
-                  width: 80,
-                  height: 40,
-                  borderRadius: 999,
-                  border: "1px dashed #4b5563",
+                  fontSize: 13,
                   display: "flex",
                   alignItems: "center",
-                  justifyContent: "center",
-                  fontSize: 10,
-                  color: "#6b7280",
+                  justifyContent: "space-between",
+                  gap: 8,
                 }}
               >
-                <img
-                  src="/logo-maestria_0006_Capa-0.png"
-                  alt=""
+                <span>Mediciones ({LENGTH_UNITS[displayUnit].label})</span>
+                <label
                   style={{
-                    width: 70,
-                    height: 30,
+                    display: "inline-flex",
+                    alignItems: "center",
+                    gap: 4,
+                    fontSize: 11,
+                    color: "#9ca3af",
+                    cursor: "pointer",
                   }}
-                />
+                >
+                  <input
+                    type="checkbox"
+                    checked={measureSnap}
+                    onChange={(e) => setMeasureSnap(e.target.checked)}
+                  />
+                  Ajustar a vértices
+                </label>
               </div>
-              <button
-                onClick={() => setIsProjectModalOpen(true)}
-                style={{
-                  padding: "4px 10px",
-                  borderRadius: 999,
-                  border: "1px solid #4b5563",
-                  background:
-                    "linear-gradient(135deg, rgba(56,189,248,0.15), rgba(37,99,235,0.35))",
-                  color: "#bfdbfe",
-                  fontSize: 11,
-                  cursor: "pointer",
-                }}
-              >
-                Escenas / proyectos
-              </button>
-            </div>
-          </div>
 
-          {/* Input de archivo */}
-          <div
-            style={{
-              padding: 12,
-              borderRadius: 16,
-              border: "1px solid #1f2937",
-              background:
-                "linear-gradient(135deg, rgba(15,23,42,1), rgba(15,23,42,0.8))",
-            }}
-          >
-            <label
-              htmlFor="model-input"
-              style={{
-                display: "inline-flex",
-                alignItems: "center",
-                gap: 8,
-                padding: "8px 12px",
-                borderRadius: 999,
-                border: "1px solid #4b5563",
-                cursor: "pointer",
-                fontSize: 13,
-              }}
-            >
-              <span role="img" aria-label="upload">
-                📁
-              </span>
-              <span>Elegir modelo 3D</span>
-            </label>
-            <input
-              id="model-input"
-              type="file"
-              accept=".stl,.obj,.gltf,.glb,.ply,.3mf"
-              onChange={handleFileChange}
-              style={{ display: "none" }}
-            />
+              <div style={{ display: "flex", gap: 6, flexWrap: "wrap" }}>
+                {Object.entries(MEASURE_TOOLS).map(([key, tool]) => (
+                  <button
+                    key={key}
+                    type="button"
+                    onClick={() => {
+                      setSectionPick(false);
+                      setAnnotationPlacing(false);
+                      setMeasureTool(measureTool === key ? null : key);
+                    }}
+                    style={{
+                      fontSize: 11,
+                      padding: "4px 10px",
+                      borderRadius: 999,
+                      border:
+                        measureTool === key
+                          ? "1px solid #facc15"
+                          : "1px solid #4b5563",
+                      background:
+                        measureTool === key
+                          ? "rgba(250,204,21,0.15)"
+                          : "transparent",
+                      color: measureTool === key ? "#fef9c3" : "#9ca3af",
+                      cursor: "pointer",
+                    }}
+                  >
+                    {tool.label}
+                  </button>
+                ))}
+              </div>
 
-            <div
-              style={{
-                marginTop: 8,
-                fontSize: 11,
-                color: "#9ca3af",
-              }}
-            >
-              {modelName ? (
-                <>
-                  Archivo cargado:{" "}
-                  <span style={{ color: "#e5e7eb" }}>{modelName}</span>
-                </>
+              {measureTool && (
+                <div style={{ fontSize: 11, color: "#93c5fd" }}>
+                  Haz clic en el modelo: faltan{" "}
+                  {MEASURE_TOOLS[measureTool].points - measureDraft.length}{" "}
+                  punto(s). {MEASURE_TOOLS[measureTool].hint} (Esc para salir)
+                </div>
+              )}
+
+              {measurements.length === 0 ? (
+                <div style={{ fontSize: 11, color: "#6b7280" }}>
+                  Sin mediciones. Elige una herramienta y marca los puntos sobre
+                  el modelo.
+                </div>
               ) : (
-                "Ningún archivo seleccionado"
+                measurements.map((m, index) => (
+                  <div
+                    key={m.id}
+                    style={{
+                      display: "flex",
+                      alignItems: "center",
+                      gap: 8,
+                      fontSize: 12,
+                      color: "#e5e7eb",
+                    }}
+                  >
+                    <span style={{ color: "#6b7280" }}>#{index + 1}</span>
+                    <span style={{ flex: 1, minWidth: 0 }}>
+                      {MEASURE_TOOLS[m.type]?.label}:{" "}
+                      <strong style={{ color: "#fef9c3" }}>
+                        {
+                          computeMeasurement(m.type, m.points, {
+                            scale: modelScale,
+                            unit: displayUnit,
+                          }).text
+                        }
+                      </strong>
+                    </span>
+                    <button
+                      type="button"
+                      onClick={() => handleDeleteMeasurement(m.id)}
+                      style={{
+                        border: "none",
+                        background: "transparent",
+                        color: "#fca5a5",
+                        fontSize: 11,
+                        cursor: "pointer",
+                      }}
+                    >
+                      Eliminar
+                    </button>
+                  </div>
+                ))
               )}
-            </div>
-          </div>
 
-          {/* Color base del modelo (para nuevas cargas) */}
-          <div
-            style={{
-              padding: 12,
-              borderRadius: 16,
-              border: "1px solid #1f2937",
-              background: "rgba(15,23,42,0.9)",
-              display: "flex",
-              alignItems: "center",
-              justifyContent: "space-between",
-              gap: 12,
-            }}
-          >
-            <div
-              style={{
-                fontSize: 13,
-              }}
-            >
-              Color base para nuevas capas
-              <div
-                style={{
-                  fontSize: 11,
-                  color: "#6b7280",
-                  marginTop: 2,
-                }}
-              >
-                Se usa como tinte inicial al cargar un modelo. Luego puedes
-                cambiar el color por capa.
-              </div>
+              {(measurements.length > 0 ||
+                (currentProjectId && canEditCurrent)) && (
+                <div
+                  style={{
+                    display: "flex",
+                    justifyContent: "flex-end",
+                    gap: 6,
+                  }}
+                >
+                  {measurements.length > 0 && (
+                    <button
+                      type="button"
+                      onClick={() =>
+                        editWithHistory("Mediciones borradas", {
+                          measurements: () => [],
+                        })
+                      }
+                      style={{
+                        fontSize: 11,
+                        padding: "4px 10px",
+                        borderRadius: 999,
+                        border: "1px solid #4b5563",
+                        background: "rgba(248,113,113,0.12)",
+                        color: "#fecaca",
+                        cursor: "pointer",
+                      }}
+                    >
+                      Borrar todas
+                    </button>
+                  )}
+                  {currentProjectId && canEditCurrent && (
+                    <button
+                      type="button"
+                      onClick={handleSaveMeasurements}
+                      style={{
+                        fontSize: 11,
+                        padding: "4px 10px",
+                        borderRadius: 999,
+                        border: "1px solid #4b5563",
+                        background:
+                          "linear-gradient(135deg, rgba(56,189,248,0.2), rgba(37,99,235,0.5))",
+                        color: "#bfdbfe",
+                        cursor: "pointer",
+                      }}
+                    >
+                      Guardar mediciones
+                    </button>
+                  )}
+                </div>
+              )}
             </div>
-            <input
-              type="color"
-              value={modelBaseColor}
-              onChange={(e) => setModelBaseColor(e.target.value)}
-              style={{
-                width: 40,
-                height: 24,
-                borderRadius: 999,
-                border: "1px solid #4b5563",
-                padding: 0,
-                background: "transparent",
-                cursor: "pointer",
-              }}
-            />
-          </div>
+          )}
 
-          {/* Capas / partes */}
-          {parts.length > 0 && (
+          {/* Cortes de sección */}
+          {hasModel && (
             <div
               style={{
-                padding: 16,
+                padding: 12,
                 borderRadius: 16,
                 border: "1px solid #1f2937",
                 background: "rgba(15,23,42,0.9)",
-                maxHeight: 400,
-                minHeight: 200,
-                overflowY: "auto",
+                display: "flex",
+                flexDirection: "column",
+                gap: 8,
               }}
             >
-              <div
-                style={{
-                  fontSize: 14,
-                  marginBottom: 8,
-                  fontWeight: 600,
-                  display: "flex",
-                  alignItems: "center",
-                  justifyContent: "space-between",
-                  gap: 8,
-                }}
-              >
-                <span>Capas / partes del modelo</span>
+              <div style={{ fontSize: 13 }}>
+                Cortes de sección
                 <div
                   style={{
-                    display: "flex",
-                    gap: 6,
-                    alignItems: "center",
+                    fontSize: 11,
+                    color: "#6b7280",
+                    marginTop: 2,
                   }}
                 >
+                  Recorta el modelo para ver el interior. La sección se pinta
+                  con el color de cada corte.
+                </div>
+              </div>
+
+              <div style={{ display: "flex", gap: 6, flexWrap: "wrap" }}>
+                {["x", "y", "z"].map((axis) => (
                   <button
+                    key={axis}
                     type="button"
-                    onClick={() => setAllPartsVisible(true)}
-                    style={{
-                      fontSize: 10,
-                      padding: "3px 8px",
-                      borderRadius: 999,
-                      border: "1px solid #4b5563",
-                      background: "rgba(22,163,74,0.15)",
-                      color: "#bbf7d0",
-                      cursor: "pointer",
-                    }}
-                  >
-                    Todos
-                  </button>
-                  <button
-                    type="button"
-                    onClick={() => setAllPartsVisible(false)}
+                    onClick={() => handleAddAxisSection(axis)}
+                    disabled={sections.length >= MAX_SECTIONS}
                     style={{
-                      fontSize: 10,
-                      padding: "3px 8px",
+                      fontSize: 11,
+                      padding: "4px 10px",
                       borderRadius: 999,
                       border: "1px solid #4b5563",
-                      background: "rgba(248,113,113,0.12)",
-                      color: "#fecaca",
+                      background: "transparent",
+                      color: "#9ca3af",
                       cursor: "pointer",
                     }}
                   >
-                    Ninguno
+                    + Corte {axis.toUpperCase()}
                   </button>
-                </div>
+                ))}
+                <button
+                  type="button"
+                  onClick={handleToggleSectionPick}
+                  disabled={!sectionPick && sections.length >= MAX_SECTIONS}
+                  style={{
+                    fontSize: 11,
+                    padding: "4px 10px",
+                    borderRadius: 999,
+                    border: sectionPick
+                      ? "1px solid #38bdf8"
+                      : "1px solid #4b5563",
+                    background: sectionPick
+                      ? "rgba(56,189,248,0.15)"
+                      : "transparent",
+                    color: sectionPick ? "#bae6fd" : "#9ca3af",
+                    cursor: "pointer",
+                  }}
+                >
+                  + Desde una cara
+                </button>
               </div>
 
-              <div
-                style={{
-                  fontSize: 11,
-                  color: "#6b7280",
-                  marginBottom: 4,
-                }}
-              >
-                {parts.length} partes detectadas en el modelo.
-              </div>
+              {sectionPick && (
+                <div style={{ fontSize: 11, color: "#93c5fd" }}>
+                  Haz clic en una cara del modelo para colocar el corte (Esc
+                  para cancelar).
+                </div>
+              )}
 
-              {parts.map((part) => (
+              {sections.map((section, index) => (
                 <div
-                  key={part.id}
+                  key={section.id}
                   style={{
-                    borderBottom: "1px solid #111827",
-                    padding: "4px 0 6px 0",
+                    padding: 8,
+                    borderRadius: 12,
+                    background: "#020617",
+                    border: "1px solid #111827",
+                    display: "flex",
+                    flexDirection: "column",
+                    gap: 6,
                   }}
                 >
-                  {/* fila principal */}
                   <div
                     style={{
                       display: "flex",
                       alignItems: "center",
-                      justifyContent: "space-between",
+                      gap: 8,
                       fontSize: 12,
-                      gap: 10,
+                      color: "#e5e7eb",
                     }}
                   >
-                    <div
+                    <input
+                      type="checkbox"
+                      checked={section.enabled}
+                      onChange={(e) =>
+                        handleUpdateSection(section.id, {
+                          enabled: e.target.checked,
+                        })
+                      }
+                    />
+                    <span style={{ flex: 1 }}>
+                      {section.axis === "custom"
+                        ? `Corte libre ${index + 1}`
+                        : `Corte ${section.axis.toUpperCase()}`}
+                    </span>
+                    <input
+                      type="color"
+                      value={section.color}
+                      onChange={(e) =>
+                        handleUpdateSection(section.id, {
+                          color: e.target.value,
+                        })
+                      }
                       style={{
-                        display: "flex",
-                        alignItems: "center",
-                        gap: 10,
-                        flex: 1,
-                        minWidth: 0,
+                        width: 28,
+                        height: 18,
+                        borderRadius: 999,
+                        border: "1px solid #4b5563",
+                        padding: 0,
+                        background: "transparent",
+                        cursor: "pointer",
                       }}
-                    >
-                      <span
-                        style={{
-                          width: 12,
-                          height: 12,
-                          borderRadius: 999,
-                          backgroundColor: part.color,
-                          flexShrink: 0,
-                        }}
-                      />
-                      <span
-                        style={{
-                          color: "#e5e7eb",
-                          fontSize: 14,
-                          fontWeight: 500,
-                          flex: 1,
-                          overflow: "hidden",
-                          textOverflow: "ellipsis",
-                          whiteSpace: "nowrap",
-                        }}
-                      >
-                        {part.name}
-                      </span>
-                    </div>
-                    <div
+                    />
+                    <button
+                      type="button"
+                      onClick={() =>
+                        handleUpdateSection(section.id, {
+                          flipped: !section.flipped,
+                        })
+                      }
                       style={{
-                        display: "flex",
-                        alignItems: "center",
-                        gap: 6,
+                        border: "none",
+                        background: "transparent",
+                        color: "#93c5fd",
+                        fontSize: 11,
+                        cursor: "pointer",
                       }}
                     >
-                      <label
-                        style={{
-                          display: "inline-flex",
-                          alignItems: "center",
-                          gap: 4,
-                          fontSize: 11,
-                          color: "#9ca3af",
-                          cursor: "pointer",
-                        }}
-                      >
-                        <input
-                          type="checkbox"
-                          checked={part.visible}
-                          onChange={(e) =>
-                            handleTogglePartVisible(part.id, e.target.checked)
-                          }
-                        />
-                      </label>
-                      <button
-                        type="button"
-                        onClick={() =>
-                          setEditingPartId(
-                            editingPartId === part.id ? null : part.id
-                          )
-                        }
-                        style={{
-                          fontSize: 10,
-                          padding: "3px 6px",
-                          borderRadius: 999,
-                          border: "1px solid #4b5563",
-                          background: "rgba(37,99,235,0.12)",
-                          color: "#bfdbfe",
-                          cursor: "pointer",
-                        }}
-                      >
-                        Detalles capa
-                      </button>
-                    </div>
-                  </div>
-
-                  {/* editor de detalles para esta pieza */}
-                  {editingPartId === part.id && (
-                    <div
+                      Invertir
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => handleDeleteSection(section.id)}
                       style={{
-                        marginTop: 6,
-                        padding: 8,
-                        borderRadius: 12,
-                        background: "#020617",
-                        border: "1px solid #111827",
-                        display: "flex",
-                        flexDirection: "column",
-                        gap: 6,
+                        border: "none",
+                        background: "transparent",
+                        color: "#fca5a5",
+                        fontSize: 11,
+                        cursor: "pointer",
                       }}
                     >
-                      <div
-                        style={{
-                          fontSize: 11,
-                          color: "#9ca3af",
-                        }}
-                      >
-                        Editar capa #{part.id}
-                      </div>
+                      Eliminar
+                    </button>
+                  </div>
+                  <input
+                    type="range"
+                    min={section.min}
+                    max={section.max}
+                    step={(section.max - section.min) / 200 || 0.01}
+                    value={section.offset}
+                    onChange={(e) =>
+                      handleUpdateSection(section.id, {
+                        offset: Number(e.target.value),
+                      })
+                    }
+                    disabled={!section.enabled}
+                  />
+                </div>
+              ))}
 
-                      {/* Nombre */}
-                      <div
-                        style={{
-                          display: "flex",
-                          flexDirection: "column",
-                          gap: 4,
-                        }}
-                      >
-                        <label
-                          style={{
-                            fontSize: 11,
-                            color: "#9ca3af",
-                          }}
-                        >
-                          Nombre de la capa
-                        </label>
-                        <input
-                          type="text"
-                          value={part.name}
-                          onChange={(e) =>
-                            handleChangePartName(part.id, e.target.value)
-                          }
-                          style={{
-                            fontSize: 12,
-                            padding: "4px 8px",
-                            borderRadius: 999,
-                            border: "1px solid #374151",
-                            background: "#020617",
-                            color: "#e5e7eb",
-                            outline: "none",
-                          }}
-                        />
-                      </div>
+              {currentProjectId && canEditCurrent && (
+                <button
+                  type="button"
+                  onClick={handleSaveSections}
+                  style={{
+                    alignSelf: "flex-end",
+                    fontSize: 11,
+                    padding: "4px 10px",
+                    borderRadius: 999,
+                    border: "1px solid #4b5563",
+                    background:
+                      "linear-gradient(135deg, rgba(56,189,248,0.2), rgba(37,99,235,0.5))",
+                    color: "#bfdbfe",
+                    cursor: "pointer",
+                  }}
+                >
+                  Guardar cortes
+                </button>
+              )}
+            </div>
+          )}
 
-                      {/* Color de la capa */}
-                      <div
-                        style={{
-                          display: "flex",
-                          flexDirection: "column",
-                          gap: 4,
-                        }}
-                      >
-                        <label
-                          style={{
-                            fontSize: 11,
-                            color: "#9ca3af",
-                          }}
-                        >
-                          Color de esta capa
-                        </label>
-                        <div
-                          style={{
-                            display: "flex",
-                            alignItems: "center",
-                            gap: 8,
-                          }}
-                        >
-                          <input
-                            type="color"
-                            value={part.color}
-                            onChange={(e) =>
-                              handleChangePartColor(part.id, e.target.value)
-                            }
-                            style={{
-                              width: 36,
-                              height: 20,
-                              borderRadius: 999,
-                              border: "1px solid #4b5563",
-                              padding: 0,
-                              background: "transparent",
-                              cursor: "pointer",
-                            }}
-                          />
-                          <span
-                            style={{
-                              fontSize: 11,
-                              color: "#9ca3af",
-                            }}
-                          >
-                            {part.color}
-                          </span>
-                        </div>
-                      </div>
+          {/* Gizmo de transformación */}
+          {hasModel && (
+            <div
+              style={{
+                padding: 12,
+                borderRadius: 16,
+                border: "1px solid #1f2937",
+                background: "rgba(15,23,42,0.9)",
+                display: "flex",
+                flexDirection: "column",
+                gap: 8,
+              }}
+            >
+              <div
+                style={{
+                  fontSize: 13,
+                  display: "flex",
+                  alignItems: "center",
+                  justifyContent: "space-between",
+                  gap: 8,
+                }}
+              >
+                <span>Gizmo de transformación</span>
+                <select
+                  value={gizmoTarget || ""}
+                  onChange={(e) => setGizmoTarget(e.target.value || null)}
+                  style={{
+                    fontSize: 11,
+                    padding: "3px 6px",
+                    borderRadius: 999,
+                    border: "1px solid #374151",
+                    background: "#020617",
+                    color: "#e5e7eb",
+                    outline: "none",
+                  }}
+                >
+                  <option value="">Apagado</option>
+                  <option value="model">Modelo completo</option>
+                  {assemblyModels.length > 1 && (
+                    <option value="node">Archivo seleccionado</option>
+                  )}
+                  <option value="part">Capa seleccionada</option>
+                </select>
+              </div>
 
-                      {/* Material de la capa */}
-                      <div
-                        style={{
-                          display: "flex",
-                          flexDirection: "column",
-                          gap: 4,
-                        }}
-                      >
-                        <label
-                          style={{
-                            fontSize: 11,
-                            color: "#9ca3af",
-                          }}
-                        >
-                          Acabado del material
-                        </label>
-                        <select
-                          value={part.materialPreset}
-                          onChange={(e) =>
-                            handleChangePartMaterial(part.id, e.target.value)
+              {gizmoTarget === "part" && !gizmoObject && (
+                <div style={{ fontSize: 11, color: "#6b7280" }}>
+                  Selecciona una capa con clic en el modelo o en la lista.
+                </div>
+              )}
+
+              {gizmoTarget === "node" && !gizmoObject && (
+                <div style={{ fontSize: 11, color: "#6b7280" }}>
+                  Elige un archivo en el panel Ensamblaje o con clic en el
+                  modelo.
+                </div>
+              )}
+
+              {gizmoObject && (
+                <>
+                  <div style={{ display: "flex", gap: 6 }}>
+                    {Object.entries(GIZMO_MODES).map(([key, label]) => {
+                      const disabled =
+                        key === "scale" && gizmoTarget === "model";
+                      const active = activeGizmoMode === key;
+                      return (
+                        <button
+                          key={key}
+                          type="button"
+                          onClick={() => setGizmoMode(key)}
+                          disabled={disabled}
+                          title={
+                            disabled
+                              ? "La escala del modelo la define la unidad del archivo"
+                              : undefined
                           }
                           style={{
-                            padding: "6px 8px",
+                            flex: 1,
+                            fontSize: 11,
+                            padding: "4px 8px",
                             borderRadius: 999,
-                            border: "1px solid #374151",
-                            background: "#020617",
-                            color: "#e5e7eb",
-                            outline: "none",
-                            fontSize: 12,
+                            border: active
+                              ? "1px solid #38bdf8"
+                              : "1px solid #4b5563",
+                            background: active
+                              ? "rgba(56,189,248,0.15)"
+                              : "transparent",
+                            color: active ? "#bae6fd" : "#9ca3af",
+                            cursor: disabled ? "not-allowed" : "pointer",
+                            opacity: disabled ? 0.5 : 1,
                           }}
                         >
-                          <option value="plastic">
-                            {MATERIAL_PRESETS.plastic.label}
-                          </option>
-                          <option value="metal">
-                            {MATERIAL_PRESETS.metal.label}
-                          </option>
-                          <option value="roughMetal">
-                            {MATERIAL_PRESETS.roughMetal.label}
-                          </option>
-                          <option value="rubber">
-                            {MATERIAL_PRESETS.rubber.label}
-                          </option>
-                          <option value="glass">
-                            {MATERIAL_PRESETS.glass.label}
-                          </option>
-                        </select>
-                      </div>
+                          {label}
+                        </button>
+                      );
+                    })}
+                  </div>
 
-                      {/* Notas */}
-                      <div
+                  {["x", "y", "z"].map((axis) => (
+                    <label
+                      key={axis}
+                      style={{
+                        display: "flex",
+                        alignItems: "center",
+                        gap: 8,
+                        fontSize: 12,
+                        color: "#9ca3af",
+                      }}
+                    >
+                      <span style={{ width: 16, textTransform: "uppercase" }}>
+                        {axis}
+                      </span>
+                      <input
+                        type="number"
+                        step={gizmoSnapSteps[activeGizmoMode] || "any"}
+                        value={Number(gizmoFieldValue(axis).toFixed(3))}
+                        onChange={(e) =>
+                          handleGizmoFieldChange(axis, e.target.value)
+                        }
                         style={{
-                          display: "flex",
-                          flexDirection: "column",
-                          gap: 4,
+                          flex: 1,
+                          fontSize: 12,
+                          padding: "4px 8px",
+                          borderRadius: 8,
+                          border: "1px solid #374151",
+                          background: "#020617",
+                          color: "#e5e7eb",
+                          outline: "none",
+                        }}
+                      />
+                      <span style={{ width: 24, fontSize: 11 }}>
+                        {activeGizmoMode === "translate"
+                          ? LENGTH_UNITS[displayUnit].label
+                          : activeGizmoMode === "rotate"
+                          ? "°"
+                          : "×"}
+                      </span>
+                    </label>
+                  ))}
+
+                  <label
+                    style={{
+                      display: "flex",
+                      alignItems: "center",
+                      gap: 6,
+                      fontSize: 11,
+                      color: "#9ca3af",
+                    }}
+                  >
+                    <input
+                      type="checkbox"
+                      checked={gizmoSnap}
+                      onChange={(e) => setGizmoSnap(e.target.checked)}
+                    />
+                    Snapping cada
+                    <input
+                      type="number"
+                      min="0"
+                      step="any"
+                      value={gizmoSnapSteps[activeGizmoMode]}
+                      onChange={(e) =>
+                        setGizmoSnapSteps((prev) => ({
+                          ...prev,
+                          [activeGizmoMode]: Number(e.target.value) || 0,
+                        }))
+                      }
+                      style={{
+                        width: 60,
+                        fontSize: 11,
+                        padding: "2px 6px",
+                        borderRadius: 8,
+                        border: "1px solid #374151",
+                        background: "#020617",
+                        color: "#e5e7eb",
+                        outline: "none",
+                      }}
+                    />
+                    {activeGizmoMode === "translate"
+                      ? LENGTH_UNITS[displayUnit].label
+                      : activeGizmoMode === "rotate"
+                      ? "grados"
+                      : "de escala"}
+                  </label>
+
+                  {gizmoPart ? (
+                    <div
+                      style={{
+                        display: "flex",
+                        justifyContent: "flex-end",
+                        gap: 6,
+                      }}
+                    >
+                      <button
+                        type="button"
+                        onClick={() => handleResetPartTransform(gizmoPart.id)}
+                        disabled={!gizmoPart.transform}
+                        style={{
+                          fontSize: 11,
+                          padding: "4px 10px",
+                          borderRadius: 999,
+                          border: "1px solid #4b5563",
+                          background: "transparent",
+                          color: "#9ca3af",
+                          cursor: gizmoPart.transform
+                            ? "pointer"
+                            : "not-allowed",
                         }}
                       >
-                        <label
+                        Pose original
+                      </button>
+                      {currentProjectId && canEditCurrent && (
+                        <button
+                          type="button"
+                          onClick={() => handleSavePartMeta(gizmoPart.id)}
                           style={{
                             fontSize: 11,
-                            color: "#9ca3af",
+                            padding: "4px 10px",
+                            borderRadius: 999,
+                            border: "1px solid #4b5563",
+                            background:
+                              "linear-gradient(135deg, rgba(56,189,248,0.2), rgba(37,99,235,0.5))",
+                            color: "#bfdbfe",
+                            cursor: "pointer",
                           }}
                         >
-                          Notas de esta pieza
-                        </label>
-                        <textarea
-                          value={part.notes || ""}
-                          onChange={(e) =>
-                            handleChangePartNotes(part.id, e.target.value)
-                          }
-                          style={{
-                            width: "100%",
-                            minHeight: 60,
-                            resize: "vertical",
-                            fontSize: 12,
-                            borderRadius: 12,
-                            border: "1px solid #374151",
-                            background: "#020617",
-                            color: "#e5e7eb",
-                            padding: 6,
-                            outline: "none",
-                          }}
-                        />
-                      </div>
-
+                          Guardar pose de la capa
+                        </button>
+                      )}
+                    </div>
+                  ) : gizmoModel ? (
+                    <div
+                      style={{
+                        display: "flex",
+                        justifyContent: "flex-end",
+                        gap: 6,
+                      }}
+                    >
                       <button
                         type="button"
-                        onClick={() => handleSavePartMeta(part.id)}
+                        onClick={() =>
+                          handleResetAssemblyModelTransform(gizmoModel.id)
+                        }
+                        disabled={!gizmoModel.transform}
                         style={{
-                          alignSelf: "flex-end",
+                          fontSize: 11,
                           padding: "4px 10px",
                           borderRadius: 999,
                           border: "1px solid #4b5563",
-                          background:
-                            "linear-gradient(135deg, rgba(34,197,94,0.15), rgba(22,163,74,0.4))",
-                          color: "#bbf7d0",
-                          fontSize: 11,
-                          cursor: "pointer",
+                          background: "transparent",
+                          color: "#9ca3af",
+                          cursor: gizmoModel.transform
+                            ? "pointer"
+                            : "not-allowed",
                         }}
                       >
-                        Guardar datos de esta capa
+                        Pose original
                       </button>
+                      {currentProjectId &&
+                        canEditCurrent &&
+                        gizmoModel.file && (
+                          <button
+                            type="button"
+                            onClick={handleSaveAssembly}
+                            style={{
+                              fontSize: 11,
+                              padding: "4px 10px",
+                              borderRadius: 999,
+                              border: "1px solid #4b5563",
+                              background:
+                                "linear-gradient(135deg, rgba(56,189,248,0.2), rgba(37,99,235,0.5))",
+                              color: "#bfdbfe",
+                              cursor: "pointer",
+                            }}
+                          >
+                            Guardar ensamblaje
+                          </button>
+                        )}
+                    </div>
+                  ) : (
+                    <div style={{ fontSize: 11, color: "#6b7280" }}>
+                      La posición y rotación del modelo se guardan con el
+                      proyecto desde el gestor de proyectos.
                     </div>
                   )}
-                </div>
-              ))}
+                </>
+              )}
             </div>
           )}
 
+          {/* Transformaciones y notas (no en vista compartida) */}
+          {!isSharedView && (
+          <>
           {/* Posición */}
           <div
             style={{
@@ -2491,7 +7820,7 @@ const handleLoadProject = (projectId) => {
                 marginBottom: 6,
               }}
             >
-              Posición (unidades escena)
+              Posición ({LENGTH_UNITS[displayUnit].label})
             </div>
             {["x", "y", "z"].map((axis) => (
               <div
@@ -2515,21 +7844,27 @@ const handleLoadProject = (projectId) => {
                 </span>
                 <input
                   type="range"
-                  min={-500}
-                  max={500}
-                  value={position[axis]}
-                  onChange={(e) => handlePositionChange(axis, e.target.value)}
+                  min={-fromMm(positionRange, displayUnit)}
+                  max={fromMm(positionRange, displayUnit)}
+                  step="any"
+                  value={fromMm(position[axis], displayUnit)}
+                  onChange={(e) =>
+                    handlePositionChange(
+                      axis,
+                      toMm(Number(e.target.value), displayUnit)
+                    )
+                  }
                   style={{ flex: 1 }}
                 />
                 <span
                   style={{
-                    width: 50,
+                    width: 70,
                     fontSize: 12,
                     textAlign: "right",
                     color: "#e5e7eb",
                   }}
                 >
-                  {position[axis]}
+                  {formatLength(position[axis], displayUnit, 1)}
                 </span>
               </div>
             ))}
@@ -2656,24 +7991,144 @@ const handleLoadProject = (projectId) => {
                 outline: "none",
               }}
             />
-            <button
-              type="button"
-              onClick={handleSavePendingNotes}
+            {(!currentProjectId || canEditCurrent) && (
+              <button
+                type="button"
+                onClick={handleSavePendingNotes}
+                style={{
+                  alignSelf: "flex-end",
+                  padding: "4px 10px",
+                  borderRadius: 999,
+                  border: "1px solid #4b5563",
+                  background:
+                    "linear-gradient(135deg, rgba(56,189,248,0.2), rgba(37,99,235,0.5))",
+                  color: "#bfdbfe",
+                  fontSize: 11,
+                  cursor: "pointer",
+                }}
+              >
+                Guardar notas pendientes
+              </button>
+            )}
+          </div>
+          </>
+          )}
+
+          {/* Exportar y capturar la escena */}
+          {hasModel && !isSharedView && (
+            <div
               style={{
-                alignSelf: "flex-end",
-                padding: "4px 10px",
-                borderRadius: 999,
-                border: "1px solid #4b5563",
-                background:
-                  "linear-gradient(135deg, rgba(56,189,248,0.2), rgba(37,99,235,0.5))",
-                color: "#bfdbfe",
-                fontSize: 11,
-                cursor: "pointer",
+                padding: 12,
+                borderRadius: 16,
+                border: "1px solid #1f2937",
+                background: "rgba(15,23,42,0.9)",
+                display: "flex",
+                flexDirection: "column",
+                gap: 8,
               }}
             >
-              Guardar notas pendientes
-            </button>
-          </div>
+              <div style={{ fontSize: 13 }}>
+                Exportar escena
+                <div
+                  style={{
+                    fontSize: 11,
+                    color: "#6b7280",
+                    marginTop: 2,
+                  }}
+                >
+                  Con la posición, rotación, nombres y colores actuales de
+                  cada capa. GLB en metros; STL, OBJ y 3MF en milímetros.
+                </div>
+              </div>
+              <label
+                style={{
+                  display: "flex",
+                  alignItems: "center",
+                  justifyContent: "space-between",
+                  gap: 8,
+                  fontSize: 12,
+                  color: "#9ca3af",
+                }}
+              >
+                Formato
+                <select
+                  value={exportFormat}
+                  onChange={(e) => setExportFormat(e.target.value)}
+                  style={{
+                    fontSize: 12,
+                    padding: "3px 6px",
+                    borderRadius: 999,
+                    border: "1px solid #374151",
+                    background: "#020617",
+                    color: "#e5e7eb",
+                    outline: "none",
+                  }}
+                >
+                  {Object.entries(EXPORT_FORMATS).map(([key, format]) => (
+                    <option key={key} value={key}>
+                      {format.label}
+                    </option>
+                  ))}
+                </select>
+              </label>
+              <label
+                style={{
+                  display: "flex",
+                  alignItems: "center",
+                  gap: 6,
+                  fontSize: 12,
+                  color: "#9ca3af",
+                }}
+              >
+                <input
+                  type="checkbox"
+                  checked={exportVisibleOnly}
+                  onChange={(e) => setExportVisibleOnly(e.target.checked)}
+                />
+                Solo capas visibles
+              </label>
+              <div
+                style={{
+                  display: "flex",
+                  justifyContent: "space-between",
+                  gap: 8,
+                }}
+              >
+                <button
+                  type="button"
+                  onClick={() => setIsCaptureOpen(true)}
+                  style={{
+                    fontSize: 11,
+                    padding: "4px 10px",
+                    borderRadius: 999,
+                    border: "1px solid #4b5563",
+                    background: "transparent",
+                    color: "#e5e7eb",
+                    cursor: "pointer",
+                  }}
+                >
+                  📷 Imagen o video
+                </button>
+                <button
+                  type="button"
+                  onClick={handleExportScene}
+                  disabled={exporting}
+                  style={{
+                    fontSize: 11,
+                    padding: "4px 10px",
+                    borderRadius: 999,
+                    border: "1px solid #4b5563",
+                    background:
+                      "linear-gradient(135deg, rgba(56,189,248,0.2), rgba(37,99,235,0.5))",
+                    color: "#bfdbfe",
+                    cursor: exporting ? "wait" : "pointer",
+                  }}
+                >
+                  {exporting ? "Exportando..." : "Descargar"}
+                </button>
+              </div>
+            </div>
+          )}
 
           <div
             style={{
@@ -2717,9 +8172,17 @@ const handleLoadProject = (projectId) => {
                     color: "#6b7280",
                   }}
                 >
-                  Se guardará en{" "}
-                  <code>public/&lt;proyecto&gt;/cotizacion.json</code> usando la
-                  contraseña del proyecto.
+                  {isSharedView ? (
+                    "Vista de solo lectura."
+                  ) : (
+                    <>
+                      Se guardará en{" "}
+                      <code>public/&lt;proyecto&gt;/cotizacion.json</code>
+                      {canEditCurrent
+                        ? "."
+                        : " (solo lectura con tu rol en este proyecto)."}
+                    </>
+                  )}
                 </div>
               </div>
               <button
@@ -2737,7 +8200,7 @@ const handleLoadProject = (projectId) => {
                   whiteSpace: "nowrap",
                 }}
               >
-                Abrir cotización
+                {canEditCurrent ? "Abrir cotización" : "Ver cotización"}
               </button>
             </div>
           )}
@@ -2756,6 +8219,14 @@ const handleLoadProject = (projectId) => {
         onReplaceModel={handleReplaceModel}
         onUpdateTransform={handleUpdateProjectTransform}
         onRenameProject={handleRenameProject}
+        session={session}
+        onLogin={handleLogin}
+        onRegister={handleRegister}
+        onLogout={handleLogout}
+        onClaimProject={handleClaimProject}
+        onUpdateMember={handleUpdateMember}
+        onCreateShare={handleCreateShare}
+        onRevokeShare={handleRevokeShare}
       />
 
       {/* Modal de cotización */}
@@ -2763,6 +8234,21 @@ const handleLoadProject = (projectId) => {
         isOpen={isCotizacionOpen}
         onClose={() => setIsCotizacionOpen(false)}
         projectId={currentProjectId}
+        projectName={currentProject?.name}
+        canEdit={canEditCurrent}
+        modelParts={quoteParts}
+      />
+
+      {/* Modal de capturas */}
+      <Capturas
+        isOpen={isCaptureOpen}
+        onClose={() => setIsCaptureOpen(false)}
+        getViewer={getCaptureViewer}
+        projectId={currentProjectId}
+        baseName={downloadBaseName}
+        canSave={canEditCurrent}
+        attachments={attachments}
+        onAttachmentsChange={setAttachments}
       />
     </>
   );
@@ -0,0 +1,207 @@
+/* =========================
+   Análisis de malla por pieza y del modelo completo
+   - Dimensiones (caja en ejes del modelo), área, volumen y triángulos
+   - Revisión topológica: bordes abiertos, aristas no-manifold y caras con
+     orientación invertida respecto a sus vecinas
+   - Los vértices duplicados (STL) se unen por posición antes de revisar
+   - Se calcula en unidades del archivo y se cachea por malla; analyzePart
+     convierte a milímetros con la escala de la unidad declarada
+========================= */
+
+import * as THREE from "three";
+
+const cache = new WeakMap();
+
+// Tolerancia para unir vértices: relativa al tamaño de la pieza
+const WELD_TOLERANCE = 1e-6;
+
+function analyzeMesh(mesh, toModel) {
+  const geometry = mesh.geometry;
+  const position = geometry.attributes.position;
+  const index = geometry.index;
+  const triangleCount = index ? index.count / 3 : position.count / 3;
+
+  const vertices = new Array(position.count);
+  const box = new THREE.Box3();
+  for (let i = 0; i < position.count; i++) {
+    vertices[i] = new THREE.Vector3()
+      .fromBufferAttribute(position, i)
+      .applyMatrix4(toModel);
+    box.expandByPoint(vertices[i]);
+  }
+
+  // Unir vértices por posición cuantizada
+  const size = box.getSize(new THREE.Vector3());
+  const step = Math.max(size.x, size.y, size.z, 1e-9) * WELD_TOLERANCE;
+  const welded = new Map();
+  const weldId = vertices.map((v) => {
+    const key = `${Math.round(v.x / step)},${Math.round(
+      v.y / step
+    )},${Math.round(v.z / step)}`;
+    if (!welded.has(key)) welded.set(key, welded.size);
+    return welded.get(key);
+  });
+
+  let area = 0;
+  let signedVolume = 0;
+  let degenerate = 0;
+  const edges = new Map(); // "a|b" (a < b) → { count, forward }
+  const ab = new THREE.Vector3();
+  const ac = new THREE.Vector3();
+  const cross = new THREE.Vector3();
+
+  for (let t = 0; t < triangleCount; t++) {
+    const ia = index ? index.getX(t * 3) : t * 3;
+    const ib = index ? index.getX(t * 3 + 1) : t * 3 + 1;
+    const ic = index ? index.getX(t * 3 + 2) : t * 3 + 2;
+    const a = vertices[ia];
+    const b = vertices[ib];
+    const c = vertices[ic];
+
+    ab.subVectors(b, a);
+    ac.subVectors(c, a);
+    cross.crossVectors(ab, ac);
+    area += cross.length() / 2;
+    signedVolume += a.dot(cross.crossVectors(b, c)) / 6;
+
+    const ids = [weldId[ia], weldId[ib], weldId[ic]];
+    if (ids[0] === ids[1] || ids[1] === ids[2] || ids[0] === ids[2]) {
+      degenerate++;
+      continue;
+    }
+    for (let e = 0; e < 3; e++) {
+      const from = ids[e];
+      const to = ids[(e + 1) % 3];
+      const key = from < to ? `${from}|${to}` : `${to}|${from}`;
+      const edge = edges.get(key) || { count: 0, forward: 0 };
+      edge.count++;
+      if (from < to) edge.forward++;
+      edges.set(key, edge);
+    }
+  }
+
+  let boundaryEdges = 0;
+  let nonManifoldEdges = 0;
+  let flippedEdges = 0;
+  edges.forEach((edge) => {
+    if (edge.count === 1) boundaryEdges++;
+    else if (edge.count > 2) nonManifoldEdges++;
+    // dos caras bien orientadas recorren la arista en sentidos opuestos
+    else if (edge.forward !== 1) flippedEdges++;
+  });
+
+  return {
+    triangles: triangleCount,
+    degenerate,
+    area,
+    signedVolume,
+    box,
+    boundaryEdges,
+    nonManifoldEdges,
+    flippedEdges,
+  };
+}
+
+// Volumen negativo en una malla cerrada = normales hacia adentro
+const isInverted = (s) =>
+  s.boundaryEdges === 0 && s.nonManifoldEdges === 0 && s.signedVolume < 0;
+
+function withVerdict(stats) {
+  return {
+    ...stats,
+    size: stats.box.isEmpty()
+      ? new THREE.Vector3()
+      : stats.box.getSize(new THREE.Vector3()),
+    watertight: stats.boundaryEdges === 0 && stats.nonManifoldEdges === 0,
+    invertedNormals: stats.invertedMeshes > 0,
+  };
+}
+
+// Solo las capas: la geometría fusionada del modelo no tiene partId
+function partMeshes(model, partId) {
+  const meshes = [];
+  model.traverse((child) => {
+    if (!child.isMesh || !child.geometry?.attributes?.position) return;
+    if (typeof child.userData.partId !== "number") return;
+    if (partId === undefined || child.userData.partId === partId) {
+      meshes.push(child);
+    }
+  });
+  return meshes;
+}
+
+const linearPart = (matrix) => new THREE.Matrix3().setFromMatrix4(matrix);
+
+// Si la capa solo se trasladó (p. ej. vista explosionada) basta con mover
+// la caja; si rotó o cambió de escala se vuelve a analizar
+// Las matrices del modelo ya están al día (ver analyzePart)
+function meshStats(model, mesh) {
+  const toModel = model.matrixWorld.clone().invert().multiply(mesh.matrixWorld);
+
+  const cached = cache.get(mesh);
+  if (
+    cached &&
+    cached.geometry === mesh.geometry &&
+    linearPart(cached.toModel).equals(linearPart(toModel))
+  ) {
+    const delta = new THREE.Vector3()
+      .setFromMatrixPosition(toModel)
+      .sub(new THREE.Vector3().setFromMatrixPosition(cached.toModel));
+    return { ...cached.stats, box: cached.stats.box.clone().translate(delta) };
+  }
+
+  const stats = analyzeMesh(mesh, toModel);
+  cache.set(mesh, { geometry: mesh.geometry, toModel, stats });
+  return stats;
+}
+
+function combine(list) {
+  return list.reduce(
+    (acc, s) => ({
+      triangles: acc.triangles + s.triangles,
+      degenerate: acc.degenerate + s.degenerate,
+      area: acc.area + s.area,
+      volume: acc.volume + Math.abs(s.signedVolume),
+      invertedMeshes: acc.invertedMeshes + (isInverted(s) ? 1 : 0),
+      box: acc.box.clone().union(s.box),
+      boundaryEdges: acc.boundaryEdges + s.boundaryEdges,
+      nonManifoldEdges: acc.nonManifoldEdges + s.nonManifoldEdges,
+      flippedEdges: acc.flippedEdges + s.flippedEdges,
+    }),
+    {
+      triangles: 0,
+      degenerate: 0,
+      area: 0,
+      volume: 0,
+      invertedMeshes: 0,
+      box: new THREE.Box3(),
+      boundaryEdges: 0,
+      nonManifoldEdges: 0,
+      flippedEdges: 0,
+    }
+  );
+}
+
+function toMillimeters(stats, scale) {
+  if (scale === 1) return stats;
+  return {
+    ...stats,
+    area: stats.area * scale ** 2,
+    volume: stats.volume * scale ** 3,
+    box: stats.box
+      .clone()
+      .applyMatrix4(new THREE.Matrix4().makeScale(scale, scale, scale)),
+  };
+}
+
+// Sin partId: todo el modelo (suma de piezas; el volumen asume que no
+// se traslapan). scale: milímetros por unidad del archivo
+export function analyzePart(model, partId, scale = 1) {
+  if (!model) return null;
+  const meshes = partMeshes(model, partId);
+  if (!meshes.length) return null;
+  model.updateWorldMatrix(true, true);
+  return withVerdict(
+    toMillimeters(combine(meshes.map((m) => meshStats(model, m))), scale)
+  );
+}
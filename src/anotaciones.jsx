@@ -0,0 +1,455 @@
+import React, { useState } from "react";
+import { CSS2DObject } from "three/examples/jsm/renderers/CSS2DRenderer.js";
+import { authFetch } from "./sesiones";
+
+/* =========================
+   Config API (igual que en App)
+========================= */
+
+const API_BASE_URL =
+  import.meta.env.VITE_API_BASE_URL || "http://localhost:4000";
+const API_PROJECTS_URL = `${API_BASE_URL}/api/projects`;
+
+const STATUS_LABELS = {
+  open: "Abierto",
+  resolved: "Resuelto",
+};
+
+const PIN_COLORS = {
+  open: "#f59e0b",
+  resolved: "#22c55e",
+  draft: "#38bdf8",
+};
+
+/* =========================
+   Pin en el visor (CSS2D, sigue a la cámara)
+========================= */
+
+export function buildAnnotationPin(
+  annotation,
+  { selected = false, draft = false, onSelect } = {}
+) {
+  const color = draft ? PIN_COLORS.draft : PIN_COLORS[annotation.status];
+  const element = document.createElement("button");
+  element.type = "button";
+  element.textContent = draft ? "+" : String(annotation.number);
+  element.title = draft
+    ? "Nuevo comentario"
+    : annotation.comments?.[0]?.text || "";
+  Object.assign(element.style, {
+    width: "22px",
+    height: "22px",
+    borderRadius: "999px 999px 999px 0",
+    border: selected ? "2px solid #f8fafc" : "1px solid #0f172a",
+    background: color,
+    color: "#0f172a",
+    fontSize: "11px",
+    fontWeight: "700",
+    fontFamily: "inherit",
+    cursor: "pointer",
+    pointerEvents: "auto",
+    boxShadow: "0 4px 10px rgba(0,0,0,0.5)",
+    padding: "0",
+  });
+  if (onSelect && !draft) {
+    element.addEventListener("click", (e) => {
+      e.stopPropagation();
+      onSelect(annotation.id);
+    });
+  }
+
+  const pin = new CSS2DObject(element);
+  // la esquina inferior izquierda (la punta del pin) marca el punto
+  pin.center.set(0, 1);
+  pin.position.set(annotation.point.x, annotation.point.y, annotation.point.z);
+  return pin;
+}
+
+// Llamada a /api/projects/:id/annotations...; devuelve { annotations, ... }
+export async function requestAnnotations(projectId, method, path, body) {
+  const resp = await authFetch(
+    `${API_PROJECTS_URL}/${projectId}/annotations${path}`,
+    {
+      method,
+      headers: body ? { "Content-Type": "application/json" } : undefined,
+      body: body ? JSON.stringify(body) : undefined,
+    }
+  );
+  const text = await resp.text();
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    console.error(`Respuesta no JSON en ${method} /annotations:`, text);
+    throw new Error("La ruta /annotations no devolvió JSON.");
+  }
+
+  if (!resp.ok || !data.ok) {
+    const err = new Error(data.error || "No se pudo guardar el comentario.");
+    err.status = resp.status;
+    throw err;
+  }
+  return data;
+}
+
+function formatDate(iso) {
+  const date = new Date(iso);
+  return Number.isNaN(date.getTime())
+    ? ""
+    : date.toLocaleString(undefined, {
+        dateStyle: "short",
+        timeStyle: "short",
+      });
+}
+
+/* =========================
+   Panel de anotaciones
+========================= */
+
+function Anotaciones({
+  projectId,
+  annotations,
+  onAnnotationsChange,
+  selectedId,
+  onSelect,
+  placing,
+  onTogglePlacing,
+  draft,
+  onCancelDraft,
+  canComment,
+  canModerate,
+  session,
+  partNames = {},
+  onHistoryAction,
+}) {
+  const [draftText, setDraftText] = useState("");
+  const [replyText, setReplyText] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+
+  const request = async (method, path, body) => {
+    setBusy(true);
+    setError("");
+    try {
+      const data = await requestAnnotations(projectId, method, path, body);
+      onAnnotationsChange(data.annotations || []);
+      return data;
+    } catch (err) {
+      console.error(err);
+      setError(err.message || "Error al guardar el comentario.");
+      return null;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handlePublish = async () => {
+    if (!draft || !draftText.trim()) return;
+    const data = await request("POST", "", {
+      point: draft.point,
+      partId: draft.partId,
+      text: draftText,
+    });
+    if (!data) return;
+    setDraftText("");
+    onCancelDraft();
+    onSelect(data.annotation.id);
+    onHistoryAction?.({ type: "create", annotation: data.annotation });
+  };
+
+  const handleToggleStatus = async (annotation) => {
+    const status = annotation.status === "open" ? "resolved" : "open";
+    const data = await request("PUT", `/${annotation.id}`, { status });
+    if (data) onHistoryAction?.({ type: "status", annotation, status });
+  };
+
+  const handleReply = async (annotationId) => {
+    if (!replyText.trim()) return;
+    const data = await request("POST", `/${annotationId}/comments`, {
+      text: replyText,
+    });
+    if (data) setReplyText("");
+  };
+
+  const handleDelete = (annotation) => {
+    const ok = window.confirm(
+      `¿Borrar el pin #${annotation.number} y todos sus comentarios?`
+    );
+    if (!ok) return;
+    request("DELETE", `/${annotation.id}`);
+  };
+
+  const openCount = annotations.filter((a) => a.status === "open").length;
+
+  const smallButton = {
+    fontSize: 11,
+    padding: "4px 10px",
+    borderRadius: 999,
+    border: "1px solid #4b5563",
+    background: "transparent",
+    color: "#9ca3af",
+    cursor: "pointer",
+  };
+
+  const textareaStyle = {
+    width: "100%",
+    minHeight: 50,
+    resize: "vertical",
+    fontSize: 12,
+    borderRadius: 12,
+    border: "1px solid #374151",
+    background: "#020617",
+    color: "#e5e7eb",
+    padding: 6,
+    outline: "none",
+  };
+
+  return (
+    <div
+      style={{
+        padding: 12,
+        borderRadius: 16,
+        border: "1px solid #1f2937",
+        background: "rgba(15,23,42,0.9)",
+        display: "flex",
+        flexDirection: "column",
+        gap: 8,
+      }}
+    >
+      <div
+        style={{
+          fontSize: 13,
+          display: "flex",
+          alignItems: "center",
+          justifyContent: "space-between",
+          gap: 8,
+        }}
+      >
+        <span>
+          Comentarios en el modelo{" "}
+          <span style={{ fontSize: 11, color: "#6b7280" }}>
+            ({openCount} abiertos)
+          </span>
+        </span>
+        {projectId && canComment && (
+          <button
+            type="button"
+            onClick={onTogglePlacing}
+            style={{
+              ...smallButton,
+              border: placing ? "1px solid #38bdf8" : smallButton.border,
+              background: placing ? "rgba(56,189,248,0.15)" : "transparent",
+              color: placing ? "#bae6fd" : smallButton.color,
+            }}
+          >
+            + Nuevo pin
+          </button>
+        )}
+      </div>
+
+      {!projectId && (
+        <div style={{ fontSize: 11, color: "#6b7280" }}>
+          Guarda o carga un proyecto para dejar comentarios.
+        </div>
+      )}
+      {projectId && !canComment && !session && (
+        <div style={{ fontSize: 11, color: "#6b7280" }}>
+          Inicia sesión para comentar.
+        </div>
+      )}
+
+      {placing && (
+        <div style={{ fontSize: 11, color: "#93c5fd" }}>
+          Haz clic en el punto del modelo que quieres comentar (Esc para
+          cancelar).
+        </div>
+      )}
+
+      {draft && (
+        <div style={{ display: "flex", flexDirection: "column", gap: 6 }}>
+          <textarea
+            value={draftText}
+            onChange={(e) => setDraftText(e.target.value)}
+            placeholder="Describe el detalle a revisar..."
+            style={textareaStyle}
+            autoFocus
+          />
+          <div style={{ display: "flex", justifyContent: "flex-end", gap: 6 }}>
+            <button type="button" onClick={onCancelDraft} style={smallButton}>
+              Cancelar
+            </button>
+            <button
+              type="button"
+              onClick={handlePublish}
+              disabled={busy || !draftText.trim()}
+              style={{
+                ...smallButton,
+                background:
+                  "linear-gradient(135deg, rgba(56,189,248,0.2), rgba(37,99,235,0.5))",
+                color: "#bfdbfe",
+              }}
+            >
+              Publicar
+            </button>
+          </div>
+        </div>
+      )}
+
+      {error && <div style={{ fontSize: 11, color: "#fecaca" }}>{error}</div>}
+
+      {projectId && annotations.length === 0 && !draft && (
+        <div style={{ fontSize: 11, color: "#6b7280" }}>
+          Aún no hay pines en este proyecto.
+        </div>
+      )}
+
+      {annotations.map((annotation) => {
+        const selected = annotation.id === selectedId;
+        const [first, ...replies] = annotation.comments || [];
+        const canDelete =
+          canComment &&
+          (canModerate || annotation.createdBy === session?.user?.id);
+
+        return (
+          <div
+            key={annotation.id}
+            style={{
+              padding: 8,
+              borderRadius: 12,
+              background: selected ? "#020617" : "transparent",
+              border: selected ? "1px solid #374151" : "1px solid #111827",
+              display: "flex",
+              flexDirection: "column",
+              gap: 6,
+            }}
+          >
+            <div
+              onClick={() => onSelect(selected ? null : annotation.id)}
+              style={{
+                display: "flex",
+                alignItems: "center",
+                gap: 8,
+                fontSize: 12,
+                color: "#e5e7eb",
+                cursor: "pointer",
+              }}
+            >
+              <span
+                style={{
+                  width: 20,
+                  height: 20,
+                  borderRadius: 999,
+                  background: PIN_COLORS[annotation.status],
+                  color: "#0f172a",
+                  fontSize: 11,
+                  fontWeight: 700,
+                  display: "flex",
+                  alignItems: "center",
+                  justifyContent: "center",
+                  flexShrink: 0,
+                }}
+              >
+                {annotation.number}
+              </span>
+              <span
+                style={{
+                  flex: 1,
+                  minWidth: 0,
+                  overflow: "hidden",
+                  textOverflow: "ellipsis",
+                  whiteSpace: selected ? "normal" : "nowrap",
+                }}
+              >
+                {first?.text}
+              </span>
+              <span style={{ fontSize: 10, color: "#6b7280" }}>
+                {STATUS_LABELS[annotation.status]}
+                {replies.length > 0 && ` · ${replies.length} resp.`}
+              </span>
+            </div>
+
+            {selected && (
+              <>
+                <div style={{ fontSize: 10, color: "#6b7280" }}>
+                  {partNames[annotation.partId] &&
+                    `${partNames[annotation.partId]} · `}
+                  {first?.author} · {formatDate(first?.createdAt)}
+                </div>
+
+                {replies.map((comment) => (
+                  <div
+                    key={comment.id}
+                    style={{
+                      paddingLeft: 10,
+                      borderLeft: "2px solid #1f2937",
+                      fontSize: 12,
+                      color: "#cbd5f5",
+                      whiteSpace: "pre-wrap",
+                    }}
+                  >
+                    {comment.text}
+                    <div style={{ fontSize: 10, color: "#6b7280" }}>
+                      {comment.author} · {formatDate(comment.createdAt)}
+                    </div>
+                  </div>
+                ))}
+
+                {canComment && (
+                  <>
+                    <textarea
+                      value={replyText}
+                      onChange={(e) => setReplyText(e.target.value)}
+                      placeholder="Responder..."
+                      style={textareaStyle}
+                    />
+                    <div
+                      style={{
+                        display: "flex",
+                        justifyContent: "flex-end",
+                        gap: 6,
+                      }}
+                    >
+                      {canDelete && (
+                        <button
+                          type="button"
+                          onClick={() => handleDelete(annotation)}
+                          disabled={busy}
+                          style={{ ...smallButton, color: "#fca5a5" }}
+                        >
+                          Borrar
+                        </button>
+                      )}
+                      <button
+                        type="button"
+                        onClick={() => handleToggleStatus(annotation)}
+                        disabled={busy}
+                        style={smallButton}
+                      >
+                        {annotation.status === "open" ? "Resolver" : "Reabrir"}
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => handleReply(annotation.id)}
+                        disabled={busy || !replyText.trim()}
+                        style={{
+                          ...smallButton,
+                          background:
+                            "linear-gradient(135deg, rgba(56,189,248,0.2), rgba(37,99,235,0.5))",
+                          color: "#bfdbfe",
+                        }}
+                      >
+                        Responder
+                      </button>
+                    </div>
+                  </>
+                )}
+              </>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+export default Anotaciones;
@@ -0,0 +1,228 @@
+/* =========================
+   Cámara del visor: vistas estándar, proyección y vistas guardadas
+   - Hay una cámara en perspectiva y una ortográfica; la activa es
+     cameraRef y OrbitControls la mueve (en la ortográfica el zoom cambia
+     el alto visible, no la distancia)
+   - Una vista (pose) es { projection, position, target, halfHeight }:
+     halfHeight es la mitad del alto visible a la distancia del objetivo,
+     así la misma vista encuadra igual en las dos proyecciones
+   - Las vistas del proyecto son poses con { id, name }; initialView es
+     la pose con la que se abre el proyecto
+========================= */
+
+import * as THREE from "three";
+
+export const CAMERA_FOV = 45;
+export const MAX_CAMERA_VIEWS = 30;
+const TRANSITION_MS = 700;
+const FRAMING_MARGIN = 1.6; // distancia de encuadre × tamaño del modelo
+
+export const PROJECTIONS = {
+  perspective: "Perspectiva",
+  orthographic: "Ortográfica",
+};
+
+// Dirección desde el objetivo hacia la cámara (Y arriba). Arriba y abajo
+// se apartan un poco del eje: OrbitControls no admite mirar justo por él
+export const STANDARD_VIEWS = {
+  front: { label: "Frente", direction: [0, 0, 1] },
+  back: { label: "Atrás", direction: [0, 0, -1] },
+  left: { label: "Izquierda", direction: [-1, 0, 0] },
+  right: { label: "Derecha", direction: [1, 0, 0] },
+  top: { label: "Arriba", direction: [0, 1, 0.0001] },
+  bottom: { label: "Abajo", direction: [0, -1, 0.0001] },
+  iso: { label: "Isométrica", direction: [1, 1, 1] },
+};
+
+// Encuadre al cargar un modelo
+export const DEFAULT_VIEW_DIRECTION = [0, 0.4, 1];
+
+const halfTan = () => Math.tan(THREE.MathUtils.degToRad(CAMERA_FOV) / 2);
+
+export function createCameras(aspect) {
+  const perspective = new THREE.PerspectiveCamera(
+    CAMERA_FOV,
+    aspect,
+    0.1,
+    2000
+  );
+  const orthographic = new THREE.OrthographicCamera(
+    -aspect,
+    aspect,
+    1,
+    -1,
+    0.1,
+    2000
+  );
+  return { perspective, orthographic };
+}
+
+export function getCameraAspect(camera) {
+  return camera.isOrthographicCamera
+    ? (camera.right - camera.left) / (camera.top - camera.bottom)
+    : camera.aspect;
+}
+
+export function setCameraAspect(camera, aspect) {
+  if (camera.isOrthographicCamera) {
+    camera.left = camera.bottom * aspect;
+    camera.right = camera.top * aspect;
+  } else {
+    camera.aspect = aspect;
+  }
+  camera.updateProjectionMatrix();
+}
+
+function visibleHalfHeight(camera, target) {
+  return camera.isOrthographicCamera
+    ? camera.top / camera.zoom
+    : camera.position.distanceTo(target) * halfTan();
+}
+
+function setClipping(camera, distance) {
+  camera.near = distance / 100;
+  camera.far = distance * 100;
+}
+
+// Ortográfica: el alto visible va en el frustum (zoom 1)
+function setOrthographicHalfHeight(camera, halfHeight) {
+  const aspect = getCameraAspect(camera);
+  camera.top = halfHeight;
+  camera.bottom = -halfHeight;
+  camera.left = -halfHeight * aspect;
+  camera.right = halfHeight * aspect;
+  camera.zoom = 1;
+}
+
+const toPlain = (v) => ({ x: v.x, y: v.y, z: v.z });
+const toVector = (v) => new THREE.Vector3(v.x, v.y, v.z);
+
+export function projectionOf(camera) {
+  return camera.isOrthographicCamera ? "orthographic" : "perspective";
+}
+
+export function readCameraPose(camera, controls) {
+  return {
+    projection: projectionOf(camera),
+    position: toPlain(camera.position),
+    target: toPlain(controls.target),
+    halfHeight: visibleHalfHeight(camera, controls.target),
+  };
+}
+
+// Pose que encuadra el objeto mirando desde `direction`
+export function framingPose(object, direction, projection) {
+  const box = new THREE.Box3().setFromObject(object);
+  const size = box.getSize(new THREE.Vector3());
+  const center = box.getCenter(new THREE.Vector3());
+  const maxDim = Math.max(size.x, size.y, size.z) || 1;
+  const distance = (maxDim / (2 * halfTan())) * FRAMING_MARGIN;
+
+  const position = new THREE.Vector3()
+    .fromArray(direction)
+    .normalize()
+    .multiplyScalar(distance)
+    .add(center);
+  return {
+    projection,
+    position: toPlain(position),
+    target: toPlain(center),
+    halfHeight: distance * halfTan(),
+  };
+}
+
+// En perspectiva la distancia sale del alto visible: así una pose guardada
+// en la ortográfica se ve igual al abrirla en perspectiva
+function poseVectors(pose, camera) {
+  const target = toVector(pose.target);
+  const position = toVector(pose.position);
+  if (!camera.isOrthographicCamera) {
+    const direction = position.clone().sub(target).normalize();
+    position
+      .copy(target)
+      .add(direction.multiplyScalar(pose.halfHeight / halfTan()));
+  }
+  return { position, target };
+}
+
+export function applyCameraPose(camera, controls, pose) {
+  const { position, target } = poseVectors(pose, camera);
+  camera.position.copy(position);
+  controls.target.copy(target);
+  if (camera.isOrthographicCamera) {
+    setOrthographicHalfHeight(camera, pose.halfHeight);
+  }
+  setClipping(camera, position.distanceTo(target));
+  camera.lookAt(target);
+  camera.updateProjectionMatrix();
+  controls.update();
+}
+
+// Pasa la vista de una cámara a la otra sin que cambie el encuadre
+export function switchProjection(from, to, controls) {
+  const pose = readCameraPose(from, controls);
+  setCameraAspect(to, getCameraAspect(from));
+  controls.object = to;
+  applyCameraPose(to, controls, pose);
+}
+
+const easeInOut = (t) => (t < 0.5 ? 4 * t * t * t : 1 - (-2 * t + 2) ** 3 / 2);
+
+// Transición suave: se avanza en cada frame con stepCameraTransition
+export function startCameraTransition(camera, controls, pose) {
+  const from = readCameraPose(camera, controls);
+  const to = poseVectors(pose, camera);
+  const distances = [
+    camera.position.distanceTo(controls.target),
+    to.position.distanceTo(to.target),
+  ];
+  camera.near = Math.min(...distances) / 100;
+  camera.far = Math.max(...distances) * 100;
+  camera.updateProjectionMatrix();
+  return {
+    start: performance.now(),
+    fromPosition: toVector(from.position),
+    fromTarget: toVector(from.target),
+    fromHalfHeight: from.halfHeight,
+    toPosition: to.position,
+    toTarget: to.target,
+    toHalfHeight: pose.halfHeight,
+  };
+}
+
+// Devuelve true al terminar
+export function stepCameraTransition(transition, camera, controls, now) {
+  const t = Math.min((now - transition.start) / TRANSITION_MS, 1);
+  const k = easeInOut(t);
+  camera.position.lerpVectors(
+    transition.fromPosition,
+    transition.toPosition,
+    k
+  );
+  controls.target.lerpVectors(transition.fromTarget, transition.toTarget, k);
+  if (camera.isOrthographicCamera) {
+    setOrthographicHalfHeight(
+      camera,
+      THREE.MathUtils.lerp(
+        transition.fromHalfHeight,
+        transition.toHalfHeight,
+        k
+      )
+    );
+    camera.updateProjectionMatrix();
+  }
+  camera.lookAt(controls.target);
+  if (t < 1) return false;
+
+  setClipping(camera, camera.position.distanceTo(controls.target));
+  camera.updateProjectionMatrix();
+  return true;
+}
+
+export function createCameraView(name, pose) {
+  return {
+    id: `vista-${Date.now().toString(36)}`,
+    name,
+    ...pose,
+  };
+}
@@ -0,0 +1,724 @@
+import React, { useEffect, useState } from "react";
+import * as THREE from "three";
+import { authFetch } from "./sesiones";
+import { downloadBlob } from "./exportar";
+import { getCameraAspect, setCameraAspect } from "./camaras";
+
+/* =========================
+   Config API (igual que en App)
+========================= */
+
+const API_BASE_URL =
+  import.meta.env.VITE_API_BASE_URL || "http://localhost:4000";
+const API_PROJECTS_URL = `${API_BASE_URL}/api/projects`;
+
+export const CAPTURE_SIZES = {
+  viewer: { label: "Tamaño del visor" },
+  hd: { label: "HD · 1280×720", width: 1280, height: 720 },
+  fullHd: { label: "Full HD · 1920×1080", width: 1920, height: 1080 },
+  uhd: { label: "4K · 3840×2160", width: 3840, height: 2160 },
+  square: { label: "Cuadrado · 2048×2048", width: 2048, height: 2048 },
+};
+
+const CAPTURE_BACKGROUNDS = {
+  scene: "El de la escena",
+  solid: "Color sólido",
+  transparent: "Transparente (solo imagen)",
+};
+
+const WATERMARK_URL = "/logo-maestria_0006_Capa-0.png";
+const WATERMARK_WIDTH = 0.14; // fracción del ancho de la captura
+const TURNTABLE_FPS = 30;
+const VIDEO_BITRATE = 12_000_000;
+const VIDEO_TYPES = [
+  "video/webm;codecs=vp9",
+  "video/webm;codecs=vp8",
+  "video/webm",
+];
+const Y_AXIS = new THREE.Vector3(0, 1, 0);
+
+/* =========================
+   Render de capturas
+   - El renderer no usa preserveDrawingBuffer (cuesta en cada frame): cada
+     captura renderiza y copia el lienzo a un canvas 2D en la misma tarea
+   - viewer: { renderer, scene, camera, controls, hide: [objetos a ocultar] }
+========================= */
+
+function loadImage(url) {
+  return new Promise((resolve, reject) => {
+    const image = new Image();
+    image.onload = () => resolve(image);
+    image.onerror = () =>
+      reject(new Error("No se pudo cargar el logo de la marca de agua."));
+    image.src = url;
+  });
+}
+
+// Ajusta tamaño, fondo y ayudas del visor; restore() lo deja como estaba
+function prepareRenderer(viewer, { width, height, background, color }) {
+  const { renderer, scene, camera, hide = [] } = viewer;
+  const previous = {
+    size: renderer.getSize(new THREE.Vector2()),
+    pixelRatio: renderer.getPixelRatio(),
+    clearColor: renderer.getClearColor(new THREE.Color()),
+    clearAlpha: renderer.getClearAlpha(),
+    background: scene.background,
+    aspect: getCameraAspect(camera),
+    visible: hide.map((object) => object.visible),
+  };
+
+  // sin pasar del tamaño que admite la GPU
+  const requested = {
+    width: width || Math.round(previous.size.x * previous.pixelRatio),
+    height: height || Math.round(previous.size.y * previous.pixelRatio),
+  };
+  const scale = Math.min(
+    1,
+    renderer.capabilities.maxTextureSize /
+      Math.max(requested.width, requested.height)
+  );
+  const w = Math.round(requested.width * scale);
+  const h = Math.round(requested.height * scale);
+
+  renderer.setPixelRatio(1);
+  renderer.setSize(w, h, false);
+  setCameraAspect(camera, w / h);
+  if (background === "transparent") {
+    scene.background = null;
+    renderer.setClearColor(0x000000, 0);
+  } else if (background === "solid") {
+    scene.background = new THREE.Color(color);
+  }
+  hide.forEach((object) => {
+    object.visible = false;
+  });
+
+  const restore = () => {
+    renderer.setPixelRatio(previous.pixelRatio);
+    renderer.setSize(previous.size.x, previous.size.y, false);
+    renderer.setClearColor(previous.clearColor, previous.clearAlpha);
+    scene.background = previous.background;
+    setCameraAspect(camera, previous.aspect);
+    hide.forEach((object, i) => {
+      object.visible = previous.visible[i];
+    });
+  };
+  return { width: w, height: h, restore };
+}
+
+function drawFrame(renderer, ctx, watermark) {
+  const { width, height } = ctx.canvas;
+  ctx.clearRect(0, 0, width, height);
+  ctx.drawImage(renderer.domElement, 0, 0, width, height);
+  if (!watermark) return;
+
+  const w = width * WATERMARK_WIDTH;
+  const h = (w * watermark.naturalHeight) / watermark.naturalWidth;
+  const margin = w * 0.15;
+  ctx.globalAlpha = 0.85;
+  ctx.drawImage(watermark, width - w - margin, height - h - margin, w, h);
+  ctx.globalAlpha = 1;
+}
+
+function createFrameCanvas(width, height) {
+  const canvas = document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = height;
+  return canvas;
+}
+
+// PNG de la vista actual
+export async function captureImage(viewer, options) {
+  const watermark = options.watermark ? await loadImage(WATERMARK_URL) : null;
+  const target = prepareRenderer(viewer, options);
+  const canvas = createFrameCanvas(target.width, target.height);
+  try {
+    viewer.renderer.render(viewer.scene, viewer.camera);
+    drawFrame(viewer.renderer, canvas.getContext("2d"), watermark);
+  } finally {
+    target.restore();
+  }
+
+  return new Promise((resolve, reject) =>
+    canvas.toBlob(
+      (blob) =>
+        blob
+          ? resolve(blob)
+          : reject(new Error("No se pudo generar la imagen.")),
+      "image/png"
+    )
+  );
+}
+
+// Video WebM de un giro completo de la cámara alrededor del punto que
+// mira (eje vertical); onProgress recibe 0..1
+export async function recordTurntable(viewer, options) {
+  const mimeType =
+    typeof MediaRecorder !== "undefined" &&
+    VIDEO_TYPES.find((type) => MediaRecorder.isTypeSupported(type));
+  if (!mimeType) {
+    throw new Error("Este navegador no puede grabar video WebM.");
+  }
+
+  const { renderer, scene, camera, controls } = viewer;
+  const watermark = options.watermark ? await loadImage(WATERMARK_URL) : null;
+  const target = prepareRenderer(viewer, options);
+  const canvas = createFrameCanvas(target.width, target.height);
+  const ctx = canvas.getContext("2d");
+  const recorder = new MediaRecorder(canvas.captureStream(TURNTABLE_FPS), {
+    mimeType,
+    videoBitsPerSecond: VIDEO_BITRATE,
+  });
+  const chunks = [];
+  recorder.ondataavailable = (e) => {
+    if (e.data.size) chunks.push(e.data);
+  };
+
+  const center = controls.target.clone();
+  const offset = camera.position.clone().sub(center);
+  const duration = options.seconds * 1000;
+  controls.enabled = false;
+
+  return new Promise((resolve, reject) => {
+    let frameId = null;
+    const finish = () => {
+      cancelAnimationFrame(frameId);
+      camera.position.copy(center).add(offset);
+      camera.lookAt(center);
+      controls.enabled = true;
+      target.restore();
+    };
+    recorder.onstop = () => resolve(new Blob(chunks, { type: "video/webm" }));
+    recorder.onerror = (e) => {
+      finish();
+      reject(e.error || new Error("Falló la grabación del video."));
+    };
+
+    let start = null;
+    const step = (now) => {
+      if (start === null) start = now;
+      const t = Math.min((now - start) / duration, 1);
+      camera.position
+        .copy(offset)
+        .applyAxisAngle(Y_AXIS, t * Math.PI * 2)
+        .add(center);
+      camera.lookAt(center);
+      renderer.render(scene, camera);
+      drawFrame(renderer, ctx, watermark);
+      options.onProgress?.(t);
+
+      if (t < 1) {
+        frameId = requestAnimationFrame(step);
+      } else {
+        finish();
+        recorder.stop();
+      }
+    };
+    recorder.start();
+    frameId = requestAnimationFrame(step);
+  });
+}
+
+// Llamada a /api/projects/:id/attachments...; devuelve { attachments, ... }
+async function requestAttachments(projectId, method, path, body) {
+  const resp = await authFetch(
+    `${API_PROJECTS_URL}/${projectId}/attachments${path}`,
+    { method, body }
+  );
+  const text = await resp.text();
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    console.error(`Respuesta no JSON en ${method} /attachments:`, text);
+    throw new Error("La ruta /attachments no devolvió JSON.");
+  }
+
+  if (!resp.ok || !data.ok) {
+    throw new Error(data.error || "No se pudo guardar el adjunto.");
+  }
+  return data;
+}
+
+function formatSize(bytes) {
+  return bytes >= 1024 * 1024
+    ? `${(bytes / (1024 * 1024)).toFixed(1)} MB`
+    : `${Math.max(1, Math.round(bytes / 1024))} KB`;
+}
+
+/* =========================
+   Diálogo de capturas
+========================= */
+
+function Capturas({
+  isOpen,
+  onClose,
+  getViewer,
+  projectId,
+  baseName = "captura",
+  canSave = false,
+  attachments = [],
+  onAttachmentsChange,
+}) {
+  const [mode, setMode] = useState("image"); // image | turntable
+  const [size, setSize] = useState("fullHd");
+  const [background, setBackground] = useState("scene");
+  const [color, setColor] = useState("#ffffff");
+  const [watermark, setWatermark] = useState(true);
+  const [seconds, setSeconds] = useState(8);
+  const [busy, setBusy] = useState(false);
+  const [progress, setProgress] = useState(null);
+  const [result, setResult] = useState(null); // { blob, url, fileName, type }
+  const [error, setError] = useState("");
+  const [message, setMessage] = useState("");
+
+  // El resultado anterior se libera al reemplazarlo o cerrar el diálogo
+  useEffect(() => {
+    if (!result) return;
+    return () => URL.revokeObjectURL(result.url);
+  }, [result]);
+
+  useEffect(() => {
+    if (!isOpen) setResult(null);
+  }, [isOpen]);
+
+  if (!isOpen) return null;
+
+  const isVideo = mode === "turntable";
+  const handleCapture = async () => {
+    const viewer = getViewer();
+    if (!viewer) return;
+    setBusy(true);
+    setError("");
+    setMessage("");
+    setResult(null);
+
+    const stamp = new Date().toISOString().slice(0, 19).replace(/[T:]/g, "-");
+    const { width, height } = CAPTURE_SIZES[size];
+    const options = {
+      width,
+      height,
+      // el WebM no guarda transparencia
+      background:
+        isVideo && background === "transparent" ? "scene" : background,
+      color,
+      watermark,
+    };
+    try {
+      const blob = isVideo
+        ? await recordTurntable(viewer, {
+            ...options,
+            seconds,
+            onProgress: setProgress,
+          })
+        : await captureImage(viewer, options);
+      setResult({
+        blob,
+        url: URL.createObjectURL(blob),
+        fileName: `${baseName}-${isVideo ? "giro" : "captura"}-${stamp}.${
+          isVideo ? "webm" : "png"
+        }`,
+        type: isVideo ? "video" : "image",
+      });
+    } catch (err) {
+      console.error(err);
+      setError(err.message || "No se pudo generar la captura.");
+    } finally {
+      setBusy(false);
+      setProgress(null);
+    }
+  };
+
+  const handleSaveToProject = async () => {
+    if (!result || !projectId) return;
+    setBusy(true);
+    setError("");
+    setMessage("");
+    try {
+      const formData = new FormData();
+      formData.append(
+        "attachment",
+        new File([result.blob], result.fileName, { type: result.blob.type })
+      );
+      formData.append("name", result.fileName);
+      const data = await requestAttachments(projectId, "POST", "", formData);
+      onAttachmentsChange?.(data.attachments || []);
+      setMessage("Guardado en los adjuntos del proyecto.");
+    } catch (err) {
+      console.error(err);
+      setError(err.message || "No se pudo guardar el adjunto.");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  // Los adjuntos piden sesión: se bajan con authFetch y no con un enlace
+  const handleDownloadAttachment = async (attachment) => {
+    setError("");
+    try {
+      const resp = await authFetch(`${API_BASE_URL}${attachment.url}`);
+      if (!resp.ok) throw new Error("No se pudo descargar el adjunto.");
+      downloadBlob(await resp.blob(), attachment.name);
+    } catch (err) {
+      console.error(err);
+      setError(err.message || "No se pudo descargar el adjunto.");
+    }
+  };
+
+  const handleRemoveAttachment = async (attachment) => {
+    if (!window.confirm(`¿Borrar el adjunto "${attachment.name}"?`)) return;
+    setError("");
+    try {
+      const data = await requestAttachments(
+        projectId,
+        "DELETE",
+        `/${attachment.id}`
+      );
+      onAttachmentsChange?.(data.attachments || []);
+    } catch (err) {
+      console.error(err);
+      setError(err.message || "No se pudo borrar el adjunto.");
+    }
+  };
+
+  const handleOverlayClick = (e) => {
+    if (e.target === e.currentTarget && !busy) onClose();
+  };
+
+  const labelStyle = {
+    display: "flex",
+    alignItems: "center",
+    justifyContent: "space-between",
+    gap: 8,
+    fontSize: 12,
+    color: "#9ca3af",
+  };
+  const selectStyle = {
+    fontSize: 12,
+    padding: "3px 6px",
+    borderRadius: 999,
+    border: "1px solid #374151",
+    background: "#020617",
+    color: "#e5e7eb",
+    outline: "none",
+  };
+  const buttonStyle = {
+    fontSize: 12,
+    padding: "6px 12px",
+    borderRadius: 999,
+    border: "1px solid #4b5563",
+    background:
+      "linear-gradient(135deg, rgba(56,189,248,0.2), rgba(37,99,235,0.5))",
+    color: "#bfdbfe",
+    cursor: busy ? "wait" : "pointer",
+  };
+
+  return (
+    <div
+      onClick={handleOverlayClick}
+      style={{
+        position: "fixed",
+        inset: 0,
+        background: "rgba(15,23,42,0.85)",
+        display: "flex",
+        alignItems: "center",
+        justifyContent: "center",
+        zIndex: 50,
+      }}
+    >
+      <div
+        style={{
+          width: "min(720px, 100% - 32px)",
+          maxHeight: "90vh",
+          background: "#020617",
+          borderRadius: 24,
+          border: "1px solid #1f2937",
+          padding: 24,
+          overflow: "auto",
+          display: "flex",
+          flexDirection: "column",
+          gap: 12,
+          color: "#e5e7eb",
+        }}
+      >
+        <div
+          style={{
+            display: "flex",
+            justifyContent: "space-between",
+            alignItems: "center",
+          }}
+        >
+          <div>
+            <h2 style={{ fontSize: 18, marginBottom: 4 }}>Capturas</h2>
+            <p style={{ fontSize: 12, color: "#9ca3af" }}>
+              Imagen de la vista actual o video de un giro completo alrededor
+              del modelo, con la cámara y la iluminación del visor.
+            </p>
+          </div>
+          <button
+            onClick={onClose}
+            disabled={busy}
+            style={{
+              border: "none",
+              background: "transparent",
+              color: "#9ca3af",
+              fontSize: 20,
+              cursor: "pointer",
+              padding: 4,
+              lineHeight: 1,
+            }}
+          >
+            ×
+          </button>
+        </div>
+
+        <div style={{ display: "flex", gap: 6 }}>
+          {[
+            ["image", "📷 Imagen PNG"],
+            ["turntable", "🎞️ Giro 360° (WebM)"],
+          ].map(([key, label]) => (
+            <button
+              key={key}
+              type="button"
+              onClick={() => setMode(key)}
+              disabled={busy}
+              style={{
+                fontSize: 12,
+                padding: "4px 10px",
+                borderRadius: 999,
+                border: "1px solid #4b5563",
+                background: mode === key ? "#1d4ed8" : "transparent",
+                color: mode === key ? "#e5e7eb" : "#9ca3af",
+                cursor: "pointer",
+              }}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+
+        <label style={labelStyle}>
+          Resolución
+          <select
+            value={size}
+            onChange={(e) => setSize(e.target.value)}
+            disabled={busy}
+            style={selectStyle}
+          >
+            {Object.entries(CAPTURE_SIZES).map(([key, s]) => (
+              <option key={key} value={key}>
+                {s.label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label style={labelStyle}>
+          Fondo
+          <span style={{ display: "flex", alignItems: "center", gap: 6 }}>
+            {background === "solid" && (
+              <input
+                type="color"
+                value={color}
+                onChange={(e) => setColor(e.target.value)}
+                disabled={busy}
+                style={{
+                  width: 32,
+                  height: 20,
+                  border: "none",
+                  padding: 0,
+                  background: "transparent",
+                }}
+              />
+            )}
+            <select
+              value={background}
+              onChange={(e) => setBackground(e.target.value)}
+              disabled={busy}
+              style={selectStyle}
+            >
+              {Object.entries(CAPTURE_BACKGROUNDS)
+                .filter(([key]) => !isVideo || key !== "transparent")
+                .map(([key, label]) => (
+                  <option key={key} value={key}>
+                    {label}
+                  </option>
+                ))}
+            </select>
+          </span>
+        </label>
+        {isVideo && (
+          <label style={labelStyle}>
+            Duración del giro (s)
+            <input
+              type="number"
+              min={2}
+              max={60}
+              value={seconds}
+              onChange={(e) =>
+                setSeconds(Math.min(Math.max(Number(e.target.value), 2), 60))
+              }
+              disabled={busy}
+              style={{ ...selectStyle, width: 70, borderRadius: 8 }}
+            />
+          </label>
+        )}
+        <label
+          style={{
+            display: "flex",
+            alignItems: "center",
+            gap: 6,
+            fontSize: 12,
+            color: "#9ca3af",
+          }}
+        >
+          <input
+            type="checkbox"
+            checked={watermark}
+            onChange={(e) => setWatermark(e.target.checked)}
+            disabled={busy}
+          />
+          Marca de agua con el logo
+        </label>
+
+        <button
+          type="button"
+          onClick={handleCapture}
+          disabled={busy}
+          style={{ ...buttonStyle, alignSelf: "flex-end" }}
+        >
+          {progress !== null
+            ? `Grabando... ${Math.round(progress * 100)}%`
+            : busy
+            ? "Procesando..."
+            : isVideo
+            ? "Grabar giro"
+            : "Capturar"}
+        </button>
+
+        {error && <div style={{ fontSize: 12, color: "#fca5a5" }}>{error}</div>}
+        {message && (
+          <div style={{ fontSize: 12, color: "#86efac" }}>{message}</div>
+        )}
+
+        {result && (
+          <div
+            style={{
+              display: "flex",
+              flexDirection: "column",
+              gap: 8,
+              padding: 12,
+              borderRadius: 16,
+              border: "1px solid #1f2937",
+              // damero para distinguir el fondo transparente
+              background:
+                "repeating-conic-gradient(#1f2937 0% 25%, #111827 0% 50%) 0 0 / 24px 24px",
+            }}
+          >
+            {result.type === "video" ? (
+              <video
+                src={result.url}
+                controls
+                loop
+                style={{ width: "100%", borderRadius: 8 }}
+              />
+            ) : (
+              <img
+                src={result.url}
+                alt="Captura del visor"
+                style={{ width: "100%", borderRadius: 8 }}
+              />
+            )}
+            <div
+              style={{ display: "flex", justifyContent: "flex-end", gap: 8 }}
+            >
+              <button
+                type="button"
+                onClick={() => downloadBlob(result.blob, result.fileName)}
+                style={buttonStyle}
+              >
+                Descargar
+              </button>
+              {canSave && projectId && (
+                <button
+                  type="button"
+                  onClick={handleSaveToProject}
+                  disabled={busy}
+                  style={buttonStyle}
+                >
+                  Guardar en el proyecto
+                </button>
+              )}
+            </div>
+          </div>
+        )}
+
+        {projectId && (
+          <div style={{ display: "flex", flexDirection: "column", gap: 6 }}>
+            <div style={{ fontSize: 13 }}>Adjuntos del proyecto</div>
+            {!attachments.length && (
+              <div style={{ fontSize: 11, color: "#6b7280" }}>
+                Todavía no hay capturas guardadas.
+              </div>
+            )}
+            {attachments.map((a) => (
+              <div
+                key={a.id}
+                style={{
+                  display: "flex",
+                  alignItems: "center",
+                  justifyContent: "space-between",
+                  gap: 8,
+                  fontSize: 12,
+                  padding: "4px 8px",
+                  borderRadius: 10,
+                  border: "1px solid #1f2937",
+                }}
+              >
+                <span
+                  style={{
+                    overflow: "hidden",
+                    textOverflow: "ellipsis",
+                    whiteSpace: "nowrap",
+                  }}
+                >
+                  {a.type === "video" ? "🎞️" : "📷"} {a.name}
+                  <span style={{ color: "#6b7280" }}>
+                    {" "}
+                    · {formatSize(a.size)} · {a.createdBy}
+                  </span>
+                </span>
+                <span style={{ display: "flex", gap: 4, flexShrink: 0 }}>
+                  <button
+                    type="button"
+                    onClick={() => handleDownloadAttachment(a)}
+                    style={{ ...buttonStyle, fontSize: 11, padding: "2px 8px" }}
+                  >
+                    Descargar
+                  </button>
+                  {canSave && (
+                    <button
+                      type="button"
+                      onClick={() => handleRemoveAttachment(a)}
+                      title="Borrar adjunto"
+                      style={{
+                        border: "none",
+                        background: "transparent",
+                        color: "#f87171",
+                        cursor: "pointer",
+                        fontSize: 14,
+                      }}
+                    >
+                      ×
+                    </button>
+                  )}
+                </span>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default Capturas;
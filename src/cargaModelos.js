@@ -0,0 +1,186 @@
+/* =========================
+   Carga de modelos con progreso y cancelación
+   - El archivo se descarga con fetch por partes: el progreso es en bytes
+     (el total sale de Content-Length; sin él, solo los bytes leídos)
+   - STL, PLY y OBJ sin .mtl se leen en un Web Worker (modelos.worker.js)
+     que devuelve los buffers de la geometría; el visor no se congela
+   - Se leen en el hilo principal, con la descarga igual de cancelable:
+     3MF (el loader usa DOMParser, que no existe en un worker), glTF/GLB y
+     OBJ con .mtl (sus materiales llevan texturas que se decodifican con el
+     DOM y no se pueden pasar del worker al visor)
+   - Cancelar aborta la descarga o termina el worker: la promesa se
+     rechaza con un error "AbortError" (ver isCancelError)
+========================= */
+
+import * as THREE from "three";
+import { hasMaterialLibrary, loadObjWithMaterials } from "./importar";
+
+const PROGRESS_INTERVAL_MS = 100;
+const WORKER_FORMATS = ["stl", "ply", "obj"];
+
+export function cancelError() {
+  const err = new Error("Carga cancelada.");
+  err.name = "AbortError";
+  return err;
+}
+
+export const isCancelError = (err) => err?.name === "AbortError";
+
+export function formatBytes(bytes) {
+  return bytes >= 1024 * 1024
+    ? `${(bytes / (1024 * 1024)).toFixed(1)} MB`
+    : `${Math.max(1, Math.round(bytes / 1024))} KB`;
+}
+
+// Descarga el archivo entero; onProgress(loaded, total) como mucho cada
+// PROGRESS_INTERVAL_MS y al terminar (total 0 si no se conoce)
+export async function fetchModelBytes(url, { headers, signal, onProgress }) {
+  const resp = await fetch(url, { headers, signal });
+  if (!resp.ok) throw new Error(`No se pudo descargar (HTTP ${resp.status}).`);
+  const total = Number(resp.headers.get("Content-Length")) || 0;
+  if (!resp.body) {
+    const buffer = await resp.arrayBuffer();
+    onProgress?.(buffer.byteLength, total);
+    return buffer;
+  }
+
+  const reader = resp.body.getReader();
+  const chunks = [];
+  let loaded = 0;
+  let lastReport = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    chunks.push(value);
+    loaded += value.length;
+    const now = performance.now();
+    if (now - lastReport >= PROGRESS_INTERVAL_MS) {
+      lastReport = now;
+      onProgress?.(loaded, total);
+    }
+  }
+  onProgress?.(loaded, total);
+
+  const bytes = new Uint8Array(loaded);
+  let offset = 0;
+  chunks.forEach((chunk) => {
+    bytes.set(chunk, offset);
+    offset += chunk.length;
+  });
+  return bytes.buffer;
+}
+
+function rebuildGeometry(data) {
+  const geometry = new THREE.BufferGeometry();
+  Object.entries(data.attributes).forEach(([name, a]) => {
+    geometry.setAttribute(
+      name,
+      new THREE.BufferAttribute(a.array, a.itemSize, a.normalized)
+    );
+  });
+  if (data.index) geometry.setIndex(new THREE.BufferAttribute(data.index, 1));
+  data.groups.forEach((g) =>
+    geometry.addGroup(g.start, g.count, g.materialIndex)
+  );
+  return geometry;
+}
+
+const OBJECT_CLASSES = {
+  Mesh: THREE.Mesh,
+  Line: THREE.LineSegments,
+  Points: THREE.Points,
+};
+
+function rebuildObject(data) {
+  const materials = data.materials.map(
+    ({ type, ...params }) => new THREE[type](params)
+  );
+  const object = new OBJECT_CLASSES[data.kind](
+    rebuildGeometry(data.geometry),
+    data.multiMaterial ? materials : materials[0]
+  );
+  object.name = data.name;
+  return object;
+}
+
+// Lo que devolvería el loader: BufferGeometry (STL, PLY) o Group (OBJ)
+function rebuildResult(result) {
+  if (result.kind === "Geometry") return rebuildGeometry(result.geometry);
+  const group = new THREE.Group();
+  result.children.forEach((child) => group.add(rebuildObject(child)));
+  return group;
+}
+
+function parseInWorker(buffer, ext, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(cancelError());
+      return;
+    }
+    const worker = new Worker(new URL("./modelos.worker.js", import.meta.url), {
+      type: "module",
+    });
+    const finish = () => {
+      worker.terminate();
+      signal?.removeEventListener("abort", onAbort);
+    };
+    const onAbort = () => {
+      finish();
+      reject(cancelError());
+    };
+    signal?.addEventListener("abort", onAbort);
+
+    worker.onmessage = ({ data }) => {
+      finish();
+      if (data.type === "done") resolve(rebuildResult(data.result));
+      else reject(new Error(data.message));
+    };
+    worker.onerror = (event) => {
+      finish();
+      reject(new Error(event.message || "Falló el worker de carga."));
+    };
+    worker.postMessage({ buffer, ext }, [buffer]);
+  });
+}
+
+// Loader en el hilo principal; manager resuelve los recursos del grupo
+async function parseOnMainThread(buffer, ext, options) {
+  const { Loader, manager, url, requestHeader, name, resources } = options;
+  if (ext === "obj") {
+    return loadObjWithMaterials(url, {
+      manager,
+      requestHeader,
+      name,
+      resources,
+      text: new TextDecoder().decode(buffer),
+    });
+  }
+  const loader = new Loader(manager);
+  loader.setRequestHeader(requestHeader);
+  return loader.parseAsync
+    ? loader.parseAsync(buffer, THREE.LoaderUtils.extractUrlBase(url))
+    : loader.parse(buffer);
+}
+
+// Descarga y lee un modelo. options: { Loader, manager, requestHeader,
+// name, resources, signal, onProgress(phase, loaded, total) } con phase
+// "download" o "parse"
+export async function loadModelFile(url, ext, options) {
+  const { signal, onProgress, requestHeader } = options;
+  const buffer = await fetchModelBytes(url, {
+    headers: requestHeader,
+    signal,
+    onProgress: (loaded, total) => onProgress?.("download", loaded, total),
+  });
+  onProgress?.("parse", buffer.byteLength, buffer.byteLength);
+
+  if (
+    WORKER_FORMATS.includes(ext) &&
+    !(ext === "obj" && hasMaterialLibrary(options.resources))
+  ) {
+    return parseInWorker(buffer, ext, signal);
+  }
+  const result = await parseOnMainThread(buffer, ext, { ...options, url });
+  if (signal?.aborted) throw cancelError();
+  return result;
+}
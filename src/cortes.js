@@ -0,0 +1,271 @@
+/* =========================
+   Cortes de sección (planos de recorte)
+   - Cada corte es un plano en coordenadas locales del modelo:
+     { id, axis, normal: { x, y, z }, offset, min, max, flipped, enabled, color }
+   - Se quita lo que queda delante del plano (normal · p > offset);
+     "flipped" quita el lado contrario
+   - Las tapas se dibujan con stencil: las caras traseras suman, las
+     delanteras restan y la tapa pinta solo donde el stencil ≠ 0
+========================= */
+
+import * as THREE from "three";
+
+export const SECTION_AXES = {
+  x: { x: 1, y: 0, z: 0 },
+  y: { x: 0, y: 1, z: 0 },
+  z: { x: 0, y: 0, z: 1 },
+};
+
+export const DEFAULT_SECTION_COLOR = "#f43f5e";
+export const MAX_SECTIONS = 6;
+
+const toVector = (p) => new THREE.Vector3(p.x, p.y, p.z);
+
+export function createSectionId() {
+  return `s-${Date.now().toString(36)}-${Math.random()
+    .toString(36)
+    .slice(2, 6)}`;
+}
+
+// Rango de offset que atraviesa el modelo a lo largo de la normal (local)
+export function sectionRange(model, normal) {
+  const n = toVector(normal).normalize();
+  model.updateWorldMatrix(true, true);
+  const inverse = model.matrixWorld.clone().invert();
+  const matrix = new THREE.Matrix4();
+  const corner = new THREE.Vector3();
+  let min = Infinity;
+  let max = -Infinity;
+
+  model.traverse((child) => {
+    if (!child.isMesh || !child.geometry) return;
+    if (!child.geometry.boundingBox) child.geometry.computeBoundingBox();
+    const box = child.geometry.boundingBox;
+    matrix.multiplyMatrices(inverse, child.matrixWorld);
+
+    for (let i = 0; i < 8; i++) {
+      corner
+        .set(
+          i & 1 ? box.max.x : box.min.x,
+          i & 2 ? box.max.y : box.min.y,
+          i & 4 ? box.max.z : box.min.z
+        )
+        .applyMatrix4(matrix);
+      const d = corner.dot(n);
+      min = Math.min(min, d);
+      max = Math.max(max, d);
+    }
+  });
+
+  return Number.isFinite(min) ? { min, max } : { min: -1, max: 1 };
+}
+
+function createSection(model, axis, normal, offset) {
+  const { min, max } = sectionRange(model, normal);
+  return {
+    id: createSectionId(),
+    axis,
+    normal,
+    offset: offset === undefined ? (min + max) / 2 : offset,
+    min,
+    max,
+    flipped: false,
+    enabled: true,
+    color: DEFAULT_SECTION_COLOR,
+  };
+}
+
+// Corte alineado a un eje, a la mitad del modelo
+export function createAxisSection(model, axis) {
+  return createSection(model, axis, { ...SECTION_AXES[axis] });
+}
+
+// Corte libre sobre la cara tocada (la normal apunta hacia afuera de la cara)
+export function createSectionFromHit(model, hit) {
+  model.updateWorldMatrix(true, true);
+  const inverse = model.matrixWorld.clone().invert();
+  const normal = hit.face.normal
+    .clone()
+    .transformDirection(hit.object.matrixWorld)
+    .transformDirection(inverse);
+  const point = model.worldToLocal(hit.point.clone());
+
+  return createSection(
+    model,
+    "custom",
+    { x: normal.x, y: normal.y, z: normal.z },
+    normal.dot(point)
+  );
+}
+
+function toLocalPlane(section, target) {
+  const n = toVector(section.normal).normalize();
+  return section.flipped
+    ? target.set(n, -section.offset)
+    : target.set(n.negate(), section.offset);
+}
+
+// ¿El punto (mundo) cae en la parte recortada? Sirve para ignorar clics
+// sobre geometría que no se ve
+export function isPointClipped(point, planes) {
+  return (planes || []).some((plane) => plane.distanceToPoint(point) < 0);
+}
+
+function isShown(object) {
+  let obj = object;
+  while (obj) {
+    if (obj.visible === false) return false;
+    obj = obj.parent;
+  }
+  return true;
+}
+
+function createStencilMaterial(plane, side, op) {
+  return new THREE.MeshBasicMaterial({
+    side,
+    clippingPlanes: [plane],
+    depthWrite: false,
+    depthTest: false,
+    colorWrite: false,
+    stencilWrite: true,
+    stencilFunc: THREE.AlwaysStencilFunc,
+    stencilFail: op,
+    stencilZFail: op,
+    stencilZPass: op,
+  });
+}
+
+function clearSectionView(group) {
+  group.children.forEach((child) => {
+    child.material.dispose();
+    // las mallas de stencil comparten la geometría del modelo
+    if (child.userData.isSectionCap) child.geometry.dispose();
+  });
+  group.clear();
+  group.userData = {};
+}
+
+function buildSectionView(group, model, sections) {
+  const state = group.userData;
+  state.entries = [];
+  state.helpers = [];
+  state.clippingPlanes = null;
+  if (!model || !sections.length) return;
+
+  const sphere = new THREE.Box3()
+    .setFromObject(model)
+    .getBoundingSphere(new THREE.Sphere());
+  state.localCenter = model.worldToLocal(sphere.center.clone());
+  const capSize = Math.max(sphere.radius, 1) * 4;
+
+  const meshes = [];
+  model.traverse((child) => {
+    if (child.isMesh && child.geometry) meshes.push(child);
+  });
+
+  sections.forEach((section, index) => {
+    const plane = new THREE.Plane();
+    const renderOrder = index + 1;
+
+    meshes.forEach((source) => {
+      [
+        [THREE.BackSide, THREE.IncrementWrapStencilOp],
+        [THREE.FrontSide, THREE.DecrementWrapStencilOp],
+      ].forEach(([side, op]) => {
+        const mesh = new THREE.Mesh(
+          source.geometry,
+          createStencilMaterial(plane, side, op)
+        );
+        mesh.matrixAutoUpdate = false;
+        mesh.renderOrder = renderOrder;
+        mesh.raycast = () => {};
+        group.add(mesh);
+        state.helpers.push({ mesh, source });
+      });
+    });
+
+    const capMaterial = new THREE.MeshBasicMaterial({
+      color: section.color || DEFAULT_SECTION_COLOR,
+      side: THREE.DoubleSide,
+      stencilWrite: true,
+      stencilRef: 0,
+      stencilFunc: THREE.NotEqualStencilFunc,
+      stencilFail: THREE.ReplaceStencilOp,
+      stencilZFail: THREE.ReplaceStencilOp,
+      stencilZPass: THREE.ReplaceStencilOp,
+    });
+    const cap = new THREE.Mesh(
+      new THREE.PlaneGeometry(capSize, capSize),
+      capMaterial
+    );
+    cap.userData.isSectionCap = true;
+    cap.renderOrder = renderOrder + 0.1;
+    cap.frustumCulled = false;
+    cap.raycast = () => {};
+    // cada tapa deja el stencil limpio para el siguiente corte
+    cap.onAfterRender = (renderer) => renderer.clearStencil();
+    group.add(cap);
+
+    state.entries.push({ plane, cap, capMaterial });
+  });
+
+  state.clippingPlanes = state.entries.map((e) => e.plane);
+  state.entries.forEach((e) => {
+    e.capMaterial.clippingPlanes = state.clippingPlanes.filter(
+      (p) => p !== e.plane
+    );
+  });
+}
+
+// Se llama en cada frame: reconstruye si cambió el modelo o los cortes
+// activos y si no, solo actualiza planos, tapas y matrices
+export function syncSectionView(group, model, sections) {
+  const active = model ? sections.filter((s) => s.enabled) : [];
+  const key = active.map((s) => s.id).join(",");
+
+  if (group.userData.model !== model || group.userData.key !== key) {
+    clearSectionView(group);
+    buildSectionView(group, model, active);
+    group.userData.model = model;
+    group.userData.key = key;
+  }
+  if (!model) return;
+
+  const state = group.userData;
+  model.updateMatrixWorld(true);
+
+  const center = state.localCenter
+    ? state.localCenter.clone().applyMatrix4(model.matrixWorld)
+    : null;
+  state.entries.forEach((entry, index) => {
+    const section = active[index];
+    toLocalPlane(section, entry.plane).applyMatrix4(model.matrixWorld);
+    entry.capMaterial.color.set(section.color || DEFAULT_SECTION_COLOR);
+
+    entry.plane.projectPoint(center, entry.cap.position);
+    entry.cap.lookAt(entry.cap.position.clone().sub(entry.plane.normal));
+  });
+
+  state.helpers.forEach(({ mesh, source }) => {
+    mesh.matrix.copy(source.matrixWorld);
+    mesh.matrixWorldNeedsUpdate = true;
+    mesh.visible = isShown(source);
+  });
+
+  model.traverse((child) => {
+    if (!child.isMesh) return;
+    const materials = Array.isArray(child.material)
+      ? child.material
+      : [child.material];
+    materials.forEach((material) => {
+      if (material && material.clippingPlanes !== state.clippingPlanes) {
+        material.clippingPlanes = state.clippingPlanes;
+        material.needsUpdate = true;
+      }
+    });
+  });
+}
+
+export function disposeSectionView(group) {
+  clearSectionView(group);
+}
@@ -1,4 +1,10 @@
 import React, { useEffect, useMemo, useState } from "react";
+import { authFetch } from "./sesiones";
+import {
+  DEFAULT_PRINT_SETTINGS,
+  GENERATED_ITEM_ORIGIN,
+  buildPrintItems,
+} from "./impresion";
 
 /* =========================
    Config API (igual que en App)
@@ -9,6 +15,210 @@ const API_BASE_URL =
 // Rutas de cotizaciones (backend: /api/quotes/:id ...)
 const API_QUOTES_URL = `${API_BASE_URL}/api/quotes`;
 
+const isBlankItem = (it) =>
+  !(it.concepto || "").trim() && !Number(it.precio) && !(it.link || "").trim();
+
+/* =========================
+   Parámetros de impresión (generar desde el modelo)
+========================= */
+
+function PrintSettingsEditor({ settings, onChange, disabled }) {
+  const inputStyle = {
+    width: "100%",
+    fontSize: 12,
+    padding: "4px 6px",
+    borderRadius: 8,
+    border: "1px solid #374151",
+    background: "#020617",
+    color: "#e5e7eb",
+    outline: "none",
+  };
+  const labelStyle = {
+    display: "flex",
+    flexDirection: "column",
+    gap: 2,
+    fontSize: 11,
+    color: "#9ca3af",
+  };
+
+  const setField = (field, value) =>
+    onChange({ ...settings, [field]: value === "" ? "" : Number(value) });
+
+  const setMaterial = (index, field, value) =>
+    onChange({
+      ...settings,
+      materials: settings.materials.map((m, i) =>
+        i === index
+          ? {
+              ...m,
+              [field]: field === "name" || value === "" ? value : Number(value),
+            }
+          : m
+      ),
+    });
+
+  const addMaterial = () =>
+    onChange({
+      ...settings,
+      materials: [
+        ...settings.materials,
+        {
+          id: `m-${Date.now().toString(36)}`,
+          name: "Nuevo material",
+          density: 1,
+          pricePerGram: 0,
+        },
+      ],
+    });
+
+  const removeMaterial = (index) => {
+    const materials = settings.materials.filter((_, i) => i !== index);
+    onChange({
+      ...settings,
+      materials,
+      materialId: materials.some((m) => m.id === settings.materialId)
+        ? settings.materialId
+        : materials[0]?.id || "",
+    });
+  };
+
+  const numberFields = [
+    ["infill", "Relleno (%)"],
+    ["wallThickness", "Paredes (mm)"],
+    ["printSpeed", "Velocidad (cm³/h)"],
+    ["hourlyRate", "Máquina ($/h)"],
+    ["setupFee", "Arranque ($)"],
+  ];
+
+  return (
+    <fieldset
+      disabled={disabled}
+      style={{
+        border: "none",
+        padding: 0,
+        margin: 0,
+        display: "flex",
+        flexDirection: "column",
+        gap: 8,
+      }}
+    >
+      <div
+        style={{
+          display: "grid",
+          gridTemplateColumns: "2fr repeat(5, 1fr)",
+          gap: 8,
+        }}
+      >
+        <label style={labelStyle}>
+          Material
+          <select
+            value={settings.materialId}
+            onChange={(e) =>
+              onChange({ ...settings, materialId: e.target.value })
+            }
+            style={inputStyle}
+          >
+            {settings.materials.map((m) => (
+              <option key={m.id} value={m.id}>
+                {m.name}
+              </option>
+            ))}
+          </select>
+        </label>
+        {numberFields.map(([field, label]) => (
+          <label key={field} style={labelStyle}>
+            {label}
+            <input
+              type="number"
+              min="0"
+              step="any"
+              value={settings[field]}
+              onChange={(e) => setField(field, e.target.value)}
+              style={inputStyle}
+            />
+          </label>
+        ))}
+      </div>
+
+      <div
+        style={{
+          display: "grid",
+          gridTemplateColumns: "2fr 1fr 1fr 40px",
+          gap: 6,
+          fontSize: 11,
+          color: "#9ca3af",
+        }}
+      >
+        <div>Material</div>
+        <div>Densidad (g/cm³)</div>
+        <div>Precio por gramo</div>
+        <div></div>
+        {settings.materials.map((m, index) => (
+          <React.Fragment key={m.id}>
+            <input
+              type="text"
+              value={m.name}
+              onChange={(e) => setMaterial(index, "name", e.target.value)}
+              style={inputStyle}
+            />
+            <input
+              type="number"
+              min="0"
+              step="any"
+              value={m.density}
+              onChange={(e) => setMaterial(index, "density", e.target.value)}
+              style={inputStyle}
+            />
+            <input
+              type="number"
+              min="0"
+              step="any"
+              value={m.pricePerGram}
+              onChange={(e) =>
+                setMaterial(index, "pricePerGram", e.target.value)
+              }
+              style={inputStyle}
+            />
+            <button
+              type="button"
+              onClick={() => removeMaterial(index)}
+              disabled={settings.materials.length === 1}
+              style={{
+                borderRadius: 999,
+                border: "1px solid #4b5563",
+                background: "rgba(127,29,29,0.3)",
+                color: "#fecaca",
+                fontSize: 14,
+                cursor: "pointer",
+                padding: "2px 0",
+              }}
+            >
+              −
+            </button>
+          </React.Fragment>
+        ))}
+      </div>
+
+      <button
+        type="button"
+        onClick={addMaterial}
+        style={{
+          alignSelf: "flex-start",
+          padding: "4px 10px",
+          borderRadius: 999,
+          border: "1px solid #4b5563",
+          background: "transparent",
+          color: "#9ca3af",
+          fontSize: 11,
+          cursor: "pointer",
+        }}
+      >
+        + Agregar material
+      </button>
+    </fieldset>
+  );
+}
+
 /* =========================
    Componente Cotizacion
 ========================= */
@@ -18,7 +228,8 @@ function Cotizacion({
   onClose,
   projectId,
   projectName,
-  projectPassword,
+  canEdit = true,
+  modelParts = [],
 }) {
   const [items, setItems] = useState([
     { concepto: "", cantidad: 1, precio: 0, link: "" },
@@ -27,6 +238,8 @@ function Cotizacion({
   const [saving, setSaving] = useState(false);
   const [error, setError] = useState("");
   const [message, setMessage] = useState("");
+  const [printSettings, setPrintSettings] = useState(DEFAULT_PRINT_SETTINGS);
+  const [showGenerator, setShowGenerator] = useState(false);
 
   // Total calculado
   const total = useMemo(() => {
@@ -54,7 +267,7 @@ function Cotizacion({
         const url = `${API_QUOTES_URL}/${projectId}`;
         console.log("GET quote URL:", url);
 
-        const resp = await fetch(url, {
+        const resp = await authFetch(url, {
           method: "GET",
           signal: controller.signal,
         });
@@ -62,6 +275,7 @@ function Cotizacion({
         if (resp.status === 404) {
           console.warn("No hay cotización aún (404).");
           setItems([{ concepto: "", cantidad: 1, precio: 0, link: "" }]);
+          setPrintSettings(DEFAULT_PRINT_SETTINGS);
           return;
         }
 
@@ -92,6 +306,7 @@ function Cotizacion({
                 ? it.precio
                 : Number(it.precio) || 0,
             link: it.link || "",
+            ...(it.origen ? { origen: it.origen } : {}),
           }));
           if (loadedItems.length > 0) {
             setItems(loadedItems);
@@ -101,6 +316,11 @@ function Cotizacion({
         } else {
           setItems([{ concepto: "", cantidad: 1, precio: 0, link: "" }]);
         }
+        setPrintSettings(
+          data.quote?.printSettings?.materials?.length
+            ? data.quote.printSettings
+            : DEFAULT_PRINT_SETTINGS
+        );
       } catch (err) {
         if (err.name === "AbortError") return;
         console.error("Error de red GET /quotes/:id:", err);
@@ -132,6 +352,8 @@ function Cotizacion({
       } else {
         next[index] = { ...next[index], [field]: value };
       }
+      // al editar a mano deja de ser un concepto generado
+      delete next[index].origen;
       return next;
     });
   };
@@ -162,6 +384,35 @@ function Cotizacion({
     window.open(finalUrl, "_blank", "noopener,noreferrer");
   };
 
+  // Reemplaza los conceptos generados antes y conserva los escritos a mano
+  const handleGenerateFromModel = () => {
+    setError("");
+    setMessage("");
+
+    const { items: generated, skipped } = buildPrintItems(
+      modelParts,
+      printSettings
+    );
+    if (generated.length === 0) {
+      setError(
+        "No hay piezas con volumen para cotizar. Revisa que el modelo esté cargado y que las capas sean visibles."
+      );
+      return;
+    }
+
+    setItems((prev) => [
+      ...prev.filter(
+        (it) => it.origen !== GENERATED_ITEM_ORIGIN && !isBlankItem(it)
+      ),
+      ...generated,
+    ]);
+    setMessage(
+      `Se generaron ${generated.length} conceptos desde el modelo.` +
+        (skipped.length ? ` Sin volumen: ${skipped.join(", ")}.` : "") +
+        " Recuerda guardar la cotización."
+    );
+  };
+
   const handleSave = async () => {
     setError("");
     setMessage("");
@@ -170,15 +421,8 @@ function Cotizacion({
       setError("No hay proyecto activo para asociar la cotización.");
       return;
     }
-
-    let pwd = projectPassword;
-    if (!pwd) {
-      pwd = window.prompt(
-        "Contraseña del proyecto para guardar la cotización:"
-      );
-    }
-    if (!pwd) {
-      setError("Se requiere la contraseña del proyecto para guardar.");
+    if (!canEdit) {
+      setError("Tu rol en este proyecto no permite editar la cotización.");
       return;
     }
 
@@ -188,6 +432,7 @@ function Cotizacion({
         cantidad: Number(it.cantidad) || 0,
         precio: Number(it.precio) || 0,
         link: (it.link || "").trim(),
+        ...(it.origen ? { origen: it.origen } : {}),
       }))
       .filter(
         (it) =>
@@ -207,13 +452,13 @@ function Cotizacion({
       const url = `${API_QUOTES_URL}/${projectId}`;
       console.log("PUT quote URL:", url);
 
-      const resp = await fetch(url, {
+      const resp = await authFetch(url, {
         method: "PUT",
         headers: { "Content-Type": "application/json" },
         body: JSON.stringify({
-          password: pwd,
           items: cleanItems,
           total,
+          printSettings,
         }),
       });
 
@@ -244,7 +489,19 @@ function Cotizacion({
         return;
       }
 
-      setMessage("Cotización guardada correctamente.");
+      // El servidor limpia los conceptos y recalcula el total
+      if (data.quote && Array.isArray(data.quote.items)) {
+        if (data.quote.items.length > 0) {
+          setItems(data.quote.items);
+        }
+        setMessage(
+          `Cotización guardada correctamente. Total: $${Number(
+            data.quote.total || 0
+          ).toFixed(2)}`
+        );
+      } else {
+        setMessage("Cotización guardada correctamente.");
+      }
     } catch (err) {
       console.error("Error de red PUT /quotes/:id:", err);
       setError(err.message || "Error de red al guardar la cotización.");
@@ -253,11 +510,39 @@ function Cotizacion({
     }
   };
 
-  const handleDownloadExcel = () => {
+  // Se descarga con fetch para poder mandar el token de sesión
+  const handleDownloadExcel = async () => {
     if (!projectId) return;
     const url = `${API_QUOTES_URL}/${projectId}/excel`;
     console.log("Descargar Excel URL:", url);
-    window.open(url, "_blank", "noopener,noreferrer");
+    setError("");
+
+    try {
+      const resp = await authFetch(url);
+      if (!resp.ok) {
+        let data = {};
+        try {
+          data = await resp.json();
+        } catch (e) {
+          // sin cuerpo JSON
+        }
+        setError(data.error || "No se pudo generar el Excel.");
+        return;
+      }
+
+      const blob = await resp.blob();
+      const blobUrl = URL.createObjectURL(blob);
+      const a = document.createElement("a");
+      a.href = blobUrl;
+      a.download = `cotizacion-${projectId}.xlsx`;
+      document.body.appendChild(a);
+      a.click();
+      a.remove();
+      URL.revokeObjectURL(blobUrl);
+    } catch (err) {
+      console.error("Error de red GET /quotes/:id/excel:", err);
+      setError(err.message || "Error de red al descargar el Excel.");
+    }
   };
 
   /* =========================
@@ -383,6 +668,79 @@ function Cotizacion({
           </div>
         )}
 
+        {/* Generar desde el modelo */}
+        <div
+          style={{
+            borderRadius: 16,
+            border: "1px solid #111827",
+            background: "rgba(15,23,42,0.95)",
+            padding: 10,
+            display: "flex",
+            flexDirection: "column",
+            gap: 8,
+          }}
+        >
+          <div
+            style={{
+              display: "flex",
+              alignItems: "center",
+              justifyContent: "space-between",
+              gap: 8,
+            }}
+          >
+            <button
+              type="button"
+              onClick={() => setShowGenerator((v) => !v)}
+              style={{
+                border: "none",
+                background: "transparent",
+                color: "#e5e7eb",
+                fontSize: 13,
+                cursor: "pointer",
+                padding: 0,
+              }}
+            >
+              {showGenerator ? "▾" : "▸"} Generar desde el modelo{" "}
+              <span style={{ fontSize: 11, color: "#6b7280" }}>
+                ({modelParts.length} capas visibles)
+              </span>
+            </button>
+            <button
+              type="button"
+              onClick={handleGenerateFromModel}
+              disabled={!canEdit || modelParts.length === 0}
+              style={{
+                padding: "4px 10px",
+                borderRadius: 999,
+                border: "1px solid #4b5563",
+                background:
+                  "linear-gradient(135deg, rgba(56,189,248,0.15), rgba(37,99,235,0.45))",
+                color: "#bfdbfe",
+                fontSize: 11,
+                cursor:
+                  canEdit && modelParts.length > 0 ? "pointer" : "not-allowed",
+                opacity: canEdit && modelParts.length > 0 ? 1 : 0.5,
+              }}
+            >
+              Generar conceptos
+            </button>
+          </div>
+          {showGenerator && (
+            <>
+              <PrintSettingsEditor
+                settings={printSettings}
+                onChange={setPrintSettings}
+                disabled={!canEdit}
+              />
+              <div style={{ fontSize: 11, color: "#6b7280" }}>
+                Estimación sin slicer: paredes (área × espesor) más el relleno
+                del interior, con las medidas en mm según la unidad del archivo.
+                Los conceptos generados se reemplazan al volver a generar.
+              </div>
+            </>
+          )}
+        </div>
+
         {/* Tabla de conceptos */}
         <div
           style={{
@@ -625,7 +983,7 @@ function Cotizacion({
             <button
               type="button"
               onClick={handleSave}
-              disabled={saving}
+              disabled={saving || !canEdit}
               style={{
                 padding: "6px 14px",
                 borderRadius: 999,
@@ -634,8 +992,8 @@ function Cotizacion({
                   "linear-gradient(135deg, rgba(34,197,94,0.2), rgba(22,163,74,0.6))",
                 color: "#bbf7d0",
                 fontSize: 12,
-                cursor: saving ? "wait" : "pointer",
-                opacity: saving ? 0.7 : 1,
+                cursor: saving ? "wait" : canEdit ? "pointer" : "not-allowed",
+                opacity: saving || !canEdit ? 0.7 : 1,
               }}
             >
               {saving ? "Guardando..." : "Guardar cotización"}
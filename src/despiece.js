@@ -0,0 +1,131 @@
+/* =========================
+   Vista explosionada
+   - Cada pieza se aleja del centro del ensamble (o a lo largo de un eje)
+     en proporción a su distancia al centro
+   - Cada pieza puede tener un desplazamiento extra (partsMeta.explodeOffset)
+     en coordenadas locales del modelo, escalado por el mismo factor
+   - El factor se anima hacia el valor del slider en cada frame
+========================= */
+
+import * as THREE from "three";
+
+export const EXPLODE_MODES = {
+  radial: "Desde el centro",
+  x: "Eje X",
+  y: "Eje Y",
+  z: "Eje Z",
+};
+
+export const MAX_EXPLODE_FACTOR = 2;
+const EXPLODE_EASING = 0.15;
+
+// Guarda posición base, dirección de explosión y la matriz para pasar de
+// coordenadas del modelo a las del padre de cada pieza
+export function prepareExplode(model) {
+  model.updateWorldMatrix(true, true);
+  const modelInverse = model.matrixWorld.clone().invert();
+
+  const parts = [];
+  model.traverse((child) => {
+    // un STL/PLY es una sola malla: no hay nada que separar
+    if (child === model || !child.isMesh) return;
+    if (typeof child.userData.partId !== "number") return;
+    parts.push(child);
+  });
+
+  const centers = parts.map((mesh) =>
+    new THREE.Box3()
+      .setFromObject(mesh)
+      .getCenter(new THREE.Vector3())
+      .applyMatrix4(modelInverse)
+  );
+  const centroid = new THREE.Vector3();
+  centers.forEach((c) => centroid.add(c));
+  if (centers.length) centroid.divideScalar(centers.length);
+
+  parts.forEach((mesh, i) => {
+    const toParent = new THREE.Matrix4()
+      .copy(mesh.parent.matrixWorld)
+      .invert()
+      .multiply(model.matrixWorld);
+    mesh.userData.explode = {
+      base: mesh.position.clone(),
+      direction: centers[i].clone().sub(centroid),
+      toParent: new THREE.Matrix3().setFromMatrix4(toParent),
+    };
+  });
+}
+
+// Vuelve cada pieza a su posición base y borra los datos de explosión
+// (antes de volver a prepararla si cambió el ensamblaje)
+export function resetExplode(model) {
+  model.traverse((child) => {
+    const data = child.userData.explode;
+    if (!data) return;
+    child.position.copy(data.base);
+    delete child.userData.explode;
+  });
+}
+
+function explodeDirection(direction, mode) {
+  if (mode === "radial") return direction.clone();
+  const v = new THREE.Vector3();
+  v[mode] = direction[mode];
+  return v;
+}
+
+function displacementFor(mesh, factor, mode, offsets) {
+  const data = mesh.userData.explode;
+  const displacement = explodeDirection(data.direction, mode);
+  const offset = offsets[mesh.userData.partId];
+  if (offset) displacement.add(offset);
+  return displacement.multiplyScalar(factor).applyMatrix3(data.toParent);
+}
+
+function applyExplode(model, factor, mode, offsets) {
+  model.traverse((child) => {
+    const data = child.userData.explode;
+    if (!data) return;
+    child.position
+      .copy(data.base)
+      .add(displacementFor(child, factor, mode, offsets));
+  });
+}
+
+// Desplazamiento que la explosión le aplica ahora a la pieza (en
+// coordenadas de su padre)
+export function explodeDisplacement(mesh, state) {
+  if (!mesh.userData.explode) return new THREE.Vector3();
+  return displacementFor(mesh, state.current, state.mode, state.offsets);
+}
+
+// state: { target, current, mode, offsets: { [partId]: Vector3 }, dirty }.
+// Devuelve true mientras la animación no llegue al destino
+export function stepExplode(model, state) {
+  if (!model) return false;
+
+  const delta = state.target - state.current;
+  if (Math.abs(delta) > 1e-3) {
+    state.current += delta * EXPLODE_EASING;
+    state.dirty = true;
+  } else if (state.current !== state.target) {
+    state.current = state.target;
+    state.dirty = true;
+  }
+
+  if (!state.dirty) return false;
+  state.dirty = false;
+  applyExplode(model, state.current, state.mode, state.offsets);
+  return state.current !== state.target;
+}
+
+export function toExplodeOffsets(parts) {
+  const offsets = {};
+  parts.forEach((p) => {
+    const o = p.explodeOffset;
+    if (o && (o.x || o.y || o.z)) {
+      offsets[p.id] = new THREE.Vector3(o.x, o.y, o.z);
+    }
+  });
+  return offsets;
+}
@@ -0,0 +1,83 @@
+/* =========================
+   Ensamblaje de varios archivos
+   - modelRef es un grupo "ensamblaje": su escala es la unidad del archivo
+     y su posición/rotación son las del modelo completo de siempre
+   - Cada archivo cuelga del ensamblaje en su propio nodo, con su pose
+     { position, rotation (grados), scale } como las capas; null = sin mover
+   - Id de capa = id del archivo × PART_ID_STRIDE + índice de la malla: el
+     primer archivo (id 0) conserva los ids de los proyectos de un solo
+     modelo y quitar un archivo no renumera los demás
+========================= */
+
+import * as THREE from "three";
+import { rememberOriginalTransform } from "./transformaciones";
+
+export const PART_ID_STRIDE = 10000;
+export const MAX_ASSEMBLY_MODELS = 20;
+const PLACEMENT_GAP = 0.1; // separación al colocar un archivo nuevo (× ancho)
+
+export function createAssembly() {
+  const assembly = new THREE.Group();
+  assembly.name = "Ensamblaje";
+  return assembly;
+}
+
+export function createAssemblyNode(object, modelId, name) {
+  const node = new THREE.Group();
+  node.name = name || "";
+  node.userData.assemblyModelId = modelId;
+  node.add(object);
+  rememberOriginalTransform(node);
+  return node;
+}
+
+export function partIdFor(modelId, index) {
+  return modelId * PART_ID_STRIDE + index;
+}
+
+export function modelIdOfPart(partId) {
+  return Math.floor(partId / PART_ID_STRIDE);
+}
+
+// Se mira la escena y no el estado: varios archivos pueden llegar juntos
+export function nextModelId(assembly) {
+  return assembly.children.reduce(
+    (max, node) => Math.max(max, (node.userData.assemblyModelId ?? -1) + 1),
+    0
+  );
+}
+
+export function findAssemblyNode(assembly, modelId) {
+  return (
+    assembly?.children.find((c) => c.userData.assemblyModelId === modelId) ||
+    null
+  );
+}
+
+// Caja en coordenadas del ensamblaje (unidades del archivo)
+function localBox(assembly, object) {
+  const inverse = assembly.matrixWorld.clone().invert();
+  return new THREE.Box3().setFromObject(object).applyMatrix4(inverse);
+}
+
+// Agrega el nodo a la derecha (+X) de lo que ya hay, apoyado en la misma
+// base y centrado en Z
+export function placeBesideAssembly(assembly, node) {
+  assembly.updateWorldMatrix(true, true);
+  const existing = localBox(assembly, assembly);
+  assembly.add(node);
+  if (existing.isEmpty()) return;
+
+  node.updateWorldMatrix(true, true);
+  const box = localBox(assembly, node);
+  const gap =
+    Math.max(
+      existing.getSize(new THREE.Vector3()).x,
+      box.getSize(new THREE.Vector3()).x
+    ) * PLACEMENT_GAP;
+  node.position.set(
+    existing.max.x + gap - box.min.x,
+    existing.min.y - box.min.y,
+    (existing.min.z + existing.max.z) / 2 - (box.min.z + box.max.z) / 2
+  );
+}
@@ -0,0 +1,270 @@
+/* =========================
+   Exportar la escena del visor
+   - Se exporta el ensamblaje tal como se ve: pose del modelo, de cada
+     archivo y de cada capa ya aplicadas a la geometría (sin la vista
+     explosionada, que es solo de presentación)
+   - Cada capa sale como un objeto con su nombre y su color (el del
+     material que tiene ahora: acabado propio o material del archivo)
+   - GLB en metros (unidad de glTF); STL, OBJ y 3MF en milímetros
+   - Todo se genera en el navegador
+========================= */
+
+import * as THREE from "three";
+import { GLTFExporter } from "three/examples/jsm/exporters/GLTFExporter.js";
+import { STLExporter } from "three/examples/jsm/exporters/STLExporter.js";
+import { OBJExporter } from "three/examples/jsm/exporters/OBJExporter.js";
+import { mergeVertices } from "three/examples/jsm/utils/BufferGeometryUtils.js";
+import { strToU8, zipSync } from "three/examples/jsm/libs/fflate.module.js";
+
+export const EXPORT_FORMATS = {
+  glb: { label: "GLB (materiales y nombres)", extension: "glb" },
+  stl: { label: "STL binario", extension: "stl" },
+  obj: { label: "OBJ + MTL (.zip)", extension: "zip" },
+  "3mf": { label: "3MF con colores", extension: "3mf" },
+};
+
+const MM_PER_METER = 1000;
+
+// Visible si lo es ella y todo lo que la contiene dentro del modelo
+function isShown(object, root) {
+  for (let o = object; o && o !== root; o = o.parent) {
+    if (!o.visible) return false;
+  }
+  return true;
+}
+
+function materialColor(material) {
+  const first = [].concat(material)[0];
+  return first?.color ? `#${first.color.getHexString()}` : "#ffffff";
+}
+
+// Capas a exportar con la geometría en coordenadas de la escena (mm) por
+// `scale`. partNames: { [partId]: nombre } con los nombres del visor
+export function collectExportParts(
+  model,
+  { visibleOnly = true, partNames = {}, scale = 1 } = {}
+) {
+  // la vista explosionada se quita mientras se leen las matrices
+  const exploded = [];
+  model.traverse((child) => {
+    const data = child.userData.explode;
+    if (!data) return;
+    exploded.push([child, child.position.clone()]);
+    child.position.copy(data.base);
+  });
+  model.updateMatrixWorld(true);
+
+  const toScene = new THREE.Matrix4().makeScale(scale, scale, scale);
+  const parts = [];
+  model.traverse((child) => {
+    if (!child.isMesh || typeof child.userData.partId !== "number") return;
+    if (visibleOnly && !isShown(child, model)) return;
+
+    const geometry = child.geometry.clone();
+    geometry.applyMatrix4(toScene.clone().multiply(child.matrixWorld));
+    parts.push({
+      name: partNames[child.userData.partId] || child.name || "Capa",
+      geometry,
+      material: child.material,
+      color: materialColor(child.material),
+    });
+  });
+
+  exploded.forEach(([child, position]) => child.position.copy(position));
+  model.updateMatrixWorld(true);
+  return parts;
+}
+
+function disposeParts(parts) {
+  parts.forEach((p) => p.geometry.dispose());
+}
+
+function groupOf(parts, materialFor) {
+  const group = new THREE.Group();
+  parts.forEach((p, i) => {
+    const mesh = new THREE.Mesh(p.geometry, materialFor(p, i));
+    mesh.name = p.name;
+    group.add(mesh);
+  });
+  group.updateMatrixWorld(true);
+  return group;
+}
+
+async function exportGlb(parts, name) {
+  const group = groupOf(parts, (p) => p.material);
+  group.name = name;
+  const buffer = await new GLTFExporter().parseAsync(group, { binary: true });
+  return new Blob([buffer], { type: "model/gltf-binary" });
+}
+
+function exportStl(parts) {
+  const group = groupOf(parts, () => undefined);
+  const data = new STLExporter().parse(group, { binary: true });
+  return new Blob([data], { type: "model/stl" });
+}
+
+// Un material por capa ("capa-<n>") con su color difuso
+function exportObj(parts, baseName) {
+  const materials = parts.map(
+    (p, i) => new THREE.MeshBasicMaterial({ name: `capa-${i + 1}` })
+  );
+  const group = groupOf(parts, (p, i) => materials[i]);
+  const obj = `mtllib ${baseName}.mtl\n${new OBJExporter().parse(group)}`;
+  materials.forEach((m) => m.dispose());
+
+  const mtl = parts
+    .map((p, i) => {
+      const [r, g, b] = hexToRgb(p.color).map((c) => (c / 255).toFixed(4));
+      return `newmtl capa-${i + 1}\nKd ${r} ${g} ${b}\nKa 0 0 0\nd 1\n`;
+    })
+    .join("\n");
+
+  const zip = zipSync({
+    [`${baseName}.obj`]: strToU8(obj),
+    [`${baseName}.mtl`]: strToU8(mtl),
+  });
+  return new Blob([zip], { type: "application/zip" });
+}
+
+function hexToRgb(hex) {
+  const n = parseInt(hex.slice(1), 16);
+  return [(n >> 16) & 255, (n >> 8) & 255, n & 255];
+}
+
+const escapeXml = (text) =>
+  text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+const formatNumber = (n) => String(Math.round(n * 1e5) / 1e5);
+
+// Malla del 3MF: vértices compartidos y sin triángulos degenerados
+function threeMfMesh(geometry) {
+  const positionsOnly = new THREE.BufferGeometry();
+  positionsOnly.setAttribute("position", geometry.getAttribute("position"));
+  if (geometry.index) positionsOnly.setIndex(geometry.index);
+  const merged = mergeVertices(positionsOnly);
+  const position = merged.getAttribute("position");
+  const index = merged.index;
+
+  const vertices = [];
+  for (let i = 0; i < position.count; i++) {
+    vertices.push(
+      `<vertex x="${formatNumber(position.getX(i))}" y="${formatNumber(
+        position.getY(i)
+      )}" z="${formatNumber(position.getZ(i))}"/>`
+    );
+  }
+  const triangles = [];
+  for (let i = 0; i + 2 < index.count; i += 3) {
+    const [a, b, c] = [index.getX(i), index.getX(i + 1), index.getX(i + 2)];
+    if (a === b || b === c || a === c) continue;
+    triangles.push(`<triangle v1="${a}" v2="${b}" v3="${c}"/>`);
+  }
+  merged.dispose();
+  return { vertices, triangles };
+}
+
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8"?>\n';
+const CORE_NS = "http://schemas.microsoft.com/3dmanufacturing/core/2015/02";
+const MODEL_REL_TYPE =
+  "http://schemas.microsoft.com/3dmanufacturing/2013/01/3dmodel";
+
+const CONTENT_TYPES = [
+  XML_HEADER,
+  '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">',
+  '<Default Extension="rels" ',
+  'ContentType="application/vnd.openxmlformats-package.relationships+xml"/>',
+  '<Default Extension="model" ',
+  'ContentType="application/vnd.ms-package.3dmanufacturing-3dmodel+xml"/>',
+  "</Types>",
+].join("");
+
+const RELS = [
+  XML_HEADER,
+  '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">',
+  `<Relationship Target="/3D/3dmodel.model" Id="rel0" Type="${MODEL_REL_TYPE}"/>`,
+  "</Relationships>",
+].join("");
+
+// 3MF con un objeto por capa y un material base (su color) por objeto;
+// Y arriba en el visor, Z arriba en 3MF
+function export3mf(parts) {
+  const yUpToZUp = new THREE.Matrix4().makeRotationX(Math.PI / 2);
+  const bases = [];
+  const objects = [];
+  const items = [];
+
+  parts.forEach((p, i) => {
+    const name = escapeXml(p.name);
+    bases.push(`<base name="${name}" displaycolor="${p.color}FF"/>`);
+
+    const geometry = p.geometry.clone().applyMatrix4(yUpToZUp);
+    const { vertices, triangles } = threeMfMesh(geometry);
+    geometry.dispose();
+    if (!triangles.length) return;
+
+    const id = i + 2; // el 1 es el grupo de materiales
+    objects.push(
+      `<object id="${id}" type="model" name="${name}" pid="1" pindex="${i}">`,
+      `<mesh><vertices>${vertices.join("")}</vertices>`,
+      `<triangles>${triangles.join("")}</triangles></mesh></object>`
+    );
+    items.push(`<item objectid="${id}"/>`);
+  });
+
+  const model = [
+    XML_HEADER,
+    `<model unit="millimeter" xml:lang="es" xmlns="${CORE_NS}">`,
+    `<resources><basematerials id="1">${bases.join("")}</basematerials>`,
+    `${objects.join("")}</resources>`,
+    `<build>${items.join("")}</build></model>`,
+  ].join("");
+
+  const zip = zipSync({
+    "[Content_Types].xml": strToU8(CONTENT_TYPES),
+    "_rels/.rels": strToU8(RELS),
+    "3D/3dmodel.model": strToU8(model),
+  });
+  return new Blob([zip], {
+    type: "application/vnd.ms-package.3dmanufacturing-3dmodel+xml",
+  });
+}
+
+// Devuelve { blob, fileName }; error si no queda ninguna capa que exportar
+export async function exportModel(
+  model,
+  format,
+  { visibleOnly = true, partNames = {}, baseName = "modelo" } = {}
+) {
+  const { extension } = EXPORT_FORMATS[format];
+  const scale = format === "glb" ? 1 / MM_PER_METER : 1;
+  const parts = collectExportParts(model, { visibleOnly, partNames, scale });
+  if (!parts.length) {
+    throw new Error("No hay capas visibles para exportar.");
+  }
+
+  try {
+    let blob;
+    if (format === "glb") blob = await exportGlb(parts, baseName);
+    else if (format === "stl") blob = exportStl(parts);
+    else if (format === "obj") blob = exportObj(parts, baseName);
+    else blob = export3mf(parts);
+    return { blob, fileName: `${baseName}.${extension}` };
+  } finally {
+    disposeParts(parts);
+  }
+}
+
+export function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = fileName;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  URL.revokeObjectURL(url);
+}
@@ -0,0 +1,76 @@
+/* =========================
+   Historial de deshacer / rehacer
+   - Cada entrada guarda el valor anterior y el nuevo de las partes del
+     estado que cambió: { label, before: { parts, ... }, after: { ... } }
+   - Los pines se guardan en el servidor: su entrada lleva { pin } y App
+     hace la llamada inversa
+   - Cambios seguidos con la misma mergeKey (sliders, color, escribir un
+     nombre) se juntan en una sola entrada
+========================= */
+
+export const MAX_HISTORY = 100;
+const MERGE_WINDOW_MS = 1000;
+
+export const EMPTY_HISTORY = { past: [], future: [] };
+
+let nextEntryId = 1;
+
+export function pushHistory(history, entry) {
+  const time = Date.now();
+  const last = history.past[history.past.length - 1];
+
+  if (
+    last &&
+    entry.mergeKey &&
+    !last.sealed &&
+    last.mergeKey === entry.mergeKey &&
+    time - last.time < MERGE_WINDOW_MS
+  ) {
+    return {
+      past: [
+        ...history.past.slice(0, -1),
+        { ...last, after: entry.after, time },
+      ],
+      future: [],
+    };
+  }
+
+  return {
+    past: [...history.past, { ...entry, id: nextEntryId++, time }].slice(
+      -MAX_HISTORY
+    ),
+    future: [],
+  };
+}
+
+// entry: la entrada ya aplicada (los pines pueden cambiar de id al rehacer)
+export function undoHistory(history, entry) {
+  return {
+    past: history.past.slice(0, -1),
+    future: [{ ...entry, sealed: true }, ...history.future],
+  };
+}
+
+// La última entrada ya no se puede deshacer: sale del historial
+export function dropLastHistory(history) {
+  return { ...history, past: history.past.slice(0, -1) };
+}
+
+export function redoHistory(history, entry) {
+  return {
+    past: [...history.past, { ...entry, sealed: true }],
+    future: history.future.slice(1),
+  };
+}
+
+// Ctrl+Z dentro de un campo de texto deshace el texto, no el visor
+export function isTextEditingTarget(target) {
+  if (!target) return false;
+  if (target.isContentEditable || target.tagName === "TEXTAREA") return true;
+  return (
+    target.tagName === "INPUT" &&
+    ["text", "number", "search", "url", "email", "password"].includes(
+      target.type
+    )
+  );
+}
@@ -0,0 +1,273 @@
+/* =========================
+   Iluminación, entorno y fondo del visor
+   - Cada ajuste de luces mueve las luces fijas de la escena (hemisférica,
+     principal, relleno y ambiente) y genera su mapa de entorno HDR
+   - Los mapas de entorno se calculan aquí mismo (equirectangulares en
+     media precisión, con valores > 1 en focos y sol): no se descarga nada
+   - Las sombras suaves caen sobre un plano de suelo que solo dibuja la
+     sombra (ShadowMaterial); la luz principal las proyecta
+   - El ajuste se guarda por proyecto: { preset, shadows, grid, background }
+========================= */
+
+import * as THREE from "three";
+
+const ENV_WIDTH = 256;
+const ENV_HEIGHT = 128;
+const SHADOW_MAP_SIZE = 2048;
+const GROUND_MARGIN = 4; // lado del suelo de sombras × tamaño del modelo
+
+const smoothstep = THREE.MathUtils.smoothstep;
+
+// Radiancia HDR por dirección (y hacia arriba) de cada entorno
+function studioRadiance(dir) {
+  if (dir.y < 0) return [0.02, 0.02, 0.025];
+  const softbox = smoothstep(dir.y, 0.8, 0.9) * 8;
+  const strips =
+    smoothstep(Math.abs(dir.x), 0.85, 0.92) *
+    (1 - smoothstep(dir.y, 0.35, 0.45)) *
+    3;
+  const base = 0.04 + dir.y * 0.06;
+  const value = base + softbox + strips;
+  return [value, value, value * 1.02];
+}
+
+const SUN_DIRECTION = new THREE.Vector3(0.5, 0.65, 0.35).normalize();
+
+function outdoorRadiance(dir) {
+  if (dir.y < 0) {
+    const fade = 1 - smoothstep(-dir.y, 0, 0.3) * 0.4;
+    return [0.16 * fade, 0.14 * fade, 0.1 * fade];
+  }
+  const t = Math.sqrt(dir.y);
+  const sky = [
+    THREE.MathUtils.lerp(1.1, 0.25, t),
+    THREE.MathUtils.lerp(1.15, 0.45, t),
+    THREE.MathUtils.lerp(1.2, 0.95, t),
+  ];
+  const cos = dir.dot(SUN_DIRECTION);
+  const sun = smoothstep(cos, 0.9995, 0.9998) * 60;
+  const halo = smoothstep(cos, 0.95, 1) * 1.5;
+  return [sky[0] + sun + halo, sky[1] + sun * 0.95 + halo, sky[2] + sun * 0.85];
+}
+
+function neutralRadiance(dir) {
+  const value = dir.y < 0 ? 0.3 : 0.55 + dir.y * 0.35;
+  return [value, value, value];
+}
+
+export const LIGHTING_PRESETS = {
+  neutral: {
+    label: "Revisión neutra",
+    radiance: neutralRadiance,
+    hemi: [0xffffff, 0x111827, 1.3],
+    key: [0xffffff, 1.8, [0.5, 0.75, 0.56]],
+    fill: [0xffffff, 0.6, [-0.55, 0.37, -0.74]],
+    ambient: 0.5,
+  },
+  studio: {
+    label: "Estudio",
+    radiance: studioRadiance,
+    hemi: [0xffffff, 0x1f2937, 0.5],
+    key: [0xffffff, 2.4, [0.6, 0.9, 0.45]],
+    fill: [0xdbeafe, 0.8, [-0.8, 0.4, -0.3]],
+    ambient: 0.1,
+  },
+  outdoor: {
+    label: "Exterior",
+    radiance: outdoorRadiance,
+    hemi: [0xbfdbfe, 0x4b3b2a, 0.8],
+    key: [0xfff1d6, 3, SUN_DIRECTION.toArray()],
+    fill: [0x93c5fd, 0.3, [-0.5, 0.3, -0.6]],
+    ambient: 0.15,
+  },
+};
+
+export const BACKGROUNDS = {
+  dark: { label: "Oscuro", color: "#020617" },
+  light: { label: "Claro", color: "#e5e7eb" },
+  gradient: { label: "Degradado", colors: ["#1e293b", "#020617"] },
+  transparent: { label: "Transparente" },
+};
+
+export const DEFAULT_LIGHTING = {
+  preset: "neutral",
+  shadows: false,
+  grid: true,
+  background: "dark",
+};
+
+export function normalizeLighting(raw) {
+  const lighting = { ...DEFAULT_LIGHTING, ...(raw || {}) };
+  return {
+    preset: LIGHTING_PRESETS[lighting.preset]
+      ? lighting.preset
+      : DEFAULT_LIGHTING.preset,
+    shadows: Boolean(lighting.shadows),
+    grid: lighting.grid !== false,
+    background: BACKGROUNDS[lighting.background]
+      ? lighting.background
+      : DEFAULT_LIGHTING.background,
+  };
+}
+
+// Luces fijas de la escena; la principal proyecta las sombras
+export function createSceneLights(scene) {
+  const hemi = new THREE.HemisphereLight();
+  hemi.position.set(0, 1, 0);
+  const key = new THREE.DirectionalLight();
+  key.shadow.mapSize.set(SHADOW_MAP_SIZE, SHADOW_MAP_SIZE);
+  key.shadow.bias = -0.0005;
+  key.shadow.normalBias = 0.02;
+  const fill = new THREE.DirectionalLight();
+  const ambient = new THREE.AmbientLight();
+
+  scene.add(hemi, key, key.target, fill, ambient);
+  return { hemi, key, fill, ambient };
+}
+
+// Las direccionales se colocan a distancia `radius` del centro del modelo
+export function applyLightingPreset(lights, presetKey, center, radius) {
+  const preset = LIGHTING_PRESETS[presetKey] || LIGHTING_PRESETS.neutral;
+  const [skyColor, groundColor, hemiIntensity] = preset.hemi;
+  lights.hemi.color.set(skyColor);
+  lights.hemi.groundColor.set(groundColor);
+  lights.hemi.intensity = hemiIntensity;
+  lights.ambient.intensity = preset.ambient;
+
+  [
+    [lights.key, preset.key],
+    [lights.fill, preset.fill],
+  ].forEach(([light, [color, intensity, direction]]) => {
+    light.color.set(color);
+    light.intensity = intensity;
+    light.position
+      .fromArray(direction)
+      .normalize()
+      .multiplyScalar(radius * 3)
+      .add(center);
+  });
+  lights.key.target.position.copy(center);
+  lights.key.target.updateMatrixWorld();
+}
+
+export function createEnvironmentMap(renderer, presetKey) {
+  const preset = LIGHTING_PRESETS[presetKey] || LIGHTING_PRESETS.neutral;
+  const data = new Uint16Array(ENV_WIDTH * ENV_HEIGHT * 4);
+  const dir = new THREE.Vector3();
+
+  for (let y = 0; y < ENV_HEIGHT; y++) {
+    const theta = ((y + 0.5) / ENV_HEIGHT) * Math.PI; // 0 = arriba
+    for (let x = 0; x < ENV_WIDTH; x++) {
+      const phi = ((x + 0.5) / ENV_WIDTH) * Math.PI * 2;
+      dir.set(
+        -Math.sin(theta) * Math.cos(phi),
+        Math.cos(theta),
+        Math.sin(theta) * Math.sin(phi)
+      );
+      const rgb = preset.radiance(dir);
+      const i = (y * ENV_WIDTH + x) * 4;
+      for (let c = 0; c < 3; c++) {
+        data[i + c] = THREE.DataUtils.toHalfFloat(rgb[c]);
+      }
+      data[i + 3] = THREE.DataUtils.toHalfFloat(1);
+    }
+  }
+
+  const equirect = new THREE.DataTexture(
+    data,
+    ENV_WIDTH,
+    ENV_HEIGHT,
+    THREE.RGBAFormat,
+    THREE.HalfFloatType
+  );
+  equirect.mapping = THREE.EquirectangularReflectionMapping;
+  equirect.flipY = true;
+  equirect.needsUpdate = true;
+
+  const pmrem = new THREE.PMREMGenerator(renderer);
+  const envMap = pmrem.fromEquirectangular(equirect).texture;
+  pmrem.dispose();
+  equirect.dispose();
+  return envMap;
+}
+
+// Devuelve la textura creada (degradado) para liberarla al cambiar
+export function applyBackground(scene, renderer, backgroundKey) {
+  const background = BACKGROUNDS[backgroundKey] || BACKGROUNDS.dark;
+
+  if (!background.color && !background.colors) {
+    scene.background = null;
+    renderer.setClearColor(0x000000, 0);
+    return null;
+  }
+  renderer.setClearColor(0x000000, 1);
+  if (background.color) {
+    scene.background = new THREE.Color(background.color);
+    return null;
+  }
+
+  const canvas = document.createElement("canvas");
+  canvas.width = 2;
+  canvas.height = 256;
+  const ctx = canvas.getContext("2d");
+  const gradient = ctx.createLinearGradient(0, 0, 0, canvas.height);
+  gradient.addColorStop(0, background.colors[0]);
+  gradient.addColorStop(1, background.colors[1]);
+  ctx.fillStyle = gradient;
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+  const texture = new THREE.CanvasTexture(canvas);
+  texture.colorSpace = THREE.SRGBColorSpace;
+  scene.background = texture;
+  return texture;
+}
+
+// Plano de suelo que solo muestra la sombra
+export function createShadowGround() {
+  const ground = new THREE.Mesh(
+    new THREE.PlaneGeometry(1, 1),
+    new THREE.ShadowMaterial({ opacity: 0.35, depthWrite: false })
+  );
+  ground.rotation.x = -Math.PI / 2;
+  ground.receiveShadow = true;
+  ground.visible = false;
+  return ground;
+}
+
+export function disposeShadowGround(ground) {
+  ground.removeFromParent();
+  ground.geometry.dispose();
+  ground.material.dispose();
+}
+
+// Centro y radio del modelo para colocar luces, suelo y cámara de sombras
+export function measureLightingBounds(model) {
+  if (!model) return { center: new THREE.Vector3(), radius: 100, minY: 0 };
+  model.updateMatrixWorld(true);
+  const box = new THREE.Box3().setFromObject(model);
+  if (box.isEmpty()) {
+    return { center: new THREE.Vector3(), radius: 100, minY: 0 };
+  }
+  const sphere = box.getBoundingSphere(new THREE.Sphere());
+  return {
+    center: sphere.center,
+    radius: Math.max(sphere.radius, 1),
+    minY: box.min.y,
+  };
+}
+
+export function fitShadowsToModel(ground, keyLight, bounds) {
+  const { center, radius, minY } = bounds;
+  ground.position.set(center.x, minY - radius * 0.001, center.z);
+  ground.scale.setScalar(radius * 2 * GROUND_MARGIN);
+
+  const camera = keyLight.shadow.camera;
+  const extent = radius * 1.5;
+  camera.left = -extent;
+  camera.right = extent;
+  camera.top = extent;
+  camera.bottom = -extent;
+  camera.near = radius * 0.5;
+  camera.far = radius * 6;
+  camera.updateProjectionMatrix();
+}
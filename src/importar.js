@@ -0,0 +1,266 @@
+/* =========================
+   Importar archivos soltados, pegados o elegidos en el visor
+   - Cada archivo de modelo se carga por separado; los recursos (.bin,
+     .mtl, texturas) acompañan a los .gltf/.obj del mismo grupo
+   - Una carpeta soltada o un .zip se abren en sus archivos
+   - Los recursos se resuelven por nombre de archivo con un LoadingManager:
+     el .gltf/.obj los pide con rutas relativas a su propia URL (blob: o
+     la del servidor)
+========================= */
+
+import * as THREE from "three";
+import { OBJLoader } from "three/examples/jsm/loaders/OBJLoader.js";
+import { MTLLoader } from "three/examples/jsm/loaders/MTLLoader.js";
+import { unzipSync } from "three/examples/jsm/libs/fflate.module.js";
+
+export const RESOURCE_EXTENSIONS = [
+  "bin",
+  "mtl",
+  "png",
+  "jpg",
+  "jpeg",
+  "webp",
+  "ktx2",
+  "bmp",
+  "gif",
+];
+
+// Formatos que pueden traer archivos aparte
+const EXTENSIONS_WITH_RESOURCES = ["gltf", "obj"];
+
+export function fileExtension(name) {
+  return (name || "").split(".").pop().toLowerCase();
+}
+
+// modelExtensions: las que sabe cargar el visor. Devuelve los modelos en el
+// orden recibido y un mensaje por archivo que no se puede usar
+export function groupImportFiles(files, modelExtensions) {
+  const models = [];
+  const resources = new Map();
+  const errors = [];
+
+  Array.from(files || []).forEach((file) => {
+    const ext = fileExtension(file.name);
+    if (modelExtensions.includes(ext)) {
+      models.push({ file, resources });
+    } else if (RESOURCE_EXTENSIONS.includes(ext)) {
+      resources.set(file.name, file);
+    } else {
+      errors.push(
+        `${file.name}: formato no soportado (usa ${modelExtensions
+          .map((e) => `.${e}`)
+          .join(", ")}).`
+      );
+    }
+  });
+
+  const takesResources = models.some(({ file }) =>
+    EXTENSIONS_WITH_RESOURCES.includes(fileExtension(file.name))
+  );
+  if (!takesResources) {
+    resources.forEach((file) =>
+      errors.push(
+        `${file.name}: solo se acepta junto a su archivo .gltf u .obj.`
+      )
+    );
+  }
+
+  return {
+    models: models.map(({ file }) => ({
+      file,
+      resources: EXTENSIONS_WITH_RESOURCES.includes(fileExtension(file.name))
+        ? resources
+        : null,
+    })),
+    errors,
+  };
+}
+
+const baseName = (path) => path.slice(path.lastIndexOf("/") + 1);
+
+// Reemplaza cada .zip por los archivos que contiene (sin carpetas ni los
+// metadatos de macOS); un .zip dañado se informa como los demás errores
+async function expandZipFiles(files) {
+  const expanded = [];
+  const errors = [];
+
+  for (const file of files) {
+    if (fileExtension(file.name) !== "zip") {
+      expanded.push(file);
+      continue;
+    }
+    try {
+      const entries = unzipSync(new Uint8Array(await file.arrayBuffer()));
+      Object.entries(entries).forEach(([path, data]) => {
+        if (path.endsWith("/") || path.startsWith("__MACOSX/")) return;
+        expanded.push(new File([data], baseName(path)));
+      });
+    } catch (err) {
+      console.error(err);
+      errors.push(`${file.name}: no se pudo abrir el .zip.`);
+    }
+  }
+  return { files: expanded, errors };
+}
+
+// Igual que groupImportFiles, pero abriendo antes los .zip
+export async function prepareImport(files, modelExtensions) {
+  const expanded = await expandZipFiles(Array.from(files || []));
+  const grouped = groupImportFiles(expanded.files, modelExtensions);
+  return { ...grouped, errors: [...expanded.errors, ...grouped.errors] };
+}
+
+function readDirectoryEntry(entry) {
+  if (entry.isFile) {
+    return new Promise((resolve, reject) =>
+      entry.file((file) => resolve([file]), reject)
+    );
+  }
+
+  // readEntries entrega la carpeta por tandas: se pide hasta que venga vacía
+  const reader = entry.createReader();
+  const files = [];
+  const readBatch = () =>
+    new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+  const readAll = async () => {
+    for (
+      let batch = await readBatch();
+      batch.length;
+      batch = await readBatch()
+    ) {
+      for (const child of batch) {
+        files.push(...(await readDirectoryEntry(child)));
+      }
+    }
+    return files;
+  };
+  return readAll();
+}
+
+// Archivos de un drop, entrando en las carpetas soltadas. Las entradas se
+// piden antes de cualquier await: el DataTransfer deja de valer después.
+export async function filesFromDataTransfer(dataTransfer) {
+  const entries = Array.from(dataTransfer.items || [])
+    .map((item) => item.webkitGetAsEntry?.())
+    .filter(Boolean);
+  if (!entries.some((entry) => entry.isDirectory)) {
+    return Array.from(dataTransfer.files || []);
+  }
+
+  const files = [];
+  for (const entry of entries) {
+    files.push(...(await readDirectoryEntry(entry)));
+  }
+  return files;
+}
+
+// Último tramo de la ruta pedida, sin query ni codificación
+function requestedFileName(url) {
+  const clean = url.split(/[?#]/)[0];
+  return decodeURIComponent(clean.slice(clean.lastIndexOf("/") + 1));
+}
+
+// LoadingManager que sirve los recursos desde los archivos del grupo;
+// revoke() libera las URLs creadas
+export function createResourceManager(resources) {
+  const urls = [];
+  const byName = new Map();
+  resources?.forEach((file, name) => byName.set(name.toLowerCase(), file));
+
+  const manager = new THREE.LoadingManager();
+  manager.setURLModifier((url) => {
+    if (url.startsWith("data:")) return url;
+    const file = byName.get(requestedFileName(url).toLowerCase());
+    if (!file) return url;
+    const objectUrl = URL.createObjectURL(file);
+    urls.push(objectUrl);
+    return objectUrl;
+  });
+
+  return {
+    manager,
+    revoke: () => urls.forEach((u) => URL.revokeObjectURL(u)),
+  };
+}
+
+export function hasMaterialLibrary(resources) {
+  return Array.from(resources?.keys() || []).some(
+    (name) => fileExtension(name) === "mtl"
+  );
+}
+
+// Biblioteca que nombra el .obj ("mtllib"); si no nombra ninguna, la .mtl
+// con su mismo nombre o la primera del grupo
+function materialLibraryName(objText, objName, resources) {
+  const match = objText.match(/^mtllib\s+(.+?)\s*$/m);
+  if (match) return baseName(match[1].replace(/\\/g, "/"));
+
+  const names = Array.from(resources?.keys() || []).filter(
+    (name) => fileExtension(name) === "mtl"
+  );
+  const sameName = objName.replace(/\.obj$/i, ".mtl").toLowerCase();
+  return names.find((name) => name.toLowerCase() === sameName) || names[0];
+}
+
+// OBJ con sus materiales .mtl y texturas. Resuelve cuando el manager
+// terminó todo (las texturas del .mtl cargan después de armar el objeto);
+// si la .mtl falta o falla, el OBJ se arma sin ella. Con `text` (el OBJ ya
+// descargado) no se vuelve a pedir `url`, que sirve de base para la .mtl.
+export function loadObjWithMaterials(
+  url,
+  { manager, requestHeader, name, resources, text }
+) {
+  return new Promise((resolve, reject) => {
+    const objLoader = new OBJLoader(manager);
+    objLoader.setRequestHeader(requestHeader);
+    let root = null;
+
+    const build = (text, materials) => {
+      if (materials) {
+        materials.preload();
+        objLoader.setMaterials(materials);
+      }
+      root = objLoader.parse(text);
+      // Materiales del archivo: los del .mtl (no los de relleno del OBJ)
+      root.traverse((child) => {
+        if (!materials || !child.isMesh) return;
+        [].concat(child.material).forEach((m) => {
+          if (materials.materials[m.name] === m) {
+            m.userData.fromFile = true;
+          }
+        });
+      });
+    };
+
+    manager.onLoad = () => {
+      if (root) resolve(root);
+    };
+
+    const withText = (objText) => {
+      const library = materialLibraryName(objText, name || "", resources);
+      if (!library) {
+        build(objText, null);
+        resolve(root);
+        return;
+      }
+      const mtlLoader = new MTLLoader(manager);
+      mtlLoader.load(
+        THREE.LoaderUtils.extractUrlBase(url) + library,
+        (materials) => build(objText, materials),
+        undefined,
+        (err) => {
+          console.warn("No se pudo cargar la biblioteca de materiales", err);
+          build(objText, null);
+        }
+      );
+    };
+
+    if (text !== undefined) {
+      withText(text);
+      return;
+    }
+    const fileLoader = new THREE.FileLoader(manager);
+    fileLoader.setRequestHeader(requestHeader);
+    fileLoader.load(url, withText, undefined, reject);
+  });
+}
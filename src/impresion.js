@@ -0,0 +1,98 @@
+/* =========================
+   Estimación de impresión 3D (FDM/resina) para la cotización
+   - Parte del volumen y el área de cada pieza en mm (ya escalados según la
+     unidad declarada del archivo)
+   - Material impreso ≈ paredes (área × espesor) + relleno del interior
+   - Costo = gramos × precio por gramo + horas de máquina × tarifa
+   - El arranque (setup) se cobra una vez por cotización
+========================= */
+
+export const DEFAULT_PRINT_MATERIALS = [
+  { id: "pla", name: "PLA", density: 1.24, pricePerGram: 0.5 },
+  { id: "petg", name: "PETG", density: 1.27, pricePerGram: 0.6 },
+  { id: "abs", name: "ABS", density: 1.04, pricePerGram: 0.6 },
+  { id: "resina", name: "Resina", density: 1.1, pricePerGram: 1.5 },
+];
+
+export const DEFAULT_PRINT_SETTINGS = {
+  materials: DEFAULT_PRINT_MATERIALS,
+  materialId: "pla",
+  infill: 20, // %
+  wallThickness: 1.2, // mm
+  printSpeed: 15, // cm³ de material por hora
+  hourlyRate: 40, // $ por hora de máquina
+  setupFee: 100, // $ por trabajo
+};
+
+// Marca de los conceptos generados desde el modelo (se reemplazan al regenerar)
+export const GENERATED_ITEM_ORIGIN = "modelo";
+
+const round = (n, digits) => Math.round(n * 10 ** digits) / 10 ** digits;
+
+export function findPrintMaterial(settings) {
+  const materials = settings.materials || [];
+  return (
+    materials.find((m) => m.id === settings.materialId) || materials[0] || null
+  );
+}
+
+// part: { name, volume (mm³), area (mm²), watertight }
+export function estimatePrint(part, settings) {
+  const material = findPrintMaterial(settings);
+  if (!material || !part.volume) return null;
+
+  const infill = Math.min(Math.max(Number(settings.infill) || 0, 0), 100) / 100;
+  const shell = Math.min(
+    part.volume,
+    part.area * (settings.wallThickness || 0)
+  );
+  const printedCm3 = (shell + (part.volume - shell) * infill) / 1000;
+  const grams = printedCm3 * material.density;
+  const hours = settings.printSpeed > 0 ? printedCm3 / settings.printSpeed : 0;
+
+  return {
+    material,
+    grams,
+    hours,
+    cost: grams * material.pricePerGram + hours * (settings.hourlyRate || 0),
+  };
+}
+
+// Un concepto por pieza más el arranque; las piezas sin volumen (mallas
+// abiertas o vacías) se devuelven aparte para avisar
+export function buildPrintItems(parts, settings) {
+  const items = [];
+  const skipped = [];
+
+  parts.forEach((part) => {
+    const estimate = estimatePrint(part, settings);
+    if (!estimate) {
+      skipped.push(part.name);
+      return;
+    }
+    items.push({
+      concepto: `Impresión 3D – ${part.name} (${estimate.material.name}, ${
+        settings.infill
+      }% relleno, ${round(estimate.grams, 1)} g, ${round(
+        estimate.hours,
+        1
+      )} h)${part.watertight ? "" : " · malla abierta, volumen aproximado"}`,
+      cantidad: 1,
+      precio: round(estimate.cost, 2),
+      link: "",
+      origen: GENERATED_ITEM_ORIGIN,
+    });
+  });
+
+  if (items.length && settings.setupFee > 0) {
+    items.push({
+      concepto: "Preparación de impresión (arranque)",
+      cantidad: 1,
+      precio: round(settings.setupFee, 2),
+      link: "",
+      origen: GENERATED_ITEM_ORIGIN,
+    });
+  }
+
+  return { items, skipped };
+}
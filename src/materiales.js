@@ -0,0 +1,199 @@
+/* =========================
+   Biblioteca de materiales PBR por capa
+   - Cada acabado es un MeshPhysicalMaterial: metalicidad, rugosidad,
+     barniz (clearcoat), transmisión (vidrio), anisotropía (cepillado)
+   - El color sale de la capa; los acabados con color propio (madera,
+     aluminio anodizado...) lo proponen al elegirlos
+   - Los materiales del proyecto ({ id: "custom-…", label, ...params })
+     se guardan con la escena y se eligen igual que los de la biblioteca
+   - Las claves de los presets Phong anteriores (plastic, metal,
+     roughMetal, rubber, glass) se conservan para los proyectos guardados
+   - Las capas con el mismo color y acabado comparten material
+========================= */
+
+import * as THREE from "three";
+
+export const DEFAULT_MATERIAL = "plastic";
+export const MAX_CUSTOM_MATERIALS = 50;
+const CUSTOM_PREFIX = "custom-";
+
+// Parámetros editables y sus rangos (el editor de materiales los recorre)
+export const MATERIAL_PARAMS = [
+  { key: "metalness", label: "Metalicidad", min: 0, max: 1, step: 0.01 },
+  { key: "roughness", label: "Rugosidad", min: 0, max: 1, step: 0.01 },
+  { key: "clearcoat", label: "Barniz", min: 0, max: 1, step: 0.01 },
+  {
+    key: "clearcoatRoughness",
+    label: "Rugosidad del barniz",
+    min: 0,
+    max: 1,
+    step: 0.01,
+  },
+  { key: "transmission", label: "Transmisión", min: 0, max: 1, step: 0.01 },
+  { key: "ior", label: "Índice de refracción", min: 1, max: 2.33, step: 0.01 },
+  { key: "anisotropy", label: "Cepillado", min: 0, max: 1, step: 0.01 },
+  { key: "opacity", label: "Opacidad", min: 0, max: 1, step: 0.01 },
+];
+
+const DEFAULT_PARAMS = {
+  metalness: 0,
+  roughness: 0.5,
+  clearcoat: 0,
+  clearcoatRoughness: 0,
+  transmission: 0,
+  ior: 1.5,
+  anisotropy: 0,
+  opacity: 1,
+};
+
+const entry = (label, params, color = null) => ({
+  label,
+  ...DEFAULT_PARAMS,
+  ...params,
+  color,
+});
+
+export const MATERIAL_LIBRARY = {
+  plastic: entry("Plástico / Pintura", { roughness: 0.4, clearcoat: 0.3 }),
+  abs: entry("ABS", { roughness: 0.55 }),
+  pla: entry("PLA", { roughness: 0.35, clearcoat: 0.15 }),
+  petg: entry("PETG", { roughness: 0.2, clearcoat: 0.4 }),
+  tpu: entry("TPU flexible", { roughness: 0.75 }),
+  rubber: entry("Goma / Caucho", { roughness: 0.9 }),
+  resin: entry("Resina", { roughness: 0.15, clearcoat: 0.6 }),
+  metal: entry("Metal pulido", { metalness: 1, roughness: 0.12 }),
+  roughMetal: entry("Metal rugoso", { metalness: 1, roughness: 0.55 }),
+  brushedSteel: entry(
+    "Acero cepillado",
+    { metalness: 1, roughness: 0.35, anisotropy: 0.8 },
+    "#c7cbd1"
+  ),
+  anodizedAluminum: entry(
+    "Aluminio anodizado",
+    { metalness: 0.85, roughness: 0.3, clearcoat: 0.5 },
+    "#3b6ea8"
+  ),
+  chrome: entry("Cromo", { metalness: 1, roughness: 0.03 }, "#f5f5f5"),
+  brass: entry("Latón", { metalness: 1, roughness: 0.25 }, "#c9a227"),
+  copper: entry("Cobre", { metalness: 1, roughness: 0.3 }, "#b87333"),
+  carPaint: entry("Pintura automotriz", {
+    metalness: 0.4,
+    roughness: 0.35,
+    clearcoat: 1,
+    clearcoatRoughness: 0.03,
+  }),
+  wood: entry("Madera", { roughness: 0.7 }, "#a0703c"),
+  varnishedWood: entry(
+    "Madera barnizada",
+    { roughness: 0.5, clearcoat: 0.8, clearcoatRoughness: 0.1 },
+    "#8b5a2b"
+  ),
+  ceramic: entry("Cerámica", { roughness: 0.25, clearcoat: 0.7 }, "#f1efe9"),
+  glass: entry(
+    "Vidrio",
+    { roughness: 0.05, transmission: 1, ior: 1.5 },
+    "#ffffff"
+  ),
+  acrylic: entry("Acrílico transparente", {
+    roughness: 0.1,
+    transmission: 0.9,
+    ior: 1.49,
+  }),
+};
+
+export function isCustomMaterial(key) {
+  return typeof key === "string" && key.startsWith(CUSTOM_PREFIX);
+}
+
+// Acabado de la biblioteca o del proyecto; el plástico si ya no existe
+export function findMaterial(key, customMaterials) {
+  if (isCustomMaterial(key)) {
+    const custom = (customMaterials || []).find((m) => m.id === key);
+    if (custom) return { ...DEFAULT_PARAMS, ...custom };
+  }
+  return MATERIAL_LIBRARY[key] || MATERIAL_LIBRARY[DEFAULT_MATERIAL];
+}
+
+const clamp = (value, { min, max }, fallback) => {
+  const n = Number(value);
+  return Number.isFinite(n) ? Math.min(Math.max(n, min), max) : fallback;
+};
+
+// Material nuevo del proyecto a partir de un acabado existente
+export function createCustomMaterial(baseKey, customMaterials) {
+  const base = findMaterial(baseKey, customMaterials);
+  const params = {};
+  MATERIAL_PARAMS.forEach((param) => {
+    params[param.key] = base[param.key];
+  });
+  return {
+    id: `${CUSTOM_PREFIX}${Date.now().toString(36)}`,
+    label: `${base.label} (propio)`,
+    ...params,
+    color: base.color || null,
+  };
+}
+
+export function normalizeCustomMaterial(raw) {
+  const material = {
+    id: raw.id,
+    label: (raw.label || "").toString().slice(0, 60) || "Material",
+    color: /^#[0-9a-f]{6}$/i.test(raw.color || "") ? raw.color : null,
+  };
+  MATERIAL_PARAMS.forEach((param) => {
+    material[param.key] = clamp(
+      raw[param.key],
+      param,
+      DEFAULT_PARAMS[param.key]
+    );
+  });
+  return material;
+}
+
+function setMaterialParams(material, colorHex, def) {
+  material.color = new THREE.Color(colorHex || "#ffffff");
+  MATERIAL_PARAMS.forEach(({ key }) => {
+    material[key] = def[key];
+  });
+  material.transparent = def.opacity < 1;
+  material.depthWrite = def.opacity >= 1;
+  // el vidrio deja pasar la luz: su grosor aproximado da la refracción
+  material.thickness = def.transmission > 0 ? 1 : 0;
+}
+
+export function createPartMaterial(colorHex, def) {
+  const material = new THREE.MeshPhysicalMaterial({
+    side: THREE.DoubleSide,
+  });
+  setMaterialParams(material, colorHex, def);
+  return material;
+}
+
+// Un material por apariencia (color + parámetros del acabado): las capas
+// iguales lo comparten. cache: Map clave → material
+export function getSharedPartMaterial(cache, colorHex, def) {
+  const key = [
+    colorHex.toLowerCase(),
+    ...MATERIAL_PARAMS.map((param) => def[param.key]),
+  ].join("|");
+  let material = cache.get(key);
+  if (!material) {
+    material = createPartMaterial(colorHex, def);
+    material.userData.shared = true;
+    cache.set(key, material);
+  }
+  return material;
+}
+
+// Libera los materiales compartidos que ya no usa ninguna malla del modelo
+export function releaseUnusedMaterials(cache, model) {
+  const inUse = new Set();
+  model?.traverse((child) => {
+    if (child.isMesh) [].concat(child.material).forEach((m) => inUse.add(m));
+  });
+  cache.forEach((material, key) => {
+    if (inUse.has(material)) return;
+    material.dispose();
+    cache.delete(key);
+  });
+}
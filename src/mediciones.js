@@ -0,0 +1,257 @@
+/* =========================
+   Mediciones sobre el modelo
+   - Distancia entre 2 puntos, ángulo entre 3 y radio/diámetro por 3 puntos
+   - Los puntos se guardan en coordenadas locales del modelo ({ x, y, z })
+     para que sigan al modelo cuando se mueve o rota
+   - Las etiquetas se dibujan en el visor con CSS2DRenderer
+   - Los textos se convierten con la escala del archivo (mm por unidad local)
+     y la unidad elegida para mostrar
+========================= */
+
+import * as THREE from "three";
+import { CSS2DObject } from "three/examples/jsm/renderers/CSS2DRenderer.js";
+import { formatLength } from "./unidades";
+
+export const MEASURE_TOOLS = {
+  distance: {
+    label: "Distancia",
+    points: 2,
+    hint: "Elige los dos extremos.",
+  },
+  angle: {
+    label: "Ángulo",
+    points: 3,
+    hint: "El segundo punto es el vértice del ángulo.",
+  },
+  radius: {
+    label: "Radio / diámetro",
+    points: 3,
+    hint: "Elige tres puntos sobre el borde del agujero o arista.",
+  },
+};
+
+// Distancia en pantalla (px) para ajustar el clic al vértice más cercano
+const SNAP_DISTANCE_PX = 12;
+const CIRCLE_SEGMENTS = 64;
+const MEASURE_COLOR = 0xfacc15;
+const DRAFT_COLOR = 0x38bdf8;
+
+export function createMeasurementId() {
+  return `m-${Date.now().toString(36)}-${Math.random()
+    .toString(36)
+    .slice(2, 6)}`;
+}
+
+const toVector = (p) => new THREE.Vector3(p.x, p.y, p.z);
+
+// Circunferencia que pasa por tres puntos (null si están alineados)
+export function circleFromPoints(a, b, c) {
+  const ab = b.clone().sub(a);
+  const ac = c.clone().sub(a);
+  const normal = ab.clone().cross(ac);
+  const n2 = normal.lengthSq();
+  if (n2 <= 1e-12 * ab.lengthSq() * ac.lengthSq()) return null;
+
+  const offset = normal
+    .clone()
+    .cross(ab)
+    .multiplyScalar(ac.lengthSq())
+    .add(ac.clone().cross(normal).multiplyScalar(ab.lengthSq()))
+    .divideScalar(2 * n2);
+
+  return {
+    center: a.clone().add(offset),
+    radius: offset.length(),
+    normal: normal.normalize(),
+  };
+}
+
+// { value, text, anchor } — value (en unidades locales) es null si la
+// medición no es válida
+export function computeMeasurement(type, points, { scale = 1, unit } = {}) {
+  const [a, b, c] = points.map(toVector);
+  const length = (value) => formatLength(value * scale, unit);
+
+  switch (type) {
+    case "distance": {
+      const value = a.distanceTo(b);
+      return {
+        value,
+        text: length(value),
+        anchor: a.clone().add(b).multiplyScalar(0.5),
+      };
+    }
+    case "angle": {
+      const value = THREE.MathUtils.radToDeg(
+        a.clone().sub(b).angleTo(c.clone().sub(b))
+      );
+      return { value, text: `${value.toFixed(1)}°`, anchor: b };
+    }
+    case "radius": {
+      const circle = circleFromPoints(a, b, c);
+      if (!circle) {
+        return { value: null, text: "Puntos alineados", anchor: b };
+      }
+      return {
+        value: circle.radius,
+        text: `R ${length(circle.radius)} · Ø ${length(circle.radius * 2)}`,
+        anchor: circle.center,
+      };
+    }
+    default:
+      return { value: null, text: "", anchor: a };
+  }
+}
+
+// Primer impacto del raycast sobre una malla visible (las capas ocultas
+// siguen en la escena y el raycaster no revisa visibilidad)
+export function firstVisibleHit(intersections) {
+  return intersections.find((hit) => {
+    let obj = hit.object;
+    while (obj) {
+      if (obj.visible === false) return false;
+      obj = obj.parent;
+    }
+    return hit.object.isMesh;
+  });
+}
+
+// Ajusta el punto del clic al vértice más cercano del triángulo tocado
+export function snapToVertex(hit, camera, rect) {
+  const position = hit.object.geometry?.attributes?.position;
+  if (!hit.face || !position) return hit.point.clone();
+
+  const toScreen = (v) => {
+    const p = v.clone().project(camera);
+    return new THREE.Vector2(
+      ((p.x + 1) / 2) * rect.width,
+      ((1 - p.y) / 2) * rect.height
+    );
+  };
+
+  const hitScreen = toScreen(hit.point);
+  let best = null;
+  let bestDistance = SNAP_DISTANCE_PX;
+
+  [hit.face.a, hit.face.b, hit.face.c].forEach((index) => {
+    const vertex = new THREE.Vector3()
+      .fromBufferAttribute(position, index)
+      .applyMatrix4(hit.object.matrixWorld);
+    const distance = toScreen(vertex).distanceTo(hitScreen);
+    if (distance <= bestDistance) {
+      best = vertex;
+      bestDistance = distance;
+    }
+  });
+
+  return best || hit.point.clone();
+}
+
+function createLine(points, color, closed = false) {
+  const geometry = new THREE.BufferGeometry().setFromPoints(points);
+  const material = new THREE.LineBasicMaterial({
+    color,
+    depthTest: false,
+    transparent: true,
+  });
+  const line = closed
+    ? new THREE.LineLoop(geometry, material)
+    : new THREE.Line(geometry, material);
+  line.renderOrder = 10;
+  return line;
+}
+
+function createMarkers(points, color) {
+  const geometry = new THREE.BufferGeometry().setFromPoints(points);
+  const material = new THREE.PointsMaterial({
+    color,
+    size: 8,
+    sizeAttenuation: false,
+    depthTest: false,
+    transparent: true,
+  });
+  const markers = new THREE.Points(geometry, material);
+  markers.renderOrder = 11;
+  return markers;
+}
+
+function createLabel(text, position, color) {
+  const element = document.createElement("div");
+  element.textContent = text;
+  Object.assign(element.style, {
+    padding: "2px 8px",
+    borderRadius: "999px",
+    background: "rgba(15,23,42,0.9)",
+    border: `1px solid #${new THREE.Color(color).getHexString()}`,
+    color: "#fef9c3",
+    fontSize: "11px",
+    fontFamily: "inherit",
+    whiteSpace: "nowrap",
+    pointerEvents: "none",
+  });
+  const label = new CSS2DObject(element);
+  label.position.copy(position);
+  return label;
+}
+
+function circlePoints({ center, radius, normal }) {
+  const u = new THREE.Vector3()
+    .crossVectors(
+      normal,
+      Math.abs(normal.x) < 0.9
+        ? new THREE.Vector3(1, 0, 0)
+        : new THREE.Vector3(0, 1, 0)
+    )
+    .normalize();
+  const v = new THREE.Vector3().crossVectors(normal, u);
+
+  return Array.from({ length: CIRCLE_SEGMENTS }, (_, i) => {
+    const t = (i / CIRCLE_SEGMENTS) * Math.PI * 2;
+    return center
+      .clone()
+      .addScaledVector(u, Math.cos(t) * radius)
+      .addScaledVector(v, Math.sin(t) * radius);
+  });
+}
+
+// Grupo con líneas, marcadores y etiqueta de una medición (o de un borrador
+// incompleto, que solo muestra los puntos elegidos)
+export function buildMeasurementObject(
+  measurement,
+  { draft = false, scale = 1, unit } = {}
+) {
+  const color = draft ? DRAFT_COLOR : MEASURE_COLOR;
+  const points = measurement.points.map(toVector);
+  const group = new THREE.Group();
+  group.userData.measurementId = measurement.id;
+
+  group.add(createMarkers(points, color));
+  if (points.length > 1) group.add(createLine(points, color));
+
+  const complete = points.length === MEASURE_TOOLS[measurement.type]?.points;
+  if (draft || !complete) return group;
+
+  const result = computeMeasurement(measurement.type, measurement.points, {
+    scale,
+    unit,
+  });
+  if (measurement.type === "radius" && result.value !== null) {
+    const circle = circleFromPoints(...points);
+    group.add(createLine(circlePoints(circle), color, true));
+    group.add(createMarkers([circle.center], color));
+  }
+  group.add(createLabel(result.text, result.anchor, color));
+  return group;
+}
+
+export function disposeMeasurementObject(object) {
+  const labels = [];
+  object.traverse((child) => {
+    child.geometry?.dispose();
+    child.material?.dispose();
+    if (child.isCSS2DObject) labels.push(child);
+  });
+  // CSS2DObject solo quita su <div> del DOM cuando lo sacan a él de la escena
+  labels.forEach((label) => label.removeFromParent());
+  object.removeFromParent();
+}
@@ -0,0 +1,76 @@
+/* =========================
+   Worker de lectura de modelos (STL, PLY y OBJ sin .mtl)
+   - Recibe { buffer, ext } y responde { type: "done", result } con los
+     buffers de la geometría transferidos (sin copiarlos)
+   - Las normales se calculan aquí: en un STL de 100 MB es lo más lento
+   - cargaModelos.js rearma la geometría y los materiales en el visor
+========================= */
+
+import { STLLoader } from "three/examples/jsm/loaders/STLLoader.js";
+import { PLYLoader } from "three/examples/jsm/loaders/PLYLoader.js";
+import { OBJLoader } from "three/examples/jsm/loaders/OBJLoader.js";
+
+function serializeGeometry(geometry, transfer) {
+  const attributes = {};
+  Object.entries(geometry.attributes).forEach(([name, attribute]) => {
+    attributes[name] = {
+      array: attribute.array,
+      itemSize: attribute.itemSize,
+      normalized: attribute.normalized,
+    };
+    transfer.add(attribute.array.buffer);
+  });
+  if (geometry.index) transfer.add(geometry.index.array.buffer);
+  return {
+    attributes,
+    index: geometry.index ? geometry.index.array : null,
+    groups: geometry.groups,
+  };
+}
+
+// Solo lo que crea OBJLoader: tipo, nombre, sombreado plano y color por
+// vértice de cada material
+function serializeMaterial(material) {
+  return {
+    type: material.type,
+    name: material.name,
+    vertexColors: material.vertexColors,
+    // las líneas y los puntos no tienen sombreado
+    ...("flatShading" in material && { flatShading: material.flatShading }),
+  };
+}
+
+function serializeObject(object, transfer) {
+  return {
+    kind: object.isMesh ? "Mesh" : object.isLineSegments ? "Line" : "Points",
+    name: object.name,
+    geometry: serializeGeometry(object.geometry, transfer),
+    materials: [].concat(object.material).map(serializeMaterial),
+    multiMaterial: Array.isArray(object.material),
+  };
+}
+
+function parseModel(buffer, ext, transfer) {
+  if (ext === "obj") {
+    const group = new OBJLoader().parse(new TextDecoder().decode(buffer));
+    return {
+      kind: "Group",
+      children: group.children.map((child) => serializeObject(child, transfer)),
+    };
+  }
+
+  const Loader = ext === "stl" ? STLLoader : PLYLoader;
+  const geometry = new Loader().parse(buffer);
+  geometry.computeVertexNormals();
+  return { kind: "Geometry", geometry: serializeGeometry(geometry, transfer) };
+}
+
+self.onmessage = ({ data }) => {
+  try {
+    const transfer = new Set();
+    const result = parseModel(data.buffer, data.ext, transfer);
+    self.postMessage({ type: "done", result }, [...transfer]);
+  } catch (err) {
+    self.postMessage({ type: "error", message: err.message || String(err) });
+  }
+};
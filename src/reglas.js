@@ -0,0 +1,87 @@
+/* =========================
+   Grid y reglas con unidades reales
+   - La escena está en milímetros: el modelo se escala según la unidad
+     declarada del archivo
+   - El paso del grid es 1, 2 o 5 × 10ⁿ en la unidad mostrada y el tamaño
+     se ajusta al modelo
+   - Las reglas son etiquetas CSS2D sobre los bordes del grid
+========================= */
+
+import * as THREE from "three";
+import { CSS2DObject } from "three/examples/jsm/renderers/CSS2DRenderer.js";
+import { LENGTH_UNITS } from "./unidades";
+
+const GRID_DIVISIONS = 20; // divisiones aproximadas a lo ancho del grid
+const LABEL_EVERY = 5; // una etiqueta de regla cada N divisiones
+const GRID_COLOR = 0x4b5563;
+const GRID_SUB_COLOR = 0x1f2937;
+
+// Paso "redondo" (1, 2 o 5 × 10ⁿ) mayor o igual a value
+export function niceStep(value) {
+  const exponent = Math.floor(Math.log10(value));
+  const base = 10 ** exponent;
+  const fraction = value / base;
+  if (fraction <= 1) return base;
+  if (fraction <= 2) return 2 * base;
+  if (fraction <= 5) return 5 * base;
+  return 10 * base;
+}
+
+function formatTick(value) {
+  return Number(value.toPrecision(6)).toLocaleString();
+}
+
+function createRulerLabel(text, position) {
+  const element = document.createElement("div");
+  element.textContent = text;
+  Object.assign(element.style, {
+    color: "#6b7280",
+    fontSize: "10px",
+    fontFamily: "inherit",
+    whiteSpace: "nowrap",
+    pointerEvents: "none",
+  });
+  const label = new CSS2DObject(element);
+  label.position.copy(position);
+  return label;
+}
+
+// extentMm: lado del área a cubrir (p. ej. el doble del tamaño del modelo)
+export function createUnitGrid(extentMm, unit) {
+  const u = LENGTH_UNITS[unit] || LENGTH_UNITS.mm;
+  const step = niceStep(extentMm / u.toMm / GRID_DIVISIONS);
+  const divisions = Math.max(2, Math.ceil(extentMm / u.toMm / step / 2) * 2);
+  const size = divisions * step * u.toMm;
+  const half = size / 2;
+
+  const group = new THREE.Group();
+  group.add(new THREE.GridHelper(size, divisions, GRID_COLOR, GRID_SUB_COLOR));
+
+  // Reglas: eje X sobre el borde delantero y eje Z sobre el izquierdo,
+  // con 0 en el centro del grid
+  const labelStep = LABEL_EVERY * step;
+  const count = Math.floor(divisions / 2 / LABEL_EVERY);
+  for (let i = -count; i <= count; i++) {
+    const value = i * labelStep;
+    const mm = value * u.toMm;
+    const text = i === 0 ? `0 ${u.label}` : formatTick(value);
+    group.add(createRulerLabel(text, new THREE.Vector3(mm, 0, half)));
+    if (i !== 0) {
+      group.add(createRulerLabel(text, new THREE.Vector3(-half, 0, mm)));
+    }
+  }
+
+  group.userData = { size, step, unit: u.label };
+  return group;
+}
+
+export function disposeUnitGrid(group) {
+  const labels = [];
+  group.traverse((child) => {
+    child.geometry?.dispose();
+    child.material?.dispose();
+    if (child.isCSS2DObject) labels.push(child);
+  });
+  labels.forEach((label) => label.removeFromParent());
+  group.removeFromParent();
+}
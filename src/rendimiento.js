@@ -0,0 +1,107 @@
+/* =========================
+   Rendimiento del visor con ensamblajes grandes
+   - El visor dibuja bajo demanda: un frame cuando algo cambia y más
+     frames solo mientras algo se mueve (ver el efecto de inicio en App)
+   - Geometría fusionada para ver: las capas visibles con el mismo material
+     se dibujan como una sola malla. Las capas originales siguen en la
+     escena en HIDDEN_LAYER (la cámara no las dibuja, el raycaster sí),
+     así que elegir capas, medir y anotar funciona igual
+   - Estadísticas: FPS, draw calls y triángulos del último frame
+========================= */
+
+import * as THREE from "three";
+import { mergeGeometries } from "three/examples/jsm/utils/BufferGeometryUtils.js";
+
+export const HIDDEN_LAYER = 1;
+export const LARGE_MODEL_PARTS = 150; // a partir de aquí se sugiere fusionar
+const MERGED_NAME = "__geometriaFusionada";
+
+export const DEFAULT_VIEWER_PERFORMANCE = {
+  mergeGeometry: false,
+  stats: false,
+};
+
+// Visible si lo es ella y todo lo que la contiene dentro del modelo
+function isShown(object, root) {
+  for (let o = object; o && o !== root; o = o.parent) {
+    if (!o.visible) return false;
+  }
+  return true;
+}
+
+// Solo se fusionan mallas simples: un material y sin animación
+function canMerge(mesh) {
+  return (
+    mesh.isMesh &&
+    !mesh.isSkinnedMesh &&
+    !mesh.isInstancedMesh &&
+    !Array.isArray(mesh.material) &&
+    !Object.keys(mesh.geometry.morphAttributes).length
+  );
+}
+
+// Las geometrías que se fusionan deben tener los mismos atributos
+function mergeKey(mesh) {
+  const { geometry } = mesh;
+  const attributes = Object.keys(geometry.attributes).sort().join(",");
+  return `${mesh.material.uuid}|${attributes}|${Boolean(geometry.index)}`;
+}
+
+// Dibuja las capas visibles del modelo como una malla por material. Se
+// quita con clearMergedView antes de cualquier cambio en las capas
+export function buildMergedView(model) {
+  clearMergedView(model);
+  model.updateMatrixWorld(true);
+  const toModel = model.matrixWorld.clone().invert();
+
+  const groups = new Map();
+  model.traverse((child) => {
+    if (typeof child.userData.partId !== "number") return;
+    if (!canMerge(child) || !isShown(child, model)) return;
+    const key = mergeKey(child);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(child);
+  });
+
+  const merged = new THREE.Group();
+  merged.name = MERGED_NAME;
+  groups.forEach((meshes) => {
+    if (meshes.length < 2) return;
+    const geometries = meshes.map((mesh) =>
+      mesh.geometry
+        .clone()
+        .applyMatrix4(toModel.clone().multiply(mesh.matrixWorld))
+    );
+    const geometry = mergeGeometries(geometries);
+    geometries.forEach((g) => g.dispose());
+    if (!geometry) return; // tipos de atributo distintos: quedan sueltas
+
+    const mesh = new THREE.Mesh(geometry, meshes[0].material);
+    mesh.castShadow = true;
+    mesh.raycast = () => {};
+    merged.add(mesh);
+    meshes.forEach((source) => source.layers.set(HIDDEN_LAYER));
+  });
+
+  model.add(merged);
+  return merged.children.length;
+}
+
+export function clearMergedView(model) {
+  const merged = model?.getObjectByName(MERGED_NAME);
+  if (!merged) return;
+  merged.removeFromParent();
+  merged.children.forEach((mesh) => mesh.geometry.dispose());
+  model.traverse((child) => {
+    if (child.isMesh) child.layers.set(0);
+  });
+}
+
+export function formatRenderStats({ fps, calls, triangles }) {
+  const idle = fps === 0 ? " (en reposo)" : "";
+  return [
+    `FPS: ${Math.round(fps)}${idle}`,
+    `Draw calls: ${calls}`,
+    `Triángulos: ${triangles.toLocaleString("es")}`,
+  ].join("\n");
+}
@@ -0,0 +1,147 @@
+/* =========================
+   Sesión de usuario (cuentas con roles por proyecto)
+   - Se inicia sesión una vez y el token se guarda en localStorage
+   - authFetch agrega el token a cada llamada a la API
+   - Los enlaces compartidos (?project=&token=) mandan X-Share-Token
+========================= */
+
+const API_BASE_URL =
+  import.meta.env.VITE_API_BASE_URL || "http://localhost:4000";
+const API_AUTH_URL = `${API_BASE_URL}/api/auth`;
+
+const STORAGE_KEY = "visor3d.session";
+// Margen para no usar un token que está a punto de expirar
+const EXPIRY_MARGIN_MS = 30 * 1000;
+
+export const ROLE_LABELS = {
+  viewer: "Lector",
+  editor: "Editor",
+  owner: "Propietario",
+};
+
+const ROLE_ORDER = ["viewer", "editor", "owner"];
+
+// ¿El rol alcanza el mínimo pedido? (viewer < editor < owner)
+export function roleAllows(role, minRole) {
+  return !!role && ROLE_ORDER.indexOf(role) >= ROLE_ORDER.indexOf(minRole);
+}
+
+const listeners = new Set();
+
+// Token de enlace compartido: solo en memoria, viene en la URL
+let shareToken = null;
+
+export function setShareToken(token) {
+  shareToken = token || null;
+}
+
+function readSession() {
+  try {
+    return JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+  } catch (e) {
+    return null;
+  }
+}
+
+function writeSession(session) {
+  try {
+    if (session) {
+      window.localStorage.setItem(STORAGE_KEY, JSON.stringify(session));
+    } else {
+      window.localStorage.removeItem(STORAGE_KEY);
+    }
+  } catch (e) {
+    // localStorage deshabilitado: la sesión dura lo que la página
+  }
+  listeners.forEach((fn) => fn(getSession()));
+}
+
+// { token, expiresAt, user } o null si no hay sesión vigente
+export function getSession() {
+  const session = readSession();
+  if (!session?.token) return null;
+  const expires = Date.parse(session.expiresAt);
+  if (!Number.isFinite(expires) || expires - EXPIRY_MARGIN_MS < Date.now()) {
+    return null;
+  }
+  return session;
+}
+
+export function onSessionChange(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+export function authHeaders() {
+  const session = getSession();
+  return {
+    ...(session && { Authorization: `Bearer ${session.token}` }),
+    ...(shareToken && { "X-Share-Token": shareToken }),
+  };
+}
+
+async function postAuth(path, body, errorMessage) {
+  const resp = await fetch(`${API_AUTH_URL}/${path}`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+  });
+
+  const text = await resp.text();
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    console.error(`Respuesta no JSON en POST /api/auth/${path}:`, text);
+    throw new Error(`La ruta /auth/${path} no devolvió JSON.`);
+  }
+
+  if (!resp.ok || !data.ok) {
+    throw new Error(data.error || errorMessage);
+  }
+
+  const session = {
+    token: data.token,
+    expiresAt: data.expiresAt,
+    user: data.user,
+  };
+  writeSession(session);
+  return session;
+}
+
+export function login(username, password) {
+  return postAuth(
+    "login",
+    { username, password },
+    "No se pudo iniciar sesión."
+  );
+}
+
+export function register(username, password, displayName) {
+  return postAuth(
+    "register",
+    { username, password, displayName },
+    "No se pudo crear la cuenta."
+  );
+}
+
+export function logout() {
+  writeSession(null);
+}
+
+// fetch con el token de la sesión. Un 401 con sesión activa significa que
+// el token ya no vale (expiró o el servidor se reinició): se cierra la sesión.
+export async function authFetch(url, options = {}) {
+  const hadSession = Boolean(getSession());
+  const resp = await fetch(url, {
+    ...options,
+    headers: {
+      ...(options.headers || {}),
+      ...authHeaders(),
+    },
+  });
+  if (resp.status === 401 && hadSession) {
+    logout();
+  }
+  return resp;
+}
@@ -0,0 +1,105 @@
+/* =========================
+   Transformaciones con gizmo (modelo completo o una capa)
+   - El modelo completo usa los estados de posición/rotación de siempre
+   - Cada capa guarda { position, rotation (grados), scale } en
+     partsMeta.transform, en coordenadas de su padre; null = como vino del
+     archivo
+   - La posición guardada es la base de la vista explosionada: el
+     desplazamiento de la explosión se suma encima
+========================= */
+
+import * as THREE from "three";
+import { explodeDisplacement } from "./despiece";
+
+export const GIZMO_MODES = {
+  translate: "Mover",
+  rotate: "Rotar",
+  scale: "Escalar",
+};
+
+// Incrementos del snapping: mover en la unidad mostrada, rotar en grados
+export const DEFAULT_GIZMO_SNAP = {
+  translate: 1,
+  rotate: 15,
+  scale: 0.1,
+};
+
+const round = (n, digits = 4) => Math.round(n * 10 ** digits) / 10 ** digits;
+
+function roundVector(v) {
+  return { x: round(v.x), y: round(v.y), z: round(v.z) };
+}
+
+// Se llama al crear las capas: permite volver a la pose del archivo
+export function rememberOriginalTransform(mesh) {
+  mesh.userData.originalTransform = {
+    position: mesh.position.clone(),
+    quaternion: mesh.quaternion.clone(),
+    scale: mesh.scale.clone(),
+  };
+}
+
+// Pose actual de la capa sin el desplazamiento de la vista explosionada
+export function readPartTransform(mesh, explodeState) {
+  const base = mesh.position
+    .clone()
+    .sub(explodeDisplacement(mesh, explodeState));
+  return {
+    position: roundVector(base),
+    rotation: roundVector({
+      x: THREE.MathUtils.radToDeg(mesh.rotation.x),
+      y: THREE.MathUtils.radToDeg(mesh.rotation.y),
+      z: THREE.MathUtils.radToDeg(mesh.rotation.z),
+    }),
+    scale: roundVector(mesh.scale),
+  };
+}
+
+// Aplica la pose guardada (o la original si transform es null); la
+// posición final la pone la vista explosionada en el siguiente frame
+export function applyPartTransform(mesh, transform) {
+  const original = mesh.userData.originalTransform;
+  if (!original) return;
+
+  const base = new THREE.Vector3();
+  if (transform) {
+    base.set(transform.position.x, transform.position.y, transform.position.z);
+    mesh.rotation.set(
+      THREE.MathUtils.degToRad(transform.rotation.x),
+      THREE.MathUtils.degToRad(transform.rotation.y),
+      THREE.MathUtils.degToRad(transform.rotation.z)
+    );
+    mesh.scale.set(transform.scale.x, transform.scale.y, transform.scale.z);
+  } else {
+    base.copy(original.position);
+    mesh.quaternion.copy(original.quaternion);
+    mesh.scale.copy(original.scale);
+  }
+
+  if (mesh.userData.explode) {
+    mesh.userData.explode.base.copy(base);
+  } else {
+    mesh.position.copy(base);
+  }
+}
+
+export function originalPartTransform(mesh) {
+  const original = mesh.userData.originalTransform;
+  const euler = new THREE.Euler().setFromQuaternion(original.quaternion);
+  return {
+    position: roundVector(original.position),
+    rotation: roundVector({
+      x: THREE.MathUtils.radToDeg(euler.x),
+      y: THREE.MathUtils.radToDeg(euler.y),
+      z: THREE.MathUtils.radToDeg(euler.z),
+    }),
+    scale: roundVector(original.scale),
+  };
+}
+
+// Escala del padre en mundo: para pasar el snapping (mm) a coordenadas
+// locales de la capa
+export function parentWorldScale(object) {
+  if (!object.parent) return 1;
+  return object.parent.getWorldScale(new THREE.Vector3()).x || 1;
+}
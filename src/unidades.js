@@ -0,0 +1,65 @@
+/* =========================
+   Unidades de longitud
+   - La escena está en milímetros: el modelo se escala según la unidad
+     declarada del archivo (STL/OBJ/PLY no la guardan)
+   - Los datos guardados en coordenadas locales del modelo (mediciones,
+     cortes, pines) siguen en unidades del archivo; se multiplican por
+     unitScale() para mostrarlos
+========================= */
+
+export const LENGTH_UNITS = {
+  mm: { label: "mm", toMm: 1 },
+  cm: { label: "cm", toMm: 10 },
+  m: { label: "m", toMm: 1000 },
+  in: { label: "in", toMm: 25.4 },
+};
+
+export const DEFAULT_UNIT = "mm";
+
+const unitOf = (unit) => LENGTH_UNITS[unit] || LENGTH_UNITS.mm;
+
+// Milímetros por unidad (escala del modelo para una unidad de archivo)
+export function unitScale(unit) {
+  return unitOf(unit).toMm;
+}
+
+export function fromMm(valueMm, unit) {
+  return valueMm / unitOf(unit).toMm;
+}
+
+export function toMm(value, unit) {
+  return value * unitOf(unit).toMm;
+}
+
+function formatNumber(value, digits) {
+  // valores chicos (p. ej. cm³ → m³): cifras significativas
+  if (value !== 0 && Math.abs(value) < 1) {
+    return value.toLocaleString(undefined, { maximumSignificantDigits: 3 });
+  }
+  return value.toLocaleString(undefined, {
+    minimumFractionDigits: digits,
+    maximumFractionDigits: digits,
+  });
+}
+
+export function formatLength(valueMm, unit, digits = 2) {
+  const u = unitOf(unit);
+  return `${formatNumber(valueMm / u.toMm, digits)} ${u.label}`;
+}
+
+export function formatArea(valueMm2, unit, digits = 2) {
+  const u = unitOf(unit);
+  return `${formatNumber(valueMm2 / u.toMm ** 2, digits)} ${u.label}²`;
+}
+
+export function formatVolume(valueMm3, unit, digits = 2) {
+  const u = unitOf(unit);
+  return `${formatNumber(valueMm3 / u.toMm ** 3, digits)} ${u.label}³`;
+}
+
+export function formatDimensions(sizeMm, unit, digits = 2) {
+  const u = unitOf(unit);
+  return `${[sizeMm.x, sizeMm.y, sizeMm.z]
+    .map((v) => formatNumber(v / u.toMm, digits))
+    .join(" × ")} ${u.label}`;
+}